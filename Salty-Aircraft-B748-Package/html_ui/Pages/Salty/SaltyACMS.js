@@ -0,0 +1,192 @@
+/**
+ * Aircraft condition monitoring. Captures periodic engine snapshots, takeoff and cruise
+ * stability reports and exceedance events, and keeps them across flights for trending.
+ */
+class SaltyACMS {
+    constructor() {
+        console.log("SaltyACMS loaded");
+    }
+    init() {
+        this.lastTime = null;
+        this.timer = 0;
+        this.snapshotTimer = 0;
+        this.takeoffReported = false;
+        this.lastCruiseReport = -Infinity;
+        this.stable = null;
+        this.wasAirborne = false;
+        this.exceedances = new Set();
+        this.reports = JSON.parse(SaltyDataStore.get("ACMS_REPORTS", "[]"));
+    }
+    update() {
+        var timeNow = Date.now();
+        if (this.lastTime == null) this.lastTime = timeNow;
+        var deltaTime = timeNow - this.lastTime;
+        this.lastTime = timeNow;
+        this.timer += deltaTime;
+        if (this.timer < SaltyACMS.UPDATE_INTERVAL) return;
+        deltaTime = this.timer;
+        this.timer = 0;
+
+        const engines = this.getEngines();
+        if (!engines.some((engine) => engine.n2 >= SaltyACMS.ENGINE_RUNNING_N2)) {
+            this.snapshotTimer = 0;
+            return;
+        }
+        const phase = Simplane.getCurrentFlightPhase();
+        const airborne = !Simplane.getIsGrounded();
+
+        this.snapshotTimer += deltaTime;
+        if (this.snapshotTimer >= SaltyACMS.SNAPSHOT_INTERVAL) {
+            this.snapshotTimer = 0;
+            this.record("SNAPSHOT", "PERIODIC", engines);
+        }
+
+        if (!airborne && phase <= FlightPhase.FLIGHT_PHASE_TAXI) {
+            this.takeoffReported = false;
+        }
+        if (!this.takeoffReported && airborne && phase === FlightPhase.FLIGHT_PHASE_TAKEOFF && Simplane.getAltitudeAboveGround() >= SaltyACMS.TAKEOFF_REPORT_HEIGHT) {
+            this.takeoffReported = true;
+            this.record("TAKEOFF", "TAKEOFF", engines);
+        }
+
+        this.updateCruiseStability(phase, engines, timeNow);
+        this.updateExceedances(engines, airborne);
+        this.wasAirborne = airborne;
+    }
+
+    getEngines() {
+        return [1, 2, 3, 4].map((engine) => ({
+            n1: SimVar.GetSimVarValue(`ENG N1 RPM:${engine}`, "percent"),
+            n2: SimVar.GetSimVarValue(`ENG N2 RPM:${engine}`, "percent"),
+            egt: SimVar.GetSimVarValue(`ENG EXHAUST GAS TEMPERATURE:${engine}`, "celsius"),
+            ff: SimVar.GetSimVarValue(`ENG FUEL FLOW PPH:${engine}`, "pounds per hour") / 2.204623
+        }));
+    }
+
+    /* A cruise report is taken once altitude, Mach and N1 have held steady long enough */
+    updateCruiseStability(phase, engines, timeNow) {
+        if (phase !== FlightPhase.FLIGHT_PHASE_CRUISE) {
+            this.stable = null;
+            return;
+        }
+        const current = {
+            altitude: Simplane.getAltitude(),
+            mach: Simplane.getMachSpeed(),
+            n1: engines.reduce((sum, engine) => sum + engine.n1, 0) / engines.length,
+            since: timeNow
+        };
+        const limits = SaltyACMS.STABILITY_LIMITS;
+        if (!this.stable || Math.abs(current.altitude - this.stable.altitude) > limits.altitude
+            || Math.abs(current.mach - this.stable.mach) > limits.mach || Math.abs(current.n1 - this.stable.n1) > limits.n1) {
+            this.stable = current;
+            return;
+        }
+        if (timeNow - this.stable.since >= SaltyACMS.STABLE_TIME && timeNow - this.lastCruiseReport >= SaltyACMS.CRUISE_REPORT_INTERVAL) {
+            this.lastCruiseReport = timeNow;
+            this.record("CRUISE", "STABLE CRUISE", engines);
+        }
+    }
+
+    /* Exceedances are recorded once when they begin */
+    updateExceedances(engines, airborne) {
+        const events = new Map();
+        engines.forEach((engine, index) => {
+            if (engine.egt > SaltyACMS.EGT_LIMIT) {
+                events.set(`EGT ENG ${index + 1}`, `${engine.egt.toFixed(0)}C`);
+            }
+        });
+        if (SimVar.GetSimVarValue("OVERSPEED WARNING", "bool")) {
+            events.set("OVERSPEED", `${Simplane.getIndicatedSpeed().toFixed(0)}KT`);
+        }
+        for (const [label, value] of events) {
+            if (!this.exceedances.has(label)) {
+                this.record("EXCEED", label, engines, value);
+            }
+        }
+        this.exceedances = new Set(events.keys());
+
+        /* The sim keeps the sink rate at the moment of touchdown, the 1 s samples would catch the flare instead */
+        if (this.wasAirborne && !airborne) {
+            const touchdownRate = Math.abs(SimVar.GetSimVarValue("PLANE TOUCHDOWN NORMAL VELOCITY", "feet per minute"));
+            if (touchdownRate > SaltyACMS.HARD_LANDING_RATE) {
+                this.record("EXCEED", "HARD LANDING", engines, `${touchdownRate.toFixed(0)}FPM`);
+            }
+        }
+    }
+
+    record(type, label, engines, value = "") {
+        const report = {
+            type: type,
+            label: label,
+            value: value,
+            date: SaltyCMC.getDate(),
+            time: fetchTimeValue(),
+            phase: SaltyCMC.getPhaseName(Simplane.getCurrentFlightPhase()),
+            altitude: Math.round(Simplane.getAltitude()),
+            mach: Math.round(Simplane.getMachSpeed() * 1000) / 1000,
+            tat: Math.round(SimVar.GetSimVarValue("TOTAL AIR TEMPERATURE", "celsius")),
+            engines: engines.map((engine) => ({
+                n1: Math.round(engine.n1 * 10) / 10,
+                n2: Math.round(engine.n2 * 10) / 10,
+                egt: Math.round(engine.egt),
+                ff: Math.round(engine.ff)
+            }))
+        };
+        this.reports.unshift(report);
+        this.reports.length = Math.min(this.reports.length, SaltyACMS.MAX_REPORTS);
+        SaltyDataStore.set("ACMS_REPORTS", JSON.stringify(this.reports));
+        return report;
+    }
+
+    /* Captures a snapshot on crew request */
+    takeSnapshot() {
+        return this.record("SNAPSHOT", "MANUAL", this.getEngines());
+    }
+
+    getReports(type) {
+        return type ? this.reports.filter((report) => report.type === type) : this.reports;
+    }
+
+    /**
+     * Formats the reports as CSV, one row per report.
+     * @param {object[]} reports Reports to export.
+     * @returns {string} The CSV text.
+     */
+    toCsv(reports) {
+        const header = ["TYPE", "EVENT", "VALUE", "DATE", "TIME", "PHASE", "ALT", "MACH", "TAT"];
+        for (let i = 1; i <= 4; i++) {
+            header.push(`N1_${i}`, `N2_${i}`, `EGT_${i}`, `FF_KGH_${i}`);
+        }
+        const rows = [header.join(",")];
+        for (const report of reports) {
+            const row = [report.type, report.label, report.value, report.date, report.time, report.phase, report.altitude, report.mach, report.tat];
+            for (const engine of report.engines) {
+                row.push(engine.n1, engine.n2, engine.egt, engine.ff);
+            }
+            rows.push(row.join(","));
+        }
+        return rows.join("\n");
+    }
+
+    /* Stores the CSV in the data store for export */
+    exportCsv(type) {
+        const csv = this.toCsv(this.getReports(type));
+        SaltyDataStore.set("ACMS_EXPORT_CSV", csv);
+        return csv;
+    }
+}
+
+SaltyACMS.UPDATE_INTERVAL = 1000;
+SaltyACMS.SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+SaltyACMS.STABLE_TIME = 3 * 60 * 1000;
+SaltyACMS.CRUISE_REPORT_INTERVAL = 30 * 60 * 1000;
+SaltyACMS.STABILITY_LIMITS = {
+    altitude: 50,
+    mach: 0.005,
+    n1: 0.5
+};
+SaltyACMS.MAX_REPORTS = 150;
+SaltyACMS.ENGINE_RUNNING_N2 = 50;
+SaltyACMS.TAKEOFF_REPORT_HEIGHT = 400;
+SaltyACMS.EGT_LIMIT = 1000;
+SaltyACMS.HARD_LANDING_RATE = 600;
@@ -3,15 +3,24 @@ class SaltyBase {
         this.irs = new SaltyIRS();
         this.pilots = new SaltyPilots();
         this.jettison = new SaltyJettison();
+        this.cmc = new SaltyCMC();
+        this.acms = new SaltyACMS();
+        this.satcom = new SaltySATCOM();
     }
     init() {
         this.irs.init();
         this.pilots.init();
         this.jettison.init();
+        this.cmc.init();
+        this.acms.init();
+        this.satcom.init();
     }
     update(electricityIsAvail) {
         // alternatively may be able to use this.isElectricityAvailable() SimVar.GetSimVarValue("CIRCUIT GENERAL PANEL ON", "Bool") to get electricity status
         this.irs.update(electricityIsAvail);
         this.jettison.update();
+        this.cmc.update();
+        this.acms.update();
+        this.satcom.update(electricityIsAvail);
     }
 }
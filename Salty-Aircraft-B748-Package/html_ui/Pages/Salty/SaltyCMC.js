@@ -0,0 +1,190 @@
+/**
+ * Central maintenance computer. Records faults detected from sim state and from the
+ * EICAS warnings and cautions, stamped with the time, flight phase and flight leg.
+ */
+class SaltyCMC {
+    constructor() {
+        console.log("SaltyCMC loaded");
+    }
+    init() {
+        this.lastTime = null;
+        this.timer = 0;
+        this.wasAirborne = false;
+        this.hasLanded = false;
+        this.active = new Map();
+        this.faults = JSON.parse(SaltyDataStore.get("CMC_FAULTS", "[]"));
+        /* Faults still open when the aircraft was last shut down are closed on power up */
+        for (const fault of this.faults) {
+            fault.active = false;
+        }
+        /* Every power up starts a new leg */
+        this.leg = parseInt(SaltyDataStore.get("CMC_LEG", "0")) + 1;
+        SaltyDataStore.set("CMC_LEG", this.leg);
+    }
+    update() {
+        var timeNow = Date.now();
+        if (this.lastTime == null) this.lastTime = timeNow;
+        this.timer += timeNow - this.lastTime;
+        this.lastTime = timeNow;
+        if (this.timer < SaltyCMC.UPDATE_INTERVAL) return;
+        this.timer = 0;
+
+        this.updateLeg();
+        const detected = new Map();
+        for (const fault of SaltyCMC.FAULTS) {
+            if (fault.test()) {
+                detected.set(fault.text, fault);
+            }
+        }
+        for (const message of this.getEicasMessages()) {
+            if (!detected.has(message.text)) {
+                detected.set(message.text, { ata: "31", text: message.text, source: "EICAS" });
+            }
+        }
+        let changed = false;
+        for (const [text, fault] of detected) {
+            if (!this.active.has(text)) {
+                this.active.set(text, this.record(fault));
+                changed = true;
+            }
+        }
+        for (const [text, fault] of this.active) {
+            if (!detected.has(text)) {
+                fault.active = false;
+                fault.cleared = fetchTimeValue();
+                this.active.delete(text);
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /* A new leg begins on the first takeoff after a landing */
+    updateLeg() {
+        const airborne = !Simplane.getIsGrounded();
+        if (airborne && !this.wasAirborne && this.hasLanded) {
+            this.hasLanded = false;
+            this.leg++;
+            SaltyDataStore.set("CMC_LEG", this.leg);
+        }
+        if (!airborne && this.wasAirborne) {
+            this.hasLanded = true;
+        }
+        this.wasAirborne = airborne;
+    }
+
+    /* Warnings and cautions shown on the upper EICAS */
+    getEicasMessages() {
+        const messages = localStorage.getItem("SALTY_EICAS_MESSAGES");
+        return messages ? JSON.parse(messages) : [];
+    }
+
+    record(fault) {
+        const entry = {
+            ata: fault.ata,
+            text: fault.text,
+            source: fault.source || "CMC",
+            leg: this.leg,
+            date: SaltyCMC.getDate(),
+            time: fetchTimeValue(),
+            phase: SaltyCMC.getPhaseName(Simplane.getCurrentFlightPhase()),
+            active: true,
+            cleared: null
+        };
+        this.faults.unshift(entry);
+        this.faults.length = Math.min(this.faults.length, SaltyCMC.MAX_FAULTS);
+        return entry;
+    }
+
+    save() {
+        SaltyDataStore.set("CMC_FAULTS", JSON.stringify(this.faults));
+    }
+
+    /* Faults raised on this leg, and older ones that are still active */
+    getPresentLegFaults() {
+        return this.faults.filter((fault) => fault.leg === this.leg || fault.active);
+    }
+
+    getExistingFaults() {
+        return this.faults.filter((fault) => fault.active);
+    }
+
+    getFaultHistory() {
+        return this.faults;
+    }
+
+    /**
+     * Formats faults as a maintenance report.
+     * @param {string} title Report title.
+     * @param {object[]} faults Faults to list, newest first.
+     * @returns {string[]} Report lines.
+     */
+    getReport(title, faults) {
+        const lines = [`CMC ${title}`, `${SaltyCMC.getDate()} ${fetchTimeValue()}Z LEG ${this.leg}`];
+        for (const fault of faults) {
+            const status = fault.active ? "ACTIVE" : `CLEARED ${fault.cleared}Z`;
+            lines.push(`LEG ${fault.leg} ${fault.date} ${fault.time}Z ${fault.phase} ATA ${fault.ata} ${fault.text} ${status}`);
+        }
+        if (faults.length === 0) {
+            lines.push("NO FAULTS");
+        }
+        lines.push("END OF REPORT");
+        return lines;
+    }
+
+    /* Keeps the last printed report for export; the CDU shows the printout */
+    print(title, faults) {
+        const lines = this.getReport(title, faults);
+        SaltyDataStore.set("CMC_REPORT", lines.join("\n"));
+        return lines;
+    }
+
+    static getDate() {
+        const day = SimVar.GetGlobalVarValue("ZULU DAY OF MONTH", "number");
+        const month = SimVar.GetGlobalVarValue("ZULU MONTH OF YEAR", "number");
+        return `${day.toString().padStart(2, "0")}${SaltyCMC.MONTHS[month - 1] || ""}`;
+    }
+
+    static getPhaseName(phase) {
+        switch (phase) {
+            case FlightPhase.FLIGHT_PHASE_PREFLIGHT: return "PREFLIGHT";
+            case FlightPhase.FLIGHT_PHASE_TAXI: return "TAXI";
+            case FlightPhase.FLIGHT_PHASE_TAKEOFF: return "TAKEOFF";
+            case FlightPhase.FLIGHT_PHASE_CLIMB: return "CLIMB";
+            case FlightPhase.FLIGHT_PHASE_CRUISE: return "CRUISE";
+            case FlightPhase.FLIGHT_PHASE_DESCENT: return "DESCENT";
+            case FlightPhase.FLIGHT_PHASE_APPROACH: return "APPROACH";
+            case FlightPhase.FLIGHT_PHASE_GOAROUND: return "GO AROUND";
+            default: return "----";
+        }
+    }
+}
+
+SaltyCMC.UPDATE_INTERVAL = 1000;
+SaltyCMC.MAX_FAULTS = 200;
+SaltyCMC.MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+/* Faults detected from sim state, by ATA chapter */
+SaltyCMC.FAULTS = [
+    ...[1, 2, 3, 4].map((engine) => ({
+        ata: "72",
+        text: `ENG ${engine} FAIL`,
+        test: () => SimVar.GetSimVarValue(`GENERAL ENG FAILED:${engine}`, "bool")
+    })),
+    ...[1, 2, 3, 4].map((engine) => ({
+        ata: "26",
+        text: `FIRE ENG ${engine}`,
+        test: () => SimVar.GetSimVarValue(`ENG ON FIRE:${engine}`, "bool")
+    })),
+    { ata: "24", text: "ELEC SYS FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL ELECTRICAL", "enum") === 1 },
+    { ata: "34", text: "AIRSPEED IND FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL AIRSPEED", "enum") === 1 },
+    { ata: "34", text: "ALTIMETER FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL ALTIMETER", "enum") === 1 },
+    { ata: "34", text: "ATTITUDE IND FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL ATTITUDE", "enum") === 1 },
+    { ata: "34", text: "HEADING IND FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL HEADING", "enum") === 1 },
+    { ata: "34", text: "TRANSPONDER FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL TRANSPONDER", "enum") === 1 },
+    { ata: "23", text: "VHF COMM FAULT", test: () => SimVar.GetSimVarValue("PARTIAL PANEL COMM", "enum") === 1 },
+    { ata: "34", text: "OVERSPEED", test: () => SimVar.GetSimVarValue("OVERSPEED WARNING", "bool") },
+    { ata: "27", text: "FLAP OVERSPEED DAMAGE", test: () => SimVar.GetSimVarValue("FLAP DAMAGE BY SPEED", "bool") },
+    { ata: "32", text: "GEAR OVERSPEED DAMAGE", test: () => SimVar.GetSimVarValue("GEAR DAMAGE BY SPEED", "bool") }
+];
@@ -0,0 +1,471 @@
+/**
+ * CPDLC (FANS 1/A) connection management and message exchange.
+ * Messages travel over the datalink with type "CPDLC"; data.kind tells the
+ * logon/connection traffic (LOGON, LOGON ACK, CR1, CC1, DR1) apart from
+ * numbered UM/DM messages (MSG).
+ */
+class SaltyCPDLC {
+    constructor(datalink) {
+        this.datalink = datalink;
+        this.onStateChange = null;
+        this.onUplink = null;
+        this.onError = null;
+        this.flightId = "";
+        this.logonTo = "";
+        this.maxUplinkDelay = 0;
+        this.state = SaltyCPDLC.STATE.NO_COMM;
+        this.currentAuthority = "";
+        this.nextAuthority = "";
+        this._nextConnected = false;
+        this._min = 0;
+        this._timer = 0;
+    }
+
+    isConnected() {
+        return this.state === SaltyCPDLC.STATE.CONNECTED;
+    }
+
+    /**
+     * Sends a logon (AFN contact) to an ATS unit.
+     * @param {string} atsUnit The four letter ATS unit.
+     * @param {string} flightId The flight identification.
+     * @returns {Promise} Resolves once the logon has been downlinked.
+     */
+    logon(atsUnit, flightId) {
+        if (SaltyDataStore.get("OPTIONS_CPDLC", "ON") !== "ON") {
+            return Promise.reject("CPDLC DISABLED");
+        }
+        if (this.isConnected()) {
+            this.logoff();
+        }
+        this.logonTo = atsUnit;
+        this.flightId = flightId;
+        return this._send(atsUnit, { kind: "LOGON" })
+            .then(() => {
+                this._setState(SaltyCPDLC.STATE.LOGON_PENDING, SaltyCPDLC.LOGON_TIMEOUT);
+            });
+    }
+
+    /* Disconnects from the current and next data authority */
+    logoff() {
+        for (const unit of [this.currentAuthority, this.nextAuthority]) {
+            if (unit) {
+                this._send(unit, { kind: "DR1" }).catch(() => {});
+            }
+        }
+        this._disconnect();
+    }
+
+    /**
+     * Sets the next data authority. A crew entry is passed on to the current
+     * authority so it can start the transfer.
+     * @param {string} atsUnit The four letter ATS unit.
+     */
+    setNextAuthority(atsUnit, notify = true) {
+        this.nextAuthority = atsUnit;
+        this._nextConnected = false;
+        if (notify && this.isConnected()) {
+            this._send(this.currentAuthority, { kind: "NDA", unit: atsUnit }).catch(() => {});
+        }
+        this._changed();
+    }
+
+    /**
+     * Downlinks a message to the current data authority.
+     * @param {Array} elements Message elements, e.g. [{ ref: "DM9", args: ["FL350"] }].
+     * @param {number} mrn Message reference number of the uplink being answered.
+     * @returns {Promise<object>} Resolves with the downlink, including its MIN.
+     */
+    send(elements, mrn = undefined) {
+        if (!this.isConnected()) {
+            return Promise.reject("NO ATC COMM");
+        }
+        const data = {
+            kind: "MSG",
+            min: this._nextMin(),
+            mrn: mrn,
+            elements: elements
+        };
+        const content = SaltyCPDLC.format(elements);
+        return this._send(this.currentAuthority, data, content).then(() => ({
+            min: data.min,
+            mrn: mrn,
+            to: this.currentAuthority,
+            elements: elements,
+            content: content
+        }));
+    }
+
+    /**
+     * Answers an uplink according to its response attribute.
+     * @param {object} uplink The uplink being answered.
+     * @param {string} response ACCEPT, REJECT or STANDBY.
+     * @param {Array} args Arguments of the response element, if it has any.
+     * @returns {Promise<object>} Resolves with the downlink.
+     */
+    respond(uplink, response, args = []) {
+        const refs = SaltyCPDLC.RESPONSES[uplink.responseType];
+        const ref = refs ? refs[response] : undefined;
+        if (!ref) {
+            return Promise.reject("INVALID RESPONSE");
+        }
+        return this.send([{ ref: ref, args: args }], uplink.min);
+    }
+
+    /**
+     * Handles a CPDLC uplink from the datalink.
+     * @param {object} message The datalink uplink.
+     */
+    receive(message) {
+        const data = message.data;
+        switch (data.kind) {
+            case "LOGON ACK":
+                if (this.state === SaltyCPDLC.STATE.LOGON_PENDING && message.from === this.logonTo) {
+                    if (data.accepted) {
+                        this._setState(SaltyCPDLC.STATE.CONNECTING, SaltyCPDLC.CONNECT_TIMEOUT);
+                    } else {
+                        this._disconnect("LOGON REJECTED");
+                    }
+                }
+                break;
+            case "CR1":
+                this._connectionRequest(message.from);
+                break;
+            case "DR1":
+                if (message.from === this.currentAuthority) {
+                    this._endService();
+                } else if (message.from === this.nextAuthority) {
+                    this._nextConnected = false;
+                }
+                break;
+            case "MSG":
+                this._receiveMessage(message);
+                break;
+        }
+    }
+
+    /**
+     * Runs the connection timers.
+     * @param {number} deltaTime Time since the last update in milliseconds.
+     */
+    update(deltaTime) {
+        if (this._timer <= 0) {
+            return;
+        }
+        this._timer -= deltaTime;
+        if (this._timer <= 0) {
+            this._disconnect(this.state === SaltyCPDLC.STATE.LOGON_PENDING ? "LOGON TIMEOUT" : "ATC CONNECTION TIMEOUT");
+        }
+    }
+
+    _connectionRequest(unit) {
+        const expected = this.state === SaltyCPDLC.STATE.CONNECTING ? this.logonTo : this.nextAuthority;
+        if (unit !== expected) {
+            this._send(unit, { kind: "DR1" }).catch(() => {});
+            return;
+        }
+        this._send(unit, { kind: "CC1" }).catch(() => {});
+        if (this.state === SaltyCPDLC.STATE.CONNECTING) {
+            this.currentAuthority = unit;
+            this._setState(SaltyCPDLC.STATE.CONNECTED);
+        } else {
+            this._nextConnected = true;
+            this._changed();
+        }
+    }
+
+    _receiveMessage(message) {
+        const data = message.data;
+        if (!this.isConnected() || message.from !== this.currentAuthority) {
+            this._send(message.from, {
+                kind: "MSG",
+                min: this._nextMin(),
+                mrn: data.min,
+                elements: [{ ref: "DM63", args: [] }]
+            }).catch(() => {});
+            return;
+        }
+        const delay = (Date.now() - data.timestamp) / 1000;
+        if (this.maxUplinkDelay > 0 && delay > this.maxUplinkDelay) {
+            this.send([{ ref: "DM62", args: ["MAX UPLINK DELAY EXCEEDED"] }], data.min).catch(() => {});
+            this._error("UPLINK DELAYED");
+            return;
+        }
+        for (const element of data.elements) {
+            if (element.ref === "UM160") {
+                this.setNextAuthority(element.args[0], false);
+            }
+        }
+        const uplink = {
+            min: data.min,
+            mrn: data.mrn,
+            from: message.from,
+            elements: data.elements,
+            content: SaltyCPDLC.format(data.elements),
+            responseType: SaltyCPDLC.getResponseType(data.elements)
+        };
+        if (this.onUplink) {
+            this.onUplink(uplink);
+        }
+        if (data.elements.some((element) => element.ref === "UM161")) {
+            this._endService();
+        }
+    }
+
+    /* Current authority terminated the connection: hand over to the next authority if it is connected */
+    _endService() {
+        if (this.nextAuthority && this._nextConnected) {
+            this.currentAuthority = this.nextAuthority;
+            this.logonTo = this.nextAuthority;
+            this.nextAuthority = "";
+            this._nextConnected = false;
+            this._setState(SaltyCPDLC.STATE.CONNECTED);
+        } else {
+            this._disconnect("ATC COMM TERMINATED");
+        }
+    }
+
+    _disconnect(error = undefined) {
+        this.currentAuthority = "";
+        this.nextAuthority = "";
+        this._nextConnected = false;
+        this._setState(SaltyCPDLC.STATE.NO_COMM);
+        if (error) {
+            this._error(error);
+        }
+    }
+
+    _send(to, data, content = []) {
+        data.timestamp = Date.now();
+        return this.datalink.send({
+            type: "CPDLC",
+            from: this.flightId,
+            to: to,
+            content: content,
+            data: data
+        });
+    }
+
+    /* MINs run from 0 to 63 and then wrap */
+    _nextMin() {
+        const min = this._min;
+        this._min = (this._min + 1) % 64;
+        return min;
+    }
+
+    _setState(state, timeout = 0) {
+        this.state = state;
+        this._timer = timeout;
+        this._changed();
+    }
+
+    _changed() {
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+
+    _error(error) {
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * Builds the message text, filling each [parameter] with the next argument.
+     * @param {Array} elements The message elements.
+     * @returns {string[]} One line per element.
+     */
+    static format(elements) {
+        return elements.map((element) => {
+            const catalog = element.ref.startsWith("UM") ? SaltyCPDLC.UPLINKS : SaltyCPDLC.DOWNLINKS;
+            const entry = catalog[parseInt(element.ref.substring(2))];
+            const args = element.args.slice();
+            return (entry ? entry.text : element.ref).replace(/\[[^\]]+\]/g, () => args.shift() || "");
+        });
+    }
+
+    /* The most demanding response attribute of the elements wins */
+    static getResponseType(elements) {
+        const order = ["NE", "R", "Y", "A/N", "W/U"];
+        let responseType = "NE";
+        for (const element of elements) {
+            const entry = SaltyCPDLC.UPLINKS[parseInt(element.ref.substring(2))];
+            if (entry && order.indexOf(entry.response) > order.indexOf(responseType)) {
+                responseType = entry.response;
+            }
+        }
+        return responseType;
+    }
+}
+
+SaltyCPDLC.STATE = {
+    NO_COMM: "NO COMM",
+    LOGON_PENDING: "LOGON PENDING",
+    CONNECTING: "CONNECTING",
+    CONNECTED: "READY"
+};
+SaltyCPDLC.LOGON_TIMEOUT = 60000;
+SaltyCPDLC.CONNECT_TIMEOUT = 120000;
+
+/* Downlink sent for each crew response, by uplink response attribute */
+SaltyCPDLC.RESPONSES = {
+    "W/U": { ACCEPT: "DM0", REJECT: "DM1", STANDBY: "DM2" },
+    "A/N": { ACCEPT: "DM4", REJECT: "DM5", STANDBY: "DM2" },
+    "R": { ACCEPT: "DM3", REJECT: "DM1", STANDBY: "DM2" },
+    "Y": { ACCEPT: "DM32", STANDBY: "DM2" }
+};
+
+SaltyCPDLC.UPLINKS = {
+    0: { text: "UNABLE", response: "NE" },
+    1: { text: "STANDBY", response: "NE" },
+    3: { text: "ROGER", response: "NE" },
+    4: { text: "AFFIRM", response: "NE" },
+    5: { text: "NEGATIVE", response: "NE" },
+    19: { text: "MAINTAIN [altitude]", response: "W/U" },
+    20: { text: "CLIMB TO AND MAINTAIN [altitude]", response: "W/U" },
+    23: { text: "DESCEND TO AND MAINTAIN [altitude]", response: "W/U" },
+    74: { text: "PROCEED DIRECT TO [position]", response: "W/U" },
+    94: { text: "TURN [direction] HEADING [degrees]", response: "W/U" },
+    106: { text: "MAINTAIN [speed]", response: "W/U" },
+    117: { text: "CONTACT [icaounitname] [frequency]", response: "W/U" },
+    120: { text: "MONITOR [icaounitname] [frequency]", response: "W/U" },
+    133: { text: "REPORT PRESENT LEVEL", response: "Y" },
+    159: { text: "ERROR [errorinformation]", response: "NE" },
+    160: { text: "NEXT DATA AUTHORITY [facility]", response: "NE" },
+    161: { text: "END SERVICE", response: "NE" },
+    169: { text: "[freetext]", response: "R" }
+};
+
+SaltyCPDLC.DOWNLINKS = {
+    0: { text: "WILCO" },
+    1: { text: "UNABLE" },
+    2: { text: "STANDBY" },
+    3: { text: "ROGER" },
+    4: { text: "AFFIRM" },
+    5: { text: "NEGATIVE" },
+    6: { text: "REQUEST [altitude]" },
+    8: { text: "REQUEST CRUISE CLIMB TO [altitude]" },
+    9: { text: "REQUEST CLIMB TO [altitude]" },
+    10: { text: "REQUEST DESCENT TO [altitude]" },
+    15: { text: "REQUEST OFFSET [distanceoffset] [direction] OF ROUTE" },
+    16: { text: "AT [position] REQUEST OFFSET [distanceoffset] [direction] OF ROUTE" },
+    18: { text: "REQUEST [speed]" },
+    20: { text: "REQUEST VOICE CONTACT" },
+    22: { text: "REQUEST DIRECT TO [position]" },
+    23: { text: "REQUEST [procedurename]" },
+    25: { text: "REQUEST CLEARANCE" },
+    27: { text: "REQUEST WEATHER DEVIATION UP TO [distanceoffset] [direction] OF ROUTE" },
+    30: { text: "DESCENDING TO [altitude]" },
+    32: { text: "PRESENT ALTITUDE [altitude]" },
+    55: { text: "PAN PAN PAN" },
+    56: { text: "MAYDAY MAYDAY MAYDAY" },
+    57: { text: "[remainingfuel] OF FUEL REMAINING AND [remainingsouls] SOULS ON BOARD" },
+    58: { text: "CANCEL EMERGENCY" },
+    59: { text: "DIVERTING TO [position] VIA [route]" },
+    62: { text: "ERROR [errorinformation]" },
+    63: { text: "NOT CURRENT DATA AUTHORITY" },
+    65: { text: "DUE TO WEATHER" },
+    66: { text: "DUE TO AIRCRAFT PERFORMANCE" },
+    67: { text: "[freetext]" },
+    70: { text: "REQUEST HEADING [degrees]" },
+    71: { text: "REQUEST GROUND TRACK [degrees]" },
+    74: { text: "MAINTAIN OWN SEPARATION AND VMC" },
+    75: { text: "AT PILOTS DISCRETION" },
+    80: { text: "DEVIATING [distanceoffset] [direction] OF ROUTE" }
+};
+
+/**
+ * Local stand-in for the ATC ground systems. Accepts every logon, answers
+ * requests with a clearance or UNABLE and transfers the flight when asked to.
+ */
+class SaltyCPDLCGroundStation {
+    constructor() {
+        this._min = 0;
+        this._handoffs = new Map();
+    }
+
+    /**
+     * Handles a CPDLC downlink.
+     * @param {object} message The downlink.
+     * @returns {Array} The uplinks to send back.
+     */
+    receive(message) {
+        const data = message.data;
+        switch (data.kind) {
+            case "LOGON":
+                return [
+                    this._uplink(message.to, message.from, { kind: "LOGON ACK", accepted: /^[A-Z]{4}$/.test(message.to) }),
+                    this._uplink(message.to, message.from, { kind: "CR1" })
+                ];
+            case "NDA": {
+                /* END SERVICE follows once the crew has answered the CONTACT instruction */
+                const nextAuthority = this._message(message.to, message.from, [{ ref: "UM160", args: [data.unit] }]);
+                const contact = this._message(message.to, message.from, [{ ref: "UM117", args: [`${data.unit} CTR`, "132.450"] }]);
+                this._handoffs.set(message.from, contact.data.min);
+                return [
+                    nextAuthority,
+                    this._uplink(data.unit, message.from, { kind: "CR1" }),
+                    contact
+                ];
+            }
+            case "MSG":
+                return this._reply(message);
+        }
+        return [];
+    }
+
+    _reply(message) {
+        const data = message.data;
+        const reply = (elements) => [this._message(message.to, message.from, elements, data.min)];
+        if (data.mrn !== undefined && this._handoffs.get(message.from) === data.mrn) {
+            this._handoffs.delete(message.from);
+            return [this._message(message.to, message.from, [{ ref: "UM161", args: [] }])];
+        }
+        for (const element of data.elements) {
+            switch (element.ref) {
+                case "DM6":
+                case "DM9":
+                    return reply([{ ref: "UM20", args: element.args }]);
+                case "DM10":
+                    return reply([{ ref: "UM23", args: element.args }]);
+                case "DM18":
+                    return reply([{ ref: "UM106", args: element.args }]);
+                case "DM22":
+                    return reply([{ ref: "UM74", args: element.args }]);
+                case "DM55":
+                case "DM56":
+                    return reply([{ ref: "UM3", args: [] }]);
+                case "DM8":
+                case "DM15":
+                case "DM16":
+                case "DM23":
+                case "DM27":
+                case "DM70":
+                case "DM71":
+                    return reply([{ ref: "UM0", args: [] }]);
+                case "DM67":
+                    return reply([{ ref: "UM3", args: [] }]);
+            }
+        }
+        return [];
+    }
+
+    _message(from, to, elements, mrn = undefined) {
+        const min = this._min;
+        this._min = (this._min + 1) % 64;
+        return this._uplink(from, to, { kind: "MSG", min: min, mrn: mrn, elements: elements }, SaltyCPDLC.format(elements));
+    }
+
+    _uplink(from, to, data, content = []) {
+        data.timestamp = Date.now();
+        return {
+            id: Date.now(),
+            type: "CPDLC",
+            from: from,
+            to: to,
+            content: content,
+            data: data
+        };
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Company route database. Routes are saved under a name as serialized flight plans, so
+ * runway, departure, airways and arrival come back exactly as they were built.
+ *
+ * Routes can also be imported from plain-text files in the aircraft's routes folder,
+ * routes/<NAME>.txt, holding a single route string in the SimBrief format:
+ * origin, departure or DCT, first fix, airway/fix pairs, arrival or DCT, destination.
+ *     EGLL DVR5J DVR UL9 KONAN UL607 SPI DCT REDFA RIVA3A EDDF
+ */
+class SaltyCoRoutes {
+    /**
+     * @param {WTConfigLoader} loader Loader for files in the aircraft's folder.
+     */
+    constructor(loader) {
+        this._loader = loader;
+        this._routes = JSON.parse(SaltyDataStore.get("CO_ROUTES", "{}"));
+        this._exports = JSON.parse(SaltyDataStore.get("CO_ROUTE_EXPORTS", "{}"));
+    }
+
+    list() {
+        return Object.keys(this._routes).sort();
+    }
+
+    has(name) {
+        return name in this._routes;
+    }
+
+    /**
+     * Returns a saved route.
+     * @param {string} name The route name.
+     * @returns {object} The flight plan as produced by ManagedFlightPlan.serialize, a fresh copy on every call.
+     */
+    get(name) {
+        return this.has(name) ? JSON.parse(this._routes[name]) : null;
+    }
+
+    /**
+     * Saves a flight plan under a name, replacing any route already saved under it.
+     * @param {string} name The route name.
+     * @param {ManagedFlightPlan} flightPlan The flight plan to save.
+     */
+    save(name, flightPlan) {
+        const route = flightPlan.serialize();
+        route.activeWaypointIndex = 1;
+        this._routes[name] = JSON.stringify(route);
+        this._store();
+    }
+
+    remove(name) {
+        if (!this.has(name)) {
+            return false;
+        }
+        delete this._routes[name];
+        this._store();
+        return true;
+    }
+
+    _store() {
+        SaltyDataStore.set("CO_ROUTES", JSON.stringify(this._routes));
+    }
+
+    /**
+     * Reads routes/<NAME>.txt from the aircraft's folder.
+     * @param {string} name The route name.
+     * @returns {Promise} Resolves with { origin, destination, route }, or null when the file is missing or malformed.
+     */
+    importFile(name) {
+        /* Utils.loadFile never calls back for a missing file */
+        const timeout = new Promise((resolve) => setTimeout(() => resolve(""), SaltyCoRoutes.IMPORT_TIMEOUT));
+        return Promise.race([this._loader.loadRawFile(`routes/${name}.txt`), timeout]).then((text) => {
+            const tokens = (text || "").split(/[\r\n]+/)
+                .filter((line) => !line.trim().startsWith("#"))
+                .join(" ").trim().toUpperCase().split(/\s+/);
+            if (tokens.length < 4) {
+                return null;
+            }
+            return {
+                origin: tokens[0],
+                destination: tokens[tokens.length - 1],
+                route: tokens.slice(1, -1).join(" ")
+            };
+        });
+    }
+
+    /**
+     * Writes a saved route as the text of a route file. The instrument cannot write to the
+     * aircraft's folder, so the text is kept in the data store under CO_ROUTE_EXPORTS, by name,
+     * to be copied into routes/<NAME>.txt.
+     * @param {string} name The route name.
+     * @returns {string} The route string, or null when no route with airways or fixes is saved under the name.
+     */
+    exportFile(name) {
+        const route = this.get(name);
+        if (!route || !route.originAirfield || !route.destinationAirfield) {
+            return null;
+        }
+        const procedureName = (airfield, key, index) => {
+            const procedure = index >= 0 && airfield.infos[key] && airfield.infos[key][index];
+            return procedure ? procedure.name : "DCT";
+        };
+        const details = route.procedureDetails;
+        const tokens = [route.originAirfield.ident, procedureName(route.originAirfield, "departures", details.departureIndex)];
+
+        /* The departure leads to the first fix; after it only the fixes where an airway is left are written */
+        const enroute = route._segments.find((segment) => segment.type === SegmentType.Enroute);
+        const waypoints = enroute ? enroute.waypoints : [];
+        if (waypoints.length === 0) {
+            return null;
+        }
+        tokens.push(waypoints[0].ident);
+        for (let i = 1; i < waypoints.length; i++) {
+            const via = waypoints[i].infos.airwayIn || "DCT";
+            const next = waypoints[i + 1];
+            if (via !== "DCT" && next && next.infos.airwayIn === via) {
+                continue;
+            }
+            tokens.push(via, waypoints[i].ident);
+        }
+
+        tokens.push(procedureName(route.destinationAirfield, "arrivals", details.arrivalIndex), route.destinationAirfield.ident);
+        const text = tokens.join(" ");
+        this._exports[name] = text;
+        SaltyDataStore.set("CO_ROUTE_EXPORTS", JSON.stringify(this._exports));
+        return text;
+    }
+}
+
+SaltyCoRoutes.IMPORT_TIMEOUT = 3000;
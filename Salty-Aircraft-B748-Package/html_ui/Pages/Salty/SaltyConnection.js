@@ -224,15 +224,46 @@ const convertWaypointIdentCoords = (ident) => {
     }
 };
 
-const getFplnFromSimBrief = async (fmc) => {
-    let routeArr = fmc.simbrief.route.split(" ");
-    let partial = false;
+/**
+ * Loads the SimBrief route into the active route, or into the inactive route when toInactiveRoute is set.
+ * @param {B747_8_FMC_MainDisplay} fmc FMC holding the SimBrief data
+ * @param {boolean} toInactiveRoute Load into the inactive route
+ */
+const getFplnFromSimBrief = (fmc, toInactiveRoute = false) => {
     const fixCoords = new Map();
-
     for (const fix of fmc.simbrief.navlog) {
         fixCoords.set(fix.ident, new LatLongAlt(fix.pos_lat, fix.pos_long));
     }
 
+    let flightNo = fmc.simbrief.flight_number;
+    if (flightNo && typeof fmc.simbrief.icao_airline === "string") {
+        flightNo = `${fmc.simbrief.icao_airline}${flightNo}`;
+    }
+
+    return getFplnFromRoute(fmc, {
+        origin: fmc.simbrief.originIcao,
+        destination: fmc.simbrief.destinationIcao,
+        route: fmc.simbrief.route,
+        fixCoords: fixCoords,
+        flightNo: flightNo
+    }, toInactiveRoute);
+};
+
+/**
+ * Builds a route from a route string in the SimBrief format, departure or DCT first and arrival or DCT last.
+ * @param {B747_8_FMC_MainDisplay} fmc FMC to build the route in
+ * @param {object} plan origin, destination and route; fixCoords to place coordinate fixes and flightNo to set, both optional
+ * @param {boolean} toInactiveRoute Build the inactive route instead of a MOD, the active route is never changed
+ * @param {function} onDone Called with whether the whole route was built, instead of the uplink messages and pages;
+ * the MOD is left for the caller to execute or erase
+ */
+const getFplnFromRoute = async (fmc, plan, toInactiveRoute = false, onDone = null) => {
+    let routeArr = plan.route.split(" ");
+    let partial = false;
+    let previousIndex = 0;
+    const routeNumber = toInactiveRoute ? fmc.getInactiveRoute() : fmc.activeRoute;
+    const fixCoords = plan.fixCoords || new Map();
+
     const isCoordinate = async (icao) => {
         if (await CJ4_FMC_PilotWaypointParser.parseInput(convertWaypointIdentCoords(icao), 0, fmc)) {
             return true;
@@ -263,16 +294,42 @@ const getFplnFromSimBrief = async (fmc) => {
         return icao;
     };
 
+    // the inactive route only takes the airports, tmpOrigin and the transition altitudes belong to the active route
+    const setInactiveAirport = (icao, isOrigin, callback) => {
+        fmc.dataManager.GetAirportByIdent(icao).then(airport => {
+            if (!airport) {
+                fmc.showErrorMessage("NOT IN DATABASE");
+                return callback(false);
+            }
+            if (isOrigin) {
+                fmc.flightPlanManager.clearFlightPlan(() => {
+                    fmc.flightPlanManager.setOrigin(airport.icao, () => callback(true));
+                });
+            } else {
+                fmc.flightPlanManager.setDestination(airport.icao, () => callback(true));
+            }
+        });
+    };
+
     // HINT: defining these methods here in the order they will be called by the callbacks
     const updateFrom = () => {
         console.log("UPDATE FROMTO");
-        const from = fmc.simbrief.originIcao;
-        fmc.flightPlanManager.setActiveWaypointIndex(0, () => {
-            fmc.eraseTemporaryFlightPlan(() => {
+        const from = plan.origin;
+        if (toInactiveRoute) {
+            // the inactive route is built in place, the active route and its MOD are left alone
+            fmc.ensureInactiveRoute(() => {
+                previousIndex = fmc.flightPlanManager.getCurrentFlightPlanIndex();
+                fmc.flightPlanManager.setCurrentFlightPlanIndex(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX, false, () => {
+                    setInactiveAirport(parseAirport(from), true, updateDestination);
+                });
+            });
+            return;
+        }
+        // the route is built in a fresh MOD, the active route stays as it is until EXEC
+        fmc.eraseTemporaryFlightPlan(() => {
+            fmc.ensureCurrentFlightPlanIsTemporary(() => {
                 fmc.flightPlanManager.clearFlightPlan(() => {
-                    fmc.ensureCurrentFlightPlanIsTemporary(() => {
-                        fmc.updateRouteOrigin(parseAirport(from), updateDestination);
-                    });
+                    fmc.updateRouteOrigin(parseAirport(from), updateDestination);
                 });
             });
         });
@@ -280,16 +337,17 @@ const getFplnFromSimBrief = async (fmc) => {
 
     const updateDestination = () => {
         console.log("UPDATE DESTINATION");
-        const dest = fmc.simbrief.destinationIcao;
+        const dest = plan.destination;
+        if (toInactiveRoute) {
+            setInactiveAirport(parseAirport(dest), false, updateFlightNumber);
+            return;
+        }
         fmc.updateRouteDestination(parseAirport(dest), updateFlightNumber);
     };
 
     const updateFlightNumber = () => {
-        let flightNo = fmc.simbrief.flight_number;
-        if (flightNo) {
-            if (typeof fmc.simbrief.icao_airline === "string") {
-                flightNo = `${fmc.simbrief.icao_airline}${flightNo}`;
-            }
+        const flightNo = plan.flightNo;
+        if (flightNo && !toInactiveRoute) {
             fmc.updateFlightNo(flightNo);
             fmc.setMsg("FLT NUMBER UPLINK");
         }
@@ -297,6 +355,14 @@ const getFplnFromSimBrief = async (fmc) => {
         updateRoute();
     }
 
+    // the current plan is what gets synced to the sim, so the inactive route must not be current when sync resumes
+    const endUplink = () => {
+        if (toInactiveRoute) {
+            fmc.flightPlanManager.setCurrentFlightPlanIndex(previousIndex);
+        }
+        fmc.flightPlanManager.resumeSync();
+    };
+
     const updateRoute = () => {
         console.log("UPDATE ROUTE");
         let idx = 0; // TODO starting from 1 to skip departure trans for now
@@ -306,12 +372,20 @@ const getFplnFromSimBrief = async (fmc) => {
         const addWaypoint = async () => {
             if (idx >= routeArr.length - 1) {
                 // DONE
-                fmc.flightPlanManager.resumeSync();
                 fmc.flightPlanManager.setActiveWaypointIndex(1);
-                SimVar.SetSimVarValue("L:WT_CJ4_INHIBIT_SEQUENCE", "number", 0);
+                endUplink();
+                if (onDone) {
+                    onDone(!partial);
+                    return;
+                }
                 if (partial) {
-                    fmc.setMsg("PARTIAL ROUTE 1 UPLINK");
+                    fmc.setMsg(`PARTIAL ROUTE ${routeNumber} UPLINK`);
                 }
+                if (toInactiveRoute) {
+                    FMCInactiveRoutePage.ShowPage1(fmc);
+                    return;
+                }
+                SimVar.SetSimVarValue("L:WT_CJ4_INHIBIT_SEQUENCE", "number", 0);
                 FMCRoutePage.ShowPage1(fmc);
                 return;
             }
@@ -349,9 +423,12 @@ const getFplnFromSimBrief = async (fmc) => {
                         if (res) {
                             addWaypoint();
                         } else {
-                            fmc.flightPlanManager.resumeSync();
+                            endUplink();
                             fmc.setMsg("ERROR WPT " + icao);
                             partial = true;
+                            if (onDone) {
+                                onDone(false);
+                            }
                         }
                     }, fixCoords.get(icao));
                 }
@@ -376,7 +453,6 @@ const getFplnFromSimBrief = async (fmc) => {
                                 if (res) {
                                     addWaypoint();
                                 } else {
-                                    fmc.flightPlanManager.resumeSync();
                                     fmc.setMsg("ERROR AIRWAY " + icao);
                                     partial = true;
                                     addWaypoint();
@@ -0,0 +1,222 @@
+/**
+ * Base class for datalink transports. A transport delivers downlinks to the ground
+ * and hands every uplink it receives to its onReceive callback.
+ */
+class SaltyDatalinkTransport {
+    constructor() {
+        this.onReceive = null;
+    }
+    get name() {
+        return "NONE";
+    }
+    isAvailable() {
+        return false;
+    }
+    /**
+     * Sends a downlink message.
+     * @param {object} message The downlink message.
+     * @returns {Promise} Resolves once the ground has acknowledged the message.
+     */
+    send(message) {
+        return Promise.reject("NO COMM");
+    }
+    receive(message) {
+        if (this.onReceive) {
+            this.onReceive(message);
+        }
+    }
+}
+
+/**
+ * Local stand-in for the ground network over VHF. Downlinks are answered by the station
+ * registered for their message type.
+ */
+class SaltyDatalinkMockTransport extends SaltyDatalinkTransport {
+    /**
+     * @param {Map} stations Ground stations to share with another transport, registers its own when omitted.
+     */
+    constructor(stations = null) {
+        super();
+        if (stations) {
+            this._stations = stations;
+            return;
+        }
+        this._stations = new Map();
+        this._cpdlc = new SaltyCPDLCGroundStation();
+        this._takeoffPerf = new SaltyTakeoffPerformance();
+        this.registerStation("PDC", (message) => this._replyPdc(message));
+        this.registerStation("T/O PERF", (message) => this._replyTakeoffPerf(message));
+        this.registerStation("CPDLC", (message) => this._cpdlc.receive(message));
+    }
+    get name() {
+        return "VHF";
+    }
+    get stations() {
+        return this._stations;
+    }
+    /* VHF needs line of sight to a ground station, which oceanic and polar areas lack */
+    isAvailable() {
+        const lat = SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude");
+        const lon = SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude");
+        return !SaltyDatalinkMockTransport.NO_VHF_COVERAGE.some((area) => lat >= area.south && lat <= area.north && lon >= area.west && lon <= area.east);
+    }
+    /**
+     * Registers a ground station for a message type.
+     * @param {string} type The downlink message type.
+     * @param {function} handler Receives the downlink and returns an array of uplinks to send back.
+     */
+    registerStation(type, handler) {
+        this._stations.set(type, handler);
+    }
+    getDelay() {
+        return 1000 + 750 * Math.random();
+    }
+    send(message) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve();
+                const station = this._stations.get(message.type);
+                if (!station) {
+                    return;
+                }
+                /* Replies are staggered so they arrive in the order the station sent them */
+                const replies = station(message) || [];
+                let delay = 0;
+                for (const reply of replies) {
+                    delay += this.getDelay() + 2000 * Math.random();
+                    setTimeout(() => this.receive(reply), delay);
+                }
+            }, this.getDelay());
+        });
+    }
+
+    /* Canned departure clearance built from the request fields */
+    _replyPdc(message) {
+        const data = message.data;
+        const squawk = [0, 0, 0, 0].map(() => Math.floor(Math.random() * 8)).join("");
+        const freqs = ["118.300", "120.550", "124.350", "125.800", "128.075"];
+        const depFreq = freqs[Math.floor(Math.random() * freqs.length)];
+        const text = `${data.fltNo} CLRD TO ${data.dest} OFF ${data.dept} AS FILED CLIMB VIA SID MAINT 5000FT EXP REQUESTED FL 10 MIN AFT DEP DEP FREQ ${depFreq} SQUAWK ${squawk} ATIS ${data.atis}`;
+        const lines = [`PDC ${data.fltNo} ${data.acType}`];
+        if (data.stand) {
+            lines.push(`STAND ${data.stand}`);
+        }
+        lines.push(...wordWrapToStringList(text, 25));
+        lines.push("END OF PDC");
+        return [{
+            id: Date.now(),
+            type: "PDC",
+            from: message.to,
+            to: data.fltNo,
+            content: lines,
+            responseType: "AR",
+            data: {
+                squawk: squawk,
+                depFreq: depFreq
+            }
+        }];
+    }
+
+    /* Takeoff data from the local performance calculator */
+    _replyTakeoffPerf(message) {
+        const result = this._takeoffPerf.compute(message.data);
+        const weight = (value) => (message.data.useLbs ? value * 2.204623 : value).toFixed(1);
+        const lines = [
+            `T/O DATA ${result.airport} RW${result.runway}`,
+            `FLAPS ${result.flaps} TOGW ${weight(result.togw)}`,
+            `V1 ${result.v1} VR ${result.vr} V2 ${result.v2}`,
+            result.assumedTemp !== null ? `ASSUMED TEMP ${result.assumedTemp}C` : "FULL TO THRUST",
+            `LIMIT TOGW ${weight(result.limitWeight)}`
+        ];
+        if (result.togw > result.limitWeight) {
+            lines.push("TOGW EXCEEDS LIMIT");
+        }
+        lines.push("END OF T/O DATA");
+        return [{
+            id: Date.now(),
+            type: "T/O PERF",
+            from: message.to,
+            to: message.from,
+            content: lines,
+            responseType: "AR",
+            data: result
+        }];
+    }
+}
+
+/**
+ * Datalink over SATCOM. Reaches the same ground stations as VHF, with a longer delay,
+ * whenever the SATCOM system is logged on.
+ */
+class SaltyDatalinkSatcomTransport extends SaltyDatalinkMockTransport {
+    /**
+     * @param {SaltySATCOM} satcom The SATCOM system carrying the traffic.
+     * @param {SaltyDatalinkMockTransport} vhf The VHF transport whose ground stations are shared.
+     */
+    constructor(satcom, vhf) {
+        super(vhf.stations);
+        this._satcom = satcom;
+    }
+    get name() {
+        return "SATCOM";
+    }
+    isAvailable() {
+        return this._satcom.isReady();
+    }
+    getDelay() {
+        return 2500 + 1500 * Math.random();
+    }
+}
+
+SaltyDatalinkMockTransport.NO_VHF_COVERAGE = [
+    { south: 35, north: 62, west: -45, east: -20 },
+    { south: -50, north: 0, west: -30, east: 5 },
+    { south: -40, north: 48, west: 160, east: 180 },
+    { south: -40, north: 48, west: -180, east: -130 },
+    { south: -45, north: -5, west: 55, east: 100 },
+    { south: 80, north: 90, west: -180, east: 180 },
+    { south: -90, north: -60, west: -180, east: 180 }
+];
+
+/**
+ * Aircraft side of the datalink. Routes downlinks over the first available transport
+ * and passes uplinks to onUplink.
+ */
+class SaltyDatalink {
+    constructor(transports = [new SaltyDatalinkMockTransport()]) {
+        this.onUplink = null;
+        this.transports = [];
+        for (const transport of transports) {
+            this.addTransport(transport);
+        }
+    }
+    addTransport(transport) {
+        transport.onReceive = (message) => {
+            message.via = transport.name;
+            if (this.onUplink) {
+                this.onUplink(message);
+            }
+        };
+        this.transports.push(transport);
+    }
+    getActiveTransport() {
+        return this.transports.find((transport) => transport.isAvailable());
+    }
+    isAvailable() {
+        return this.getActiveTransport() !== undefined;
+    }
+    /**
+     * Sends a downlink over the active transport.
+     * @param {object} message The downlink message.
+     * @returns {Promise} Rejects with "NO COMM" when no transport is available.
+     */
+    send(message) {
+        const transport = this.getActiveTransport();
+        if (!transport) {
+            return Promise.reject("NO COMM");
+        }
+        message.id = message.id || Date.now();
+        message.via = transport.name;
+        return transport.send(message);
+    }
+}
@@ -4,6 +4,7 @@ class SaltyIRS {
     }
     init() {
         this.irsTimer = -1;
+        this.units = [0, 1, 2].map(() => ({ isAligned: false }));
     }
     update(electricityIsAvail) {
         // Calculate deltatime
@@ -47,8 +48,78 @@ class SaltyIRS {
                 if (this.irsTimer <= 0) {
                     this.irsTimer = -1;
                     SimVar.SetSimVarValue("L:SALTY_IRS_STATE", "Enum", 2);
+                    IRSState = 2;
                 }
             }
         }
+
+        this.updateUnits(IRSState, deltaTime);
+    }
+    /* Each IRS starts drifting once aligned, at its own rate and in a slowly turning direction of its own */
+    updateUnits(IRSState, deltaTime) {
+        for (let i = 0; i < this.units.length; i++) {
+            const unit = this.units[i];
+            const isOn = SimVar.GetSimVarValue("L:747_IRS_KNOB_" + (i + 1), "Enum") >= 1;
+            if (IRSState != 2 || !isOn) {
+                unit.isAligned = false;
+                continue;
+            }
+            if (!unit.isAligned) {
+                unit.isAligned = true;
+                unit.hours = 0;
+                unit.driftRate = SaltyIRS.MIN_DRIFT_RATE + Math.random() * (SaltyIRS.MAX_DRIFT_RATE - SaltyIRS.MIN_DRIFT_RATE);
+                unit.driftBearing = Math.random() * 360;
+                unit.driftTurnRate = (Math.random() * 2 - 1) * SaltyIRS.MAX_DRIFT_TURN_RATE;
+            }
+            unit.hours += deltaTime / 3600000;
+        }
+    }
+    isAligned(index) {
+        return this.units[index].isAligned;
+    }
+    /**
+     * Position error of an IRS: the drift grows linearly with time since alignment, with the Schuler oscillation on top.
+     * @param {number} index 0, 1 or 2 for the L, C and R IRS.
+     * @returns {object} north and east components in NM, or null when the IRS is not aligned.
+     */
+    getError(index) {
+        const unit = this.units[index];
+        if (!unit.isAligned) {
+            return null;
+        }
+        const schuler = SaltyIRS.SCHULER_AMPLITUDE * (1 - Math.cos(2 * Math.PI * unit.hours / SaltyIRS.SCHULER_PERIOD));
+        const distance = unit.driftRate * unit.hours + schuler;
+        const bearing = (unit.driftBearing + unit.driftTurnRate * unit.hours) * Math.PI / 180;
+        return { north: distance * Math.cos(bearing), east: distance * Math.sin(bearing) };
+    }
+    getPosition(index) {
+        return SaltyIRS.applyError(this.getError(index));
+    }
+    /* Mean of the aligned IRSs, as the FMC uses them */
+    getMixedPosition() {
+        const errors = this.units.map((unit, i) => this.getError(i)).filter(error => error);
+        if (errors.length === 0) {
+            return null;
+        }
+        return SaltyIRS.applyError({
+            north: errors.reduce((sum, error) => sum + error.north, 0) / errors.length,
+            east: errors.reduce((sum, error) => sum + error.east, 0) / errors.length
+        });
+    }
+    static applyError(error) {
+        if (!error) {
+            return null;
+        }
+        const lat = SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude");
+        const long = SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude");
+        const bearing = Math.atan2(error.east, error.north) * 180 / Math.PI;
+        const position = Avionics.Utils.bearingDistanceToCoordinates((bearing + 360) % 360, Math.hypot(error.north, error.east), lat, long);
+        return new LatLong(position.lat, position.long);
     }
 }
+/* Drift in NM per hour and degrees per hour, Schuler period in hours */
+SaltyIRS.MIN_DRIFT_RATE = 0.3;
+SaltyIRS.MAX_DRIFT_RATE = 1.5;
+SaltyIRS.MAX_DRIFT_TURN_RATE = 30;
+SaltyIRS.SCHULER_AMPLITUDE = 0.2;
+SaltyIRS.SCHULER_PERIOD = 84.4 / 60;
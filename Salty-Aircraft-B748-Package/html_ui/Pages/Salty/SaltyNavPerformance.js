@@ -0,0 +1,331 @@
+/**
+ * Navigation performance. The FMC position is the mixed IRS position corrected by an estimate of the IRS error,
+ * which a Kalman-like filter updates from GPS when available and not inhibited, and from DME/DME or VOR/DME radio
+ * updating on the tuned NAV receivers. The uncertainty of that estimate grows at the IRS drift rate and shrinks
+ * with each sensor update, weighted by the accuracy of the sensor, and gives the actual navigation performance
+ * (ANP). The required navigation performance (RNP) follows the flight phase unless entered on POS REF, and UNABLE
+ * RNP is raised on the CDU and EICAS while the ANP exceeds it.
+ *
+ * The FMC position, RNP, ANP and UNABLE RNP are shared with LNAV, the PFD, ND and EICAS through L vars.
+ * Distances are in NM; position errors are north and east components in NM.
+ */
+class SaltyNavPerformance {
+    /**
+     * @param {B747_8_FMC_MainDisplay} fmc The FMC whose position is being estimated.
+     */
+    constructor(fmc) {
+        this._fmc = fmc;
+        this._irs = fmc.SaltyBase.irs;
+        this._timer = 0;
+        this._gpsInhibited = false;
+        this._position = null;
+        this._irsPosition = null;
+        this._gpsPosition = null;
+        this._radioPosition = null;
+        this._irsError = { north: 0, east: 0 };
+        this._sigma = SaltyNavPerformance.IRS_ALIGN_ANP / 2;
+        this._variance = this._sigma * this._sigma;
+        this._manualRnp = NaN;
+        this._defaultRnp = SaltyNavPerformance.RNP.ENROUTE;
+        this._anp = NaN;
+        this._irsAnp = NaN;
+        this._gpsAnp = NaN;
+        this._radioAnp = NaN;
+        this._radioUpdating = "";
+        this._hoursSinceAlign = 0;
+        this._unableRnp = false;
+        this._unableTimer = 0;
+    }
+
+    update(deltaTime) {
+        this._timer -= deltaTime;
+        if (this._timer <= 0) {
+            const elapsedHours = (SaltyNavPerformance.UPDATE_INTERVAL - this._timer) / 3600000;
+            this._timer = SaltyNavPerformance.UPDATE_INTERVAL;
+
+            this.updatePosition(elapsedHours);
+            this._defaultRnp = this.computeDefaultRnp();
+            this.updateUnableRnp(elapsedHours * 3600000);
+
+            SimVar.SetSimVarValue("L:SALTY_RNP", "number", this.getRnp());
+            SimVar.SetSimVarValue("L:SALTY_ANP", "number", isFinite(this._anp) ? this._anp : -1);
+            SimVar.SetSimVarValue("L:SALTY_UNABLE_RNP", "Bool", this._unableRnp);
+        }
+        this.updateFmcPosition();
+    }
+
+    /* The IRS error is estimated once a second, but LNAV steers by the FMC position, so it follows the IRS every frame */
+    updateFmcPosition() {
+        this._irsPosition = this._irs.getMixedPosition();
+        this._position = this._irsPosition && isFinite(this._anp) ? this.correctIrsPosition() : null;
+        SimVar.SetSimVarValue("L:SALTY_FMC_POSITION_VALID", "Bool", this._position !== null);
+        if (this._position) {
+            SimVar.SetSimVarValue("L:SALTY_FMC_POSITION_LAT", "number", this._position.lat);
+            SimVar.SetSimVarValue("L:SALTY_FMC_POSITION_LON", "number", this._position.long);
+        }
+    }
+
+    updatePosition(elapsedHours) {
+        this._irsPosition = this._irs.getMixedPosition();
+        if (!this._irsPosition) {
+            this._position = null;
+            this._gpsPosition = null;
+            this._radioPosition = null;
+            this._irsError = { north: 0, east: 0 };
+            this._sigma = SaltyNavPerformance.IRS_ALIGN_ANP / 2;
+            this._variance = this._sigma * this._sigma;
+            this._anp = NaN;
+            this._irsAnp = NaN;
+            this._gpsAnp = NaN;
+            this._radioAnp = NaN;
+            this._radioUpdating = "";
+            this._hoursSinceAlign = 0;
+            return;
+        }
+        this._hoursSinceAlign += elapsedHours;
+        this._irsAnp = SaltyNavPerformance.IRS_ALIGN_ANP + SaltyNavPerformance.IRS_DRIFT_RATE * this._hoursSinceAlign;
+        const isGpsAvailable = this.isGpsAvailable();
+        this._gpsAnp = isGpsAvailable ? SaltyNavPerformance.GPS_ANP : NaN;
+        this._gpsPosition = isGpsAvailable ? SaltyNavPerformance.measurePosition(0) : null;
+        this._radioAnp = this.computeRadioAnp();
+        this._radioPosition = isFinite(this._radioAnp) ? SaltyNavPerformance.measurePosition(this._radioAnp / 2) : null;
+
+        /* ANP is taken as two standard deviations of the error estimate, which grows with the IRS drift */
+        const drift = SaltyNavPerformance.IRS_DRIFT_RATE / 2 * elapsedHours;
+        this._sigma += drift;
+        this._variance = Math.pow(Math.sqrt(this._variance) + drift, 2);
+        if (this._gpsPosition && !this._gpsInhibited) {
+            this.filter(this._gpsPosition, this._gpsAnp);
+        }
+        if (this._radioPosition) {
+            this.filter(this._radioPosition, this._radioAnp);
+        }
+        this._position = this.correctIrsPosition();
+        this._anp = 2 * this._sigma;
+    }
+
+    /**
+     * Blends a sensor position into the IRS error estimate, weighted by the variances of the estimate and the sensor,
+     * so the sensor noise averages out over successive updates. Sensor errors are not independent from one update to
+     * the next though, so the ANP is never taken to be better than the sensor.
+     */
+    filter(sensorPosition, sensorAnp) {
+        const measured = SaltyNavPerformance.errorBetween(sensorPosition, this._irsPosition);
+        const gain = this._variance / (this._variance + (sensorAnp / 2) * (sensorAnp / 2));
+        this._irsError.north += gain * (measured.north - this._irsError.north);
+        this._irsError.east += gain * (measured.east - this._irsError.east);
+        this._variance *= 1 - gain;
+        this._sigma = Math.max(Math.sqrt(this._variance), Math.min(this._sigma, sensorAnp / 2));
+    }
+
+    correctIrsPosition() {
+        const bearing = Math.atan2(-this._irsError.east, -this._irsError.north) * 180 / Math.PI;
+        const position = Avionics.Utils.bearingDistanceToCoordinates((bearing + 360) % 360, Math.hypot(this._irsError.north, this._irsError.east), this._irsPosition.lat, this._irsPosition.long);
+        return new LatLong(position.lat, position.long);
+    }
+
+    /**
+     * Position update from POS REF: the FMC position is moved to the sensor position and takes its accuracy.
+     * @param {string} sensor GPS, RADIO or IRS.
+     * @returns {boolean} False when the sensor has no position.
+     */
+    updatePositionFrom(sensor) {
+        if (!this._irsPosition) {
+            return false;
+        }
+        if (sensor === "IRS") {
+            this._irsError = { north: 0, east: 0 };
+            this._sigma = this._irsAnp / 2;
+        }
+        else {
+            const position = sensor === "GPS" ? this._gpsPosition : this._radioPosition;
+            if (!position) {
+                return false;
+            }
+            this._irsError = SaltyNavPerformance.errorBetween(position, this._irsPosition);
+            this._sigma = (sensor === "GPS" ? this._gpsAnp : this._radioAnp) / 2;
+        }
+        this._variance = this._sigma * this._sigma;
+        this._position = this.correctIrsPosition();
+        this._anp = 2 * this._sigma;
+        return true;
+    }
+
+    /* Unable RNP has to persist before it is annunciated, so a momentary loss of updating does not flash it */
+    updateUnableRnp(elapsedMs) {
+        const exceeded = isFinite(this._anp) && this._anp > this.getRnp();
+        this._unableTimer = exceeded ? this._unableTimer + elapsedMs : 0;
+        const unableRnp = this._unableTimer >= SaltyNavPerformance.UNABLE_RNP_DELAY;
+        if (unableRnp && !this._unableRnp) {
+            this._fmc.showErrorMessage("UNABLE RNP");
+        }
+        this._unableRnp = unableRnp;
+    }
+
+    isGpsAvailable() {
+        return !SimVar.GetSimVarValue("L:SALTY_GPS_FAIL", "Bool");
+    }
+
+    isGpsInhibited() {
+        return this._gpsInhibited;
+    }
+
+    setGpsInhibited(inhibited) {
+        this._gpsInhibited = inhibited;
+    }
+
+    /**
+     * ANP of radio updating from the DMEs received on the NAV receivers. Two DMEs give a DME/DME fix; a single
+     * one is combined with its VOR radial, whose angular error grows with range.
+     * @returns {number} The radio ANP, or NaN when no DME is received.
+     */
+    computeRadioAnp() {
+        const ranges = [];
+        for (let i = 1; i <= 2; i++) {
+            if (SimVar.GetSimVarValue("NAV HAS DME:" + i, "Bool")) {
+                ranges.push(SimVar.GetSimVarValue("NAV DME:" + i, "nautical miles"));
+            }
+        }
+        if (ranges.length === 0) {
+            this._radioUpdating = "";
+            return NaN;
+        }
+        const range = Math.max(...ranges);
+        if (ranges.length > 1) {
+            this._radioUpdating = "DME DME";
+            return SaltyNavPerformance.DME_DME_ANP + SaltyNavPerformance.DME_DME_ERROR_RATE * range;
+        }
+        this._radioUpdating = "VOR DME";
+        return SaltyNavPerformance.VOR_DME_ANP + SaltyNavPerformance.VOR_DME_ERROR_RATE * range;
+    }
+
+    /* Approach once the approach is active, terminal near the origin or destination, oceanic without radio updating */
+    computeDefaultRnp() {
+        const fpm = this._fmc.flightPlanManager;
+        if (Simplane.getCurrentFlightPhase() === FlightPhase.FLIGHT_PHASE_APPROACH || fpm.isActiveApproach()) {
+            return SaltyNavPerformance.RNP.APPROACH;
+        }
+        const position = new LatLong(SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude"), SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude"));
+        const isNear = (airport) => airport && Avionics.Utils.computeGreatCircleDistance(position, airport.infos.coordinates) <= SaltyNavPerformance.TERMINAL_DISTANCE;
+        if (Simplane.getIsGrounded() || isNear(fpm.getOrigin()) || isNear(fpm.getDestination())) {
+            return SaltyNavPerformance.RNP.TERMINAL;
+        }
+        if (!isFinite(this._radioAnp)) {
+            return SaltyNavPerformance.RNP.OCEANIC;
+        }
+        return SaltyNavPerformance.RNP.ENROUTE;
+    }
+
+    getRnp() {
+        return this.isRnpManual() ? this._manualRnp : this._defaultRnp;
+    }
+
+    isRnpManual() {
+        return isFinite(this._manualRnp);
+    }
+
+    /**
+     * @param {number} rnp The RNP entered on POS REF, or NaN to return to the flight phase default.
+     */
+    setManualRnp(rnp) {
+        this._manualRnp = rnp;
+    }
+
+    /**
+     * @returns {LatLong} The FMC position, or null before the IRS is aligned.
+     */
+    getPosition() {
+        return this._position;
+    }
+
+    /**
+     * @param {string} sensor IRS, GPS or RADIO.
+     * @returns {LatLong} The position of the sensor, or null when it is unavailable.
+     */
+    getSensorPosition(sensor) {
+        switch (sensor) {
+            case "IRS":
+                return this._irsPosition;
+            case "GPS":
+                return this._gpsPosition;
+            case "RADIO":
+                return this._radioPosition;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string} The sensor the FMC position is updated from: GPS, RADIO or INERTIAL.
+     */
+    getUpdatingSource() {
+        if (this._gpsPosition && !this._gpsInhibited) {
+            return "GPS";
+        }
+        return this._radioPosition ? "RADIO" : "INERTIAL";
+    }
+
+    getAnp() {
+        return this._anp;
+    }
+
+    /**
+     * @returns {object} The ANP of the IRS, GPS and radio updating alone; NaN where the sensor is unavailable.
+     */
+    getSensorAnp() {
+        return { irs: this._irsAnp, gps: this._gpsAnp, radio: this._radioAnp };
+    }
+
+    /**
+     * @returns {string} DME DME or VOR DME while radio updating, otherwise empty.
+     */
+    getRadioUpdating() {
+        return this._radioUpdating;
+    }
+
+    isUnableRnp() {
+        return this._unableRnp;
+    }
+
+    /**
+     * Position a sensor measures, the aircraft position with a random error.
+     * @param {number} sigma The standard deviation of the error in NM.
+     * @returns {LatLong}
+     */
+    static measurePosition(sigma) {
+        const lat = SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude");
+        const long = SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude");
+        if (sigma <= 0) {
+            return new LatLong(lat, long);
+        }
+        /* A Rayleigh distributed distance in a uniformly random direction is a normal error on each axis */
+        const distance = sigma * Math.sqrt(-2 * Math.log(1 - Math.random()));
+        const position = Avionics.Utils.bearingDistanceToCoordinates(Math.random() * 360, distance, lat, long);
+        return new LatLong(position.lat, position.long);
+    }
+
+    /* Error of a position relative to a reference position, in NM north and east */
+    static errorBetween(reference, position) {
+        const distance = Avionics.Utils.computeGreatCircleDistance(reference, position);
+        const bearing = Avionics.Utils.computeGreatCircleHeading(reference, position) * Math.PI / 180;
+        return { north: distance * Math.cos(bearing), east: distance * Math.sin(bearing) };
+    }
+}
+SaltyNavPerformance.UPDATE_INTERVAL = 1000;
+SaltyNavPerformance.RNP = {
+    OCEANIC: 4.0,
+    ENROUTE: 2.0,
+    TERMINAL: 1.0,
+    APPROACH: 0.3
+};
+SaltyNavPerformance.MIN_RNP = 0.01;
+SaltyNavPerformance.MAX_RNP = 99.99;
+SaltyNavPerformance.TERMINAL_DISTANCE = 30;
+SaltyNavPerformance.GPS_ANP = 0.05;
+SaltyNavPerformance.DME_DME_ANP = 0.1;
+SaltyNavPerformance.DME_DME_ERROR_RATE = 0.0025;
+SaltyNavPerformance.VOR_DME_ANP = 0.25;
+SaltyNavPerformance.VOR_DME_ERROR_RATE = 0.02;
+/* Position error at the end of alignment and its growth in NM per hour */
+SaltyNavPerformance.IRS_ALIGN_ANP = 0.1;
+SaltyNavPerformance.IRS_DRIFT_RATE = 2.0;
+SaltyNavPerformance.UNABLE_RNP_DELAY = 10000;
@@ -0,0 +1,338 @@
+/**
+ * Route predictions. The climb, cruise and descent are flown ahead of the aircraft along the route in short
+ * steps at the planned VNAV speeds, down the VNAV descent path, with the sensed wind and the descent forecast,
+ * burning fuel at a flow that follows gross weight. This gives the ETA, altitude, speed and fuel remaining at
+ * every waypoint up to the destination, and at top of climb and top of descent.
+ *
+ * The FMC publishes the active route's waypoint ETAs and altitudes to local storage for the ND, the way the
+ * flight plan is shared.
+ * Weights and fuel are in kg, altitudes in feet, distances in NM and times in seconds of the UTC day.
+ */
+class SaltyPredictions {
+    /**
+     * @param {B747_8_FMC_MainDisplay} fmc The FMC flying the route.
+     */
+    constructor(fmc) {
+        this._fmc = fmc;
+        this._timer = 0;
+        this._version = 0;
+        this._waypoints = [];
+        this._destination = null;
+        this._topOfClimb = null;
+        this._topOfDescent = null;
+    }
+
+    update(deltaTime) {
+        this._timer -= deltaTime;
+        if (this._timer > 0) {
+            return;
+        }
+        this._timer = SaltyPredictions.UPDATE_INTERVAL;
+
+        /* The ND labels the active route, so that is what gets published, then a displayed MOD is predicted for the CDU */
+        const fpm = this._fmc.flightPlanManager;
+        const currentIndex = fpm.getCurrentFlightPlanIndex();
+        fpm.setCurrentFlightPlanIndex(0);
+        try {
+            this.compute();
+            this._publish();
+        } finally {
+            fpm.setCurrentFlightPlanIndex(currentIndex);
+        }
+        if (currentIndex !== 0) {
+            this.compute();
+        }
+    }
+
+    /**
+     * Prediction at a waypoint of the displayed route.
+     * @param {number} index The waypoint index in the flight plan.
+     * @returns {object} eta, altitude, speed (knots CAS, or a Mach number below 1), fuel and distance to go;
+     * undefined for waypoints already sequenced or after the destination.
+     */
+    getWaypoint(index) {
+        return this._waypoints[index];
+    }
+
+    getDestination() {
+        return this._destination;
+    }
+
+    getTopOfClimb() {
+        return this._topOfClimb;
+    }
+
+    getTopOfDescent() {
+        return this._topOfDescent;
+    }
+
+    compute() {
+        const fmc = this._fmc;
+        const fpm = fmc.flightPlanManager;
+        const waypoints = fpm.getAllWaypoints();
+        const activeIndex = fpm.getActiveWaypointIndex();
+        const destinationIndex = waypoints.indexOf(fpm.getDestination());
+        this._waypoints = [];
+        this._destination = null;
+        this._topOfClimb = null;
+        this._topOfDescent = null;
+        if (activeIndex < 0 || destinationIndex < activeIndex) {
+            return;
+        }
+
+        const isAirborne = !Simplane.getIsGrounded();
+        const sensedWind = {
+            direction: SimVar.GetSimVarValue("AMBIENT WIND DIRECTION", "degrees"),
+            speed: SimVar.GetSimVarValue("AMBIENT WIND VELOCITY", "knots")
+        };
+        this._profile = {
+            cruiseAltitude: fmc.cruiseFlightLevel ? fmc.cruiseFlightLevel * 100 : Simplane.getAltitude(),
+            stepClimb: fmc.getStepClimbPrediction(),
+            descentPath: this._getDescentPath(waypoints, activeIndex, destinationIndex),
+            descentGradient: Math.tan((fmc._vnav ? fmc._vnav.vnavTargetFPA : 3) * Avionics.Utils.DEG2RAD) * 6076.12,
+            speeds: fmc.getPlannedSpeeds(),
+            isaDeviation: fmc.getIsaDeviation(),
+            descentIsaDeviation: fmc.descentForecastIsaDeviation,
+            wind: isAirborne ? sensedWind : null
+        };
+
+        let position = new LatLong(SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude"), SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude"));
+        const state = {
+            phase: SaltyPredictions.PHASE_CRUISE,
+            altitude: Simplane.getAltitude(),
+            speed: NaN,
+            distance: 0,
+            distanceToDestination: fmc.getDistanceAlongRoute(waypoints[destinationIndex]),
+            time: SimVar.GetGlobalVarValue("ZULU TIME", "seconds"),
+            fuel: SimVar.GetSimVarValue("FUEL TOTAL QUANTITY WEIGHT", "kilograms"),
+            weight: SimVar.GetSimVarValue("TOTAL WEIGHT", "kilograms")
+        };
+        if (!isFinite(state.distanceToDestination)) {
+            return;
+        }
+
+        /* Arrival speed constraints hold in the descent until the next one */
+        let speedConstraint = Infinity;
+        for (let i = activeIndex; i <= destinationIndex; i++) {
+            const waypoint = waypoints[i];
+            if (!waypoint.infos || !waypoint.infos.coordinates) {
+                continue;
+            }
+            const legDistance = i === activeIndex ? fpm.getDistanceToActiveWaypoint() : waypoint.cumulativeDistanceInFP - waypoints[i - 1].cumulativeDistanceInFP;
+            const segment = fpm.getSegmentFromWaypoint(waypoint);
+            if (waypoint.speedConstraint > 100 && segment && segment.type !== SegmentType.Departure) {
+                speedConstraint = waypoint.speedConstraint;
+            }
+            const leg = {
+                course: Avionics.Utils.computeGreatCircleHeading(position, waypoint.infos.coordinates),
+                speedConstraint: speedConstraint
+            };
+            const steps = Math.max(Math.ceil(legDistance / SaltyPredictions.STEP_DISTANCE), 1);
+            for (let step = 0; step < steps; step++) {
+                this._fly(state, Math.max(legDistance, 0) / steps, leg);
+            }
+            this._waypoints[i] = this._record(state);
+            position = waypoint.infos.coordinates;
+        }
+        this._destination = this._waypoints[destinationIndex];
+    }
+
+    /* The VNAV path as altitudes by distance from destination, from the destination up to the furthest descent waypoint */
+    _getDescentPath(waypoints, activeIndex, destinationIndex) {
+        const fmc = this._fmc;
+        const destination = waypoints[destinationIndex];
+        const path = [{ distance: 0, altitude: Math.max(destination.infos.coordinates.alt || 0, 0) }];
+        if (!fmc._vnav || fmc.flightPlanManager.getCurrentFlightPlanIndex() !== 0) {
+            return path;
+        }
+        for (let i = destinationIndex - 1; i >= activeIndex; i--) {
+            const altitude = fmc._vnav.getPathAltitude(i);
+            if (altitude !== undefined) {
+                path.push({
+                    distance: destination.cumulativeDistanceInFP - waypoints[i].cumulativeDistanceInFP,
+                    altitude: Math.max(altitude, path[path.length - 1].altitude)
+                });
+            }
+        }
+        return path;
+    }
+
+    /* Highest altitude on the descent path, continued at the VNAV path angle beyond its last waypoint */
+    _getPathAltitude(distanceToDestination) {
+        const path = this._profile.descentPath;
+        for (let i = 1; i < path.length; i++) {
+            if (distanceToDestination <= path[i].distance) {
+                const ratio = (distanceToDestination - path[i - 1].distance) / Math.max(path[i].distance - path[i - 1].distance, 0.1);
+                return path[i - 1].altitude + (path[i].altitude - path[i - 1].altitude) * ratio;
+            }
+        }
+        const last = path[path.length - 1];
+        return last.altitude + (distanceToDestination - last.distance) * this._profile.descentGradient;
+    }
+
+    /* Flies one step along a leg, climbing to the cruise or step altitude and descending on the path */
+    _fly(state, distance, leg) {
+        const profile = this._profile;
+        const speeds = profile.speeds;
+        const stepClimb = profile.stepClimb;
+        const pathAltitude = this._getPathAltitude(state.distanceToDestination - distance);
+        const targetAltitude = stepClimb && state.distance + distance > stepClimb.distance ? stepClimb.altitude : profile.cruiseAltitude;
+
+        let phase = SaltyPredictions.PHASE_CRUISE;
+        if (pathAltitude < state.altitude - SaltyPredictions.LEVEL_TOLERANCE) {
+            phase = SaltyPredictions.PHASE_DESCENT;
+        }
+        else if (state.altitude < Math.min(targetAltitude, pathAltitude) - SaltyPredictions.LEVEL_TOLERANCE) {
+            phase = SaltyPredictions.PHASE_CLIMB;
+        }
+        const isDescent = phase === SaltyPredictions.PHASE_DESCENT;
+
+        /* Climb and descent fly the lower of the CAS and Mach, limited to 250/240 below 10000 ft */
+        let speed = speeds.cruise;
+        let mach = speed < 1 ? speed : SaltyPredictions.casToMach(speed, state.altitude);
+        if (phase !== SaltyPredictions.PHASE_CRUISE) {
+            let cas = isDescent ? Math.min(speeds.descent, leg.speedConstraint) : speeds.climb;
+            if (state.altitude < SaltyPredictions.SPEED_TRANSITION_ALTITUDE) {
+                cas = Math.min(cas, isDescent ? 240 : 250);
+            }
+            if (!isDescent && speeds.climbRestriction && state.altitude < speeds.climbRestriction.altitude) {
+                cas = Math.min(cas, speeds.climbRestriction.speed);
+            }
+            const machLimit = isDescent ? speeds.descentMach : speeds.climbMach;
+            speed = cas;
+            mach = SaltyPredictions.casToMach(cas, state.altitude);
+            if (mach > machLimit) {
+                speed = mach = machLimit;
+            }
+        }
+
+        const isaDeviation = isDescent ? profile.descentIsaDeviation : profile.isaDeviation;
+        const trueAirspeed = mach * 661.47 * Math.sqrt(SaltyPredictions.temperatureRatio(state.altitude, isaDeviation));
+        const wind = (isDescent && this._fmc.getDescentForecastWind(state.altitude)) || profile.wind;
+        const headwind = wind ? AutopilotMath.windComponents(leg.course, wind.direction, wind.speed).headwind : 0;
+        const groundSpeed = Math.max(trueAirspeed - headwind, SaltyPredictions.MIN_GROUND_SPEED);
+        const time = distance / groundSpeed * 3600;
+
+        const tonnes = state.weight / 1000;
+        let fuelFlow = SaltyPredictions.DESCENT_FUEL_FLOW;
+        let altitude = pathAltitude;
+        if (phase === SaltyPredictions.PHASE_CLIMB) {
+            const climbRate = Math.max(SaltyPredictions.CLIMB_RATE * (1 - state.altitude / SaltyPredictions.CLIMB_CEILING) * SaltyPredictions.CLIMB_REFERENCE_WEIGHT / tonnes, SaltyPredictions.MIN_CLIMB_RATE);
+            fuelFlow = tonnes * SaltyPredictions.CLIMB_FUEL_FLOW_PER_TONNE;
+            altitude = Math.min(state.altitude + climbRate * time / 60, targetAltitude, pathAltitude);
+        }
+        else if (phase === SaltyPredictions.PHASE_CRUISE) {
+            /* Same off optimum altitude penalty as the step climb planning */
+            const optimumOffset = (state.altitude - this._fmc.getOptimumAltitude(state.weight)) / 1000;
+            fuelFlow = tonnes * SaltyPredictions.CRUISE_FUEL_PER_NM_TONNE * trueAirspeed * (1 + B747_8_FMC_MainDisplay.STEP_FUEL_PENALTY * optimumOffset * optimumOffset);
+            altitude = state.altitude;
+        }
+
+        if (phase !== SaltyPredictions.PHASE_CLIMB && state.phase === SaltyPredictions.PHASE_CLIMB && !this._topOfClimb) {
+            this._topOfClimb = this._record(state);
+        }
+        if (isDescent && state.phase !== SaltyPredictions.PHASE_DESCENT && !this._topOfDescent) {
+            this._topOfDescent = this._record(state);
+        }
+
+        const burn = fuelFlow * time / 3600;
+        state.phase = phase;
+        state.altitude = altitude;
+        state.speed = speed;
+        state.distance += distance;
+        state.distanceToDestination -= distance;
+        state.time += time;
+        state.fuel = Math.max(state.fuel - burn, 0);
+        state.weight -= burn;
+    }
+
+    _record(state) {
+        return {
+            eta: state.time % 86400,
+            altitude: state.altitude,
+            speed: state.speed,
+            fuel: state.fuel,
+            distance: state.distance
+        };
+    }
+
+    _publish() {
+        const waypoints = this._fmc.flightPlanManager.getAllWaypoints();
+        const published = {};
+        this._waypoints.forEach((prediction, index) => {
+            const ident = waypoints[index] && waypoints[index].ident;
+            if (ident && !(ident in published)) {
+                published[ident] = { eta: Math.round(prediction.eta), altitude: Math.round(prediction.altitude) };
+            }
+        });
+        window.localStorage.setItem(SaltyPredictions.STORAGE_KEY, JSON.stringify(published));
+        SimVar.SetSimVarValue(SaltyPredictions.VERSION_KEY, "number", ++this._version);
+    }
+
+    /**
+     * Waypoint prediction published by the FMC, for the instruments that do not run their own predictions.
+     * @param {string} ident The waypoint ident.
+     * @returns {object} eta and altitude at the waypoint, undefined when it has no prediction.
+     */
+    static readPublished(ident) {
+        const version = SimVar.GetSimVarValue(SaltyPredictions.VERSION_KEY, "number");
+        if (version !== SaltyPredictions._publishedVersion) {
+            SaltyPredictions._publishedVersion = version;
+            SaltyPredictions._published = JSON.parse(window.localStorage.getItem(SaltyPredictions.STORAGE_KEY) || "{}");
+        }
+        return SaltyPredictions._published[ident];
+    }
+
+    /* ISA temperature ratio with a deviation in celsius, and pressure ratio, at a pressure altitude */
+    static temperatureRatio(altitude, isaDeviation) {
+        return (288.15 - 0.0019812 * Math.min(altitude, 36089) + isaDeviation) / 288.15;
+    }
+
+    static pressureRatio(altitude) {
+        let pressureRatio = Math.pow(1 - 6.8756e-6 * Math.min(altitude, 36089), 5.2559);
+        if (altitude > 36089) {
+            pressureRatio *= Math.exp(-4.8063e-5 * (altitude - 36089));
+        }
+        return pressureRatio;
+    }
+
+    /* Mach for a calibrated airspeed through the impact pressure, which CAS measures at sea level */
+    static casToMach(cas, altitude) {
+        const impactPressure = Math.pow(1 + 0.2 * Math.pow(cas / 661.47, 2), 3.5) - 1;
+        return Math.sqrt(5 * (Math.pow(impactPressure / SaltyPredictions.pressureRatio(altitude) + 1, 2 / 7) - 1));
+    }
+
+    /* Formats a predicted speed as knots, or .XXX for a Mach number */
+    static formatSpeed(speed) {
+        return speed < 1 ? speed.toFixed(3).substring(1) : speed.toFixed(0);
+    }
+
+    /* Formats a predicted time as HHMMZ */
+    static formatTime(seconds) {
+        const minutes = Math.round(seconds / 60);
+        return (Math.floor(minutes / 60) % 24).toFixed(0).padStart(2, "0") + (minutes % 60).toFixed(0).padStart(2, "0") + "Z";
+    }
+}
+
+SaltyPredictions.PHASE_CLIMB = 0;
+SaltyPredictions.PHASE_CRUISE = 1;
+SaltyPredictions.PHASE_DESCENT = 2;
+SaltyPredictions.STORAGE_KEY = "SALTY_PREDICTIONS";
+SaltyPredictions.VERSION_KEY = "L:SALTY_PREDICTIONS_VERSION";
+SaltyPredictions._published = {};
+SaltyPredictions._publishedVersion = -1;
+/* Milliseconds between runs, and NM flown per step */
+SaltyPredictions.UPDATE_INTERVAL = 5000;
+SaltyPredictions.STEP_DISTANCE = 5;
+SaltyPredictions.LEVEL_TOLERANCE = 10;
+SaltyPredictions.SPEED_TRANSITION_ALTITUDE = 10000;
+SaltyPredictions.MIN_GROUND_SPEED = 100;
+/* Climb rate in ft/min at sea level for the reference weight in tonnes, falling away to nothing at the ceiling */
+SaltyPredictions.CLIMB_RATE = 3000;
+SaltyPredictions.CLIMB_CEILING = 50000;
+SaltyPredictions.CLIMB_REFERENCE_WEIGHT = 400;
+SaltyPredictions.MIN_CLIMB_RATE = 300;
+/* Fuel flow in kg/h per tonne of gross weight in the climb, in kg per air NM per tonne in cruise, and at idle in kg/h */
+SaltyPredictions.CLIMB_FUEL_FLOW_PER_TONNE = 42;
+SaltyPredictions.CRUISE_FUEL_PER_NM_TONNE = 0.052;
+SaltyPredictions.DESCENT_FUEL_FLOW = 1500;
@@ -0,0 +1,289 @@
+/**
+ * SATCOM system. Logs on to the satellite network, places and receives voice calls on
+ * the left and right channels and carries datalink traffic when VHF is out of range.
+ */
+class SaltySATCOM {
+    constructor() {
+        console.log("SaltySATCOM loaded");
+    }
+    init() {
+        this.lastTime = null;
+        this.timer = 0;
+        this.state = SaltySATCOM.STATE.OFF;
+        this.logonTimer = 0;
+        this.incomingTimer = SaltySATCOM.getIncomingInterval();
+        this.channels = {
+            L: { state: SaltySATCOM.CHANNEL.READY, party: null, timer: 0, call: null },
+            R: { state: SaltySATCOM.CHANNEL.READY, party: null, timer: 0, call: null }
+        };
+        this.calls = [];
+        this.onIncomingCall = null;
+        this.directory = JSON.parse(SaltyDataStore.get("SAT_DIRECTORY", JSON.stringify(SaltySATCOM.DEFAULT_DIRECTORY)));
+    }
+    update(electricityIsAvail) {
+        var timeNow = Date.now();
+        if (this.lastTime == null) this.lastTime = timeNow;
+        var deltaTime = timeNow - this.lastTime;
+        this.lastTime = timeNow;
+        this.timer += deltaTime;
+        if (this.timer < SaltySATCOM.UPDATE_INTERVAL) return;
+        deltaTime = this.timer;
+        this.timer = 0;
+
+        if (this.state === SaltySATCOM.STATE.OFF) return;
+        if (!electricityIsAvail) {
+            this.logoff();
+            return;
+        }
+
+        /* Coverage ends beyond the geostationary satellites' horizon */
+        const hasSignal = Math.abs(SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude")) <= SaltySATCOM.MAX_LATITUDE;
+        if (!hasSignal) {
+            if (this.state !== SaltySATCOM.STATE.NO_SIGNAL) {
+                this.state = SaltySATCOM.STATE.NO_SIGNAL;
+                this.endCall("L", "LOST");
+                this.endCall("R", "LOST");
+            }
+            return;
+        }
+        if (this.state === SaltySATCOM.STATE.NO_SIGNAL) {
+            this.startLogon();
+        }
+        if (this.state === SaltySATCOM.STATE.LOGGING_ON) {
+            this.logonTimer -= deltaTime;
+            if (this.logonTimer <= 0) {
+                this.state = SaltySATCOM.STATE.READY;
+            }
+            return;
+        }
+
+        for (const id of Object.keys(this.channels)) {
+            const channel = this.channels[id];
+            if (channel.state === SaltySATCOM.CHANNEL.DIALING || channel.state === SaltySATCOM.CHANNEL.INCOMING) {
+                channel.timer -= deltaTime;
+            }
+            if (channel.state === SaltySATCOM.CHANNEL.DIALING && channel.timer <= 0) {
+                this.connect(id);
+            }
+            else if (channel.state === SaltySATCOM.CHANNEL.INCOMING && channel.timer <= 0) {
+                this.endCall(id, "MISSED");
+            }
+        }
+
+        this.incomingTimer -= deltaTime;
+        if (this.incomingTimer <= 0) {
+            this.incomingTimer = SaltySATCOM.getIncomingInterval();
+            this.ring();
+        }
+    }
+
+    isOn() {
+        return this.state !== SaltySATCOM.STATE.OFF;
+    }
+
+    /* Logged on to the network and able to carry voice and data */
+    isReady() {
+        return this.state === SaltySATCOM.STATE.READY;
+    }
+
+    logon() {
+        if (!this.isOn()) {
+            this.startLogon();
+        }
+    }
+
+    startLogon() {
+        this.state = SaltySATCOM.STATE.LOGGING_ON;
+        this.logonTimer = SaltySATCOM.LOGON_TIME + SaltySATCOM.LOGON_TIME * Math.random();
+    }
+
+    logoff() {
+        this.endCall("L", "LOST");
+        this.endCall("R", "LOST");
+        this.state = SaltySATCOM.STATE.OFF;
+    }
+
+    getChannel(id) {
+        return this.channels[id];
+    }
+
+    /* Sets the party the next call on a channel is placed to */
+    selectParty(id, entry) {
+        const channel = this.channels[id];
+        if (channel.state !== SaltySATCOM.CHANNEL.READY) {
+            return false;
+        }
+        channel.party = entry;
+        return true;
+    }
+
+    makeCall(id) {
+        const channel = this.channels[id];
+        if (!this.isReady() || !channel.party || channel.state !== SaltySATCOM.CHANNEL.READY) {
+            return false;
+        }
+        channel.state = SaltySATCOM.CHANNEL.DIALING;
+        channel.timer = SaltySATCOM.DIAL_TIME + SaltySATCOM.DIAL_TIME * Math.random();
+        channel.call = this.logCall(id, "OUT", channel.party);
+        return true;
+    }
+
+    answer(id) {
+        if (this.channels[id].state !== SaltySATCOM.CHANNEL.INCOMING) {
+            return false;
+        }
+        this.connect(id);
+        return true;
+    }
+
+    connect(id) {
+        const channel = this.channels[id];
+        channel.state = SaltySATCOM.CHANNEL.ANSWERED;
+        channel.call.status = "ANSWERED";
+    }
+
+    endCall(id, status = "ENDED") {
+        const channel = this.channels[id];
+        if (channel.state === SaltySATCOM.CHANNEL.READY) {
+            return false;
+        }
+        if (channel.state === SaltySATCOM.CHANNEL.DIALING && status === "ENDED") {
+            status = "CANCELLED";
+        }
+        channel.call.status = status;
+        channel.call = null;
+        channel.state = SaltySATCOM.CHANNEL.READY;
+        return true;
+    }
+
+    /* Company calls ring on the first idle channel */
+    ring() {
+        const id = Object.keys(this.channels).find((key) => this.channels[key].state === SaltySATCOM.CHANNEL.READY);
+        const company = this.directory.find((category) => category.name === "COMPANY");
+        if (!id || !company || company.entries.length === 0) {
+            return;
+        }
+        const channel = this.channels[id];
+        channel.party = company.entries[Math.floor(Math.random() * company.entries.length)];
+        channel.state = SaltySATCOM.CHANNEL.INCOMING;
+        channel.timer = SaltySATCOM.RING_TIME;
+        channel.call = this.logCall(id, "IN", channel.party);
+        if (this.onIncomingCall) {
+            this.onIncomingCall(id, channel.party);
+        }
+    }
+
+    logCall(id, direction, party) {
+        const call = {
+            channel: id,
+            direction: direction,
+            name: party.name,
+            number: party.number,
+            time: fetchTimeValue(),
+            status: direction === "OUT" ? "DIALING" : "RINGING"
+        };
+        this.calls.unshift(call);
+        this.calls.length = Math.min(this.calls.length, SaltySATCOM.MAX_CALLS);
+        return call;
+    }
+
+    getCategory(name) {
+        return this.directory.find((category) => category.name === name);
+    }
+
+    addEntry(categoryName, name, number) {
+        const category = this.getCategory(categoryName);
+        if (!category) {
+            return false;
+        }
+        category.entries.push({ name: name, number: number });
+        this.saveDirectory();
+        return true;
+    }
+
+    removeEntry(categoryName, index) {
+        const category = this.getCategory(categoryName);
+        if (!category || !category.entries[index]) {
+            return false;
+        }
+        category.entries.splice(index, 1);
+        this.saveDirectory();
+        return true;
+    }
+
+    saveDirectory() {
+        SaltyDataStore.set("SAT_DIRECTORY", JSON.stringify(this.directory));
+    }
+
+    static getIncomingInterval() {
+        return SaltySATCOM.INCOMING_INTERVAL + SaltySATCOM.INCOMING_INTERVAL * Math.random();
+    }
+}
+
+SaltySATCOM.UPDATE_INTERVAL = 1000;
+SaltySATCOM.LOGON_TIME = 20 * 1000;
+SaltySATCOM.DIAL_TIME = 4 * 1000;
+SaltySATCOM.RING_TIME = 60 * 1000;
+SaltySATCOM.INCOMING_INTERVAL = 45 * 60 * 1000;
+SaltySATCOM.MAX_LATITUDE = 82;
+SaltySATCOM.MAX_CALLS = 20;
+SaltySATCOM.STATE = {
+    OFF: "OFF",
+    LOGGING_ON: "LOG ON",
+    READY: "READY",
+    NO_SIGNAL: "NO SIGNAL"
+};
+SaltySATCOM.CHANNEL = {
+    READY: "READY",
+    DIALING: "DIALING",
+    ANSWERED: "ANSWERED",
+    INCOMING: "INCOMING"
+};
+SaltySATCOM.DEFAULT_DIRECTORY = [
+    {
+        name: "EMERGENCY",
+        entries: [
+            { name: "MEDLINK", number: "001-602-239-3627" },
+            { name: "SECURITY", number: "001-319-829-1728" }
+        ]
+    },
+    {
+        name: "COMPANY",
+        entries: [
+            { name: "FLIGHT DISPATCH", number: "001-319-829-1700" },
+            { name: "MAINTENANCE CTL", number: "001-319-829-1710" },
+            { name: "CREW SCHEDULING", number: "001-319-829-1720" }
+        ]
+    },
+    {
+        name: "OPERATIONS",
+        entries: [
+            { name: "OPS CONTROL", number: "001-319-829-1600" },
+            { name: "CARGO HANDLING", number: "001-319-829-1610" }
+        ]
+    },
+    {
+        name: "ATL ATS",
+        entries: [
+            { name: "GANDER OCEANIC", number: "431613" },
+            { name: "SHANWICK OCEANIC", number: "425002" },
+            { name: "NEW YORK OCEANIC", number: "436623" },
+            { name: "SANTA MARIA OCEANIC", number: "426305" }
+        ]
+    },
+    {
+        name: "PAC ATS",
+        entries: [
+            { name: "OAKLAND OCEANIC", number: "436602" },
+            { name: "ANCHORAGE OCEANIC", number: "430305" },
+            { name: "TOKYO OCEANIC", number: "443101" }
+        ]
+    },
+    {
+        name: "IND ATS",
+        entries: [
+            { name: "MUMBAI OCEANIC", number: "441904" },
+            { name: "MELBOURNE CENTRE", number: "450305" }
+        ]
+    }
+];
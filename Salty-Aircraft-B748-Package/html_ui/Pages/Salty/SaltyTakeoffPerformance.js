@@ -0,0 +1,195 @@
+/**
+ * Takeoff performance calculator answering T/O PERF requests.
+ * Weights are in metric tonnes, distances in metres, temperatures in degrees C.
+ */
+class SaltyTakeoffPerformance {
+    /**
+     * Computes the takeoff data for a request.
+     * @param {object} request Runway, OAT, wind, slope/condition, flaps and TOGW.
+     * @returns {object} V1/VR/V2, assumed temperature and limit weight.
+     */
+    compute(request) {
+        const limitWeight = this.getLimitWeight(request, request.oat);
+        let assumedTemp = null;
+        if (limitWeight >= request.togw) {
+            const isaTemp = this.getIsaTemp(request);
+            for (let temp = Math.max(Math.ceil(request.oat) + 1, Math.ceil(isaTemp)); temp <= SaltyTakeoffPerformance.MAX_ASSUMED_TEMP; temp++) {
+                if (this.getLimitWeight(request, temp) < request.togw) {
+                    break;
+                }
+                assumedTemp = temp;
+            }
+        }
+        const speeds = this.getSpeeds(Object.assign({}, request, { assumedTemp: assumedTemp }));
+        return {
+            airport: request.airport,
+            runway: request.runway,
+            flaps: request.flaps,
+            togw: request.togw,
+            v1: speeds.v1,
+            vr: speeds.vr,
+            v2: speeds.v2,
+            assumedTemp: assumedTemp,
+            limitWeight: Math.floor(limitWeight * 10) / 10
+        };
+    }
+
+    getPressureAltitude(request) {
+        return request.elevation + (1013.25 - request.qnh) * 27;
+    }
+
+    getIsaTemp(request) {
+        return 15 - 1.98 * this.getPressureAltitude(request) / 1000;
+    }
+
+    getHeadwind(request) {
+        if (!isFinite(request.runwayHeading)) {
+            return 0;
+        }
+        return request.windSpeed * Math.cos((request.windDirection - request.runwayHeading) * Math.PI / 180);
+    }
+
+    /* Field length needed at MTOW, scaled for the runway conditions */
+    getRequiredLength(request, temp) {
+        const pressureAltitude = this.getPressureAltitude(request);
+        const headwind = this.getHeadwind(request);
+        let length = SaltyTakeoffPerformance.REF_LENGTH[request.flaps] || SaltyTakeoffPerformance.REF_LENGTH[20];
+        length *= 1 + 0.07 * Math.max(0, pressureAltitude) / 1000;
+        length *= 1 + 0.012 * Math.max(0, temp - this.getIsaTemp(request));
+        length *= headwind >= 0 ? 1 - Math.min(0.2, 0.005 * headwind) : 1 - 0.015 * headwind;
+        length *= request.slope >= 0 ? 1 + 0.06 * request.slope : 1 + 0.03 * request.slope;
+        length *= SaltyTakeoffPerformance.CONDITION_FACTOR[request.condition] || 1;
+        return length;
+    }
+
+    /* Lower of the field length and climb limited weights */
+    getLimitWeight(request, temp) {
+        const fieldLimit = SaltyTakeoffPerformance.MTOW * Math.sqrt(request.runwayLength / this.getRequiredLength(request, temp));
+        const climbLimit = SaltyTakeoffPerformance.MTOW
+            - 2.5 * Math.max(0, temp - this.getIsaTemp(request) - 15)
+            - 3 * Math.max(0, this.getPressureAltitude(request)) / 1000;
+        return Math.min(SaltyTakeoffPerformance.MTOW, fieldLimit, climbLimit);
+    }
+
+    /**
+     * Takeoff speeds from the reference tables, corrected for the runway and
+     * thrust conditions and bounded by VMCG and VMU.
+     * @param {object} request Takeoff conditions; assumedTemp and derate (0, 1 or 2) are optional.
+     * @returns {object} V1, VR and V2 in knots.
+     */
+    getSpeeds(request) {
+        const tables = SaltyTakeoffPerformance.SPEEDS;
+        const flaps = request.flaps === 10 ? 10 : 20;
+        const weight = request.togw;
+        const pressureAltitude = Math.max(0, this.getPressureAltitude(request));
+        /* Reduced thrust is flown at the assumed temperature */
+        const temp = request.assumedTemp ? Math.max(request.oat, request.assumedTemp) : request.oat;
+        const isaDeviation = Math.max(0, temp - this.getIsaTemp(request));
+
+        let vr = SaltyTakeoffPerformance.interpolate(tables.weights, tables.vr[flaps], weight);
+        let v2 = vr + SaltyTakeoffPerformance.interpolate(tables.weights, tables.v2Increment, weight);
+        let v1 = vr - SaltyTakeoffPerformance.interpolate(tables.weights, tables.v1Decrement, weight);
+
+        /* Higher, hotter air: IAS rises with compressibility */
+        const densityCorrection = SaltyTakeoffPerformance.interpolate(tables.altitudes, tables.altitudeCorrection, pressureAltitude)
+            + SaltyTakeoffPerformance.interpolate(tables.isaDeviations, tables.temperatureCorrection, isaDeviation);
+        vr += densityCorrection;
+        v1 += densityCorrection;
+        v2 += Math.round(densityCorrection / 2);
+
+        const headwind = this.getHeadwind(request);
+        v1 += headwind >= 0 ? headwind / 10 : headwind / 5;
+        v1 += request.slope || 0;
+        v1 += SaltyTakeoffPerformance.interpolate(tables.weights, tables.conditionCorrection[request.condition] || tables.conditionCorrection.DRY, weight);
+
+        /* V1 may not be below VMCG nor above VR; VR and V2 must clear VMU and VMCA */
+        const vmcg = this.getVmcg(request);
+        const vmu = SaltyTakeoffPerformance.interpolate(tables.weights, tables.vmu[flaps], weight);
+        vr = Math.max(vr, vmu + tables.vmuMargin, vmcg);
+        v1 = Math.min(Math.max(v1, vmcg), vr);
+        v2 = Math.max(v2, vr + 4, tables.vmca * 1.1);
+
+        return {
+            v1: Math.round(v1),
+            vr: Math.round(vr),
+            v2: Math.round(v2)
+        };
+    }
+
+    /* VMCG for the full rated thrust at the actual OAT, lowered by the selected derate */
+    getVmcg(request) {
+        const tables = SaltyTakeoffPerformance.SPEEDS;
+        const pressureAltitude = Math.max(0, this.getPressureAltitude(request));
+        const row = tables.altitudes.map((altitude, i) => SaltyTakeoffPerformance.interpolate(tables.vmcgTemps, tables.vmcg[i], request.oat));
+        const vmcg = SaltyTakeoffPerformance.interpolate(tables.altitudes, row, pressureAltitude);
+        return vmcg - (tables.vmcgDerate[request.derate] || 0);
+    }
+
+    /* Linear interpolation in a table, holding the end values outside it */
+    static interpolate(keys, values, key) {
+        if (key <= keys[0]) {
+            return values[0];
+        }
+        for (let i = 1; i < keys.length; i++) {
+            if (key <= keys[i]) {
+                const ratio = (key - keys[i - 1]) / (keys[i] - keys[i - 1]);
+                return values[i - 1] + (values[i] - values[i - 1]) * ratio;
+            }
+        }
+        return values[values.length - 1];
+    }
+}
+
+SaltyTakeoffPerformance.MTOW = 447.7;
+SaltyTakeoffPerformance.MAX_ASSUMED_TEMP = 65;
+SaltyTakeoffPerformance.REF_LENGTH = {
+    10: 3450,
+    20: 3200
+};
+SaltyTakeoffPerformance.CONDITION_FACTOR = {
+    DRY: 1,
+    WET: 1.15,
+    SNOW: 1.3,
+    SLUSH: 1.4,
+    ICE: 1.6
+};
+SaltyTakeoffPerformance.SPEEDS = {
+    /* Takeoff weight in tonnes */
+    weights: [250, 280, 310, 340, 370, 400, 430, 448],
+    vr: {
+        10: [136, 143, 150, 157, 164, 171, 178, 182],
+        20: [128, 135, 142, 149, 156, 163, 170, 174]
+    },
+    v2Increment: [10, 9, 9, 8, 8, 8, 7, 7],
+    v1Decrement: [6, 6, 7, 7, 7, 8, 8, 8],
+    vmu: {
+        10: [114, 119, 124, 129, 134, 139, 144, 147],
+        20: [108, 113, 118, 122, 127, 131, 136, 138]
+    },
+    vmuMargin: 8,
+    /* Pressure altitude in feet and ISA deviation in degrees C */
+    altitudes: [0, 2000, 4000, 6000, 8000, 10000],
+    altitudeCorrection: [0, 1, 2, 3, 4, 5],
+    isaDeviations: [0, 10, 20, 30, 40],
+    temperatureCorrection: [0, 0.5, 1, 2, 3],
+    /* V1 reductions that keep the accelerate-stop inside the runway */
+    conditionCorrection: {
+        DRY: [0, 0, 0, 0, 0, 0, 0, 0],
+        WET: [-10, -9, -8, -8, -7, -6, -6, -5],
+        SNOW: [-14, -13, -12, -11, -10, -9, -8, -8],
+        SLUSH: [-16, -15, -14, -13, -12, -11, -10, -10],
+        ICE: [-20, -19, -18, -17, -16, -15, -14, -14]
+    },
+    /* VMCG by pressure altitude (rows) and OAT (columns) */
+    vmcgTemps: [-20, 0, 15, 30, 45],
+    vmcg: [
+        [121, 120, 119, 116, 112],
+        [120, 119, 117, 114, 110],
+        [118, 117, 115, 112, 108],
+        [116, 115, 113, 110, 106],
+        [114, 113, 111, 108, 104],
+        [112, 111, 109, 106, 102]
+    ],
+    vmcgDerate: [0, 8, 15],
+    vmca: 122
+};
@@ -133,6 +133,31 @@ class AutopilotMath {
     return Math.abs((endAngle - planeAngle) * radius);
   }
 
+  /**
+   * Calculates the desired track along an arc flown around a known center.
+   * @param {LatLongAlt} center The location of the arc center.
+   * @param {number} turnDirection The direction of the arc turn.
+   * @param {LatLongAlt} planeCoords The current plane location coordinates.
+   * @returns {number} The desired track, in degrees true.
+   */
+  static desiredTrackAroundCenter(center, turnDirection, planeCoords) {
+    const radial = Avionics.Utils.computeGreatCircleHeading(center, planeCoords);
+    return AutopilotMath.normalizeHeading(radial + (turnDirection === ArcTurnDirection.Left ? -90 : 90));
+  }
+
+  /**
+   * Calculates the cross track deviation from an arc flown around a known center.
+   * @param {LatLongAlt} center The location of the arc center.
+   * @param {number} radius The radius of the arc, in NM.
+   * @param {number} turnDirection The direction of the arc turn.
+   * @param {LatLongAlt} planeCoords The current plane location coordinates.
+   * @returns {number} The amount of cross track deviation, in nautical miles, positive right of the arc.
+   */
+  static crossTrackAroundCenter(center, radius, turnDirection, planeCoords) {
+    const outside = Avionics.Utils.computeGreatCircleDistance(center, planeCoords) - radius;
+    return turnDirection === ArcTurnDirection.Left ? -1 * outside : outside;
+  }
+
   /**
    * Normalizes a heading to a 0-360 range.
    * @param {number} heading The heading to normalize.
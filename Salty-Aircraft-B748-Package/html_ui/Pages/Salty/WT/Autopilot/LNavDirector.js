@@ -37,6 +37,9 @@
     /** An instance of the LNAV holds director. */
     this.holdsDirector = new HoldsDirector(fpm, navModeSelector);
 
+    /** An instance of the LNAV procedure turn director. */
+    this.procedureTurnDirector = new ProcedureTurnDirector(fpm, navModeSelector);
+
     /** An instance of the localizer director. */
     this.locDirector = new LocDirector(navModeSelector);
 
@@ -70,7 +73,7 @@
       const navSensitivityScalar = this.getNavSensitivityScalar(planeState.position, navSensitivity);
       SimVar.SetSimVarValue('L:WT_NAV_SENSITIVITY_SCALAR', 'number', navSensitivityScalar);
 
-      if (!this.delegateToHoldsDirector(activeWaypoint) && activeWaypoint && previousWaypoint) {
+      if (!this.delegateToHoldsDirector(activeWaypoint) && !this.delegateToProcedureTurnDirector(activeWaypoint) && activeWaypoint && previousWaypoint) {
         this.generateGuidance(activeWaypoint, planeState, previousWaypoint, navSensitivity, navSensitivityScalar);
       }
       //Always Check if a LOC signal is available
@@ -87,25 +90,52 @@
    * @param {number} navSensitivityScalar The current nav sensitivity scalar.
    */
   generateGuidance(activeWaypoint, planeState, previousWaypoint, navSensitivity, navSensitivityScalar) {
-    const activeLatLon = new LatLon(activeWaypoint.infos.coordinates.lat, activeWaypoint.infos.coordinates.long);
-
-    const nextWaypoint = this.activeFlightPlan.getWaypoint(this.activeFlightPlan.activeWaypointIndex + 1);
-    const nextLatLon = nextWaypoint ? new LatLon(nextWaypoint.infos.coordinates.lat, nextWaypoint.infos.coordinates.long) : undefined;
+    const activeWaypointIndex = this.activeFlightPlan.activeWaypointIndex;
+    const nextWaypoint = this.activeFlightPlan.getWaypoint(activeWaypointIndex + 1);
+    const nextOffsetPath = this.activeFlightPlan.getLateralOffsetLegPath(activeWaypointIndex + 1);
 
     const planeLatLon = new LatLon(planeState.position.lat, planeState.position.long);
 
-    const dtk = AutopilotMath.desiredTrack(previousWaypoint.infos.coordinates, activeWaypoint.infos.coordinates, planeState.position);
-    const distanceToActive = planeLatLon.distanceTo(activeLatLon) / 1852;
+    const arc = this.getActiveArc(previousWaypoint, activeWaypoint);
+    const offsetPath = arc ? undefined : this.activeFlightPlan.getLateralOffsetLegPath(activeWaypointIndex);
+    const offsetSegment = offsetPath ? LNavDirector.getActivePathSegment(offsetPath, planeState) : undefined;
+
+    const legStart = offsetSegment ? offsetSegment[0] : previousWaypoint.infos.coordinates;
+    const legEnd = offsetSegment ? offsetSegment[1] : activeWaypoint.infos.coordinates;
+    const isFinalSegment = !offsetSegment || legEnd === offsetPath[offsetPath.length - 1];
+
+    const legEndLatLon = new LatLon(legEnd.lat, legEnd.long);
+    const nextStart = nextOffsetPath ? nextOffsetPath[1] : (nextWaypoint && nextWaypoint.infos.coordinates);
+    const nextLatLon = nextStart ? new LatLon(nextStart.lat, nextStart.long) : undefined;
+
+    const dtk = arc
+      ? AutopilotMath.desiredTrackAroundCenter(ArcDetails.getCenter(arc), arc.turnDirection, planeState.position)
+      : AutopilotMath.desiredTrack(legStart, legEnd, planeState.position);
+    const distanceToActive = planeLatLon.distanceTo(legEndLatLon) / 1852;
 
-    this.alertIfClose(planeState, distanceToActive);
+    this.alertIfClose(planeState, isFinalSegment ? distanceToActive : Number.MAX_VALUE);
 
-    if (AutopilotMath.isAbeam(dtk, planeState.position, activeWaypoint.infos.coordinates)) {
+    const isLegComplete = arc
+      ? LNavDirector.isArcComplete(arc, legStart, legEnd, planeState)
+      : isFinalSegment && AutopilotMath.isAbeam(dtk, planeState.position, legEnd);
+
+    if (isLegComplete) {
       this.sequenceToNextWaypoint(planeState, activeWaypoint);
       return;
     }
-    else {
-      const planeToActiveBearing = planeLatLon.initialBearingTo(activeLatLon);
-      const nextStartTrack = nextWaypoint ? activeLatLon.initialBearingTo(nextLatLon) : planeToActiveBearing;
+    else if (isFinalSegment) {
+      //An arc arrives at the active waypoint along its tangent rather than on the bearing from the plane
+      const planeToActiveBearing = arc
+        ? AutopilotMath.desiredTrackAroundCenter(ArcDetails.getCenter(arc), arc.turnDirection, legEnd)
+        : planeLatLon.initialBearingTo(legEndLatLon);
+      const nextArc = nextWaypoint ? this.getActiveArc(activeWaypoint, nextWaypoint) : undefined;
+      let nextStartTrack = nextLatLon ? legEndLatLon.initialBearingTo(nextLatLon) : planeToActiveBearing;
+      if (nextArc) {
+        nextStartTrack = AutopilotMath.desiredTrackAroundCenter(ArcDetails.getCenter(nextArc), nextArc.turnDirection, activeWaypoint.infos.coordinates);
+      }
+      else if (nextWaypoint && nextWaypoint.hasProcedureTurn) {
+        nextStartTrack = nextWaypoint.procedureTurnDetails.outboundCourseTrue;
+      }
 
       const anticipationDistance = this.getAnticipationDistance(planeState, Avionics.Utils.diffAngle(planeToActiveBearing, nextStartTrack)) * 0.9;
       if (!nextWaypoint || !nextWaypoint.isFlyover) {
@@ -119,16 +149,21 @@
     }
 
     if (!this.delegateToLocDirector()) {
-      this.tryActivateIfArmed(previousWaypoint.infos.coordinates, activeWaypoint.infos.coordinates, planeState, navSensitivity);
+      this.tryActivateIfArmed(legStart, legEnd, planeState, navSensitivity);
       switch (this.state) {
         case LNavState.TRACKING:
           const activeMode = this.navModeSelector.currentLateralActiveState;
           const shouldExecute = distanceToActive > this.options.minimumTrackingDistance
             && (activeMode === LateralNavModeState.LNAV || (activeMode === LateralNavModeState.APPR && this.navModeSelector.approachMode === WT_ApproachType.RNAV));
-          LNavDirector.trackLeg(previousWaypoint.infos.coordinates, activeWaypoint.infos.coordinates, planeState, navSensitivity, navSensitivityScalar, shouldExecute);
+          if (arc) {
+            LNavDirector.trackArc(arc, planeState, navSensitivity, shouldExecute);
+          }
+          else {
+            LNavDirector.trackLeg(legStart, legEnd, planeState, navSensitivity, navSensitivityScalar, shouldExecute);
+          }
           break;
         case LNavState.TURN_COMPLETING:
-          this.handleTurnCompleting(planeState, dtk, previousWaypoint, activeWaypoint, navSensitivity, navSensitivityScalar);
+          this.handleTurnCompleting(planeState, dtk, legStart, legEnd, navSensitivity, navSensitivityScalar, arc);
           break;
       }
     }
@@ -138,12 +173,13 @@
    * Handles the turn completion phase of lateral guidance.
    * @param {AircraftState} planeState The current aircraft state.
    * @param {number} dtk The current desired track.
-   * @param {WayPoint} previousWaypoint The previous (from) waypoint.
-   * @param {WayPoint} activeWaypoint The active (to) waypoint.
+   * @param {LatLongAlt} legStart The coordinates of the start of the leg being tracked.
+   * @param {LatLongAlt} legEnd The coordinates of the end of the leg being tracked.
    * @param {number} navSensitivity The current nav sensitivity.
    * @param {number} navSensitivityScalar The current nav sensitivity scalar.
+   * @param {ArcDetails} arc The arc of the active leg, if it is flown as one.
    */
-  handleTurnCompleting(planeState, dtk, previousWaypoint, activeWaypoint, navSensitivity, navSensitivityScalar) {
+  handleTurnCompleting(planeState, dtk, legStart, legEnd, navSensitivity, navSensitivityScalar, arc) {
     const angleDiffToTarget = Avionics.Utils.diffAngle(planeState.trueHeading, dtk);
     if (Math.abs(angleDiffToTarget) < this.options.degreesRollout || this.navModeSelector.currentLateralActiveState !== LateralNavModeState.LNAV) {
       this.state = LNavState.TRACKING;
@@ -152,11 +188,48 @@
       const turnDirection = Math.sign(angleDiffToTarget);
       const targetHeading = AutopilotMath.normalizeHeading(planeState.trueHeading + (turnDirection * 90));
 
-      LNavDirector.trackLeg(previousWaypoint.infos.coordinates, activeWaypoint.infos.coordinates, planeState, navSensitivity, navSensitivityScalar, false);
+      if (arc) {
+        LNavDirector.trackArc(arc, planeState, navSensitivity, false);
+      }
+      else {
+        LNavDirector.trackLeg(legStart, legEnd, planeState, navSensitivity, navSensitivityScalar, false);
+      }
       LNavDirector.setCourse(targetHeading, planeState);
     }
   }
 
+  /**
+   * Gets the arc of the active leg, if the leg is an RF or AF leg that starts on its arc.
+   * @param {WayPoint} previousWaypoint The previous (from) waypoint.
+   * @param {WayPoint} activeWaypoint The active (to) waypoint.
+   * @returns {ArcDetails} The arc details, or undefined if the leg is flown straight.
+   */
+  getActiveArc(previousWaypoint, activeWaypoint) {
+    if (activeWaypoint.arc && ArcDetails.startsOnArc(activeWaypoint.arc, previousWaypoint.infos.coordinates)) {
+      return activeWaypoint.arc;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Gets the segment of a multi-segment leg path that should currently be tracked, which is the first
+   * segment whose end the plane is not yet abeam.
+   * @param {LatLongAlt[]} path The coordinates of the leg path.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @returns {LatLongAlt[]} The start and end coordinates of the segment to track.
+   */
+  static getActivePathSegment(path, planeState) {
+    for (let i = 1; i < path.length - 1; i++) {
+      const dtk = AutopilotMath.desiredTrack(path[i - 1], path[i], planeState.position);
+      if (!AutopilotMath.isAbeam(dtk, planeState.position, path[i])) {
+        return [path[i - 1], path[i]];
+      }
+    }
+
+    return [path[path.length - 2], path[path.length - 1]];
+  }
+
   /**
    * Checks to see if the waypoint can be sequenced past.
    * @param {WayPoint} activeWaypoint The waypoint to check against.
@@ -198,6 +271,25 @@
     return false;
   }
 
+  /**
+   * Delegates navigation to the procedure turn director, if necessary.
+   * @param {WayPoint} activeWaypoint 
+   * @returns True if the procedure turn director is now active, false otherwise.
+   */
+  delegateToProcedureTurnDirector(activeWaypoint) {
+    if (activeWaypoint && activeWaypoint.hasProcedureTurn) {
+      this.procedureTurnDirector.update(this.activeFlightPlan.activeWaypointIndex);
+
+      //Stays delegated once exited until the flight plan has sequenced past the procedure turn
+      return this.procedureTurnDirector.state !== ProcedureTurnDirectorState.NONE;
+    }
+
+    if (this.procedureTurnDirector.state !== ProcedureTurnDirectorState.NONE) {
+      this.procedureTurnDirector.reset();
+    }
+    return false;
+  }
+
   /**
    * Delegates navigation to the localizer director, if necessary.
    * @returns True if the localizer director is now active, false otherwise.
@@ -406,6 +498,47 @@
     }
   }
 
+  /**
+   * Tracks an arc leg around its center fix.
+   * @param {ArcDetails} arc The details of the arc to track.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @param {number} navSensitivity The sensitivity to use for tracking.
+   * @param {boolean} execute Whether or not to execute the calculated course.
+   */
+  static trackArc(arc, planeState, navSensitivity, execute = true) {
+    const center = ArcDetails.getCenter(arc);
+    const dtk = AutopilotMath.desiredTrackAroundCenter(center, arc.turnDirection, planeState.position);
+    const xtk = AutopilotMath.crossTrackAroundCenter(center, arc.radius, arc.turnDirection, planeState.position);
+
+    const correctedDtk = AutopilotMath.normalizeHeading(GeoMath.correctMagvar(dtk, SimVar.GetSimVarValue("MAGVAR", "degrees")));
+
+    SimVar.SetSimVarValue("L:WT_CJ4_XTK", "number", xtk);
+    SimVar.SetSimVarValue("L:WT_CJ4_DTK", "number", correctedDtk);
+
+    const interceptAngle = AutopilotMath.interceptAngle(xtk, navSensitivity, 20);
+    this.previousDeviation = xtk;
+
+    if (execute) {
+      LNavDirector.setCourse(AutopilotMath.normalizeHeading(dtk + interceptAngle), planeState);
+    }
+  }
+
+  /**
+   * Checks whether or not the plane has flown past the end of an arc leg. The swept angle remaining
+   * to the end fix wraps towards 360 once the fix is passed.
+   * @param {ArcDetails} arc The details of the arc.
+   * @param {LatLongAlt} legStart The coordinates of the start of the arc.
+   * @param {LatLongAlt} legEnd The coordinates of the end of the arc.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @returns {boolean} True if the arc is complete.
+   */
+  static isArcComplete(arc, legStart, legEnd, planeState) {
+    const legSweep = ArcDetails.calculateSweepAngle(arc, legStart, legEnd);
+    const remainingSweep = ArcDetails.calculateSweepAngle(arc, planeState.position, legEnd);
+
+    return remainingSweep > (legSweep + 360) / 2;
+  }
+
   /**
    * Sets the autopilot course to fly.
    * @param {number} degreesTrue The track in degrees true for the autopilot to fly.
@@ -426,7 +559,13 @@
    */
   static getAircraftState() {
     const state = new AircraftState();
-    state.position = new LatLongAlt(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude"));
+    if (SimVar.GetSimVarValue("L:SALTY_FMC_POSITION_VALID", "Bool")) {
+      //Steer by the blended FMC position, so a drifting IRS without GPS or radio updating shows as a real path error
+      state.position = new LatLongAlt(SimVar.GetSimVarValue("L:SALTY_FMC_POSITION_LAT", "number"), SimVar.GetSimVarValue("L:SALTY_FMC_POSITION_LON", "number"));
+    }
+    else {
+      state.position = new LatLongAlt(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude"));
+    }
     state.magVar = SimVar.GetSimVarValue("MAGVAR", "degrees");
 
     state.groundSpeed = SimVar.GetSimVarValue("GPS GROUND SPEED", "knots");
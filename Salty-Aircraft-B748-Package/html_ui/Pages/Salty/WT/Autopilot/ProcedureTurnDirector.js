@@ -0,0 +1,225 @@
+/** A class that manages lateral guidance for procedure turn course reversals. */
+class ProcedureTurnDirector {
+
+  /**
+   * Creates an instance of a ProcedureTurnDirector.
+   * @param {FlightPlanManager} fpm An instance of the flight plan manager.
+   * @param {CJ4NavModeSelector} navModeSelector The nav mode selector to use with this instance.
+   */
+  constructor(fpm, navModeSelector) {
+
+    /** The flight plan manager. */
+    this.fpm = fpm;
+
+    /** The nav mode selector. */
+    this.navModeSelector = navModeSelector;
+
+    /** The procedure turn waypoint index. */
+    this.procedureTurnWaypointIndex = -1;
+
+    /** The current flight plan version. */
+    this.currentFlightPlanVersion = 0;
+
+    /** The current state of the procedure turn director. */
+    this.state = ProcedureTurnDirectorState.NONE;
+
+    /** The outbound leg from the procedure turn fix. */
+    this.outboundLeg = [];
+
+    /** The 45° procedure turn leg. */
+    this.procedureTurnLeg = [];
+
+    /** The leg intercepting the inbound course after the reversal turn. */
+    this.interceptLeg = [];
+
+    /**
+     * The reversal turn arc.
+     * @type {ArcDetails}
+     */
+    this.reversalArc = undefined;
+  }
+
+  /**
+   * Sets up the procedure turn in the ProcedureTurnDirector.
+   * @param {number} procedureTurnWaypointIndex The index of the waypoint for the procedure turn.
+   */
+  initializeProcedureTurn(procedureTurnWaypointIndex) {
+    const waypoint = this.fpm.getFlightPlan(0).getWaypoint(procedureTurnWaypointIndex);
+
+    if (waypoint && waypoint.hasProcedureTurn) {
+      const details = waypoint.procedureTurnDetails;
+      const fixes = ProcedureTurnDirector.calculateProcedureTurnFixes(waypoint.infos.coordinates, details);
+
+      this.outboundLeg = [fixes[0], fixes[1]];
+      this.procedureTurnLeg = [fixes[1], fixes[2]];
+      this.interceptLeg = [fixes[3], fixes[4]];
+      this.reversalArc = ArcDetails.create(fixes[5], fixes[3], details.turnDirection);
+    }
+  }
+
+  /**
+   * Updates the procedure turn director.
+   * @param {number} procedureTurnWaypointIndex The current waypoint index of the procedure turn.
+   */
+  update(procedureTurnWaypointIndex) {
+    const flightPlanVersion = SimVar.GetSimVarValue('L:WT.FlightPlan.Version', 'number');
+
+    if (this.procedureTurnWaypointIndex !== procedureTurnWaypointIndex) {
+      this.initializeProcedureTurn(procedureTurnWaypointIndex);
+      this.procedureTurnWaypointIndex = procedureTurnWaypointIndex;
+      this.state = ProcedureTurnDirectorState.OUTBOUND;
+    }
+
+    if (flightPlanVersion !== this.currentFlightPlanVersion) {
+      this.initializeProcedureTurn(this.procedureTurnWaypointIndex);
+      this.currentFlightPlanVersion = flightPlanVersion;
+    }
+
+    const planeState = LNavDirector.getAircraftState();
+    const navSensitivity = SimVar.GetSimVarValue('L:WT_NAV_SENSITIVITY', 'number');
+
+    switch (this.state) {
+      case ProcedureTurnDirectorState.OUTBOUND:
+        this.handleLeg(this.outboundLeg, ProcedureTurnDirectorState.PROCEDURE_TURN_LEG, planeState, navSensitivity);
+        break;
+      case ProcedureTurnDirectorState.PROCEDURE_TURN_LEG:
+        this.handleLeg(this.procedureTurnLeg, ProcedureTurnDirectorState.TURNING_INBOUND, planeState, navSensitivity);
+        break;
+      case ProcedureTurnDirectorState.TURNING_INBOUND:
+        this.handleReversalTurn(planeState, navSensitivity);
+        break;
+      case ProcedureTurnDirectorState.INTERCEPTING:
+        this.handleIntercept(planeState, navSensitivity);
+        break;
+    }
+
+    if (this.state !== ProcedureTurnDirectorState.EXITED) {
+      SimVar.SetSimVarValue("L:WT_CJ4_WPT_DISTANCE", "number", this.calculateDistanceRemaining(planeState));
+    }
+  }
+
+  /**
+   * Resets the director once the procedure turn is no longer the active leg.
+   */
+  reset() {
+    this.procedureTurnWaypointIndex = -1;
+    this.state = ProcedureTurnDirectorState.NONE;
+  }
+
+  /**
+   * Handles tracking one of the straight procedure turn legs.
+   * @param {LatLongAlt[]} leg The start and end coordinates of the leg.
+   * @param {string} nextState The state to move to once the leg end is abeam.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @param {number} navSensitivity The current nav sensitivity.
+   */
+  handleLeg(leg, nextState, planeState, navSensitivity) {
+    const dtk = AutopilotMath.desiredTrack(leg[0], leg[1], planeState.position);
+
+    if (AutopilotMath.isAbeam(dtk, planeState.position, leg[1])) {
+      this.state = nextState;
+    }
+    else {
+      LNavDirector.trackLeg(leg[0], leg[1], planeState, navSensitivity);
+    }
+  }
+
+  /**
+   * Handles the 180° reversal turn state.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @param {number} navSensitivity The current nav sensitivity.
+   */
+  handleReversalTurn(planeState, navSensitivity) {
+    if (LNavDirector.isArcComplete(this.reversalArc, this.procedureTurnLeg[1], this.interceptLeg[0], planeState)) {
+      this.state = ProcedureTurnDirectorState.INTERCEPTING;
+    }
+    else {
+      LNavDirector.trackArc(this.reversalArc, planeState, navSensitivity);
+    }
+  }
+
+  /**
+   * Handles the inbound course intercept state, sequencing past the procedure turn once established.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @param {number} navSensitivity The current nav sensitivity.
+   */
+  handleIntercept(planeState, navSensitivity) {
+    const dtk = AutopilotMath.desiredTrack(this.interceptLeg[0], this.interceptLeg[1], planeState.position);
+
+    if (AutopilotMath.isAbeam(dtk, planeState.position, this.interceptLeg[1])) {
+      SimVar.SetSimVarValue('L:WT_CJ4_WPT_ALERT', 'number', 0);
+      this.state = ProcedureTurnDirectorState.EXITED;
+      this.fpm.setActiveWaypointIndex(this.procedureTurnWaypointIndex + 1, EmptyCallback.Void, 0);
+    }
+    else {
+      const alertDistance = 5 * (planeState.groundSpeed / 3600);
+      if (Avionics.Utils.computeGreatCircleDistance(planeState.position, this.interceptLeg[1]) <= alertDistance) {
+        SimVar.SetSimVarValue('L:WT_CJ4_WPT_ALERT', 'number', 1);
+      }
+
+      LNavDirector.trackLeg(this.interceptLeg[0], this.interceptLeg[1], planeState, navSensitivity);
+    }
+  }
+
+  /**
+   * Calculates the distance remaining to the end of the procedure turn.
+   * @param {AircraftState} planeState The current aircraft state.
+   * @returns {number} The distance remaining to the inbound course intercept, in NM.
+   */
+  calculateDistanceRemaining(planeState) {
+    const interceptDistance = Avionics.Utils.computeGreatCircleDistance(this.interceptLeg[0], this.interceptLeg[1]);
+    if (this.state === ProcedureTurnDirectorState.INTERCEPTING) {
+      return Avionics.Utils.computeGreatCircleDistance(planeState.position, this.interceptLeg[1]);
+    }
+
+    const turnDistance = ArcDetails.calculateLength(this.reversalArc, this.procedureTurnLeg[1], this.interceptLeg[0]);
+    if (this.state === ProcedureTurnDirectorState.TURNING_INBOUND) {
+      return interceptDistance + ArcDetails.calculateLength(this.reversalArc, planeState.position, this.interceptLeg[0]);
+    }
+
+    const legDistance = Avionics.Utils.computeGreatCircleDistance(this.procedureTurnLeg[0], this.procedureTurnLeg[1]);
+    if (this.state === ProcedureTurnDirectorState.PROCEDURE_TURN_LEG) {
+      return interceptDistance + turnDistance + Avionics.Utils.computeGreatCircleDistance(planeState.position, this.procedureTurnLeg[1]);
+    }
+
+    return interceptDistance + turnDistance + legDistance + Avionics.Utils.computeGreatCircleDistance(planeState.position, this.outboundLeg[1]);
+  }
+
+  /**
+   * Calculates the procedure turn geometry from the fix and procedure turn details.
+   * @param {LatLongAlt} fixCoords The coordinates of the procedure turn fix.
+   * @param {ProcedureTurnDetails} details The details of the procedure turn.
+   * @returns {LatLongAlt[]} The fix, the 45° turn point, the reversal turn start and end, the inbound course
+   * intercept and the reversal turn center.
+   */
+  static calculateProcedureTurnFixes(fixCoords, details) {
+    const turnRadius = AutopilotMath.turnRadius(details.speed, 25);
+    const turnDirection = details.turnDirection === ArcTurnDirection.Right ? 1 : -1;
+
+    //The 45° leg must carry the plane far enough off the course for the reversal turn to finish on its side
+    const legDistance = Math.max(details.legTime * (details.speed / 3600), (2 * turnRadius) + 1);
+    const outboundDistance = Math.max(Math.min(legDistance, details.limitDistance - (legDistance * Math.SQRT1_2) - (2 * turnRadius)), 0.5);
+
+    const turnStart = Avionics.Utils.bearingDistanceToCoordinates(details.outboundCourseTrue, outboundDistance, fixCoords.lat, fixCoords.long);
+    const reversalStart = Avionics.Utils.bearingDistanceToCoordinates(details.courseTrue, legDistance, turnStart.lat, turnStart.long);
+
+    const reversalBearing = AutopilotMath.normalizeHeading(details.courseTrue + (turnDirection * 90));
+    const reversalCenter = Avionics.Utils.bearingDistanceToCoordinates(reversalBearing, turnRadius, reversalStart.lat, reversalStart.long);
+    const reversalEnd = Avionics.Utils.bearingDistanceToCoordinates(reversalBearing, 2 * turnRadius, reversalStart.lat, reversalStart.long);
+
+    const interceptCourse = AutopilotMath.normalizeHeading(details.courseTrue + 180);
+    const intercept = LatLon.intersection(new LatLon(reversalEnd.lat, reversalEnd.long), interceptCourse,
+      new LatLon(fixCoords.lat, fixCoords.long), details.outboundCourseTrue);
+    const interceptCoords = intercept ? new LatLongAlt(intercept.lat, intercept.lon) : fixCoords;
+
+    return [fixCoords, turnStart, reversalStart, reversalEnd, interceptCoords, reversalCenter];
+  }
+}
+
+class ProcedureTurnDirectorState { }
+ProcedureTurnDirectorState.NONE = 'NONE';
+ProcedureTurnDirectorState.OUTBOUND = 'OUTBOUND';
+ProcedureTurnDirectorState.PROCEDURE_TURN_LEG = 'PROCEDURE_TURN_LEG';
+ProcedureTurnDirectorState.TURNING_INBOUND = 'TURNING_INBOUND';
+ProcedureTurnDirectorState.INTERCEPTING = 'INTERCEPTING';
+ProcedureTurnDirectorState.EXITED = 'EXITED';
@@ -147,7 +147,7 @@ class WT_BaseVnav {
     }
 
     get vnavTargetFPA() {
-        return WTDataStore.get('CJ4_vpa', 3);
+        return this.applyDescentForecast(WTDataStore.get('CJ4_vpa', 3));
     }
 
     get constraintValue() {
@@ -233,6 +233,46 @@ class WT_BaseVnav {
         }
     }
 
+    /**
+     * Forces the vertical flight plan to be rebuilt on the next update, after a change that is not in the flight plan.
+     */
+    invalidateVerticalFlightPlan() {
+        this._fpChecksum = -1;
+    }
+
+    /**
+     * Corrects a still air descent angle with the FMC descent forecast. A tailwind stretches the descent over
+     * the ground, and the higher idle thrust with engine anti-ice on makes it shallower still.
+     * @param {number} fpa The still air FPA in degrees.
+     * @returns {number} The FPA over the ground in degrees.
+     */
+    applyDescentForecast(fpa) {
+        if (!this._fmc.getDescentForecastWind || !this.destination || !this._currPos || fpa <= 0) {
+            return fpa;
+        }
+        const topAltitude = SimVar.GetSimVarValue("L:AIRLINER_CRUISE_ALTITUDE", "number");
+        const bottomAltitude = Math.max(this.destination.infos.coordinates.alt || 0, 0);
+        const course = Avionics.Utils.computeGreatCircleHeading(this._currPos, this.destination.infos.coordinates);
+        const isaDeviation = this._fmc.descentForecastIsaDeviation;
+        let stillAirDistance = 0;
+        let groundDistance = 0;
+        for (let altitude = bottomAltitude + 500; altitude < topAltitude; altitude += 1000) {
+            const isaTemperature = 288.15 - 0.0019812 * Math.min(altitude, 36089);
+            const densityRatio = Math.pow(isaTemperature / 288.15, 4.2559) * isaTemperature / (isaTemperature + isaDeviation);
+            const indicatedSpeed = altitude > 10000 ? this._fmc.getDesManagedSpeed(true) : 240;
+            const trueAirspeed = indicatedSpeed / Math.sqrt(densityRatio);
+            const wind = this._fmc.getDescentForecastWind(altitude);
+            const headwind = wind ? AutopilotMath.windComponents(course, wind.direction, wind.speed).headwind : 0;
+            const antiIceFactor = this._fmc.isDescentTaiOn(altitude) ? WT_BaseVnav.ANTI_ICE_PATH_FACTOR : 1;
+            stillAirDistance += 1;
+            groundDistance += Math.max(trueAirspeed - headwind, 100) / trueAirspeed / antiIceFactor;
+        }
+        if (groundDistance === 0) {
+            return fpa;
+        }
+        return Math.atan(Math.tan(fpa * Avionics.Utils.DEG2RAD) * stillAirDistance / groundDistance) / Avionics.Utils.DEG2RAD;
+    }
+
     getFirstApproachWaypointIndex() {
         const approach = this._fpm.getApproachWaypoints();
         if (approach && approach.length > 0) {
@@ -780,6 +820,21 @@ class WT_BaseVnav {
         return this._verticalFlightPlan[flightPathTarget].waypointFPTA;
     }
 
+    /**
+     * Gets the descent path altitude at a waypoint.
+     * @param {number} index The waypoint index in the lateral flight plan.
+     * @returns {number} The path altitude in feet, or undefined when the waypoint is not on a descent segment.
+     */
+    getPathAltitude(index) {
+        const vwp = this._verticalFlightPlan[index];
+        if (!vwp || vwp.isClimb || vwp.segment === undefined || !this._verticalFlightPlanSegments[vwp.segment]) {
+            return undefined;
+        }
+        const segment = this._verticalFlightPlanSegments[vwp.segment];
+        const distance = this.allWaypoints[segment.targetIndex].cumulativeDistanceInFP - this.allWaypoints[index].cumulativeDistanceInFP;
+        return this._verticalFlightPlan[segment.targetIndex].waypointFPTA + AutopilotMath.calculateFPTA(segment.fpa, distance);
+    }
+
     calculateTod() {
         let todExists = false;
         let altitude = undefined;
@@ -879,6 +934,11 @@ class WT_BaseVnav {
     }
 }
 
+/**
+ * Still air descent distance is divided by this with engine anti-ice on.
+ */
+WT_BaseVnav.ANTI_ICE_PATH_FACTOR = 0.85;
+
 
 /**
  * A definition for vertical waypoints.
@@ -1031,6 +1031,112 @@
         HoldEntry[HoldEntry["Parallel"] = 2] = "Parallel";
     })(exports.HoldEntry || (exports.HoldEntry = {}));
 
+    /**
+     * Details of a curved path (RF or AF) leg flown around a center fix to the leg's waypoint.
+     * Arc details can come back from flight plan storage as plain objects, so the helpers are static.
+     */
+    class ArcDetails {
+        /**
+         * Creates arc details for a leg ending at the provided coordinates.
+         * @param center The coordinates of the arc center.
+         * @param endCoordinates The coordinates of the fix that terminates the arc.
+         * @param turnDirection The direction of the turn.
+         * @returns A new set of arc details.
+         */
+        static create(center, endCoordinates, turnDirection) {
+            const details = new ArcDetails();
+            details.centerLat = center.lat;
+            details.centerLong = center.long;
+            details.radius = Avionics.Utils.computeGreatCircleDistance(center, endCoordinates);
+            details.turnDirection = turnDirection;
+            return details;
+        }
+        /**
+         * Gets the coordinates of the arc center.
+         * @param details The arc details.
+         * @returns The arc center coordinates.
+         */
+        static getCenter(details) {
+            return new LatLongAlt(details.centerLat, details.centerLong);
+        }
+        /**
+         * Calculates the angle swept around the arc center flying from one point to another.
+         * @param details The arc details.
+         * @param fromCoordinates The coordinates to start from.
+         * @param toCoordinates The coordinates to end at.
+         * @returns The swept angle, in degrees from 0 to 360.
+         */
+        static calculateSweepAngle(details, fromCoordinates, toCoordinates) {
+            const center = ArcDetails.getCenter(details);
+            const fromRadial = Avionics.Utils.computeGreatCircleHeading(center, fromCoordinates);
+            const toRadial = Avionics.Utils.computeGreatCircleHeading(center, toCoordinates);
+            const sweep = details.turnDirection === exports.ArcTurnDirection.Right ? toRadial - fromRadial : fromRadial - toRadial;
+            return Avionics.Utils.fmod(sweep, 360);
+        }
+        /**
+         * Calculates the length of the arc flown from a point on the arc to the end fix.
+         * @param details The arc details.
+         * @param fromCoordinates The coordinates to start from.
+         * @param toCoordinates The coordinates of the end fix.
+         * @returns The arc length, in NM.
+         */
+        static calculateLength(details, fromCoordinates, toCoordinates) {
+            return details.radius * ArcDetails.calculateSweepAngle(details, fromCoordinates, toCoordinates) * Avionics.Utils.DEG2RAD;
+        }
+        /**
+         * Checks whether or not a leg start lies on the arc, meaning the arc can be flown from it.
+         * A direct-to or a deleted waypoint leaves the leg starting away from the arc.
+         * @param details The arc details.
+         * @param fromCoordinates The coordinates of the leg start.
+         * @returns True if the leg start lies on the arc.
+         */
+        static startsOnArc(details, fromCoordinates) {
+            const distance = Avionics.Utils.computeGreatCircleDistance(ArcDetails.getCenter(details), fromCoordinates);
+            return Math.abs(distance - details.radius) <= ArcDetails.START_TOLERANCE;
+        }
+    }
+    /** The distance in NM the leg start may be off the arc radius for the arc to be flown. */
+    ArcDetails.START_TOLERANCE = 0.5;
+    /** The direction of an arc leg turn. */
+    exports.ArcTurnDirection = void 0;
+    (function (ArcTurnDirection) {
+        /** A clockwise turn around the arc center. */
+        ArcTurnDirection[ArcTurnDirection["Right"] = 0] = "Right";
+        /** A counter-clockwise turn around the arc center. */
+        ArcTurnDirection[ArcTurnDirection["Left"] = 1] = "Left";
+    })(exports.ArcTurnDirection || (exports.ArcTurnDirection = {}));
+
+    /**
+     * Details of a 45°/180° procedure turn course reversal flown from a fix.
+     */
+    class ProcedureTurnDetails {
+        /**
+         * Creates a set of procedure turn details.
+         * @param course The magnetic course of the 45° procedure turn leg.
+         * @param magneticVariation The magnetic variation at the procedure turn fix.
+         * @param turnDirection The direction of the 180° reversal turn.
+         * @param limitDistance The distance from the fix the procedure turn must remain within, in NM.
+         * @returns A new set of procedure turn details.
+         */
+        static create(course, magneticVariation, turnDirection, limitDistance) {
+            const details = new ProcedureTurnDetails();
+            details.course = course;
+            details.courseTrue = Avionics.Utils.fmod(course + magneticVariation, 360);
+            details.turnDirection = turnDirection;
+            //The 45° leg turns away from the outbound course on the opposite side to the reversal turn
+            const outboundOffset = turnDirection === exports.ArcTurnDirection.Right ? 45 : -45;
+            details.outboundCourseTrue = Avionics.Utils.fmod(details.courseTrue + outboundOffset, 360);
+            details.limitDistance = limitDistance > 0 ? limitDistance : ProcedureTurnDetails.DEFAULT_LIMIT_DISTANCE;
+            details.legTime = 60;
+            details.speed = ProcedureTurnDetails.SPEED;
+            return details;
+        }
+    }
+    /** The ground speed in knots the procedure turn geometry is built for. */
+    ProcedureTurnDetails.SPEED = 200;
+    /** The distance in NM to remain within when the procedure does not publish one. */
+    ProcedureTurnDetails.DEFAULT_LIMIT_DISTANCE = 10;
+
     /**
      * A class for mapping raw facility data to WayPoints.
      */
@@ -1205,6 +1311,9 @@
                 if (this.isIcaoValid(leg.originIcao)) {
                     this._facilitiesToLoad.set(leg.originIcao, this._instrument.facilityLoader.getFacilityRaw(leg.originIcao, 2000));
                 }
+                if (leg.arcCenterFixIcao && this.isIcaoValid(leg.arcCenterFixIcao)) {
+                    this._facilitiesToLoad.set(leg.arcCenterFixIcao, this._instrument.facilityLoader.getFacilityRaw(leg.arcCenterFixIcao, 2000));
+                }
             }
         }
         /**
@@ -1293,8 +1402,16 @@
                                         }
                                     }
                                     break;
-                                case 7:
+                                case 1:
+                                    mappedLeg = this.mapDmeArc(currentLeg, this._previousFix);
+                                    break;
+                                case 16:
+                                    mappedLeg = this.mapProcedureTurn(currentLeg, this._previousFix);
+                                    break;
                                 case 17:
+                                    mappedLeg = this.mapRadiusToFix(currentLeg, this._previousFix);
+                                    break;
+                                case 7:
                                 case 18:
                                     mappedLeg = this.mapExactFix(currentLeg, this._previousFix);
                                     break;
@@ -1503,6 +1620,75 @@
                 return this.buildWaypoint(`${originIdent}${Math.trunc(leg.rho / 1852)}`, coordinates);
             }
         }
+        /**
+         * Maps a DME arc leg in the procedure, flown around the origin navaid to the leg fix.
+         * @param leg The procedure leg to map.
+         * @param prevLeg The previous mapped leg in the procedure.
+         * @returns The mapped leg.
+         */
+        mapDmeArc(leg, prevLeg) {
+            const waypoint = this.mapExactFix(leg, prevLeg);
+            const origin = this._facilities.get(leg.originIcao);
+            if (origin) {
+                waypoint.arc = ArcDetails.create(new LatLongAlt(origin.lat, origin.lon), waypoint.infos.coordinates, this.getArcTurnDirection(leg, origin, prevLeg, waypoint));
+            }
+            return waypoint;
+        }
+        /**
+         * Maps a radius to fix leg in the procedure, flown around the arc center fix to the leg fix.
+         * @param leg The procedure leg to map.
+         * @param prevLeg The previous mapped leg in the procedure.
+         * @returns The mapped leg.
+         */
+        mapRadiusToFix(leg, prevLeg) {
+            const waypoint = this.mapExactFix(leg, prevLeg);
+            const center = this._facilities.get(leg.arcCenterFixIcao);
+            if (center) {
+                waypoint.arc = ArcDetails.create(new LatLongAlt(center.lat, center.lon), waypoint.infos.coordinates, this.getArcTurnDirection(leg, center, prevLeg, waypoint));
+            }
+            return waypoint;
+        }
+        /**
+         * Maps a procedure turn leg in the procedure, a course reversal flown from the leg fix.
+         * @param leg The procedure leg to map.
+         * @param prevLeg The previous mapped leg in the procedure.
+         * @returns The mapped leg.
+         */
+        mapProcedureTurn(leg, prevLeg) {
+            const waypoint = this.mapExactFix(leg, prevLeg);
+            const magneticVariation = GeoMath.getMagvar(waypoint.infos.coordinates.lat, waypoint.infos.coordinates.long);
+            const turnDirection = leg.turnDirection === 1 ? exports.ArcTurnDirection.Left : exports.ArcTurnDirection.Right;
+            waypoint.hasProcedureTurn = true;
+            waypoint.procedureTurnDetails = ProcedureTurnDetails.create(leg.course, magneticVariation, turnDirection, leg.distance / 1852);
+            return waypoint;
+        }
+        /**
+         * Gets the turn direction of an arc leg, taking the shorter way around when the leg has none,
+         * or turning right when there is no previous leg to start from.
+         * @param leg The procedure leg.
+         * @param center The arc center facility.
+         * @param prevLeg The previous mapped leg, where the arc starts.
+         * @param waypoint The mapped arc end waypoint.
+         * @returns The arc turn direction.
+         */
+        getArcTurnDirection(leg, center, prevLeg, waypoint) {
+            switch (leg.turnDirection) {
+                case 1:
+                    return exports.ArcTurnDirection.Left;
+                case 2:
+                    return exports.ArcTurnDirection.Right;
+                default:
+                    {
+                        if (!prevLeg) {
+                            return exports.ArcTurnDirection.Right;
+                        }
+                        const centerCoordinates = new LatLongAlt(center.lat, center.lon);
+                        const startRadial = Avionics.Utils.computeGreatCircleHeading(centerCoordinates, prevLeg.infos.coordinates);
+                        const endRadial = Avionics.Utils.computeGreatCircleHeading(centerCoordinates, waypoint.infos.coordinates);
+                        return Avionics.Utils.diffAngle(startRadial, endRadial) >= 0 ? exports.ArcTurnDirection.Right : exports.ArcTurnDirection.Left;
+                    }
+            }
+        }
         /**
          * Maps a hold leg in the procedure.
          * @param leg The procedure leg to map.
@@ -1617,6 +1803,31 @@
         }
     }
 
+    /**
+     * Information about a lateral offset flown parallel to the flight plan route.
+     */
+    class LateralOffset {
+        constructor() {
+            /** Whether or not the lateral offset is active. */
+            this.isActive = false;
+            /** The distance of the offset from the route, in NM. */
+            this.distance = 0;
+            /** The side of the route the offset is flown on. */
+            this.direction = exports.LateralOffsetDirection.Right;
+            /** The ICAO of the waypoint the offset starts at. */
+            this.startIcao = undefined;
+            /** The ICAO of the waypoint the offset ends at, or undefined to offset up to the approach. */
+            this.endIcao = undefined;
+        }
+    }
+    LateralOffset.MAX_DISTANCE = 99;
+
+    exports.LateralOffsetDirection = void 0;
+    (function (LateralOffsetDirection) {
+        LateralOffsetDirection[LateralOffsetDirection["Right"] = 0] = "Right";
+        LateralOffsetDirection[LateralOffsetDirection["Left"] = 1] = "Left";
+    })(exports.LateralOffsetDirection || (exports.LateralOffsetDirection = {}));
+
     /**
      * A flight plan managed by the FlightPlanManager.
      */
@@ -1630,6 +1841,8 @@
             this.procedureDetails = new ProcedureDetails();
             /** The details of any direct-to procedures on this flight plan. */
             this.directTo = new DirectTo();
+            /** The lateral offset flown on this flight plan. */
+            this.lateralOffset = new LateralOffset();
             /** The current active segments of the flight plan. */
             this._segments = [new FlightPlanSegment(exports.SegmentType.Enroute, 0, [])];
         }
@@ -1709,6 +1922,7 @@
                 this.activeWaypointIndex = 0;
                 this.procedureDetails = new ProcedureDetails();
                 this.directTo = new DirectTo();
+                this.lateralOffset = new LateralOffset();
                 //await GPS.clearPlan();
                 this._segments = [new FlightPlanSegment(exports.SegmentType.Enroute, 0, [])];
             });
@@ -1919,7 +2133,12 @@
                     const trueCourseToWaypoint = Avionics.Utils.computeGreatCircleHeading(prevWaypoint.infos.coordinates, referenceWaypoint.infos.coordinates);
                     referenceWaypoint.bearingInFP = trueCourseToWaypoint - GeoMath.getMagvar(prevWaypoint.infos.coordinates.lat, prevWaypoint.infos.coordinates.long);
                     referenceWaypoint.bearingInFP = referenceWaypoint.bearingInFP < 0 ? 360 + referenceWaypoint.bearingInFP : referenceWaypoint.bearingInFP;
-                    referenceWaypoint.distanceInFP = Avionics.Utils.computeGreatCircleDistance(prevWaypoint.infos.coordinates, referenceWaypoint.infos.coordinates);
+                    if (referenceWaypoint.arc && ArcDetails.startsOnArc(referenceWaypoint.arc, prevWaypoint.infos.coordinates)) {
+                        referenceWaypoint.distanceInFP = ArcDetails.calculateLength(referenceWaypoint.arc, prevWaypoint.infos.coordinates, referenceWaypoint.infos.coordinates);
+                    }
+                    else {
+                        referenceWaypoint.distanceInFP = Avionics.Utils.computeGreatCircleDistance(prevWaypoint.infos.coordinates, referenceWaypoint.infos.coordinates);
+                    }
                     cumulativeDistance += referenceWaypoint.distanceInFP;
                     referenceWaypoint.cumulativeDistanceInFP = cumulativeDistance;
                 }
@@ -1947,6 +2166,9 @@
                 isRunway: waypoint.isRunway,
                 hasHold: waypoint.hasHold,
                 holdDetails: waypoint.holdDetails,
+                arc: waypoint.arc,
+                hasProcedureTurn: waypoint.hasProcedureTurn,
+                procedureTurnDetails: waypoint.procedureTurnDetails,
                 infos: {
                     icao: waypoint.infos.icao,
                     ident: waypoint.infos.ident,
@@ -1975,6 +2197,7 @@
             planCopy.procedureDetails = Object.assign({}, this.procedureDetails);
             planCopy.directTo = Object.assign({}, this.directTo);
             planCopy.directTo.interceptPoints = (_a = planCopy.directTo.interceptPoints) === null || _a === void 0 ? void 0 : _a.map(w => copyWaypoint(w));
+            planCopy.lateralOffset = Object.assign({}, this.lateralOffset);
             const copySegments = [];
             for (const segment of this._segments) {
                 const copySegment = new FlightPlanSegment(segment.type, segment.offset, []);
@@ -2002,6 +2225,7 @@
             newFlightPlan.procedureDetails = Object.assign(new ProcedureDetails(), this.procedureDetails);
             newFlightPlan.directTo = Object.assign(new DirectTo(), this.directTo);
             newFlightPlan.directTo.interceptPoints = this.directTo.interceptPoints !== undefined ? [...this.directTo.interceptPoints] : undefined;
+            newFlightPlan.lateralOffset = Object.assign(new LateralOffset(), this.lateralOffset);
             return newFlightPlan;
         }
         /**
@@ -2062,6 +2286,79 @@
             }
             */
         }
+        /**
+         * Gets the range of waypoint indexes the lateral offset is flown between.
+         * @returns The start and end waypoint indexes of the offset, or undefined if no offset is being flown.
+         */
+        getLateralOffsetRange() {
+            if (!this.lateralOffset.isActive) {
+                return undefined;
+            }
+            const waypoints = this.waypoints;
+            const startIndex = waypoints.findIndex(w => w.icao === this.lateralOffset.startIcao);
+            if (startIndex < 0) {
+                return undefined;
+            }
+            let endIndex = this.approach !== FlightPlanSegment.Empty ? this.approach.offset - 1 : this.length - (this.hasDestination ? 2 : 1);
+            if (this.lateralOffset.endIcao !== undefined) {
+                const offsetEndIndex = waypoints.findIndex((w, i) => i > startIndex && w.icao === this.lateralOffset.endIcao);
+                if (offsetEndIndex < 0) {
+                    return undefined;
+                }
+                endIndex = offsetEndIndex;
+            }
+            //An offset cannot be flown across a discontinuity
+            for (let i = startIndex; i < endIndex; i++) {
+                if (waypoints[i].endsInDiscontinuity) {
+                    endIndex = i;
+                    break;
+                }
+            }
+            if (endIndex <= startIndex || this.activeWaypointIndex > endIndex) {
+                return undefined;
+            }
+            return { startIndex, endIndex };
+        }
+        /**
+         * Gets the offset path flown in place of a flight plan leg while a lateral offset is active. The first leg
+         * of the offset leaves the start waypoint at 45 degrees and the last leg rejoins the route at the end waypoint.
+         * @param index The index of the waypoint that ends the leg.
+         * @returns The coordinates of the offset path for the leg, or undefined if the leg is not offset.
+         */
+        getLateralOffsetLegPath(index) {
+            const range = this.getLateralOffsetRange();
+            if (range === undefined || index <= range.startIndex || index > range.endIndex) {
+                return undefined;
+            }
+            const side = this.lateralOffset.direction === exports.LateralOffsetDirection.Left ? -1 : 1;
+            const distance = this.lateralOffset.distance;
+            const coordinatesAt = (i) => this.getWaypoint(i).infos.coordinates;
+            const shift = (coords, course, shiftDistance = distance) => Avionics.Utils.bearingDistanceToCoordinates(Avionics.Utils.fmod(course + (side * 90), 360), shiftDistance, coords.lat, coords.long);
+            const legStart = coordinatesAt(index - 1);
+            const legEnd = coordinatesAt(index);
+            const transitionDistance = Math.min(distance, Avionics.Utils.computeGreatCircleDistance(legStart, legEnd) / 2);
+            const path = [];
+            if (index - 1 === range.startIndex) {
+                const startCourse = Avionics.Utils.computeGreatCircleHeading(legStart, legEnd);
+                const joinPoint = Avionics.Utils.bearingDistanceToCoordinates(startCourse, transitionDistance, legStart.lat, legStart.long);
+                path.push(legStart, shift(joinPoint, startCourse));
+            }
+            else {
+                const inboundCourse = Avionics.Utils.fmod(Avionics.Utils.computeGreatCircleHeading(legStart, coordinatesAt(index - 2)) + 180, 360);
+                const halfTurn = Avionics.Utils.diffAngle(inboundCourse, Avionics.Utils.computeGreatCircleHeading(legStart, legEnd)) / 2;
+                path.push(shift(legStart, inboundCourse + halfTurn, distance / Math.max(Math.cos(halfTurn * Avionics.Utils.DEG2RAD), 0.5)));
+            }
+            const endCourse = Avionics.Utils.fmod(Avionics.Utils.computeGreatCircleHeading(legEnd, legStart) + 180, 360);
+            if (index === range.endIndex) {
+                const exitPoint = Avionics.Utils.bearingDistanceToCoordinates(endCourse + 180, transitionDistance, legEnd.lat, legEnd.long);
+                path.push(shift(exitPoint, endCourse), legEnd);
+            }
+            else {
+                const halfTurn = Avionics.Utils.diffAngle(endCourse, Avionics.Utils.computeGreatCircleHeading(legEnd, coordinatesAt(index + 1))) / 2;
+                path.push(shift(legEnd, endCourse + halfTurn, distance / Math.max(Math.cos(halfTurn * Avionics.Utils.DEG2RAD), 0.5)));
+            }
+            return path;
+        }
         /**
          * Builds a departure into the flight plan from indexes in the departure airport information.
          */
@@ -2351,6 +2648,7 @@
             const plan = Object.assign(new ManagedFlightPlan(), flightPlanObject);
             plan.setParentInstrument(parentInstrument);
             plan.directTo = Object.assign(new DirectTo(), plan.directTo);
+            plan.lateralOffset = Object.assign(new LateralOffset(), plan.lateralOffset);
             const mapObject = (obj, parentType) => {
                 if (obj && obj.infos) {
                     obj = Object.assign(new WayPoint(parentInstrument), obj);
@@ -2581,6 +2879,19 @@
                 callback();
             });
         }
+        /**
+         * Loads a serialized flight plan into the flight plan at the specified index.
+         * @param index The index to load the flight plan into.
+         * @param flightPlanObject The flight plan, as produced by ManagedFlightPlan.serialize.
+         * @param callback A callback to call when the operation has completed.
+         */
+        loadFlightPlanInto(index, flightPlanObject, callback = EmptyCallback.Void) {
+            return __awaiter(this, void 0, void 0, function* () {
+                this._flightPlans[index] = ManagedFlightPlan.fromObject(flightPlanObject, this._parentInstrument);
+                this._updateFlightPlanVersion();
+                callback();
+            });
+        }
         /**
          * Clears the currently active flight plan.
          * @param callback A callback to call when the operation has completed.
@@ -3611,6 +3922,33 @@
         }
         getCoordinatesHeadingAtDistanceAlongFlightPlan(distance) {
         }
+        /**
+         * Gets the lateral offset of the current flight plan.
+         * @returns {LateralOffset} The lateral offset.
+         */
+        getLateralOffset() {
+            return this._flightPlans[this._currentFlightPlanIndex].lateralOffset;
+        }
+        /**
+         * Sets the lateral offset of the current flight plan.
+         * @param {LateralOffset} offset The lateral offset to fly.
+         * @param callback A callback to call when the operation completes.
+         */
+        setLateralOffset(offset, callback = EmptyCallback.Void) {
+            const currentFlightPlan = this._flightPlans[this._currentFlightPlanIndex];
+            currentFlightPlan.lateralOffset = Object.assign(new LateralOffset(), offset);
+            this._updateFlightPlanVersion();
+            callback();
+        }
+        /**
+         * Clears the lateral offset of the current flight plan, returning to the route.
+         * @param callback A callback to call when the operation completes.
+         */
+        clearLateralOffset(callback = EmptyCallback.Void) {
+            this._flightPlans[this._currentFlightPlanIndex].lateralOffset = new LateralOffset();
+            this._updateFlightPlanVersion();
+            callback();
+        }
         /**
          * Adds a hold at the specified waypoint index in the flight plan.
          * @param index The waypoint index to hold at.
@@ -4216,6 +4554,7 @@
         }
     }
 
+    exports.ArcDetails = ArcDetails;
     exports.CJ4_FMC_PilotWaypointParser = CJ4_FMC_PilotWaypointParser;
     exports.CJ4_MapSymbols = CJ4_MapSymbols;
     exports.CJ4_SpeedObserver = CJ4_SpeedObserver;
@@ -4226,8 +4565,10 @@
     exports.GPS = GPS;
     exports.GeoMath = GeoMath;
     exports.HoldDetails = HoldDetails;
+    exports.LateralOffset = LateralOffset;
     exports.ManagedFlightPlan = ManagedFlightPlan;
     exports.ProcedureDetails = ProcedureDetails;
+    exports.ProcedureTurnDetails = ProcedureTurnDetails;
     exports.SaltyModules = SaltyModules;
     exports.SoundManager = SoundManager;
     exports.WaypointBuilder = WaypointBuilder;
@@ -128,6 +128,24 @@ class B747_8_EICAS extends Airliners.BaseEICAS {
                 displayListAnnunc(this.annunciations.displayMemo, Airliners.EICAS_INFO_PANEL_MESSAGE_STYLE.MEMO);
 
             }
+            this.publishAnnunciations();
+        }
+    }
+
+    /* Shares the active warnings and cautions with the CMC fault log */
+    publishAnnunciations() {
+        let messages = [];
+        if (this.warnings && this.warnings.getCurrentWarningLevel() >= 3 && this.warnings.getCurrentWarningText()) {
+            messages.push({ text: this.warnings.getCurrentWarningText(), level: this.warnings.getCurrentWarningLevel() === 4 ? "WARNING" : "CAUTION" });
+        }
+        if (this.annunciations) {
+            messages.push(...this.annunciations.displayWarning.map((annunciation) => ({ text: annunciation.Text, level: "WARNING" })));
+            messages.push(...this.annunciations.displayCaution.map((annunciation) => ({ text: annunciation.Text, level: "CAUTION" })));
+        }
+        let value = JSON.stringify(messages);
+        if (value !== this.publishedAnnunciations) {
+            this.publishedAnnunciations = value;
+            localStorage.setItem("SALTY_EICAS_MESSAGES", value);
         }
     }
 
@@ -13,7 +13,9 @@ var Boeing;
             let alt = Simplane.getAltitude();
             let thrRedAlt = SimVar.GetSimVarValue("L:AIRLINER_THR_RED_ALT", "number");
 
-            if (phase <= FlightPhase.FLIGHT_PHASE_CLIMB)
+            if (phase <= FlightPhase.FLIGHT_PHASE_CLIMB && SimVar.GetSimVarValue("L:SALTY_QCLB_STATE", "number") === 2)
+                text = `Q-CLB`;
+            else if (phase <= FlightPhase.FLIGHT_PHASE_CLIMB)
                 text = `${(alt <= thrRedAlt && phase <= FlightPhase.FLIGHT_PHASE_TAKEOFF) ? "TO" :  "CLB"}${(mode == 1 || mode == 2) ? " - " + mode : ""}`;
             else if (phase <= FlightPhase.FLIGHT_PHASE_CRUISE)
                 text = `CRZ`;
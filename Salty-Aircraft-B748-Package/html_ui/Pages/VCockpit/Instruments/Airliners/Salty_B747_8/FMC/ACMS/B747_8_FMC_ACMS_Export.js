@@ -0,0 +1,42 @@
+class FMC_ACMS_Export {
+    static ShowPage(fmc, csv, page = 0) {
+        fmc.activeSystem = "ACMS";
+        fmc.clearDisplay();
+
+        /* CSV rows are wider than the display, so each row wraps onto as many lines as it needs */
+        const lines = [];
+        for (const row of csv.split("\n")) {
+            for (let i = 0; i < row.length; i += 24) {
+                lines.push(row.substring(i, i + 24));
+            }
+        }
+        const pagesCount = Math.max(1, Math.ceil(lines.length / 10));
+        page = Math.min(page, pagesCount - 1);
+
+        const rows = [];
+        for (let i = 0; i < 10; i++) {
+            const text = lines[page * 10 + i];
+            rows.push([text ? `{small}${text}` : ""]);
+        }
+
+        fmc.setTemplate([
+            ["ACMS EXPORT", `${page + 1}`, `${pagesCount}`],
+            ...rows,
+            ["", "", "__FMCSEPARATOR"],
+            ["<ACMS MENU", ""]
+        ]);
+
+        if (pagesCount > 1) {
+            fmc.onPrevPage = () => {
+                FMC_ACMS_Export.ShowPage(fmc, csv, page > 0 ? page - 1 : pagesCount - 1);
+            };
+            fmc.onNextPage = () => {
+                FMC_ACMS_Export.ShowPage(fmc, csv, page < pagesCount - 1 ? page + 1 : 0);
+            };
+        }
+
+        fmc.onLeftInput[5] = () => {
+            FMC_ACMS_Index.ShowPage(fmc);
+        }
+    }
+}
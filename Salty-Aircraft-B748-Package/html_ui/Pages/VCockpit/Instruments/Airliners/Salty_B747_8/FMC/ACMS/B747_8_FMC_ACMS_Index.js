@@ -1,30 +1,67 @@
-class FMC_SAT_Index {
-    static ShowPage(fmc, store = {"printCell": "PRINT LOG"}) {
-        fmc.activeSystem = "SAT";
+class FMC_ACMS_Index {
+    static ShowPage(fmc, store = {"snapshotCell": "SNAPSHOT"}) {
+        fmc.activeSystem = "ACMS";
         fmc.clearDisplay();
-        
+        const acms = fmc.SaltyBase.acms;
+
         const updateView = () => {
-            store.printCell = store.printCell;
             fmc.setTemplate([
-                ["ATC INDEX"],
+                ["ACMS MENU"],
+                ["", "MANUAL"],
+                ["<ENGINE SNAPSHOTS", `${store.snapshotCell}>`],
                 ["", ""],
-                ["<EMERGENCY", "POS REPORT>"],
+                ["<TAKEOFF REPORTS", ""],
                 ["", ""],
-                ["<REQUEST", "WHEN CAN WE>"],
+                ["<CRUISE REPORTS", ""],
                 ["", ""],
-                ["<REPORT", "FREE TEXT>"],
+                ["<EXCEEDANCES", ""],
                 ["", ""],
-                ["<LOG", "CLEARANCE>"],
                 ["", ""],
-                ["<LOGON/STATUS", "VOICE>"],
                 ["", "", "__FMCSEPARATOR"],
-                [`<${store.printCell}`, ""]
+                ["<MENU", "EXPORT CSV>"]
             ]);
         }
         updateView();
-        
+
+        /* Shows a status in place of a prompt for a moment */
+        const flash = (cell, text, restore) => {
+            store[cell] = text;
+            updateView();
+            setTimeout(() => {
+                store[cell] = restore;
+                if (fmc.getTitle() === "ACMS MENU") {
+                    updateView();
+                }
+            }, 2000);
+        };
+
+        fmc.onLeftInput[0] = () => {
+            FMC_ACMS_Reports.ShowPage(fmc, "SNAPSHOT");
+        }
+
+        fmc.onLeftInput[1] = () => {
+            FMC_ACMS_Reports.ShowPage(fmc, "TAKEOFF");
+        }
+
+        fmc.onLeftInput[2] = () => {
+            FMC_ACMS_Reports.ShowPage(fmc, "CRUISE");
+        }
+
+        fmc.onLeftInput[3] = () => {
+            FMC_ACMS_Reports.ShowPage(fmc, "EXCEED");
+        }
+
+        fmc.onRightInput[0] = () => {
+            acms.takeSnapshot();
+            flash("snapshotCell", "CAPTURED", "SNAPSHOT");
+        }
+
         fmc.onLeftInput[5] = () => {
             FMC_Menu.ShowPage(fmc);
         }
+
+        fmc.onRightInput[5] = () => {
+            FMC_ACMS_Export.ShowPage(fmc, acms.exportCsv());
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,27 @@
+class FMC_ACMS_Report {
+    static ShowPage(fmc, report, onReturn) {
+        fmc.activeSystem = "ACMS";
+        fmc.clearDisplay();
+
+        const engineRows = report.engines.map((engine, index) => {
+            return [`${index + 1}${engine.n1.toFixed(1).padStart(6, "\xa0")}${engine.n2.toFixed(1).padStart(6, "\xa0")}${engine.egt.toFixed(0).padStart(5, "\xa0")}${engine.ff.toFixed(0).padStart(6, "\xa0")}`];
+        });
+
+        fmc.setTemplate([
+            [report.type === "EXCEED" ? "EXCEEDANCE" : `${report.type} REPORT`],
+            [`${report.date} ${report.time}Z`, report.phase],
+            [report.label, report.value],
+            ["\xa0ALT", "TAT", "MACH"],
+            [`${report.altitude}FT`, `${report.tat}°C`, `.${Math.round(report.mach * 1000).toString().padStart(3, "0")}`],
+            ["\xa0\xa0\xa0\xa0\xa0N1\xa0\xa0\xa0\xa0N2\xa0\xa0EGT\xa0\xa0KG/H"],
+            ...engineRows,
+            ["", ""],
+            ["", "", "__FMCSEPARATOR"],
+            ["<RETURN", ""]
+        ]);
+
+        fmc.onLeftInput[5] = () => {
+            onReturn();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,70 @@
+class FMC_ACMS_Reports {
+    static ShowPage(fmc, type, page = 0) {
+        fmc.activeSystem = "ACMS";
+        fmc.clearDisplay();
+        const acms = fmc.SaltyBase.acms;
+
+        const titles = {
+            "SNAPSHOT": "ENGINE SNAPSHOTS",
+            "TAKEOFF": "TAKEOFF REPORTS",
+            "CRUISE": "CRUISE REPORTS",
+            "EXCEED": "EXCEEDANCES"
+        };
+        const reports = acms.getReports(type);
+        const pagesCount = Math.max(1, Math.ceil(reports.length / 5));
+        page = Math.min(page, pagesCount - 1);
+        const entries = reports.slice(page * 5, page * 5 + 5);
+
+        const getSummary = (report) => {
+            if (report.type === "EXCEED") {
+                return `${report.label} ${report.value}`;
+            }
+            const n1 = report.engines.reduce((sum, engine) => sum + engine.n1, 0) / report.engines.length;
+            return `${report.label} N1 ${n1.toFixed(1)}`;
+        };
+
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const report = entries[i];
+            if (report) {
+                rows.push([`${report.date} ${report.time}Z`, report.phase]);
+                rows.push([getSummary(report), ">"]);
+            } else {
+                rows.push(["", ""]);
+                rows.push([i === 0 && page === 0 ? "NO REPORTS" : "", ""]);
+            }
+        }
+
+        fmc.setTemplate([
+            [titles[type], `${page + 1}`, `${pagesCount}`],
+            ...rows,
+            ["", "", "__FMCSEPARATOR"],
+            ["<ACMS MENU", ""]
+        ]);
+
+        fmc.pageUpdate = () => {
+            if (acms.getReports(type).length !== reports.length) {
+                FMC_ACMS_Reports.ShowPage(fmc, type, page);
+            }
+        };
+
+        if (pagesCount > 1) {
+            fmc.onPrevPage = () => {
+                FMC_ACMS_Reports.ShowPage(fmc, type, page > 0 ? page - 1 : pagesCount - 1);
+            };
+            fmc.onNextPage = () => {
+                FMC_ACMS_Reports.ShowPage(fmc, type, page < pagesCount - 1 ? page + 1 : 0);
+            };
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            fmc.onRightInput[i] = () => {
+                FMC_ACMS_Report.ShowPage(fmc, entries[i], () => FMC_ACMS_Reports.ShowPage(fmc, type, page));
+            };
+        }
+
+        fmc.onLeftInput[5] = () => {
+            FMC_ACMS_Index.ShowPage(fmc);
+        }
+    }
+}
\ No newline at end of file
@@ -157,20 +157,26 @@ class FMC_ATC_EmergencyReport {
         fmc.onRightInput[5] = () => {
             const title = "EMERGENCY";
             const lines = [];
+            const elements = [];
             if (store.emergType === 1) {
                 lines.push("\xa0MAYDAY MAYDAY MAYDAY");
+                elements.push({ ref: "DM56", args: [] });
             } else if (store.emergType === 2) {
                 lines.push("\xa0PAN PAN PAN");
+                elements.push({ ref: "DM55", args: [] });
             }
             if (store.descend != "") {
                 lines.push("\xa0DESCENDING TO " + store.descend + "FT");
+                elements.push({ ref: "DM30", args: [store.descend + "FT"] });
             }
             if (store.divert != "") {
                 lines.push("\xa0DIRECT TO " + store.divert + "");
+                elements.push({ ref: "DM59", args: [store.divert, "DIRECT"] });
             }
             lines.push("\xa0" + store.fuelTime + " OF FUEL REMAINING");
             lines.push("\xa0AND " + store.sob + " SOULS ON BOARD.");
-            FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines);
+            elements.push({ ref: "DM57", args: [store.fuelTime, store.sob] });
+            FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines, elements);
         }
     }
 }
\ No newline at end of file
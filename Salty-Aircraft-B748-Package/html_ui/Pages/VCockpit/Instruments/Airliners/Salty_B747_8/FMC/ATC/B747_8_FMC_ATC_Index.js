@@ -66,15 +66,15 @@ class FMC_ATC_Index {
             }
             
             fmc.onRightInput[3] = () => {
-                FMC_ATC_VerifyRequest.ShowPage(fmc, "CLEARANCE", lines = []);
+                FMC_ATC_VerifyRequest.ShowPage(fmc, "CLEARANCE", ["\xa0REQUEST CLEARANCE"], [{ ref: "DM25", args: [] }]);
             }
             
             fmc.onRightInput[4] = () => {
-                FMC_ATC_VerifyRequest.ShowPage(fmc, "VOICE", lines = []);
+                FMC_ATC_VerifyRequest.ShowPage(fmc, "VOICE", ["\xa0REQUEST VOICE CONTACT"], [{ ref: "DM20", args: [] }]);
             }
             
         } else if (fmc.atcComm.estab && fmc.atcComm.uplinkPeding) {
-            FMC_ATC_Log.ShowPage(fmc);
+            FMC_ATC_Message.ShowPage(fmc, fmc.getPendingAtcUplink());
         } else if (!fmc.atcComm.estab) {
             FMC_ATC_LogonStatus.ShowPage(fmc);
         }
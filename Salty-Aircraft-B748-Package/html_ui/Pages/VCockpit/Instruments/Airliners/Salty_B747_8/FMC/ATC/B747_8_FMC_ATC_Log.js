@@ -1,30 +1,68 @@
 class FMC_ATC_Log {
-    static ShowPage(fmc) {
+    static ShowPage(fmc, page = 0) {
         fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
 
-        for (const msg of fmc.messages) {
-            console.log(msg);
+        const log = fmc.getAtcLog();
+        const pagesCount = Math.max(1, Math.ceil(log.length / 5));
+        page = Math.min(page, pagesCount - 1);
+        const entries = log.slice(page * 5, page * 5 + 5);
+
+        const getStatus = (message) => {
+            if (message["type"] === "ATC DOWNLINK") {
+                return message["status"];
+            }
+            return !message["opened"] || fmc.isAtcMessageOpen(message) ? "OPEN" : "OLD";
+        };
+        const getSummary = (message) => {
+            const arrow = message["type"] === "ATC DOWNLINK" ? "↓" : "↑";
+            const text = message["content"].join(" ");
+            return `${arrow} ${text.length > 20 ? text.substring(0, 20) + ".." : text}`;
+        };
+
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const message = entries[i];
+            if (message) {
+                rows.push([`${message["time"]}Z`, getStatus(message)]);
+                rows.push([getSummary(message), ">"]);
+            } else {
+                rows.push(["", ""]);
+                rows.push([i === 0 && page === 0 ? "NO MESSAGES" : "", ""]);
+            }
         }
 
         fmc.setTemplate([
-            ["ATC LOG", "1", "2"],
-            ["1658Z", "OPEN"],
-            ["↑ CLIMB TO AND MAINTA..", ">"],
-            ["1648Z", "RESPONSE RCVD"],
-            ["↓ REQUEST CLIMB TO FL", ">"],
-            ["1630Z", "RESPONSE RCVD"],
-            ["↓ REQUEST CLIMB TO FL..", ">"],
-            ["1619Z", "SENT"],
-            ["↓ PRESENT POSITION N4..", ">"],
-            ["1618Z", "OLD"],
-            ["↑ CONFIRM POSITION", ">"],
+            ["ATC LOG", `${page + 1}`, `${pagesCount}`],
+            ...rows,
             ["", "", "__FMCSEPARATOR"],
-            ["<ATC INDEX", "ERASE LOG>"]
+            ["<ATC INDEX", log.length > 0 ? "ERASE LOG>" : ""]
         ]);
 
+        if (pagesCount > 1) {
+            fmc.onPrevPage = () => {
+                FMC_ATC_Log.ShowPage(fmc, page > 0 ? page - 1 : pagesCount - 1);
+            };
+            fmc.onNextPage = () => {
+                FMC_ATC_Log.ShowPage(fmc, page < pagesCount - 1 ? page + 1 : 0);
+            };
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            fmc.onRightInput[i] = () => {
+                FMC_ATC_Message.ShowPage(fmc, entries[i]);
+            };
+        }
+
         fmc.onLeftInput[5] = () => {
             FMC_ATC_Index.ShowPage(fmc);
         }
+
+        fmc.onRightInput[5] = () => {
+            if (log.length > 0) {
+                fmc.eraseAtcLog();
+                FMC_ATC_Log.ShowPage(fmc);
+            }
+        }
     }
 }
\ No newline at end of file
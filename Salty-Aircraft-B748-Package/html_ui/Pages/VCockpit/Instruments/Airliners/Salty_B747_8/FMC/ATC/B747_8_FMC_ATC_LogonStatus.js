@@ -19,14 +19,30 @@ class FMC_ATC_LogonStatus {
         let originCell = fmc.flightPlanManager.getOrigin() ? fmc.flightPlanManager.getOrigin().ident : "----";
         let destinationCell = fmc.flightPlanManager.getDestination() ? fmc.flightPlanManager.getDestination().ident : "----";
         let regCell = SimVar.GetSimVarValue("ATC ID", "string") ? SimVar.GetSimVarValue("ATC ID", "string") : "-------";
-        let logonToCell = "--------";
+        let logonToCell = "□□□□";
         let fltNoCell = "-------";
         let atcCtrCell = "----";
         let nextCtrCell = "----";
         let maxUlDelayCell = "----";
 
-        /* REMOVE AFTER TESTING */
-        /* END REMOVE */
+        if (store.logonTo == "" && fmc.cpdlc.logonTo != "") {
+            store.logonTo = fmc.cpdlc.logonTo;
+        }
+        if (store.maxUlDelay == "") {
+            store.maxUlDelay = fmc.atcComm.maxUlDelay != "" ? fmc.atcComm.maxUlDelay : SaltyDataStore.get("OPTIONS_CPDLC_MAX_UL_DELAY", "");
+        }
+
+        /* Redraw whenever the connection state changes */
+        const shownState = `${fmc.cpdlc.state}/${fmc.cpdlc.currentAuthority}/${fmc.cpdlc.nextAuthority}`;
+        fmc.pageUpdate = () => {
+            if (`${fmc.cpdlc.state}/${fmc.cpdlc.currentAuthority}/${fmc.cpdlc.nextAuthority}` !== shownState) {
+                FMC_ATC_LogonStatus.ShowPage(fmc, store);
+            }
+        };
+
+        const canSend = () => {
+            return store.logonTo != "" && store.fltNo != "" && store.maxUlDelay != "";
+        };
 
         const updateView = () => {
             if (SimVar.GetSimVarValue("ATC FLIGHT NUMBER", "string")) {
@@ -37,29 +53,40 @@ class FMC_ATC_LogonStatus {
                 atcCtrCell = "";
                 store.nextCtrLabel = "";
                 nextCtrCell = "";
+                store.atcCommLabel = "";
+                store.atcCommSelect = "";
             } else {
                 store.actCtr = fmc.atcComm.loggedTo;
                 store.nextCtr = fmc.atcComm.nextCtr != "" ? fmc.atcComm.nextCtr : "----";
+                store.atcCtrLabel = "ATC CTR";
                 store.atcCommLabel = "ATC COMM";
                 store.atcCommSelect = "<SELECT OFF";
                 store.nextCtrLabel = "NEXT CTR";
-                store.dlnkStatus = fmc.atcComm.dlnkStatus;
-                store.maxUlDelay = fmc.atcComm.maxUlDelay;
+            }
+            store.dlnkStatus = fmc.atcComm.dlnkStatus;
+            if (fmc.cpdlc.state === SaltyCPDLC.STATE.LOGON_PENDING || fmc.cpdlc.state === SaltyCPDLC.STATE.CONNECTING) {
+                store.sendLabel = "LOGON";
+                store.sendStatus = "PENDING\xa0";
+            } else if (store.sendStatus === "PENDING\xa0") {
+                store.sendLabel = "";
+                store.sendStatus = "";
+            }
+            if (!store.sendStatus && canSend() && !fmc.atcComm.estab) {
+                store.sendLabel = "LOGON";
+                store.sendStatus = "SEND>";
             }
             if (store.logonTo != "") {
-                logonToCell = store.logonTo
+                logonToCell = store.logonTo;
             }
             if (store.fltNo != "") {
-                fltNoCell = store.fltNo
-            }
-            if (store.at != "") {
-                atcCtrCell = store.actCtr
+                fltNoCell = store.fltNo;
             }
-            if (store.nextCtr != "") {
-                nextCtrCell = store.nextCtr
+            if (fmc.atcComm.estab) {
+                atcCtrCell = store.actCtr;
+                nextCtrCell = store.nextCtr;
             }
             if (store.maxUlDelay != "") {
-                maxUlDelayCell = store.maxUlDelay
+                maxUlDelayCell = store.maxUlDelay;
             }
             fmc.setTemplate([
                 ["ATC LOGON/STATUS", "1", "2"],
@@ -90,31 +117,34 @@ class FMC_ATC_LogonStatus {
         fmc.onLeftInput[0] = () => {
             let value = fmc.inOut;
             fmc.clearUserInput();
-            store.logonTo = value;
-            if (store.logonTo != "" && store.fltNo != "" && fmc.atcComm.maxUlDelay != "") {
-                store.sendLabel = "LOGON";
-                store.sendStatus = "SEND>";
+            if (!/^[A-Z]{4}$/.test(value)) {
+                fmc.showErrorMessage(fmc.defaultInputErrorMessage);
+                return;
             }
+            store.logonTo = value;
+            store.sendStatus = "";
             updateView();
         }
 
         fmc.onLeftInput[3] = () => {
             let value = fmc.inOut;
             fmc.clearUserInput();
+            if (!/^\d{1,3}$/.test(value)) {
+                fmc.showErrorMessage(fmc.defaultInputErrorMessage);
+                return;
+            }
             store.maxUlDelay = value;
             fmc.atcComm.maxUlDelay = value;
-            if (store.logonTo != "" && store.fltNo != "" && fmc.atcComm.maxUlDelay != "") {
-                store.sendLabel = "LOGON";
-                store.sendStatus = "SEND>";
-            }
+            fmc.cpdlc.maxUplinkDelay = parseInt(value);
             updateView();
         }
 
         fmc.onLeftInput[4] = () => {
             if (fmc.atcComm.estab) {
-                fmc.atcComm.estab = false;
+                fmc.cpdlc.logoff();
+                store.sendStatus = "";
             }
-            FMC_ATC_LogonStatus.ShowPage(fmc);
+            FMC_ATC_LogonStatus.ShowPage(fmc, store);
         }
 
         fmc.onLeftInput[5] = () => {
@@ -122,28 +152,35 @@ class FMC_ATC_LogonStatus {
         }
 
         fmc.onRightInput[0] = () => {
-            if (store.logonTo != "" && store.fltNo != "" && fmc.atcComm.maxUlDelay != "") {
+            if (canSend() && store.sendStatus === "SEND>") {
                 store.sendStatus = "SENDING\xa0";
                 updateView();
-                setTimeout(function () {
-                    store.sendStatus = "SENT\xa0";
-                    fmc.atcComm.estab = true;
-                    fmc.atcComm.loggedTo = store.logonTo;
-                    fmc.atcComm.maxUlDelay = store.maxUlDelay;
-                    fmc.atcComm.dlnkStatus = "READY";
-                    updateView();
-                }, fmc.getInsertDelay());
-                setTimeout(function () {
-                    FMC_ATC_Index.ShowPage(fmc)
-                }, fmc.getUplinkDelay());
+                fmc.atcComm.maxUlDelay = store.maxUlDelay;
+                fmc.cpdlc.maxUplinkDelay = parseInt(store.maxUlDelay);
+                fmc.cpdlc.logon(store.logonTo, store.fltNo)
+                    .then(() => {
+                        store.sendStatus = "PENDING\xa0";
+                    })
+                    .catch((err) => {
+                        store.sendStatus = "";
+                        fmc.showErrorMessage(err);
+                    })
+                    .then(() => {
+                        if (fmc.getTitle() === "ATC LOGON/STATUS") {
+                            FMC_ATC_LogonStatus.ShowPage(fmc, store);
+                        }
+                    });
             }
         }
 
         fmc.onRightInput[4] = () => {
             let value = fmc.inOut;
             fmc.clearUserInput();
-            fmc.atcComm.nextCtr = value;
-            updateView();
+            if (!fmc.atcComm.estab || !/^[A-Z]{4}$/.test(value)) {
+                fmc.showErrorMessage(fmc.defaultInputErrorMessage);
+                return;
+            }
+            fmc.cpdlc.setNextAuthority(value);
         }
     }
     
@@ -152,7 +189,7 @@ class FMC_ATC_LogonStatus {
         
         let adsCell = "<OFF ←→ ARM";
         let adsEmergCell = "<OFF ←→ ON";
-        let dlnkStatusCell = store.dlnkStatus ? store.dlnkStatus : "NO COMM";
+        let dlnkStatusCell = fmc.atcComm.dlnkStatus ? fmc.atcComm.dlnkStatus : store.dlnkStatus;
 
         fmc.setTemplate([
             ["ATC LOGON/STATUS", "2", "2"],
@@ -1,30 +1,82 @@
 class FMC_ATC_Message {
-    static ShowPage(fmc) {
+    static ShowPage(fmc, message, offset = 0) {
         fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
+        if (!message["opened"]) {
+            message["opened"] = fetchTimeValue();
+        }
+
+        const lines = message["content"];
+        const isUplink = message["type"] === "ATC UPLINK";
+        const responses = isUplink ? SaltyCPDLC.RESPONSES[message["responseType"]] : undefined;
+        const awaitingResponse = responses && (!message["response"] || message["response"] === "STANDBY");
+        /* Uplinks give up the lower rows to the response prompts, downlinks to their status */
+        const linesPerPage = responses || !isUplink ? 5 : 9;
+        const totalPages = Math.max(1, Math.ceil(lines.length / linesPerPage));
+        const currPage = Math.floor(offset / linesPerPage) + 1;
+        const station = isUplink ? `FROM ${message["from"]}` : `TO ${message["to"]}`;
 
-        for (const msg of fmc.messages) {
-            console.log(msg);
+        const rows = [[`\xa0${message["time"]}Z ${station}`, ""]];
+        for (let i = 0; i < 9; i++) {
+            rows.push([i < linesPerPage && lines[offset + i] ? lines[offset + i] : ""]);
+        }
+        if (awaitingResponse) {
+            rows[7] = [message["response"] !== "STANDBY" && responses.STANDBY ? "<STANDBY" : "", ""];
+            rows[8] = ["", ""];
+            rows[9] = [responses.REJECT ? "<REJECT" : "", "ACCEPT>"];
+        } else if (responses) {
+            rows[8] = ["", "RESPONSE"];
+            rows[9] = ["", `${message["response"]}`];
+        } else if (!isUplink) {
+            rows[8] = ["", "STATUS"];
+            rows[9] = ["", `${message["status"]}`];
         }
 
         fmc.setTemplate([
-            ["ATC LOG", "1", "2"],
-            ["1658Z", "OPEN"],
-            ["↑ CLIMB TO AND MAINTA..", ">"],
-            ["1648Z", "RESPONSE RCVD"],
-            ["↓ REQUEST CLIMB TO FL", ">"],
-            ["1630Z", "RESPONSE RCVD"],
-            ["↓ REQUEST CLIMB TO FL..", ">"],
-            ["1619Z", "SENT"],
-            ["↓ PRESENT POSITION N4..", ">"],
-            ["1618Z", "OLD"],
-            ["↑ CONFIRM POSITION", ">"],
+            [message["type"], `${currPage}`, `${totalPages}`],
+            ...rows,
             ["", "", "__FMCSEPARATOR"],
-            ["<ATC INDEX", "ERASE LOG>"]
+            ["<LOG", ""]
         ]);
 
+        if (totalPages > 1) {
+            fmc.onPrevPage = () => {
+                if (offset > 0) {
+                    FMC_ATC_Message.ShowPage(fmc, message, offset - linesPerPage);
+                }
+            };
+            fmc.onNextPage = () => {
+                if (lines[offset + linesPerPage]) {
+                    FMC_ATC_Message.ShowPage(fmc, message, offset + linesPerPage);
+                }
+            };
+        }
+
+        if (awaitingResponse) {
+            const respond = (response) => {
+                fmc.respondToAtcMessage(message, response).then(() => {
+                    if (fmc.getTitle() === "ATC UPLINK") {
+                        FMC_ATC_Message.ShowPage(fmc, message, offset);
+                    }
+                });
+            };
+            if (message["response"] !== "STANDBY" && responses.STANDBY) {
+                fmc.onLeftInput[3] = () => {
+                    respond("STANDBY");
+                };
+            }
+            if (responses.REJECT) {
+                fmc.onLeftInput[4] = () => {
+                    respond("REJECT");
+                };
+            }
+            fmc.onRightInput[4] = () => {
+                respond("ACCEPT");
+            };
+        }
+
         fmc.onLeftInput[5] = () => {
-            FMC_ATC_Index.ShowPage(fmc);
+            FMC_ATC_Log.ShowPage(fmc);
         }
     }
 }
\ No newline at end of file
@@ -1,5 +1,5 @@
 class FMC_ATC_VerifyReport {
-    static ShowPage(fmc, lines, returnTo) {
+    static ShowPage(fmc, lines, returnTo, elements = []) {
         fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
         
@@ -8,6 +8,8 @@ class FMC_ATC_VerifyReport {
         lines.push("");
         lines.push("<");
 
+        let sendStatus = elements.length > 0 ? "SEND>" : "SEND>[color]inop";
+
         const updateView = () => {
             fmc.setTemplate([
                 [`VERIFY REPORT`],
@@ -20,7 +22,7 @@ class FMC_ATC_VerifyReport {
                 [lines[5] ? lines[5] : ""],
                 [lines[6] ? lines[6] : ""],
                 [lines[7] ? lines[7] : "", "REPORT"],
-                [lines[8] ? lines[8] : "", "SEND>[color]inop"],
+                [lines[8] ? lines[8] : "", `${sendStatus}`],
                 ["", "", "__FMCSEPARATOR"],
                 [`<${returnTo}`]
             ]);
@@ -36,7 +38,24 @@ class FMC_ATC_VerifyReport {
         }
         
         fmc.onRightInput[4] = () => {
-            Boeing.infoPanelManager.addMessage("*ATC", Airliners.EICAS_INFO_PANEL_MESSAGE_STYLE.INDICATION);
+            if (sendStatus !== "SEND>") {
+                return;
+            }
+            sendStatus = "SENDING\xa0";
+            updateView();
+            fmc.sendAtcMessage(elements)
+                .then(() => {
+                    sendStatus = "SENT\xa0";
+                })
+                .catch((err) => {
+                    sendStatus = "SEND>";
+                    fmc.showErrorMessage(err);
+                })
+                .then(() => {
+                    if (fmc.getTitle() === "VERIFY REPORT") {
+                        updateView();
+                    }
+                });
         }
     }
 }
\ No newline at end of file
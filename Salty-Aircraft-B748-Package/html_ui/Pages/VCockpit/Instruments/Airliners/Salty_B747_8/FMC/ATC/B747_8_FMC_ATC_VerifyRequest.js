@@ -1,5 +1,5 @@
 class FMC_ATC_VerifyRequest {
-    static ShowPage(fmc, title, lines) {
+    static ShowPage(fmc, title, lines, elements = []) {
         fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
         
@@ -12,7 +12,7 @@ class FMC_ATC_VerifyRequest {
         let pagesCount = Math.round(linesCount / 10);
         let titleCell = title == "EMERGENCY" ? "VERIFY EMERGENCY" : "VERIFY REQUEST";
         let returnPage = title == "EMERGENCY" ? "EMERGENCY" : "REQUEST";
-        let sendStatus = "SEND>";
+        let sendStatus = elements.length > 0 ? "SEND>" : "SEND>[color]inop";
 
         const updateView = () => {
             fmc.setTemplate([
@@ -26,21 +26,33 @@ class FMC_ATC_VerifyRequest {
                 [lines[6] ? lines[6] : ""],
                 [lines[7] ? lines[7] : ""],
                 [lines[8] ? lines[8] : "", "REPORT"],
-                [lines[9] ? lines[9] : "", `${sendStatus}[color]inop`],
+                [lines[9] ? lines[9] : "", `${sendStatus}`],
                 ["", "", "__FMCSEPARATOR"],
                 [`<${returnPage}`]
             ]);
         }
         updateView();
         
-        /*fmc.onRightInput[4] = () => {
-            sendStatus = "SENDING";
+        fmc.onRightInput[4] = () => {
+            if (sendStatus !== "SEND>") {
+                return;
+            }
+            sendStatus = "SENDING\xa0";
             updateView();
-            setTimeout(function(){
-                 sendStatus = "SENT";
-                 updateView();
-            }, 3000);
-        }*/
+            fmc.sendAtcMessage(elements)
+                .then(() => {
+                    sendStatus = "SENT\xa0";
+                })
+                .catch((err) => {
+                    sendStatus = "SEND>";
+                    fmc.showErrorMessage(err);
+                })
+                .then(() => {
+                    if (fmc.getTitle() === titleCell) {
+                        updateView();
+                    }
+                });
+        }
         
         fmc.onLeftInput[5] = () => {
             if (title == "EMERGENCY") {
@@ -128,32 +128,39 @@ class FMC_ATC_XRequest {
             fmc.onRightInput[5] = () => {
                 const title = "";
                 let lines = [];
+                let elements = [];
                 if (store.altitude != "") {
                     if (store.altAtPilotDiscActive == 1) {
                         lines.push("\xa0AT PILOTS DISCRETION");
                         lines.push("");
+                        elements.push({ ref: "DM75", args: [] });
                     }
                     if (store.altCrzClbActive == 1) {
                         lines.push("\xa0REQUEST CRZ CLB TO");
                         lines.push(store.altitude);
+                        elements.push({ ref: "DM8", args: [store.altitude] });
                     } else {
                         lines.push("\xa0REQUEST CLIMB TO");
                         lines.push(store.altitude);
+                        elements.push({ ref: "DM9", args: [store.altitude] });
                     }
                     if (store.altSepActive == 1) {
                         lines.push("\xa0MAINTAIN OWN");
                         lines.push("SEPARATION AND VMC");
+                        elements.push({ ref: "DM74", args: [] });
                     }
                     if (store.altPerfActive == 1) {
                         lines.push("/ DUE TO");
                         lines.push("AIRCRAFT PERFORMANCE");
+                        elements.push({ ref: "DM66", args: [] });
                     }
                     if (store.altWeatherActive == 1) {
                         lines.push("/ DUE TO");
                         lines.push("WEATHER");
+                        elements.push({ ref: "DM65", args: [] });
                     }
                 }
-                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines);
+                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines, elements);
             };
         }
 
@@ -222,19 +229,23 @@ class FMC_ATC_XRequest {
             fmc.onRightInput[5] = () => {
                 const title = "";
                 let lines = [];
+                let elements = [];
                 if (store.speed != "") {
                     lines.push("\xa0REQUEST SPEED ");
                     lines.push(store.speed);
+                    elements.push({ ref: "DM18", args: [store.speed] });
                     if (store.speedPerfActive == 1) {
                         lines.push("/ DUE TO");
                         lines.push("AIRCRAFT PERFORMANCE");
+                        elements.push({ ref: "DM66", args: [] });
                     }
                     if (store.speedWeatherActive == 1) {
                         lines.push("/ DUE TO");
                         lines.push("WEATHER");
+                        elements.push({ ref: "DM65", args: [] });
                     }
                 }
-                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines);
+                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines, elements);
             };
         }
 
@@ -305,12 +316,19 @@ class FMC_ATC_XRequest {
             fmc.onRightInput[5] = () => {
                 const title = "";
                 let lines = [];
-                console.log(store.offsetAt);
+                let elements = [];
                 if (store.offset != "") {
+                    /* Offsets are entered as L20 or R20; without a side the request covers either */
+                    const side = store.offset.match(/[LR]/);
+                    const distance = store.offset.replace(/[LR]/, "") + "NM";
+                    const direction = side ? (side[0] === "L" ? "LEFT" : "RIGHT") : "EITHER SIDE";
                     if (store.offsetWeatherActive == 0) {
                         if (store.offsetAt) {
                             lines.push("\xa0AT");
                             lines.push(store.offsetAt);
+                            elements.push({ ref: "DM16", args: [store.offsetAt, distance, direction] });
+                        } else {
+                            elements.push({ ref: "DM15", args: [distance, direction] });
                         }
                         lines.push("\xa0REQUEST OFFSET");
                         lines.push(store.offset + "NM")
@@ -320,9 +338,10 @@ class FMC_ATC_XRequest {
                         lines.push("");
                         lines.push("\xa0DEVIATION UP TO");
                         lines.push(store.offset + "NM");
+                        elements.push({ ref: "DM27", args: [distance, direction] });
                     }
                 }
-                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines);
+                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines, elements);
             };
         }
 
@@ -402,23 +421,28 @@ class FMC_ATC_XRequest {
             fmc.onRightInput[5] = () => {
                 const title = "";
                 let lines = [];
-                if (store.dcTo != "") {
+                let elements = [];
+                if (store.dctTo != "-----") {
                     lines.push("\xa0REQUEST DIRECT TO");
-                    lines.push(store.dcTo);
+                    lines.push(store.dctTo);
+                    elements.push({ ref: "DM22", args: [store.dctTo] });
                 }
-                if (store.hdg != "") {
+                if (store.hdg != "---") {
                     lines.push("\xa0REQUEST HEADING");
                     lines.push(store.hdg);
+                    elements.push({ ref: "DM70", args: [store.hdg] });
                 }
-                if (store.gndTrk != "") {
+                if (store.gndTrk != "---") {
                     lines.push("\xa0REQUEST GROUND TRACK");
                     lines.push(store.gndTrk);
+                    elements.push({ ref: "DM71", args: [store.gndTrk] });
                 }
-                if (store.depArr != "") {
+                if (store.depArr != "------.-----") {
                     lines.push("\xa0REQUEST");
                     lines.push(store.depArr);
+                    elements.push({ ref: "DM23", args: [store.depArr] });
                 }
-                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines);
+                FMC_ATC_VerifyRequest.ShowPage(fmc, title, lines, elements);
             };
         };
         
@@ -0,0 +1,85 @@
+/**
+ * Alternate airports with the diversion to each, and DIVERT NOW to build a MOD route to the selected one.
+ */
+class B747_8_FMC_AlternatePage {
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+        B747_8_FMC_AlternatePage._timer = 0;
+        fmc.pageUpdate = () => {
+            B747_8_FMC_AlternatePage._timer++;
+            if (B747_8_FMC_AlternatePage._timer >= 15) {
+                B747_8_FMC_AlternatePage.ShowPage1(fmc);
+            }
+        };
+
+        const selected = fmc.getSelectedAlternate();
+
+        /* LSK 1-4  - Alternates, select with an empty scratchpad or enter an airport */
+        const alternateRows = [];
+        for (let i = 0; i < B747_8_FMC_MainDisplay.ALTN_COUNT; i++) {
+            const airport = fmc.alternates[i];
+            let altnCell = "----";
+            let distanceCell = "";
+            let etaFuelCell = "";
+            if (airport) {
+                altnCell = "<" + airport.ident + (airport === selected ? " {small}SEL{end}" : "");
+                const prediction = fmc.getAlternatePrediction(airport);
+                if (prediction) {
+                    const fuel = fmc.useLbs ? prediction.fuel * 2.204623 : prediction.fuel;
+                    distanceCell = prediction.distance.toFixed(0);
+                    etaFuelCell = SaltyPredictions.formatTime(prediction.eta) + "/" + (fuel / 1000).toFixed(1);
+                }
+            }
+            alternateRows.push(i === 0 ? ["\xa0ALTN", "ETA/FUEL", "DIST"] : [""], [altnCell, etaFuelCell, distanceCell]);
+
+            fmc.onLeftInput[i] = () => {
+                const value = fmc.inOut;
+                if (value === "") {
+                    if (airport) {
+                        fmc.selectedAlternate = airport.ident;
+                        B747_8_FMC_AlternatePage.ShowPage1(fmc);
+                    }
+                    return;
+                }
+                fmc.clearUserInput();
+                fmc.trySetAlternate(i, value, (result) => {
+                    if (result) {
+                        fmc.updateAlternates(0);
+                        B747_8_FMC_AlternatePage.ShowPage1(fmc);
+                    }
+                });
+            };
+        }
+
+        /* LSK 5R  - Direct from present position or along the route through the destination */
+        let viaCell = fmc.alternateViaRoute ? "{small}DIRECT{end}←→{green}ROUTE{end}>" : "{green}DIRECT{end}←→{small}ROUTE{end}>";
+        fmc.onRightInput[4] = () => {
+            fmc.alternateViaRoute = !fmc.alternateViaRoute;
+            B747_8_FMC_AlternatePage.ShowPage1(fmc);
+        };
+
+        fmc.setTemplate([
+            ["ALTERNATE"],
+            ...alternateRows,
+            ["", "VIA"],
+            ["", viaCell],
+            ["__FMCSEPARATOR"],
+            ["<INDEX", selected ? "DIVERT NOW>" : ""]
+        ]);
+
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_InitRefIndexPage.ShowPage1(fmc);
+        };
+        fmc.onRightInput[5] = () => {
+            if (!selected) {
+                return;
+            }
+            fmc.divertToAlternate(selected, (result) => {
+                if (result) {
+                    B747_8_FMC_LegsPage.ShowPage1(fmc);
+                }
+            });
+        };
+    }
+}
+B747_8_FMC_AlternatePage._timer = 0;
@@ -0,0 +1,88 @@
+/**
+ * Company routes saved in the FMC. A route loads as a MOD of the active route,
+ * SAVE stores the displayed route under the name in the scratchpad.
+ */
+class FMCCoRoutePage {
+    static ShowPage1(fmc, page = 1) {
+        fmc.clearDisplay();
+        const names = fmc.coRoutes.list();
+        const pageCount = Math.max(1, Math.ceil(names.length / 5));
+        page = Math.min(page, pageCount);
+        const offset = (page - 1) * 5;
+
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const name = names[offset + i];
+            if (!name) {
+                rows.push([""], [""]);
+                continue;
+            }
+            const route = fmc.coRoutes.get(name);
+            const origin = route.originAirfield ? route.originAirfield.ident : "----";
+            const destination = route.destinationAirfield ? route.destinationAirfield.ident : "----";
+            rows.push(["\xa0" + origin + "-" + destination], ["<" + name, "EXPORT>"]);
+        }
+        if (names.length === 0) {
+            rows[1] = ["NO CO ROUTES"];
+        }
+
+        fmc.setTemplate([
+            ["CO ROUTES", page, pageCount],
+            ...rows,
+            ["__FMCSEPARATOR"],
+            ["<RTE " + fmc.getDisplayedRoute(), "SAVE>"]
+        ]);
+
+        for (let i = 0; i < 5; i++) {
+            const name = names[offset + i];
+            if (!name) {
+                continue;
+            }
+            fmc.onLeftInput[i] = () => {
+                const value = fmc.inOut;
+                if (value === FMCMainDisplay.clrValue) {
+                    fmc.clearUserInput();
+                    fmc.coRoutes.remove(name);
+                    if (fmc.coRoute === name) {
+                        fmc.coRoute = undefined;
+                    }
+                    FMCCoRoutePage.ShowPage1(fmc, page);
+                    return;
+                }
+                if (value !== "") {
+                    fmc.showErrorMessage("INVALID ENTRY");
+                    return;
+                }
+                fmc.updateCoRoute(name, (result) => {
+                    if (result) {
+                        FMCRoutePage.ShowPage1(fmc);
+                    }
+                });
+            };
+            fmc.onRightInput[i] = () => {
+                if (fmc.coRoutes.exportFile(name)) {
+                    fmc.setMsg("CO ROUTE EXPORTED");
+                }
+            };
+        }
+
+        fmc.onPrevPage = () => {
+            FMCCoRoutePage.ShowPage1(fmc, page > 1 ? page - 1 : pageCount);
+        };
+        fmc.onNextPage = () => {
+            FMCCoRoutePage.ShowPage1(fmc, page < pageCount ? page + 1 : 1);
+        };
+
+        fmc.onLeftInput[5] = () => {
+            FMCRoutePage.ShowPage1(fmc);
+        };
+
+        fmc.onRightInput[5] = () => {
+            const value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.saveCoRoute(value)) {
+                FMCCoRoutePage.ShowPage1(fmc, page);
+            }
+        };
+    }
+}
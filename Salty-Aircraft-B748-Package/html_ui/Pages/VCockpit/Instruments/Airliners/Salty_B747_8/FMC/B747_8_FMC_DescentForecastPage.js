@@ -0,0 +1,100 @@
+/**
+ * Descent forecast, used by VNAV to build the descent path and T/D.
+ */
+class B747_8_FMC_DescentForecastPage {
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+
+        const formatAltitude = (altitude) => {
+            if (!isFinite(altitude)) {
+                return "-----";
+            }
+            return altitude >= 18000 ? "FL" + (altitude / 100).toFixed(0) : altitude.toFixed(0);
+        };
+        const isaDeviation = fmc.descentForecastIsaDeviation;
+
+        /* LSK 1L  - Transition Level, 1R - TAI On Altitude */
+        let transLvlCell = isFinite(fmc.perfApprTransAlt) ? "FL" + (fmc.perfApprTransAlt / 100).toFixed(0) : "-----";
+        let taiCell = formatAltitude(fmc.descentTaiOnAltitude);
+        fmc.onLeftInput[0] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetDescentTransitionLevel(value)) {
+                B747_8_FMC_DescentForecastPage.ShowPage1(fmc);
+            }
+        };
+        fmc.onRightInput[0] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetDescentTaiOnAltitude(value)) {
+                B747_8_FMC_DescentForecastPage.ShowPage1(fmc);
+            }
+        };
+
+        /* LSK 2-5  - Forecast altitudes and winds */
+        const windRows = [];
+        for (let i = 0; i < B747_8_FMC_MainDisplay.DESCENT_FORECAST_LAYERS; i++) {
+            const wind = fmc.descentForecastWinds[i];
+            let altCell = "-----";
+            let windCell = "---°/---";
+            if (wind) {
+                altCell = formatAltitude(wind.altitude);
+                windCell = wind.direction.toFixed(0).padStart(3, "0") + "°/" + wind.speed.toFixed(0).padStart(3, "\xa0");
+            }
+            windRows.push(i === 0 ? ["\xa0ALT", "WIND DIR/SPD"] : [""], [altCell, windCell]);
+
+            fmc.onLeftInput[i + 1] = () => {
+                const value = fmc.inOut;
+                if (value === "") {
+                    return;
+                }
+                fmc.clearUserInput();
+                if (fmc.trySetDescentForecastAltitude(i, value)) {
+                    B747_8_FMC_DescentForecastPage.ShowPage1(fmc);
+                }
+            };
+            fmc.onRightInput[i + 1] = () => {
+                const value = fmc.inOut;
+                if (value === "") {
+                    return;
+                }
+                fmc.clearUserInput();
+                if (fmc.trySetDescentForecastWind(i, value)) {
+                    B747_8_FMC_DescentForecastPage.ShowPage1(fmc);
+                }
+            };
+        }
+
+        /* LSK 6R  - ISA Deviation */
+        let isaCell = (isaDeviation > 0 ? "+" : "") + isaDeviation.toFixed(0) + "°C";
+        fmc.onRightInput[5] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetDescentIsaDeviation(value)) {
+                B747_8_FMC_DescentForecastPage.ShowPage1(fmc);
+            }
+        };
+
+        fmc.setTemplate([
+            ["DES FORECASTS"],
+            ["\xa0TRANS LVL", "TAI/ON ALT"],
+            [transLvlCell, taiCell],
+            ...windRows,
+            ["", "ISA DEV"],
+            ["<DES", isaCell]
+        ]);
+
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_VNAVPage.ShowPage3(fmc);
+        };
+    }
+}
@@ -0,0 +1,82 @@
+class B747_8_FMC_EngOutPage {
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+        B747_8_FMC_EngOutPage._timer = 0;
+        fmc.pageUpdate = () => {
+            B747_8_FMC_EngOutPage._timer++;
+            if (B747_8_FMC_EngOutPage._timer >= 15) {
+                B747_8_FMC_EngOutPage.ShowPage1(fmc);
+            }
+        };
+
+        const isActive = fmc.isEngineOutActive();
+        let pageTitle = "ENG OUT CRZ";
+        if (isActive && fmc.isDriftdownActive()) {
+            pageTitle = "ACT ENG OUT D/D";
+        }
+        else if (isActive && Simplane.getCurrentFlightPhase() === FlightPhase.FLIGHT_PHASE_CRUISE) {
+            pageTitle = "ACT ENG OUT CRZ";
+        }
+        const formatAltitude = (altitude) => "FL" + (altitude / 100).toFixed(0);
+        const activeCell = (cell) => isActive ? "{magenta}" + cell + "{end}" : cell;
+
+        /* LSK 1L  - Cruise Alt, 1R - Engine Out Max Alt */
+        let crzAltCell = fmc.cruiseFlightLevel ? activeCell("FL" + fmc.cruiseFlightLevel) : "□□□□□";
+        const maxAltitude = fmc.getEngineOutMaxAltitude(SimVar.GetSimVarValue("TOTAL WEIGHT", "kilograms"));
+        fmc.onLeftInput[0] = () => {
+            const value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.setCruiseFlightLevelAndTemperature(value)) {
+                B747_8_FMC_EngOutPage.ShowPage1(fmc);
+            }
+        };
+
+        /* LSK 2L  - E/O Speed, 2R - Max Continuous N1 */
+        const speed = fmc.getEngineOutSpeed();
+        const speedCell = isFinite(speed) && speed > 80 ? activeCell(speed.toFixed(0)) : "---";
+        const conN1Cell = fmc.getThrustConLimit().toFixed(1) + "%";
+
+        /* LSK 3L/3R  - Driftdown level off */
+        let driftdownCell = "";
+        let levelOffCell = "";
+        const driftdown = fmc.getDriftdownPrediction();
+        if (driftdown) {
+            driftdownCell = formatAltitude(driftdown.levelOffAltitude);
+            let eta = Math.round(driftdown.eta / 60);
+            let etaString = isFinite(eta) ? (Math.floor(eta / 60) % 24).toFixed(0).padStart(2, "0") + (eta % 60).toFixed(0).padStart(2, "0") + "Z" : "----Z";
+            levelOffCell = etaString + "/" + driftdown.distance.toFixed(0).padStart(4, "\xa0") + "NM";
+        }
+
+        /* LSK 5L  - Selects engine out cruise for VNAV, or goes back to all engine ECON cruise */
+        fmc.onLeftInput[4] = () => {
+            if (isActive) {
+                fmc.cancelEngineOut();
+            }
+            else {
+                fmc.activateEngineOut();
+            }
+            B747_8_FMC_EngOutPage.ShowPage1(fmc);
+        };
+
+        fmc.setTemplate([
+            [pageTitle],
+            ["\xa0CRZ ALT", "MAX ALT"],
+            [crzAltCell, formatAltitude(maxAltitude)],
+            ["\xa0E/O SPD", "CON N1"],
+            [speedCell, conN1Cell],
+            ["\xa0DRIFTDOWN TO", "LEVEL OFF"],
+            [driftdownCell, levelOffCell],
+            [""],
+            [""],
+            ["__FMCSEPARATOR"],
+            [isActive ? "<ALL ENG" : "<ENG OUT"],
+            [""],
+            ["<CRZ"]
+        ]);
+
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_VNAVPage.ShowPage2(fmc);
+        };
+    }
+}
+B747_8_FMC_EngOutPage._timer = 0;
@@ -0,0 +1,108 @@
+/**
+ * Legs of the inactive route. Entering a waypoint on a leg inserts it before that leg,
+ * DELETE removes the leg or closes a discontinuity.
+ */
+class FMCInactiveLegsPage {
+    static ShowPage1(fmc, page = 1) {
+        fmc.clearDisplay();
+        fmc.ensureInactiveRoute();
+        const flightPlanIndex = B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX;
+        const waypoints = fmc.flightPlanManager.getAllWaypoints(flightPlanIndex);
+
+        /* The origin is not a leg; discontinuities get a row of their own */
+        const legs = [];
+        for (let i = 1; i < waypoints.length; i++) {
+            legs.push({ index: i, fix: waypoints[i], previous: waypoints[i - 1] });
+            if (waypoints[i].endsInDiscontinuity) {
+                legs.push({ index: i, isDiscontinuity: true });
+            }
+        }
+        const pageCount = Math.max(1, Math.ceil(legs.length / 5));
+        page = Math.min(page, pageCount);
+        const offset = (page - 1) * 5;
+
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const leg = legs[offset + i];
+            if (!leg) {
+                rows.push([""], [""]);
+            } else if (leg.isDiscontinuity) {
+                rows.push([" THEN"], ["□□□□□ - DISCONTINUITY -"]);
+            } else {
+                let courseCell = "";
+                if (leg.previous.infos && leg.fix.infos) {
+                    const bearing = Avionics.Utils.computeGreatCircleHeading(leg.previous.infos.coordinates, leg.fix.infos.coordinates);
+                    const distance = Avionics.Utils.computeGreatCircleDistance(leg.previous.infos.coordinates, leg.fix.infos.coordinates);
+                    courseCell = " " + bearing.toFixed(0).padStart(3, "0") + "° " + distance.toFixed(0).padStart(4, " ") + "NM";
+                }
+                rows.push([courseCell], [leg.fix.ident != "" ? leg.fix.ident : "USR"]);
+            }
+        }
+        if (legs.length === 0) {
+            rows[1] = ["NO LEGS"];
+        }
+
+        fmc.setTemplate([
+            ["RTE " + fmc.getInactiveRoute() + " LEGS", page, pageCount],
+            ...rows,
+            ["__FMCSEPARATOR"],
+            ["<RTE " + fmc.getInactiveRoute(), "ACTIVATE>"]
+        ]);
+
+        for (let i = 0; i < 5; i++) {
+            const leg = legs[offset + i];
+            if (!leg) {
+                continue;
+            }
+            fmc.onLeftInput[i] = () => {
+                const value = fmc.inOut;
+                if (value === "") {
+                    if (!leg.isDiscontinuity) {
+                        fmc.inOut = leg.fix.ident;
+                    }
+                    return;
+                }
+                fmc.clearUserInput();
+                if (value === FMCMainDisplay.clrValue) {
+                    if (leg.isDiscontinuity) {
+                        fmc.flightPlanManager.clearDiscontinuity(leg.index, flightPlanIndex);
+                        FMCInactiveLegsPage.ShowPage1(fmc, page);
+                        return;
+                    }
+                    fmc.editInactiveRoute((done) => {
+                        fmc.flightPlanManager.removeWaypoint(leg.index, true, done);
+                    }, () => FMCInactiveLegsPage.ShowPage1(fmc, page));
+                    return;
+                }
+                if (leg.isDiscontinuity) {
+                    fmc.showErrorMessage("INVALID ENTRY");
+                    return;
+                }
+                fmc.editInactiveRoute((done) => {
+                    fmc.insertWaypoint(value, leg.index, done);
+                }, (isSuccess) => {
+                    if (isSuccess) {
+                        FMCInactiveLegsPage.ShowPage1(fmc, page);
+                    }
+                });
+            };
+        }
+
+        fmc.onPrevPage = () => {
+            FMCInactiveLegsPage.ShowPage1(fmc, page > 1 ? page - 1 : pageCount);
+        };
+        fmc.onNextPage = () => {
+            FMCInactiveLegsPage.ShowPage1(fmc, page < pageCount ? page + 1 : 1);
+        };
+
+        fmc.onLeftInput[5] = () => {
+            FMCInactiveRoutePage.ShowPage1(fmc);
+        };
+
+        fmc.onRightInput[5] = () => {
+            fmc.activateInactiveRoute(() => {
+                FMCRoutePage.ShowPage1(fmc);
+            });
+        };
+    }
+}
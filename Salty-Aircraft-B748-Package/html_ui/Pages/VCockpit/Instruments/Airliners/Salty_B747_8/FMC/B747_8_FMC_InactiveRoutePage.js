@@ -0,0 +1,325 @@
+/**
+ * The route that is not active, RTE 2 while RTE 1 is active and the other way around.
+ * It is built, uplinked and edited in its own flight plan slot without touching the
+ * active route, and ACTIVATE loads it as a MOD of the active route.
+ */
+class FMCInactiveRoutePage {
+
+    constructor(fmc) {
+        this._fmc = fmc;
+
+        this._currentPage = 0;
+        this._pageCount = 2;
+        this._offset = 0;
+        this._airwayInput = "";
+        this._airwayIndex = -1;
+
+        this._rows = [];
+
+        this.store = {
+            requestData: "<SEND",
+            routeUplinkSeparator: "",
+            loadUplink: "",
+            purgeUplink: ""
+        }
+
+        this.rteUplinkReady = false;
+    }
+
+    set currentPage(value) {
+        this._currentPage = value;
+        if (this._currentPage > (this._pageCount - 1)) {
+            this._currentPage = 0;
+        } else if (this._currentPage < 0) {
+            this._currentPage = (this._pageCount - 1);
+        }
+
+        if (this._currentPage == 0) {
+            this._offset = -1;
+        } else {
+            this._offset = ((this._currentPage - 1) * 5);
+        }
+    }
+
+    gotoNextPage() {
+        this.currentPage = this._currentPage + 1;
+        this.update();
+    }
+
+    gotoPrevPage() {
+        this.currentPage = this._currentPage - 1;
+        this.update();
+    }
+
+    update() {
+        this._fmc.clearDisplay();
+        this.prerender();
+        this.render();
+        this.bindEvents();
+    }
+
+    prerender() {
+        this._fmc.readInactiveRoute(() => {
+            const flightPlanManager = this._fmc.flightPlanManager;
+            const currentFp = flightPlanManager.getCurrentFlightPlan();
+
+            this._originCell = currentFp.hasOrigin ? flightPlanManager.getOrigin().ident : "□□□□";
+            this._destinationCell = currentFp.hasDestination ? flightPlanManager.getDestination().ident : "□□□□";
+            const selectedDepRunway = flightPlanManager.getDepartureRunway();
+            this._depRwyCell = selectedDepRunway ? "RW" + selectedDepRunway.designation : "";
+
+            this._rows = currentFp.hasOrigin ? FMCRoutePage._GetAllRows(this._fmc) : [];
+            FMCRoutePage._AddEmptyRow(this._fmc, this._rows, this._airwayInput, this._airwayIndex);
+        });
+
+        this._flightNoCell = SimVar.GetSimVarValue("ATC FLIGHT NUMBER", "string") || "--------";
+        this._pageCount = Math.max(2, (Math.ceil((this._rows.length) / 5) + 1));
+        this._title = " RTE " + this._fmc.getInactiveRoute();
+        this._lsk6Field = "<RTE " + this._fmc.activeRoute;
+    }
+
+    render() {
+        if (this._currentPage == 0) {
+            this.renderMainPage();
+        } else {
+            this.renderRoutePage();
+        }
+    }
+
+    renderMainPage() {
+        if (this.rteUplinkReady) {
+            this.store.routeUplinkSeparator = " ----- ROUTE UPLINK ----- ";
+            this.store.loadUplink = "<LOAD";
+            this.store.purgeUplink = "PURGE>";
+        } else {
+            this.store.routeUplinkSeparator = "";
+            this.store.loadUplink = "";
+            this.store.purgeUplink = "";
+        }
+
+        this._fmc.setTemplate([
+            [this._title, 1, this._pageCount],
+            ["\xa0ORIGIN", "DEST"],
+            [this._originCell, this._destinationCell],
+            ["\xa0RUNWAY", "FLT NO"],
+            [this._depRwyCell, this._flightNoCell],
+            ["\xa0REQUEST", ""],
+            [`${this.store.requestData}`, ""],
+            ["", "", `${this.store.routeUplinkSeparator}`],
+            [`${this.store.loadUplink}`, `${this.store.purgeUplink}`],
+            ["__FMCSEPARATOR"],
+            ["<RTE COMPARE", "LEGS>"],
+            [""],
+            [this._lsk6Field, "ACTIVATE>"]
+        ]);
+    }
+
+    renderRoutePage() {
+        const idx = this._offset;
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const row = this._rows[idx + i];
+            rows.push(row ? row.getTemplate()[0] : [""]);
+            if (i < 4) {
+                rows.push(row ? row.getTemplate()[1] : [""]);
+            }
+        }
+        this._fmc.setTemplate([
+            [this._title, (this._currentPage + 1), this._pageCount],
+            ["VIA", "TO"],
+            ...rows,
+            ["__FMCSEPARATOR"],
+            [this._lsk6Field, "ACTIVATE>"]
+        ]);
+    }
+
+    bindEvents() {
+        if (this._currentPage == 0) {
+            this._fmc.onLeftInput[0] = () => {
+                const value = this._fmc.inOut;
+                if (value == "") {
+                    if (this._originCell !== "□□□□") {
+                        this._fmc.inOut = this._originCell;
+                    }
+                } else {
+                    this._fmc.clearUserInput();
+                    this.setOrigin(value.padEnd(4));
+                }
+            };
+
+            this._fmc.onRightInput[0] = () => {
+                const value = this._fmc.inOut;
+                if (value == "") {
+                    if (this._destinationCell !== "□□□□") {
+                        this._fmc.inOut = this._destinationCell;
+                    }
+                } else {
+                    this._fmc.clearUserInput();
+                    this.setDestination(value.padEnd(4));
+                }
+            };
+
+            this._fmc.onLeftInput[2] = () => {
+                this.store.requestData = "\xa0SENDING";
+                this.update();
+                getSimBriefPlan(this._fmc).then(result => {
+                    setTimeout(() => {
+                        this.store.requestData = "<SEND";
+                        if (result) {
+                            this.rteUplinkReady = true;
+                            this._fmc.setMsg(`ROUTE ${this._fmc.getInactiveRoute()} UPLINK READY`);
+                            Coherent.call("PLAY_INSTRUMENT_SOUND", "uplink_chime");
+                        } else {
+                            this._fmc.showErrorMessage("WRONG PILOT ID");
+                        }
+                        this.update();
+                    }, this._fmc.getInsertDelay());
+                });
+            };
+
+            this._fmc.onLeftInput[3] = () => {
+                if (this.rteUplinkReady) {
+                    this.rteUplinkReady = false;
+                    getFplnFromSimBrief(this._fmc, true);
+                    this.update();
+                }
+            };
+
+            this._fmc.onRightInput[3] = () => {
+                this.rteUplinkReady = false;
+                this.update();
+            };
+
+            this._fmc.onLeftInput[4] = () => {
+                FMCRouteComparePage.ShowPage(this._fmc);
+            };
+
+            this._fmc.onRightInput[4] = () => {
+                FMCInactiveLegsPage.ShowPage1(this._fmc);
+            };
+        } else {
+            for (let i = 0; i < 5; i++) {
+                if (this._rows[i + this._offset]) {
+                    this.bindRowEvents(i);
+                }
+            }
+        }
+
+        this._fmc.onPrevPage = () => {
+            this.gotoPrevPage();
+        };
+        this._fmc.onNextPage = () => {
+            this.gotoNextPage();
+        };
+
+        this._fmc.onLeftInput[5] = () => {
+            FMCRoutePage.ShowPage1(this._fmc);
+        };
+
+        this._fmc.onRightInput[5] = () => {
+            this._fmc.activateInactiveRoute(() => {
+                FMCRoutePage.ShowPage1(this._fmc);
+            });
+        };
+    }
+
+    /**
+     * Bind the LSK events to a plan row.
+     * @param {Number} lskIdx
+     */
+    bindRowEvents(lskIdx) {
+        const row = this._rows[lskIdx + this._offset];
+        const prevRow = this._rows[lskIdx + this._offset - 1];
+
+        this._fmc.onLeftInput[lskIdx] = () => {
+            const value = this._fmc.inOut;
+            this._fmc.clearUserInput();
+            if (!prevRow) {
+                return;
+            }
+            const lastWaypoint = this._fmc.readInactiveRoute(() => this._fmc.flightPlanManager.getWaypoint(prevRow.fpIdx));
+            if (lastWaypoint && lastWaypoint.infos instanceof WayPointInfo) {
+                lastWaypoint.infos.UpdateAirway(value).then(() => {
+                    const airway = lastWaypoint.infos.airways.find(a => a.name === value);
+                    if (airway) {
+                        this._airwayInput = airway.name;
+                        this._airwayIndex = prevRow.fpIdx;
+                        this.update();
+                    } else {
+                        this._fmc.showErrorMessage("NO AIRWAY MATCH");
+                    }
+                });
+            }
+        };
+
+        this._fmc.onRightInput[lskIdx] = () => {
+            const value = this._fmc.inOut;
+            if (value.length === 0) {
+                return;
+            }
+            this._fmc.clearUserInput();
+
+            if (value === FMCMainDisplay.clrValue) {
+                this._fmc.editInactiveRoute((done) => {
+                    this._fmc.flightPlanManager.removeWaypoint(row.fpIdx, true, done);
+                }, () => this.update());
+            } else if (this._airwayInput !== "") {
+                const airwayName = this._airwayInput;
+                const lastWpIdx = prevRow.fpIdx;
+                this._fmc.editInactiveRoute((done) => {
+                    this._fmc.flightPlanManager.getWaypoint(lastWpIdx).infos.airwayOut = airwayName;
+                    FMCRoutePage.insertWaypointsAlongAirway(this._fmc, value, lastWpIdx, airwayName, done);
+                }, (result) => {
+                    if (result) {
+                        this._airwayInput = "";
+                        this._airwayIndex = -1;
+                        this.update();
+                    } else {
+                        this._fmc.showErrorMessage("NOT ON AIRWAY");
+                    }
+                });
+            } else {
+                this._fmc.editInactiveRoute((done) => {
+                    this._fmc.insertWaypoint(value, row.fpIdx, done);
+                }, (isSuccess) => {
+                    if (isSuccess) {
+                        this.update();
+                    }
+                });
+            }
+        };
+    }
+
+    setOrigin(icao) {
+        this._fmc.dataManager.GetAirportByIdent(icao).then(airport => {
+            if (!airport) {
+                this._fmc.showErrorMessage("NOT IN DATABASE");
+                return;
+            }
+            this._fmc.editInactiveRoute((done) => {
+                this._fmc.flightPlanManager.clearFlightPlan(() => {
+                    this._fmc.flightPlanManager.setOrigin(airport.icao, done);
+                });
+            }, () => this.update());
+        });
+    }
+
+    setDestination(icao) {
+        this._fmc.dataManager.GetAirportByIdent(icao).then(airport => {
+            if (!airport) {
+                this._fmc.showErrorMessage("NOT IN DATABASE");
+                return;
+            }
+            this._fmc.editInactiveRoute((done) => {
+                this._fmc.flightPlanManager.setDestination(airport.icao, done);
+            }, () => this.update());
+        });
+    }
+
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+        fmc.ensureInactiveRoute(() => {
+            new FMCInactiveRoutePage(fmc).update();
+        });
+    }
+}
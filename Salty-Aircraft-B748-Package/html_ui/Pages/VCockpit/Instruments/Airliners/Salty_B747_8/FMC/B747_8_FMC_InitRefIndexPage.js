@@ -46,6 +46,10 @@ class B747_8_FMC_InitRefIndexPage {
             FMCNavDataPage.ShowPage1(fmc);
         };
 
+        fmc.onRightInput[1] = () => {
+            B747_8_FMC_AlternatePage.ShowPage1(fmc);
+        };
+
         fmc.onRightInput[2] = () => {
             FMC_COMM_Index.ShowPage(fmc);
         };
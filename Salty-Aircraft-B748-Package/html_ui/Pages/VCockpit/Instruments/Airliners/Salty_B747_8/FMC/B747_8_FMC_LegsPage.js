@@ -53,7 +53,7 @@ class B747_8_FMC_LegsPage {
         }
         //Check if plan mode has been selected and refresh if needed
         this.isMapModePlan = SimVar.GetSimVarValue("L:B747_MAP_MODE", "number") === 3;
-        if (this.isMapModePlan && this._rsk6Field == "RTE DATA>") {
+        if (this.isMapModePlan && this._rsk6Field != "STEP>") {
             this.invalidate();
         }
         else if (!this.isMapModePlan && this._rsk6Field == "STEP>") {
@@ -83,6 +83,10 @@ class B747_8_FMC_LegsPage {
             runwayIndex = this._wayPointsToRender.length - 2;
         }
 
+        //STEP CLIMB POINT
+        const stepClimb = this._fmc.getStepClimbPrediction();
+        const isAfterStep = (fix) => stepClimb && stepClimb.distance > 0 && fix && fix.infos && this._fmc.getDistanceAlongRoute(fix) > stepClimb.distance;
+
         this._pageCount = Math.floor((this._wayPointsToRender.length - 1) / 5) + 1;
         for (let i = 0; i < 5; i++) {
 
@@ -143,6 +147,15 @@ class B747_8_FMC_LegsPage {
                 else if (crzMode === 4) {
                     crzSpeedCell = SimVar.GetSimVarValue("L:SALTY_CRZ_MACH", "mach").toFixed(3).substring(1);
                 }
+                else if (crzMode === 1 && this._fmc.getLrcMach() !== 1) {
+                    crzSpeedCell = this._fmc.getLrcMach().toFixed(3).substring(1);
+                }
+                else if (crzMode === B747_8_FMC_MainDisplay.CRZ_MODE_RTA && this._fmc.getRtaPrediction()) {
+                    crzSpeedCell = this._fmc.getRtaPrediction().commandMach.toFixed(3).substring(1);
+                }
+                else if (crzMode === B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT) {
+                    crzSpeedCell = crzSpeed.toFixed(0);
+                }
 
                 if (isNaN(crzSpeedCell)) {
                     crzSpeedCell = "---";
@@ -157,6 +170,9 @@ class B747_8_FMC_LegsPage {
                     } else if (waypoint.fix.hasHold) {
                         this._rows[2 * i] = [" HOLD AT"];
                         this._rows[2 * i + 1] = [`${waypoint.fix.ident != "" ? waypoint.fix.ident : "USR"}[color]magenta`];
+                    } else if (waypoint.fix.hasProcedureTurn) {
+                        this._rows[2 * i] = [" " + this.formatProcedureTurnCourse(waypoint.fix)];
+                        this._rows[2 * i + 1] = ["PROC TURN[color]magenta"];
                     } else {
                         this._rows[2 * i] = [" " + bearing.padStart(3, "0") + " " + distance.padStart(4, " ") + "NM" + fpaText];
                         this._rows[2 * i + 1] = [waypoint.fix.ident != "" ? waypoint.fix.ident + "[color]magenta" : "USR[color]magenta"];
@@ -168,6 +184,9 @@ class B747_8_FMC_LegsPage {
                     } else if (waypoint.fix.hasHold) {
                         this._rows[2 * i] = [" HOLD AT"];
                         this._rows[2 * i + 1] = [waypoint.fix.ident != "" ? waypoint.fix.ident : "USR"];
+                    } else if (waypoint.fix.hasProcedureTurn) {
+                        this._rows[2 * i] = [" " + this.formatProcedureTurnCourse(waypoint.fix)];
+                        this._rows[2 * i + 1] = ["PROC TURN"];
                     } else {
                         this._rows[2 * i] = [" " + bearing.padStart(3, "0") + " " + distance.padStart(4, " ") + "NM" + fpaText];
                         this._rows[2 * i + 1] = [waypoint.fix.ident != "" ? waypoint.fix.ident : "USR"];
@@ -175,19 +194,38 @@ class B747_8_FMC_LegsPage {
                 }
 
                 if (waypoint.fix.icao !== '$DISCO') {
-                    this._rows[2 * i + 1][1] = (SegmentType.Enroute === currentSegment.type ? crzSpeedCell + "/" + (this._fmc.cruiseFlightLevel ? 'FL' + this._fmc.cruiseFlightLevel : '-----') : this.getAltSpeedRestriction(waypoint.fix));
+                    const prediction = this._fmc.predictions.getWaypoint(waypoint.index);
+                    let crzAltCell = this._fmc.cruiseFlightLevel ? 'FL' + this._fmc.cruiseFlightLevel : '-----';
+                    let crzAltitude = this._fmc.cruiseFlightLevel * 100;
+                    if (isAfterStep(waypoint.fix)) {
+                        crzAltCell = 'FL' + (stepClimb.altitude / 100).toFixed(0);
+                        crzAltitude = stepClimb.altitude;
+                        if (isActWpt || !isAfterStep(prevWaypoint && prevWaypoint.fix)) {
+                            this._rows[2 * i][1] = "S/C";
+                        }
+                    }
+                    //Enroute waypoints still in the climb or already in the descent show their predictions
+                    if (SegmentType.Enroute === currentSegment.type && prediction && Math.abs(prediction.altitude - crzAltitude) > SaltyPredictions.LEVEL_TOLERANCE) {
+                        this._rows[2 * i + 1][1] = this.formatPredictedSpeed(prediction) + "/" + this.formatPredictedAltitude(prediction);
+                    }
+                    else {
+                        this._rows[2 * i + 1][1] = (SegmentType.Enroute === currentSegment.type ? crzSpeedCell + "/" + crzAltCell : this.getAltSpeedRestriction(waypoint.fix, prediction));
+                    }
                 }
             }
         }
     }
 
     render() {
-        this._lsk6Field = "";
+        this._lsk6Field = "<RTE " + this._fmc.getInactiveRoute() + " LEGS";
         if (this._fmc.flightPlanManager.getCurrentFlightPlanIndex() === 1) {
             this._fmc.fpHasChanged = true;
             this._lsk6Field = "<ERASE";
         }
         this._rsk6Field = "RTE DATA>";
+        if (this._currentPage > 1 && this._fmc.flightPlanManager.getCurrentFlightPlanIndex() === 0) {
+            this._rsk6Field = "OFFSET>";
+        }
         if (this.isMapModePlan) {
             this._rsk6Field = "STEP>";
             if (this._rows[2 * this.step + 1][0] != "") {
@@ -210,7 +248,7 @@ class B747_8_FMC_LegsPage {
         }
 
         this._fmc.setTemplate([
-            [modStr + " RTE 1 LEGS", this._currentPage, + Math.max(1, this._pageCount)],
+            [modStr + " RTE " + this._fmc.getDisplayedRoute() + " LEGS", this._currentPage, + Math.max(1, this._pageCount)],
             ...this._rows,
             [`${this._isAddingHold ? '-----------HOLD AT----------' : holdExiting ? '---------EXIT ARMED---------' : '__FMCSEPARATOR'}`],
             [`${this._isAddingHold ? '□□□□□' : holdExiting ? '<CANCEL EXIT' : holdActive ? '<EXIT HOLD' : this._lsk6Field}`, this._rsk6Field]
@@ -581,6 +619,12 @@ class B747_8_FMC_LegsPage {
                 this.updateStep(false, disconWasJumped);
                 this.update(true);
             }
+            else if (this._rsk6Field == "RTE DATA>") {
+                B747_8_FMC_RouteDataPage.ShowPage1(this._fmc);
+            }
+            else if (this._rsk6Field == "OFFSET>") {
+                B747_8_FMC_OffsetPage.ShowPage1(this._fmc);
+            }
         };
         this._fmc.onLeftInput[5] = () => {
             let holdActive = false;
@@ -611,6 +655,8 @@ class B747_8_FMC_LegsPage {
             } else if (holdActive) {
                 holdsDirector.exitActiveHold();
                 this.update(true);
+            } else if (this._lsk6Field.startsWith("<RTE")) {
+                FMCInactiveLegsPage.ShowPage1(this._fmc);
             }
         };
 
@@ -703,7 +749,7 @@ class B747_8_FMC_LegsPage {
         this._isDirty = false;
     }
 
-    getAltSpeedRestriction(waypoint) {
+    getAltSpeedRestriction(waypoint, prediction) {
         let speedConstraint = "---";
         let altitudeConstraint = "----- ";
         const wpt = waypoint;
@@ -711,6 +757,9 @@ class B747_8_FMC_LegsPage {
         if (wpt.speedConstraint && wpt.speedConstraint > 100) {
             speedConstraint = wpt.speedConstraint;
         }
+        else if (prediction) {
+            speedConstraint = this.formatPredictedSpeed(prediction);
+        }
         if (wpt.legAltitudeDescription > 0) {
             if (wpt.legAltitudeDescription == 1) {
                 altitudeConstraint = wpt.legAltitude1.toFixed(0) >= 18000 ? "FL" + wpt.legAltitude1.toFixed(0) / 100
@@ -730,11 +779,29 @@ class B747_8_FMC_LegsPage {
             }
 
         }
+        else if (prediction) {
+            return speedConstraint + "/" + this.formatPredictedAltitude(prediction);
+        }
         altitudeConstraint = altitudeConstraint.padStart(6, " ");
 
         return speedConstraint + "/" + altitudeConstraint;
     }
 
+    //Predicted speeds and altitudes are in small font, constraints in large
+    formatPredictedSpeed(prediction) {
+        return isFinite(prediction.speed) ? "{small}" + SaltyPredictions.formatSpeed(prediction.speed) + "{end}" : "---";
+    }
+
+    formatPredictedAltitude(prediction) {
+        const altitude = Math.round(prediction.altitude / 10) * 10;
+        return "{small}" + (altitude >= 18000 ? "FL" + (altitude / 100).toFixed(0) : altitude.toFixed(0)).padStart(6, " ") + "{end}";
+    }
+
+    formatProcedureTurnCourse(waypoint) {
+        const details = waypoint.procedureTurnDetails;
+        return details.course.toFixed(0).padStart(3, "0") + "° " + (details.turnDirection === ArcTurnDirection.Left ? "L" : "R") + " TURN";
+    }
+
     parseConstraintInput(value, waypoint) {
         let re = /(\d*)\/(F?|FL?)(\d+)([AB]?)(F?|FL?)(\d+)?([AB]?)/;
         // 1 = speed
@@ -52,6 +52,34 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         this._thrustTakeOffMode = 0;
         this._thrustCLBMode = 0;
         this._thrustTakeOffTemp = 20;
+        this._quietClimbState = B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF;
+        this.quietClimbCutbackHeight = 1000;
+        this.quietClimbRestoreHeight = 3000;
+        this.stepSize = "RVSM";
+        this.stepToAltitude = NaN;
+        this._driftdownActive = false;
+        this._isEngineOutThrust = false;
+        this.descentForecastWinds = [];
+        this.descentForecastIsaDeviation = 0;
+        this.descentTaiOnAltitude = NaN;
+        this.offpathFix = undefined;
+        this.offpathAltitude = NaN;
+        this.offpathCirclesShown = false;
+        this.rtaFix = "";
+        this.rtaTime = NaN;
+        this.rtaTolerance = 30;
+        this.rtaMinMach = 0.75;
+        this.rtaMaxMach = 0.86;
+        this._rta = null;
+        this.activeRoute = 1;
+        this._pendingRouteSwap = false;
+        this.alternates = [];
+        this.selectedAlternate = "";
+        this.alternateViaRoute = false;
+        this._alternateEntries = [];
+        this._alternateTimer = 0;
+        this._alternateLoaderTimer = 0;
+        this._simbriefAlternate = "";
         this._lastUpdateAPTime = NaN;
         this.refreshFlightPlanCooldown = 0;
         this.updateAutopilotCooldown = 0;
@@ -85,6 +113,7 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         this._TORwyWindHdg = "";
         this._TORwyWindSpd = "";
         this.messages = [];
+        this.atcMessages = [];
         this.sentMessages = [];
         this.units;
         this.useLbs;
@@ -105,6 +134,14 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
             altn: "",
             company: ""
         };
+        this.takeoffData = null;
+        this.refSpeedsOn = true;
+        this.taxiFuelWeight = 2;
+        this.takeoffRefOat = undefined;
+        this.takeoffWind = undefined;
+        this.takeoffSlope = 0;
+        this.takeoffRunwayCondition = "DRY";
+        this.eoAccelerationHeight = 1000;
         this.companyComm = {
             estab: false,
             company: "",
@@ -148,7 +185,8 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
             dest: "",
             freeText: "",
             ats: "",
-            sendStatus: ""
+            sendStatus: "SEND>",
+            defaulted: false
         }
     }
     get templateID() { return "B747_8_FMC"; }
@@ -196,6 +234,21 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         this.SaltyBase = new SaltyBase();
         this.saltyModules = new SaltyModules();
         this.SaltyBase.init();
+        /* SATCOM takes over the datalink when VHF is out of range */
+        const vhf = new SaltyDatalinkMockTransport();
+        this.datalink = new SaltyDatalink([vhf, new SaltyDatalinkSatcomTransport(this.SaltyBase.satcom, vhf)]);
+        this.SaltyBase.satcom.onIncomingCall = () => this.showErrorMessage("SATCOM CALL");
+        this.datalink.onUplink = (uplink) => this.receiveUplink(uplink);
+        this.cpdlc = new SaltyCPDLC(this.datalink);
+        this.takeoffPerformance = new SaltyTakeoffPerformance();
+        this.coRoutes = new SaltyCoRoutes(new WTConfigLoader(this._xmlConfigPath));
+        this.predictions = new SaltyPredictions(this);
+        this.navPerformance = new SaltyNavPerformance(this);
+        this._alternateLoader = new AirportLoader(this, true);
+        this.setQuietClimbState(B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF);
+        this.cpdlc.onStateChange = () => this.updateAtcComm();
+        this.cpdlc.onUplink = (uplink) => this.receiveAtcUplink(uplink);
+        this.cpdlc.onError = (error) => this.showErrorMessage(error);
         if (SaltyDataStore.get("OPTIONS_UNITS", "KG") == "KG") {
             this.units = true;
             this.useLbs = false;
@@ -278,6 +331,10 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         }
         this.SaltyBase.update(this.isElectricityAvailable());
         this.saltyModules.update(_deltaTime);
+        this.cpdlc.update(_deltaTime);
+        this.predictions.update(_deltaTime);
+        this.navPerformance.update(_deltaTime);
+        this.updateAlternates(_deltaTime);
         if (SaltyDataStore.get("OPTIONS_UNITS", "KG") == "KG") {
             this.units = true;
             this.useLbs = false;
@@ -383,144 +440,40 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
             }
         }
     }
-    _getIndexFromTemp(temp) {
-        if (temp < -10)
-            return 0;
-        if (temp < 0)
-            return 1;
-        if (temp < 10)
-            return 2;
-        if (temp < 20)
-            return 3;
-        if (temp < 30)
-            return 4;
-        if (temp < 40)
-            return 5;
-        if (temp < 43)
-            return 6;
-        if (temp < 45)
-            return 7;
-        if (temp < 47)
-            return 8;
-        if (temp < 49)
-            return 9;
-        if (temp < 51)
-            return 10;
-        if (temp < 53)
-            return 11;
-        if (temp < 55)
-            return 12;
-        if (temp < 57)
-            return 13;
-        if (temp < 59)
-            return 14;
-        if (temp < 61)
-            return 15;
-        if (temp < 63)
-            return 16;
-        if (temp < 65)
-            return 17;
-        if (temp < 66)
-            return 18;
-        return 19;
-    }
-    getTakeOffFLapHandle(){
-        switch(this.getTakeOffFlap()){
-            case 0: return 0;
-            case 1: return 1;
-            case 5: return 2;
-            case 10: return 3;
-            case 20: return 4;
-            case 25: return 5;
-            case 30: return 6;
-        }
+    /* Computes V1, VR and V2 for the current takeoff conditions from the performance tables */
+    getTakeoffSpeeds() {
+        return this.takeoffPerformance.getSpeeds(this.getTakeoffConditions());
     }
     _computeV1Speed() {
-        let runwayCoef = 1.0;
-        {
-            let runway = this.flightPlanManager.getDepartureRunway();
-            if (!runway) {
-                runway = this.flightPlanManager.getDetectedCurrentRunway();
-            }
-            console.log(runway);
-            if (runway) {
-                let f = (runway.length - 1500) / (2500 - 1500);
-                runwayCoef = Utils.Clamp(f, 0, 1);
-            }
-        }
-        let dWeightCoeff = (this.getWeight(true) - 550) / (1000 - 550);
-        dWeightCoeff = Utils.Clamp(dWeightCoeff, 0, 1);
-        dWeightCoeff = 0.73 + (1.13 - 0.73) * dWeightCoeff;
-        let flapsHandleIndex = this.getTakeOffFLapHandle();
-        let temp = SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius");
-        let index = this._getIndexFromTemp(temp);
-        console.log("Index From Temp = " + index);
-        let min = B747_8_FMC_MainDisplay._v1s[index][0];
-        let max = B747_8_FMC_MainDisplay._v1s[index][1];
-        this.v1Speed = min * (1 - runwayCoef) + max * runwayCoef;
-        this.v1Speed *= dWeightCoeff;
-        this.v1Speed -= (flapsHandleIndex - 3) * 12;
-        this.v1Speed = Math.round(this.v1Speed);
-        SimVar.SetSimVarValue("L:AIRLINER_V1_SPEED", "Knots", this.v1Speed);
-        console.log("Computed V1Speed = " + this.v1Speed);
+        this.v1Speed = this.getTakeoffSpeeds().v1;
+        this.updateRefSpeeds();
     }
     _computeVRSpeed() {
-        let runwayCoef = 1.0;
-        {
-            let runway = this.flightPlanManager.getDepartureRunway();
-            if (!runway) {
-                runway = this.flightPlanManager.getDetectedCurrentRunway();
-            }
-            console.log(runway);
-            if (runway) {
-                let f = (runway.length - 1500) / (2500 - 1500);
-                runwayCoef = Utils.Clamp(f, 0, 1);
-            }
-        }
-        let dWeightCoeff = (this.getWeight(true) - 550) / (1000 - 550);
-        dWeightCoeff = Utils.Clamp(dWeightCoeff, 0, 1);
-        dWeightCoeff = 0.8 + (1.22 - 0.8) * dWeightCoeff;
-        let flapsHandleIndex = this.getTakeOffFLapHandle();
-        let temp = SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius");
-        let index = this._getIndexFromTemp(temp);
-        console.log("Index From Temp = " + index);
-        let min = B747_8_FMC_MainDisplay._vRs[index][0];
-        let max = B747_8_FMC_MainDisplay._vRs[index][1];
-        this.vRSpeed = min * (1 - runwayCoef) + max * runwayCoef;
-        this.vRSpeed *= dWeightCoeff;
-        this.vRSpeed -= (flapsHandleIndex - 3) * 11;
-        this.vRSpeed = Math.round(this.vRSpeed);
-        SimVar.SetSimVarValue("L:AIRLINER_VR_SPEED", "Knots", this.vRSpeed);
-        console.log("Computed VRSpeed = " + this.vRSpeed);
+        this.vRSpeed = this.getTakeoffSpeeds().vr;
+        this.updateRefSpeeds();
     }
     _computeV2Speed() {
-        let runwayCoef = 1.0;
-        {
-            let runway = this.flightPlanManager.getDepartureRunway();
-            if (!runway) {
-                runway = this.flightPlanManager.getDetectedCurrentRunway();
-            }
-            console.log(runway);
-            if (runway) {
-                let f = (runway.length - 1500) / (2500 - 1500);
-                runwayCoef = Utils.Clamp(f, 0, 1);
-            }
-        }
-        let dWeightCoeff = (this.getWeight(true) - 550) / (1000 - 550);
-        dWeightCoeff = Utils.Clamp(dWeightCoeff, 0, 1);
-        dWeightCoeff = 0.93 + (1.26 - 0.93) * dWeightCoeff;
-        let flapsHandleIndex = this.getTakeOffFLapHandle();
-        let temp = SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius");
-        let index = this._getIndexFromTemp(temp);
-        console.log("Index From Temp = " + index);
-        let min = B747_8_FMC_MainDisplay._v2s[index][0];
-        let max = B747_8_FMC_MainDisplay._v2s[index][1];
-        this.v2Speed = min * (1 - runwayCoef) + max * runwayCoef;
-        this.v2Speed *= dWeightCoeff;
-        this.v2Speed -= (flapsHandleIndex - 3) * 12;
-        this.v2Speed = Math.round(this.v2Speed);
-        SimVar.SetSimVarValue("L:AIRLINER_V2_SPEED", "Knots", this.v2Speed);
-        console.log("Computed VRSpeed = " + this.v2Speed);
+        this.v2Speed = this.getTakeoffSpeeds().v2;
+        this.updateRefSpeeds();
+    }
+    trySetV1Speed(s) {
+        const result = super.trySetV1Speed(s);
+        this.updateRefSpeeds();
+        return result;
+    }
+    trySetVRSpeed(s) {
+        const result = super.trySetVRSpeed(s);
+        this.updateRefSpeeds();
+        return result;
+    }
+    trySetV2Speed(s) {
+        const result = super.trySetV2Speed(s);
+        this.updateRefSpeeds();
+        return result;
+    }
+    /* Gross weight less the taxi fuel burned before brake release */
+    getTakeOffGrossWeight(useLbs = false) {
+        return this.getWeight(useLbs) - (useLbs ? this.taxiFuelWeight * 2.204623 : this.taxiFuelWeight);
     }
     getFlapTakeOffSpeed() {
         let dWeight = (this.getWeight(true) - 500) / (900 - 500);
@@ -604,7 +557,9 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         let crzMode = SimVar.GetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum");
         let speed = Math.min(flapsUPmanueverSpeed + 100, 350, machlimit);
         let isSpeedIntervention = SimVar.GetSimVarValue("L:AP_SPEED_INTERVENTION_ACTIVE", "number");
-        if (crzMode == 0) {
+        /* No LRC Mach at or below FL240, cruise at ECON speed instead */
+        let lrcMach = crzMode == 1 ? this.getLrcMach() : 1;
+        if (crzMode == 0 || (crzMode == 1 && lrcMach >= 1)) {
             if (speed >= machlimit && !machMode && !isSpeedIntervention && !cduSpeedRequest) {
                 this.managedMachOn();
             }
@@ -612,6 +567,12 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
                 this.managedMachOff();
             }
         }
+        else if (crzMode == 1) {
+            speed = SimVar.GetGameVarValue("FROM MACH TO KIAS", "knots", lrcMach);
+            if (!machMode && !isSpeedIntervention && !cduSpeedRequest) {
+                this.managedMachOn();
+            }
+        }
         else if (crzMode == 3) {
             speed = SimVar.GetSimVarValue("L:SALTY_CRZ_SPEED", "knots");
             if (machMode && !isSpeedIntervention && !cduSpeedRequest) {
@@ -625,6 +586,18 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
                 this.managedMachOn();
             }
         }
+        else if (crzMode == B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT) {
+            speed = Math.min(this.getEngineOutSpeed(), machlimit);
+            if (machMode && !isSpeedIntervention && !cduSpeedRequest) {
+                this.managedMachOff();
+            }
+        }
+        else if (crzMode == B747_8_FMC_MainDisplay.CRZ_MODE_RTA && this._rta) {
+            speed = SimVar.GetGameVarValue("FROM MACH TO KIAS", "knots", this._rta.commandMach);
+            if (!machMode && !isSpeedIntervention && !cduSpeedRequest) {
+                this.managedMachOn();
+            }
+        }
         if (this.cruiseFlightLevel < 100) {
             speed = Math.max(flapsUPmanueverSpeed + 40, 250);
         }
@@ -671,6 +644,221 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         return speed;
     }
 
+    /**
+     * Speeds VNAV will fly in each phase, for the route predictions. Side effect free, unlike the managed speeds.
+     * @returns {object} climb and descent CAS with their Mach limits, climbRestriction (speed and altitude) or null,
+     * and cruise as a CAS or a Mach number below 1.
+     */
+    getPlannedSpeeds() {
+        const crzMach = this.getCrzMach();
+        const machLimit = crzMach < 1 ? crzMach : B747_8_FMC_MainDisplay.PLANNED_MACH_LIMIT;
+        const crzMode = SimVar.GetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum");
+        const desMode = SimVar.GetSimVarValue("L:SALTY_VNAV_DES_MODE", "Enum");
+        const speedRestrAlt = SimVar.GetSimVarValue("L:SALTY_SPEED_RESTRICTION_ALT", "feet");
+
+        let climb = Math.max(Math.min(SimVar.GetSimVarValue("L:SALTY_VREF30", "knots") + 180, 355), 250);
+        if (SimVar.GetSimVarValue("L:SALTY_VNAV_CLB_MODE", "Enum") == 2) {
+            climb = SimVar.GetSimVarValue("L:SALTY_VNAV_CLB_SPEED", "knots");
+        }
+
+        let cruise = crzMach < 1 ? crzMach : this.getCrzManagedSpeed(true);
+        if (crzMode == 1 && this.getLrcMach() < 1) {
+            cruise = this.getLrcMach();
+        }
+        else if (crzMode == 3) {
+            cruise = SimVar.GetSimVarValue("L:SALTY_CRZ_SPEED", "knots");
+        }
+        else if (crzMode == 4) {
+            cruise = SimVar.GetSimVarValue("L:SALTY_CRZ_MACH", "mach");
+        }
+        else if (crzMode == B747_8_FMC_MainDisplay.CRZ_MODE_RTA && this._rta) {
+            cruise = this._rta.commandMach;
+        }
+        else if (crzMode == B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT) {
+            cruise = this.getEngineOutSpeed();
+        }
+
+        return {
+            climb: climb,
+            climbMach: machLimit,
+            climbRestriction: speedRestrAlt !== 0 ? { speed: SimVar.GetSimVarValue("L:SALTY_SPEED_RESTRICTION", "knots"), altitude: speedRestrAlt } : null,
+            cruise: cruise,
+            descent: desMode == 2 ? SimVar.GetSimVarValue("L:SALTY_DES_SPEED", "knots") : 290,
+            descentMach: desMode == 3 ? SimVar.GetSimVarValue("L:SALTY_ECON_DES_MACH", "mach") : machLimit
+        };
+    }
+
+    /* Parses FLXXX, XXX as a flight level or XXXXX in feet */
+    parseAltitudeEntry(value) {
+        const match = value.match(/^(FL)?(\d{3,5})$/);
+        if (!match || (match[1] && match[2].length !== 3)) {
+            return NaN;
+        }
+        const altitude = match[2].length === 3 ? parseInt(match[2]) * 100 : parseInt(match[2]);
+        return altitude <= this.maxCruiseFL * 100 ? altitude : NaN;
+    }
+    trySetDescentTransitionLevel(value) {
+        const altitude = this.parseAltitudeEntry(value);
+        if (!isFinite(altitude) || altitude < 1000) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.perfApprTransAlt = altitude;
+        return true;
+    }
+    /* Engine anti-ice is expected on below this altitude in the descent, DELETE clears it */
+    trySetDescentTaiOnAltitude(value) {
+        const altitude = value === FMCMainDisplay.clrValue ? NaN : this.parseAltitudeEntry(value);
+        if (value !== FMCMainDisplay.clrValue && !isFinite(altitude)) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.descentTaiOnAltitude = altitude;
+        this.onDescentForecastChanged();
+        return true;
+    }
+    trySetDescentIsaDeviation(value) {
+        const match = value.match(/^([+-]?\d{1,2})C?$/);
+        const deviation = value === FMCMainDisplay.clrValue ? 0 : (match ? parseInt(match[1]) : NaN);
+        if (!isFinite(deviation) || Math.abs(deviation) > 50) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.descentForecastIsaDeviation = deviation;
+        this.onDescentForecastChanged();
+        return true;
+    }
+    /* Up to four forecast altitudes, highest first; DELETE removes the altitude with its wind */
+    trySetDescentForecastAltitude(index, value) {
+        const winds = this.descentForecastWinds;
+        if (value === FMCMainDisplay.clrValue) {
+            winds.splice(index, 1);
+            this.onDescentForecastChanged();
+            return true;
+        }
+        const altitude = this.parseAltitudeEntry(value);
+        if (!isFinite(altitude) || index >= B747_8_FMC_MainDisplay.DESCENT_FORECAST_LAYERS) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        if (winds[index]) {
+            winds[index].altitude = altitude;
+        }
+        else {
+            winds.push({ altitude: altitude, direction: 0, speed: 0 });
+        }
+        winds.sort((a, b) => b.altitude - a.altitude);
+        this.onDescentForecastChanged();
+        return true;
+    }
+    /* Wind entered as DIR/SPD for a forecast altitude already entered */
+    trySetDescentForecastWind(index, value) {
+        const match = value.match(/^(\d{1,3})\/(\d{1,3})$/);
+        const direction = match ? parseInt(match[1]) : NaN;
+        const speed = match ? parseInt(match[2]) : NaN;
+        if (!this.descentForecastWinds[index] || !(direction >= 0 && direction <= 360) || !(speed >= 0 && speed < 250)) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.descentForecastWinds[index].direction = direction % 360;
+        this.descentForecastWinds[index].speed = speed;
+        this.onDescentForecastChanged();
+        return true;
+    }
+    /**
+     * Forecast wind at an altitude, interpolated between the forecast altitudes and held above the highest and below the lowest.
+     * @param {number} altitude The altitude in feet.
+     * @returns {object} direction in degrees and speed in knots, null without a forecast.
+     */
+    getDescentForecastWind(altitude) {
+        const winds = this.descentForecastWinds;
+        if (winds.length === 0) {
+            return null;
+        }
+        const above = winds.filter((wind) => wind.altitude >= altitude).pop();
+        const below = winds.find((wind) => wind.altitude < altitude);
+        if (!above || !below) {
+            return { direction: (above || below).direction, speed: (above || below).speed };
+        }
+        /* Interpolate the wind vector, not direction and speed */
+        const ratio = (altitude - below.altitude) / (above.altitude - below.altitude);
+        const toVector = (wind) => [wind.speed * Math.sin(wind.direction * Avionics.Utils.DEG2RAD), wind.speed * Math.cos(wind.direction * Avionics.Utils.DEG2RAD)];
+        const a = toVector(above);
+        const b = toVector(below);
+        const x = b[0] + (a[0] - b[0]) * ratio;
+        const y = b[1] + (a[1] - b[1]) * ratio;
+        return {
+            direction: (Math.atan2(x, y) / Avionics.Utils.DEG2RAD + 360) % 360,
+            speed: Math.sqrt(x * x + y * y)
+        };
+    }
+    isDescentTaiOn(altitude) {
+        return isFinite(this.descentTaiOnAltitude) && altitude < this.descentTaiOnAltitude;
+    }
+    /* The descent path is rebuilt with the new forecast */
+    onDescentForecastChanged() {
+        if (this._vnav) {
+            this._vnav.invalidateVerticalFlightPlan();
+        }
+    }
+    /* Offpath descent fix, any waypoint in the database; DELETE clears it */
+    trySetOffpathFix(value, callback) {
+        if (value === FMCMainDisplay.clrValue) {
+            this.offpathFix = undefined;
+            this.updateOffpathDescent();
+            return callback(true);
+        }
+        this.getOrSelectWaypointByIdent(value, (waypoint) => {
+            if (!waypoint) {
+                this.showErrorMessage("NOT IN DATABASE");
+                return callback(false);
+            }
+            this.offpathFix = waypoint;
+            this.updateOffpathDescent();
+            callback(true);
+        });
+    }
+    trySetOffpathAltitude(value) {
+        const altitude = value === FMCMainDisplay.clrValue ? NaN : this.parseAltitudeEntry(value);
+        if (value !== FMCMainDisplay.clrValue && !isFinite(altitude)) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.offpathAltitude = altitude;
+        this.updateOffpathDescent();
+        return true;
+    }
+    setOffpathCirclesShown(shown) {
+        this.offpathCirclesShown = shown;
+        this.updateOffpathDescent();
+    }
+    /**
+     * Idle descent ranges from the current altitude down to the offpath altitude.
+     * @returns {object} distance to the fix, clean and speedbrake ranges in NM, null without a fix and altitude.
+     */
+    getOffpathPrediction() {
+        if (!this.offpathFix || !isFinite(this.offpathAltitude)) {
+            return null;
+        }
+        const position = new LatLong(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude"));
+        const altitudeToLose = Math.max(Simplane.getAltitude() - this.offpathAltitude, 0);
+        return {
+            distance: Avionics.Utils.computeGreatCircleDistance(position, this.offpathFix.infos.coordinates),
+            cleanRange: altitudeToLose / B747_8_FMC_MainDisplay.OFFPATH_CLEAN_FEET_PER_NM,
+            speedbrakeRange: altitudeToLose / B747_8_FMC_MainDisplay.OFFPATH_SPEEDBRAKE_FEET_PER_NM
+        };
+    }
+    /* Circles for the ND around the offpath fix, a range of 0 hides them */
+    updateOffpathDescent() {
+        const prediction = this.offpathCirclesShown ? this.getOffpathPrediction() : null;
+        if (prediction) {
+            SimVar.SetSimVarValue("L:SALTY_OFFPATH_LAT", "degree latitude", this.offpathFix.infos.coordinates.lat);
+            SimVar.SetSimVarValue("L:SALTY_OFFPATH_LONG", "degree longitude", this.offpathFix.infos.coordinates.long);
+        }
+        SimVar.SetSimVarValue("L:SALTY_OFFPATH_CLEAN_RANGE", "number", prediction ? prediction.cleanRange : 0);
+        SimVar.SetSimVarValue("L:SALTY_OFFPATH_SPDBRK_RANGE", "number", prediction ? prediction.speedbrakeRange : 0);
+    }
+
     /* Gets Cruise Mach number from altitude - Used regression from B744 data using weight correction factor needs B748 data to refine */
     getCrzMach() {
         let roundedFlightLevel = Math.ceil(this.cruiseFlightLevel / 10) * 10;
@@ -727,6 +915,239 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         }
         return crzMach;
     }
+
+    /* Gets Long Range Cruise Mach, 99% of maximum specific range - Follows weight over pressure ratio at cruise altitude, reduced when warmer than ISA */
+    getLrcMach() {
+        if (!(this.cruiseFlightLevel > 240)) {
+            return 1;
+        }
+        const tropopause = 36089;
+        const crzAltitude = this.cruiseFlightLevel * 100;
+        let pressureRatio = Math.pow(1 - 6.8756e-6 * Math.min(crzAltitude, tropopause), 5.2559);
+        if (crzAltitude > tropopause) {
+            pressureRatio *= Math.exp(-4.8063e-5 * (crzAltitude - tropopause));
+        }
+        const isaDeviation = this.getIsaDeviation();
+        const weightOverPressureRatio = this.getWeight(false) / pressureRatio;
+        const lrcMach = 0.80 + (weightOverPressureRatio - 900) * 6.1e-5 - 3.0e-4 * isaDeviation;
+        return Math.min(Math.max(lrcMach, 0.78), 0.86);
+    }
+
+    /* Outside air temperature deviation from ISA at the current altitude, in celsius */
+    getIsaDeviation() {
+        const isaTemperature = Math.max(15 - 1.9812 * Simplane.getAltitude() / 1000, -56.5);
+        return SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius") - isaTemperature;
+    }
+
+    /* Estimates trip fuel in kg to destination at a cruise Mach - Specific range drops away from the maximum range Mach, 1% down at LRC */
+    getCrzTripFuel(mach) {
+        const lrcMach = this.getLrcMach();
+        const maxRangeMach = lrcMach - B747_8_FMC_MainDisplay.LRC_MACH_ABOVE_MAX_RANGE;
+        const rangeFactor = 1 - 0.01 * Math.pow((mach - maxRangeMach) / B747_8_FMC_MainDisplay.LRC_MACH_ABOVE_MAX_RANGE, 2);
+        const destination = this.flightPlanManager.getDestination();
+        const distance = destination ? this.getDistanceAlongRoute(destination) : NaN;
+        return this.getRouteTripFuel(distance) / Math.max(rangeFactor, 0.5);
+    }
+
+    /* Optimum and maximum altitudes in feet for a gross weight in kg - Linear regression derived from actual aircraft data */
+    getOptimumAltitude(grossWeight) {
+        return Math.min(43100, -0.06056044 * grossWeight + 56063.51648352);
+    }
+    getMaxAltitude(grossWeight) {
+        return Math.min(43100, -0.04894505 * grossWeight + 54680.43956044);
+    }
+    /* Gross weight in kg at which an altitude for weight curve comes down to the altitude, 0 when the curve never reaches it */
+    getWeightForAltitude(getAltitude, altitude) {
+        let low = 0;
+        let high = 1000000;
+        if (getAltitude(low) < altitude) {
+            return 0;
+        }
+        for (let i = 0; i < 40; i++) {
+            const weight = (low + high) / 2;
+            if (getAltitude(weight) >= altitude) {
+                low = weight;
+            } else {
+                high = weight;
+            }
+        }
+        return low;
+    }
+
+    /* Step size is RVSM, a fixed 1000, 2000 or 4000 ft, or 0 for no step climbs */
+    trySetStepSize(value) {
+        if (!B747_8_FMC_MainDisplay.STEP_SIZES.includes(value)) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.stepSize = value;
+        return true;
+    }
+    /* STEP TO altitude entered as FLXXX or XXX, DELETE goes back to the step size */
+    trySetStepToAltitude(value) {
+        if (value === FMCMainDisplay.clrValue) {
+            this.stepToAltitude = NaN;
+            return true;
+        }
+        const match = value.match(/^(?:FL)?(\d{3})$/);
+        const altitude = match ? parseInt(match[1]) * 100 : NaN;
+        if (!this.cruiseFlightLevel || !isFinite(altitude) || altitude <= this.cruiseFlightLevel * 100 || altitude > this.maxCruiseFL * 100) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.stepToAltitude = altitude;
+        return true;
+    }
+    /* Altitude in feet of the next step climb, NaN when none is planned */
+    getStepToAltitude() {
+        if (!this.cruiseFlightLevel) {
+            return NaN;
+        }
+        const crzAltitude = this.cruiseFlightLevel * 100;
+        if (isFinite(this.stepToAltitude)) {
+            return this.stepToAltitude > crzAltitude ? this.stepToAltitude : NaN;
+        }
+        let stepSize = parseInt(this.stepSize);
+        if (this.stepSize === "RVSM") {
+            stepSize = crzAltitude >= 41000 ? 4000 : 2000;
+        }
+        if (stepSize === 0 || crzAltitude + stepSize > this.maxCruiseFL * 100) {
+            return NaN;
+        }
+        return crzAltitude + stepSize;
+    }
+    /**
+     * Predicts the optimum step point. The step is worthwhile once fuel burn has brought the optimum altitude halfway up
+     * to the step altitude, and possible once the maximum altitude is above it, whichever comes later.
+     * @returns {object} altitude, distance, distanceFromDestination and eta of the step point, with fuelSavings in kg and
+     * timeSavings in seconds to destination; null when no step is planned or the step point is beyond top of descent.
+     */
+    getStepClimbPrediction() {
+        const stepAltitude = this.getStepToAltitude();
+        const destination = this.flightPlanManager.getDestination();
+        if (!isFinite(stepAltitude) || !destination || this.currentFlightPhase > FlightPhase.FLIGHT_PHASE_CRUISE) {
+            return null;
+        }
+        const crzAltitude = this.cruiseFlightLevel * 100;
+        const remaining = this.getDistanceAlongRoute(destination);
+        const todRemaining = SimVar.GetSimVarValue("L:WT_CJ4_TOD_REMAINING", "number");
+        if (!isFinite(remaining)) {
+            return null;
+        }
+
+        /* Fuel burns off exponentially with distance at a fixed burn per tonne */
+        const grossWeight = SimVar.GetSimVarValue("TOTAL WEIGHT", "kilograms");
+        const optimumWeight = this.getWeightForAltitude((weight) => this.getOptimumAltitude(weight), (crzAltitude + stepAltitude) / 2);
+        const maxWeight = this.getWeightForAltitude((weight) => this.getMaxAltitude(weight), stepAltitude);
+        const stepWeight = Math.min(optimumWeight, maxWeight);
+        const burnPerNm = B747_8_FMC_MainDisplay.TRIP_FUEL_PER_NM_TONNE / 1000;
+        const distance = stepWeight < grossWeight ? Math.log(grossWeight / stepWeight) / burnPerNm : 0;
+        if (stepWeight <= 0 || distance >= (todRemaining > 0 ? todRemaining : remaining)) {
+            return null;
+        }
+
+        /* Fuel mileage drops with the square of the distance from optimum altitude */
+        const distanceAfterStep = remaining - distance;
+        const optimumAltitude = this.getOptimumAltitude(Math.min(stepWeight, grossWeight) * Math.exp(-burnPerNm * distanceAfterStep / 2));
+        const penalty = (altitude) => B747_8_FMC_MainDisplay.STEP_FUEL_PENALTY * Math.pow((altitude - optimumAltitude) / 1000, 2);
+        const fuelSavings = this.getRouteTripFuel(distanceAfterStep) * (penalty(crzAltitude) - penalty(stepAltitude));
+
+        /* The same Mach is a lower true airspeed in the colder air higher up */
+        const isaTemperature = (altitude) => 288.15 - 1.9812 * Math.min(altitude, 36089) / 1000;
+        const groundSpeed = Simplane.getGroundSpeed();
+        const timeAfterStep = groundSpeed > 50 ? distanceAfterStep / groundSpeed * 3600 : NaN;
+        const timeSavings = timeAfterStep * (1 - Math.sqrt(isaTemperature(crzAltitude) / isaTemperature(stepAltitude)));
+
+        const now = SimVar.GetGlobalVarValue("ZULU TIME", "seconds");
+        return {
+            altitude: stepAltitude,
+            distance: distance,
+            distanceFromDestination: distanceAfterStep,
+            eta: groundSpeed > 50 ? (now + distance / groundSpeed * 3600) % 86400 : NaN,
+            fuelSavings: fuelSavings,
+            timeSavings: timeSavings
+        };
+    }
+    /* Engine out cruise is selected on the ENG OUT CRZ page and flown by VNAV as a cruise mode */
+    isEngineOutActive() {
+        return SimVar.GetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum") === B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT;
+    }
+    /* Max continuous thrust, flat rated to ISA+10 */
+    getThrustConLimit() {
+        return B747_8_FMC_MainDisplay.CON_THRUST_LIMIT - 0.2 * Math.max(this.getIsaDeviation() - 10, 0);
+    }
+    /* Three engine max altitude in feet for a gross weight in kg, lower in hotter air above ISA+10 */
+    getEngineOutMaxAltitude(grossWeight) {
+        const altitude = this.getMaxAltitude(grossWeight) - B747_8_FMC_MainDisplay.ENG_OUT_ALTITUDE_LOSS - 200 * Math.max(this.getIsaDeviation() - 10, 0);
+        return Math.max(Math.floor(altitude / 1000) * 1000, 10000);
+    }
+    /* Driftdown speed is the flaps up maneuver speed, close to best lift to drag */
+    getEngineOutSpeed() {
+        return this.getCleanApproachSpeed();
+    }
+    /**
+     * Predicts the driftdown from the current altitude to the engine out max altitude at E/O speed and CON thrust.
+     * @returns {object} levelOffAltitude in feet, with distance and eta of the level off; null when not above the level off altitude.
+     */
+    getDriftdownPrediction() {
+        const levelOffAltitude = this.getEngineOutMaxAltitude(SimVar.GetSimVarValue("TOTAL WEIGHT", "kilograms"));
+        const altitude = Simplane.getAltitude();
+        if (altitude < levelOffAltitude + 250) {
+            return null;
+        }
+        const distance = (altitude - levelOffAltitude) / B747_8_FMC_MainDisplay.DRIFTDOWN_FEET_PER_NM;
+        const groundSpeed = Simplane.getGroundSpeed();
+        const now = SimVar.GetGlobalVarValue("ZULU TIME", "seconds");
+        return {
+            levelOffAltitude: levelOffAltitude,
+            distance: distance,
+            eta: groundSpeed > 50 ? (now + distance / groundSpeed * 3600) % 86400 : NaN
+        };
+    }
+    /* Selecting ENG OUT brings the cruise altitude down to the engine out max altitude */
+    activateEngineOut() {
+        const maxFlightLevel = this.getEngineOutMaxAltitude(SimVar.GetSimVarValue("TOTAL WEIGHT", "kilograms")) / 100;
+        if (!this.cruiseFlightLevel || this.cruiseFlightLevel > maxFlightLevel) {
+            this.cruiseFlightLevel = maxFlightLevel;
+        }
+        SimVar.SetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum", B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT);
+        this._driftdownActive = false;
+        this.updateEngineOut();
+    }
+    cancelEngineOut() {
+        SimVar.SetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum", 0);
+        this.updateEngineOut();
+    }
+    isDriftdownActive() {
+        return this._driftdownActive;
+    }
+    /* Holds CON thrust, and starts the driftdown in FLCH at E/O speed once the MCP altitude is set below the aircraft */
+    updateEngineOut() {
+        if (!this.isEngineOutActive()) {
+            /* Any other cruise mode goes back to the all engine thrust limit */
+            if (this._isEngineOutThrust) {
+                SimVar.SetSimVarValue("AUTOPILOT THROTTLE MAX THRUST", "number", this.getThrustClimbLimit() / 100);
+                this._isEngineOutThrust = false;
+            }
+            this._driftdownActive = false;
+            return;
+        }
+        SimVar.SetSimVarValue("AUTOPILOT THROTTLE MAX THRUST", "number", this.getThrustConLimit() / 100);
+        this._isEngineOutThrust = true;
+        const canDriftdown = !!this.getDriftdownPrediction() && this.getIsVNAVActive() && this.currentFlightPhase === FlightPhase.FLIGHT_PHASE_CRUISE
+            && Simplane.getAutoPilotDisplayedAltitudeLockValue() < Simplane.getAltitude() - 250;
+        if (canDriftdown && !this._driftdownActive && this._navModeSelector && this._currentVerticalAutopilot) {
+            this._navModeSelector.engageFlightLevelChange();
+            this._currentVerticalAutopilot.setVerticalNavModeState(VerticalNavModeState.FLC);
+        }
+        this._driftdownActive = canDriftdown;
+    }
+    /* Step point for the ND, as a distance from destination like T/D */
+    updateStepClimb() {
+        const prediction = this.getStepClimbPrediction();
+        const distance = prediction && prediction.distance > 0 ? prediction.distanceFromDestination : 0;
+        SimVar.SetSimVarValue("L:SALTY_STEP_CLIMB_DISTANCE", "number", distance);
+    }
     getManagedApproachSpeed() {
         if (SimVar.GetSimVarValue("L:AIRLINER_VREF_SPEED", "knots")) {
             return SimVar.GetSimVarValue("L:AIRLINER_VREF_SPEED", "knots") + 5;
@@ -876,6 +1297,392 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         rowIndex = Math.min(rowIndex, this._takeOffN1Table[0].length - 1);
         return this._takeOffN1Table[lineIndex][rowIndex];
     }
+    /* Number of the route that is not active, kept in its own flight plan slot */
+    getInactiveRoute() {
+        return 3 - this.activeRoute;
+    }
+    /* Number shown on the active route pages; a MOD that activates the inactive route carries its number */
+    getDisplayedRoute() {
+        return this._pendingRouteSwap ? this.getInactiveRoute() : this.activeRoute;
+    }
+    ensureInactiveRoute(callback = EmptyCallback.Void) {
+        const fpm = this.flightPlanManager;
+        if (fpm.getFlightPlan(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX)) {
+            return callback();
+        }
+        if (!fpm.getFlightPlan(1)) {
+            return fpm.copyCurrentFlightPlanInto(1, () => fpm.createNewFlightPlan(callback));
+        }
+        fpm.createNewFlightPlan(callback);
+    }
+    /**
+     * Reads from the inactive route through the flight plan manager's current plan accessors.
+     * @param {function} read Called with the inactive route as the current plan.
+     * @returns {*} The value returned by read.
+     */
+    readInactiveRoute(read) {
+        const fpm = this.flightPlanManager;
+        const previousIndex = fpm.getCurrentFlightPlanIndex();
+        this.ensureInactiveRoute();
+        fpm.setCurrentFlightPlanIndex(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX);
+        try {
+            return read();
+        } finally {
+            fpm.setCurrentFlightPlanIndex(previousIndex);
+        }
+    }
+    /**
+     * Edits the inactive route, then returns to the flight plan that was current.
+     * Sync to the sim is paused meanwhile, as it would send the inactive route as the current plan.
+     * @param {function} edit Receives a done callback to call once the edit has completed.
+     * @param {function} callback Called with the arguments passed to done.
+     */
+    editInactiveRoute(edit, callback = EmptyCallback.Void) {
+        const fpm = this.flightPlanManager;
+        this.ensureInactiveRoute(() => {
+            const previousIndex = fpm.getCurrentFlightPlanIndex();
+            fpm.pauseSync();
+            fpm.setCurrentFlightPlanIndex(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX, false, () => {
+                edit((...args) => {
+                    fpm.setCurrentFlightPlanIndex(previousIndex, false, () => {
+                        fpm.resumeSync();
+                        callback(...args);
+                    });
+                });
+            });
+        });
+    }
+    /* Loads the inactive route as a MOD of the active route; EXEC swaps the two */
+    activateInactiveRoute(callback = EmptyCallback.Void) {
+        const fpm = this.flightPlanManager;
+        const inactive = fpm.getFlightPlan(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX);
+        if (!inactive || !inactive.hasOrigin || !inactive.hasDestination) {
+            this.showErrorMessage("INVALID ROUTE");
+            return;
+        }
+        fpm.setCurrentFlightPlanIndex(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX, false, () => {
+            fpm.copyCurrentFlightPlanInto(1, () => {
+                fpm.setCurrentFlightPlanIndex(1, false, () => {
+                    SimVar.SetSimVarValue("L:FMC_FLIGHT_PLAN_IS_TEMPORARY", "number", 1);
+                    SimVar.SetSimVarValue("L:MAP_SHOW_TEMPORARY_FLIGHT_PLAN", "number", 1);
+                    this._pendingRouteSwap = true;
+                    this.activateRoute(false, callback);
+                });
+            });
+        });
+    }
+    insertTemporaryFlightPlan(callback = EmptyCallback.Void) {
+        const fpm = this.flightPlanManager;
+        if (!this._pendingRouteSwap || fpm.getCurrentFlightPlanIndex() !== 1) {
+            return super.insertTemporaryFlightPlan(callback);
+        }
+        /* The route being replaced becomes the inactive route */
+        this._pendingRouteSwap = false;
+        fpm.setCurrentFlightPlanIndex(0, false, () => {
+            fpm.copyCurrentFlightPlanInto(B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX, () => {
+                fpm.setCurrentFlightPlanIndex(1, false, () => {
+                    this.activeRoute = this.getInactiveRoute();
+                    super.insertTemporaryFlightPlan(callback);
+                });
+            });
+        });
+    }
+    eraseTemporaryFlightPlan(callback = EmptyCallback.Void) {
+        this._pendingRouteSwap = false;
+        super.eraseTemporaryFlightPlan(callback);
+    }
+    /* Loads a company route as a MOD of the active route, importing it from its route file when it is not saved yet */
+    updateCoRoute(coRoute, callback = EmptyCallback.Boolean) {
+        super.updateCoRoute(coRoute, (result) => {
+            if (!result || !this.coRoute) {
+                return callback(result);
+            }
+            const name = this.coRoute;
+            const fpm = this.flightPlanManager;
+            if (this.coRoutes.has(name)) {
+                this.eraseTemporaryFlightPlan(() => {
+                    fpm.loadFlightPlanInto(1, this.coRoutes.get(name), () => {
+                        fpm.setCurrentFlightPlanIndex(1, false, () => {
+                            SimVar.SetSimVarValue("L:FMC_FLIGHT_PLAN_IS_TEMPORARY", "number", 1);
+                            SimVar.SetSimVarValue("L:MAP_SHOW_TEMPORARY_FLIGHT_PLAN", "number", 1);
+                            this.activateRoute(false, () => callback(true));
+                        });
+                    });
+                });
+                return;
+            }
+            this.coRoutes.importFile(name).then((route) => {
+                if (!route) {
+                    this.coRoute = undefined;
+                    this.showErrorMessage("NOT IN DATABASE");
+                    return callback(false);
+                }
+                getFplnFromRoute(this, route, false, (isComplete) => {
+                    if (isComplete) {
+                        this.coRoutes.save(name, fpm.getCurrentFlightPlan());
+                    } else {
+                        this.setMsg("PARTIAL CO ROUTE");
+                    }
+                    callback(isComplete);
+                });
+            });
+        });
+    }
+    /* Saves the displayed route, active or MOD, in the company route database */
+    saveCoRoute(name) {
+        const flightPlan = this.flightPlanManager.getCurrentFlightPlan();
+        if (name.length < 3 || name.length > 9 || name === "NONE" || name === FMCMainDisplay.clrValue) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        if (!flightPlan.hasOrigin || !flightPlan.hasDestination) {
+            this.showErrorMessage("INVALID ROUTE");
+            return false;
+        }
+        this.coRoutes.save(name, flightPlan);
+        this.coRoute = name;
+        return true;
+    }
+    /* Alternate entered in one of the ALTERNATE page slots; DELETE gives the slot back to the nearest airports */
+    trySetAlternate(index, value, callback = EmptyCallback.Boolean) {
+        if (value === FMCMainDisplay.clrValue) {
+            this._alternateEntries[index] = undefined;
+            this._alternateTimer = 0;
+            return callback(true);
+        }
+        this.dataManager.GetAirportByIdent(value).then((airport) => {
+            if (!airport) {
+                this.showErrorMessage("NOT IN DATABASE");
+                return callback(false);
+            }
+            this._alternateEntries[index] = airport;
+            this._alternateTimer = 0;
+            callback(true);
+        });
+    }
+    getSelectedAlternate() {
+        return this.alternates.find(airport => airport && airport.ident === this.selectedAlternate) || this.alternates.find(airport => airport);
+    }
+    /* Entered and SimBrief alternates keep their slot, the others are the nearest suitable airports to the destination */
+    updateAlternates(deltaTime) {
+        const destination = this.flightPlanManager.getDestination();
+        const center = destination ? destination.infos.coordinates : new LatLong(SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude"), SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude"));
+        this._alternateLoaderTimer -= deltaTime;
+        if (this._alternateLoaderTimer <= 0) {
+            this._alternateLoaderTimer = B747_8_FMC_MainDisplay.ALTN_LOADER_INTERVAL;
+            this._alternateLoader.searchLat = center.lat;
+            this._alternateLoader.searchLong = center.long;
+            this._alternateLoader.searchRange = B747_8_FMC_MainDisplay.ALTN_SEARCH_RANGE;
+            this._alternateLoader.update();
+        }
+
+        this._alternateTimer -= deltaTime;
+        if (this._alternateTimer > 0) {
+            return;
+        }
+        this._alternateTimer = B747_8_FMC_MainDisplay.ALTN_UPDATE_INTERVAL;
+        /* The OFP alternate only fills an empty first slot, never one the pilot entered */
+        if (this.simbrief.alternateIcao && this.simbrief.alternateIcao !== this._simbriefAlternate) {
+            this._simbriefAlternate = this.simbrief.alternateIcao;
+            if (!this._alternateEntries[0]) {
+                this.trySetAlternate(0, this._simbriefAlternate);
+            }
+        }
+
+        const isListed = (airport) => (destination && airport.icao === destination.icao) || this._alternateEntries.some(entry => entry && entry.icao === airport.icao);
+        const nearest = this._alternateLoader.waypoints
+            .filter(airport => airport.infos instanceof AirportInfo && !isListed(airport) && airport.infos.runways.some(runway => runway.length >= B747_8_FMC_MainDisplay.ALTN_MIN_RUNWAY_LENGTH))
+            .map(airport => ({ airport: airport, distance: Avionics.Utils.computeGreatCircleDistance(center, airport.infos.coordinates) }))
+            .filter(candidate => candidate.distance <= B747_8_FMC_MainDisplay.ALTN_SEARCH_RANGE)
+            .sort((a, b) => a.distance - b.distance);
+        this.alternates = [];
+        for (let i = 0; i < B747_8_FMC_MainDisplay.ALTN_COUNT; i++) {
+            const candidate = this._alternateEntries[i] ? null : nearest.shift();
+            this.alternates[i] = this._alternateEntries[i] || (candidate && candidate.airport);
+        }
+    }
+    /**
+     * Predicts the diversion to an alternate, direct from present position or along the route through the destination.
+     * @param {WayPoint} airport The alternate airport.
+     * @returns {object} distance in NM, eta in seconds and fuel at arrival in kg; null when the route cannot be predicted.
+     */
+    getAlternatePrediction(airport) {
+        let start = {
+            distance: 0,
+            eta: SimVar.GetGlobalVarValue("ZULU TIME", "seconds"),
+            fuel: SimVar.GetSimVarValue("FUEL TOTAL QUANTITY WEIGHT", "kilograms"),
+            coordinates: new LatLong(SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude"), SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude"))
+        };
+        let groundSpeed = Simplane.getGroundSpeed() > B747_8_FMC_MainDisplay.ALTN_GROUND_SPEED / 2 ? Simplane.getGroundSpeed() : B747_8_FMC_MainDisplay.ALTN_GROUND_SPEED;
+        if (this.alternateViaRoute) {
+            const destination = this.flightPlanManager.getDestination();
+            const arrival = this.predictions.getDestination();
+            if (!destination || !arrival) {
+                return null;
+            }
+            start = { distance: arrival.distance, eta: arrival.eta, fuel: arrival.fuel, coordinates: destination.infos.coordinates };
+            groundSpeed = B747_8_FMC_MainDisplay.ALTN_GROUND_SPEED;
+        }
+        const distance = Avionics.Utils.computeGreatCircleDistance(start.coordinates, airport.infos.coordinates);
+        return {
+            distance: start.distance + distance,
+            eta: (start.eta + distance / groundSpeed * 3600) % 86400,
+            fuel: Math.max(start.fuel - this.getRouteTripFuel(distance), 0)
+        };
+    }
+    /* DIVERT NOW, a MOD route to the alternate: direct, or through the destination without its arrival and approach */
+    divertToAlternate(airport, callback = EmptyCallback.Boolean) {
+        const fpm = this.flightPlanManager;
+        const destination = fpm.getDestination();
+        if (!airport || !fpm.getActiveWaypoint()) {
+            this.showErrorMessage("NO ACTIVE ROUTE");
+            return callback(false);
+        }
+        this.ensureCurrentFlightPlanIsTemporary(() => {
+            fpm.setApproachTransitionIndex(-1, () => {
+                fpm.setArrivalProcIndex(-1, () => {
+                    fpm.setApproachIndex(-1, () => {
+                        const addDestination = (done) => {
+                            if (!this.alternateViaRoute || !destination) {
+                                return done();
+                            }
+                            fpm.addWaypoint(destination.icao, fpm.getAllWaypoints().indexOf(fpm.getDestination()), done);
+                        };
+                        addDestination(() => {
+                            fpm.setDestination(airport.icao, () => {
+                                this.tmpDestination = airport.ident;
+                                this.recalculateTHRRedAccTransAlt();
+                                this.fpHasChanged = true;
+                                if (this.alternateViaRoute) {
+                                    return callback(true);
+                                }
+                                fpm.activateDirectToByIndex(fpm.getAllWaypoints().indexOf(fpm.getDestination()), () => callback(true));
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+    /* Lateral offset entered as L or R and up to 99 NM, built into the MOD route; DELETE returns to the route */
+    trySetLateralOffset(value, callback = EmptyCallback.Boolean) {
+        const fpm = this.flightPlanManager;
+        if (value === FMCMainDisplay.clrValue) {
+            return this.modifyLateralOffset(undefined, callback);
+        }
+        const match = value.match(/^([LR])(\d{1,3})$/);
+        if (!match) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return callback(false);
+        }
+        const distance = parseInt(match[2]);
+        if (distance < 1 || distance > LateralOffset.MAX_DISTANCE) {
+            this.showErrorMessage("OUT OF RANGE");
+            return callback(false);
+        }
+        const offset = Object.assign(new LateralOffset(), fpm.getLateralOffset());
+        if (!offset.startIcao) {
+            const fromWaypoint = fpm.getAllWaypoints()[fpm.getActiveWaypointIndex() - 1];
+            if (!fromWaypoint) {
+                this.showErrorMessage("NO ACTIVE ROUTE");
+                return callback(false);
+            }
+            offset.startIcao = fromWaypoint.icao;
+        }
+        offset.isActive = true;
+        offset.distance = distance;
+        offset.direction = match[1] === "L" ? LateralOffsetDirection.Left : LateralOffsetDirection.Right;
+        this.modifyLateralOffset(offset, callback);
+    }
+    /* START or END waypoint of the lateral offset, which must be on the route ahead; DELETE restores the default */
+    trySetLateralOffsetWaypoint(value, isStart, callback = EmptyCallback.Boolean) {
+        const fpm = this.flightPlanManager;
+        const offset = Object.assign(new LateralOffset(), fpm.getLateralOffset());
+        if (!offset.isActive) {
+            this.showErrorMessage("NOT ALLOWED");
+            return callback(false);
+        }
+        const waypoints = fpm.getAllWaypoints();
+        const fromIndex = fpm.getActiveWaypointIndex() - 1;
+        if (value === FMCMainDisplay.clrValue) {
+            if (isStart) {
+                offset.startIcao = waypoints[fromIndex] ? waypoints[fromIndex].icao : undefined;
+            }
+            else {
+                offset.endIcao = undefined;
+            }
+            return this.modifyLateralOffset(offset, callback);
+        }
+        const startIndex = waypoints.findIndex((w, i) => i >= fromIndex && w.icao === offset.startIcao);
+        const searchIndex = isStart ? fromIndex : startIndex + 1;
+        const index = waypoints.findIndex((w, i) => i >= searchIndex && w.ident === value);
+        if (index < 0) {
+            this.showErrorMessage("NOT IN FLIGHT PLAN");
+            return callback(false);
+        }
+        if (isStart) {
+            offset.startIcao = waypoints[index].icao;
+        }
+        else {
+            offset.endIcao = waypoints[index].icao;
+        }
+        this.modifyLateralOffset(offset, callback);
+    }
+    /* Sets or clears the lateral offset on the MOD route */
+    modifyLateralOffset(offset, callback = EmptyCallback.Boolean) {
+        this.ensureCurrentFlightPlanIsTemporary(() => {
+            const done = () => this.activateRoute(false, () => callback(true));
+            if (offset) {
+                this.flightPlanManager.setLateralOffset(offset, done);
+            }
+            else {
+                this.flightPlanManager.clearLateralOffset(done);
+            }
+        });
+    }
+    /* Manual RNP in NM; DELETE returns to the flight phase default */
+    trySetRnp(value) {
+        if (value === FMCMainDisplay.clrValue) {
+            this.navPerformance.setManualRnp(NaN);
+            return true;
+        }
+        if (value === "" || !/^\d{0,2}(\.\d{1,2})?$/.test(value)) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        const rnp = parseFloat(value);
+        if (rnp < SaltyNavPerformance.MIN_RNP || rnp > SaltyNavPerformance.MAX_RNP) {
+            this.showErrorMessage("OUT OF RANGE");
+            return false;
+        }
+        this.navPerformance.setManualRnp(rnp);
+        return true;
+    }
+    /* Distance to go along the active route to a waypoint ahead, in NM */
+    getDistanceAlongRoute(waypoint) {
+        const fpm = this.flightPlanManager;
+        const activeWaypoint = fpm.getActiveWaypoint();
+        if (!activeWaypoint) {
+            return NaN;
+        }
+        return fpm.getDistanceToActiveWaypoint() + waypoint.cumulativeDistanceInFP - activeWaypoint.cumulativeDistanceInFP;
+    }
+    /* Great circle distance along a flight plan, in NM */
+    getRouteDistance(flightPlanIndex) {
+        const waypoints = this.flightPlanManager.getAllWaypoints(flightPlanIndex);
+        let distance = 0;
+        for (let i = 1; i < waypoints.length; i++) {
+            if (waypoints[i - 1].infos && waypoints[i].infos) {
+                distance += Avionics.Utils.computeGreatCircleDistance(waypoints[i - 1].infos.coordinates, waypoints[i].infos.coordinates);
+            }
+        }
+        return distance;
+    }
+    /* Planning trip fuel in kg for a distance, scaled with the gross weight */
+    getRouteTripFuel(distance) {
+        const weight = this.getWeight() || B747_8_FMC_MainDisplay.PLANNING_WEIGHT;
+        return distance * weight * B747_8_FMC_MainDisplay.TRIP_FUEL_PER_NM_TONNE;
+    }
     getThrustTakeOffMode() {
         return this._thrustTakeOffMode;
     }
@@ -890,6 +1697,10 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
     }
     setThrustCLBMode(m) {
         if (m >= 0 && m <= 2) {
+            /* A new climb thrust selection takes over from an active quiet climb */
+            if (this._quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_ACTIVE) {
+                this.setQuietClimbState(B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF);
+            }
             this._thrustCLBMode = m;
             SimVar.SetSimVarValue("L:AIRLINER_THRUST_CLIMB_MODE", "number", this._thrustCLBMode);
         }
@@ -900,7 +1711,7 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
     setThrustTakeOffTemp(s) {
         let v = parseFloat(s);
         if (isFinite(v)) {
-            let oat = SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius");
+            let oat = this.getTakeoffOat();
             if (v >= oat && v < 80) {
                 this._thrustTakeOffTemp = v;
                 return true;
@@ -923,8 +1734,198 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
     getThrustClimbLimit() {
         /*let altitude = Simplane.getAltitude();
         let temperature = SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius");*/
+        if (this._quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_ACTIVE) {
+            return 80 - B747_8_FMC_MainDisplay.QUIET_CLIMB_REDUCTION;
+        }
         return 80;
     }
+    getQuietClimbState() {
+        return this._quietClimbState;
+    }
+    setQuietClimbState(state) {
+        this._quietClimbState = state;
+        SimVar.SetSimVarValue("L:SALTY_QCLB_STATE", "number", state);
+    }
+    /* Q-CLB can only be armed or disarmed before the cutback */
+    setQuietClimbArmed(armed) {
+        if (this._quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_ACTIVE) {
+            this.showErrorMessage("NOT ALLOWED");
+            return false;
+        }
+        this.setQuietClimbState(armed ? B747_8_FMC_MainDisplay.QUIET_CLIMB_ARMED : B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF);
+        return true;
+    }
+    /* Accepts CUTBACK/RESTORE heights above the runway, either part alone */
+    trySetQuietClimbHeights(s) {
+        if (s === FMCMainDisplay.clrValue) {
+            this.quietClimbCutbackHeight = 1000;
+            this.quietClimbRestoreHeight = 3000;
+            return true;
+        }
+        const match = s.match(/^(\d{3,4})?\/?(\d{3,4})?$/);
+        if (match && (match[1] || match[2]) && (s.indexOf("/") !== -1 || !match[2])) {
+            const cutback = match[1] ? parseInt(match[1]) : this.quietClimbCutbackHeight;
+            const restore = match[2] ? parseInt(match[2]) : this.quietClimbRestoreHeight;
+            if (cutback >= 400 && restore > cutback) {
+                this.quietClimbCutbackHeight = cutback;
+                this.quietClimbRestoreHeight = restore;
+                return true;
+            }
+            this.showErrorMessage("OUT OF RANGE");
+            return false;
+        }
+        this.showErrorMessage(this.defaultInputErrorMessage);
+        return false;
+    }
+    /* Cuts back to quiet climb thrust after takeoff and restores climb thrust above the restore height */
+    updateQuietClimb() {
+        if (this._quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF || this.currentFlightPhase < FlightPhase.FLIGHT_PHASE_TAKEOFF) {
+            return;
+        }
+        let airportElevation = 0;
+        let origin = this.flightPlanManager.getOrigin();
+        if (origin && isFinite(origin.altitudeinFP)) {
+            airportElevation = Math.round(origin.altitudeinFP / 10) * 10;
+        }
+        let height = Simplane.getAltitude() - airportElevation;
+        if (this._quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_ARMED) {
+            if (height < this.quietClimbCutbackHeight || Simplane.getIsGrounded()) {
+                return;
+            }
+            this.setQuietClimbState(B747_8_FMC_MainDisplay.QUIET_CLIMB_ACTIVE);
+        }
+        else if (height >= this.quietClimbRestoreHeight || this.currentFlightPhase > FlightPhase.FLIGHT_PHASE_CLIMB) {
+            this.setQuietClimbState(B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF);
+        }
+        SimVar.SetSimVarValue("AUTOPILOT THROTTLE MAX THRUST", "number", this.getThrustClimbLimit() / 100);
+    }
+    /* RTA is active once both the fix and the time are entered; cruise then flies the RTA speed */
+    isRtaActive() {
+        return this.rtaFix !== "" && isFinite(this.rtaTime);
+    }
+    trySetRtaFix(value) {
+        if (value === FMCMainDisplay.clrValue) {
+            this.clearRta();
+            return true;
+        }
+        if (!this.getRtaFixIndex(value)) {
+            this.showErrorMessage("NOT IN FLIGHT PLAN");
+            return false;
+        }
+        this.rtaFix = value;
+        this.updateRta();
+        return true;
+    }
+    /* Time of arrival entered as HHMM or HHMMSS, with an optional trailing Z */
+    trySetRtaTime(value) {
+        const match = value.match(/^(\d{2})(\d{2})(\d{2})?Z?$/);
+        if (!match || this.rtaFix === "" || parseInt(match[1]) > 23 || parseInt(match[2]) > 59 || parseInt(match[3] || 0) > 59) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.rtaTime = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3] || 0);
+        if (Simplane.getCurrentFlightPhase() <= FlightPhase.FLIGHT_PHASE_CRUISE) {
+            SimVar.SetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum", B747_8_FMC_MainDisplay.CRZ_MODE_RTA);
+        }
+        this.updateRta();
+        return true;
+    }
+    trySetRtaTolerance(value) {
+        const tolerance = parseInt(value);
+        if (!/^\d+$/.test(value) || tolerance < 6 || tolerance > 300) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        this.rtaTolerance = tolerance;
+        return true;
+    }
+    /* Speed limits as Mach, .XXX */
+    trySetRtaSpeedLimit(value, isMax) {
+        const mach = parseFloat(value);
+        if (!/^\.\d{2,3}$/.test(value) || mach < 0.6 || mach > 0.9 || (isMax ? mach <= this.rtaMinMach : mach >= this.rtaMaxMach)) {
+            this.showErrorMessage(this.defaultInputErrorMessage);
+            return false;
+        }
+        if (isMax) {
+            this.rtaMaxMach = mach;
+        } else {
+            this.rtaMinMach = mach;
+        }
+        this.updateRta();
+        return true;
+    }
+    clearRta() {
+        this.rtaFix = "";
+        this.rtaTime = NaN;
+        this._rta = null;
+        if (SimVar.GetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum") === B747_8_FMC_MainDisplay.CRZ_MODE_RTA) {
+            SimVar.SetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum", 0);
+        }
+    }
+    /* Index of the RTA fix in the active route, looking only at waypoints not yet sequenced */
+    getRtaFixIndex(ident = this.rtaFix) {
+        const waypoints = this.flightPlanManager.getAllWaypoints(0);
+        for (let i = Math.max(this.flightPlanManager.getActiveWaypointIndex(), 1); i < waypoints.length; i++) {
+            if (waypoints[i].ident === ident) {
+                return i;
+            }
+        }
+        return undefined;
+    }
+    /**
+     * RTA predictions from the present position, speed and wind.
+     * @returns {object} distance, timeError in seconds (positive when early), eta, requiredMach, commandMach and isUnable, null without an active RTA.
+     */
+    getRtaPrediction() {
+        return this._rta;
+    }
+    updateRta() {
+        if (!this.isRtaActive()) {
+            this._rta = null;
+            return;
+        }
+        const fpm = this.flightPlanManager;
+        const fixIndex = this.getRtaFixIndex();
+        const activeWaypoint = fpm.getActiveWaypoint();
+        if (!fixIndex || !activeWaypoint) {
+            /* The fix has been sequenced or removed from the route */
+            this.clearRta();
+            return;
+        }
+        const distance = this.getDistanceAlongRoute(fpm.getAllWaypoints(0)[fixIndex]);
+        const now = SimVar.GetGlobalVarValue("ZULU TIME", "seconds");
+        let timeToGo = this.rtaTime - now;
+        if (timeToGo < -43200) {
+            timeToGo += 86400;
+        }
+        else if (timeToGo > 43200) {
+            timeToGo -= 86400;
+        }
+
+        /* Wind is the difference between ground speed and true airspeed, Mach scales with true airspeed at this level */
+        const groundSpeed = Simplane.getGroundSpeed();
+        const trueAirspeed = SimVar.GetSimVarValue("AIRSPEED TRUE", "knots");
+        const mach = SimVar.GetSimVarValue("AIRSPEED MACH", "mach");
+        const wind = groundSpeed - trueAirspeed;
+        const knotsPerMach = mach > 0.1 ? trueAirspeed / mach : 573;
+        const timeAt = (speedMach) => distance / Math.max(speedMach * knotsPerMach + wind, 1) * 3600;
+
+        const requiredMach = timeToGo > 0 ? (distance / timeToGo * 3600 - wind) / knotsPerMach : Infinity;
+        const commandMach = Math.min(Math.max(requiredMach, this.rtaMinMach), this.rtaMaxMach);
+        const eta = now + (groundSpeed > 50 ? distance / groundSpeed * 3600 : timeAt(commandMach));
+        const wasUnable = this._rta && this._rta.isUnable;
+        this._rta = {
+            distance: distance,
+            eta: eta % 86400,
+            timeError: timeToGo - (eta - now),
+            requiredMach: requiredMach,
+            commandMach: commandMach,
+            isUnable: Math.abs(timeToGo - timeAt(commandMach)) > this.rtaTolerance
+        };
+        if (this._rta.isUnable && !wasUnable) {
+            this.showErrorMessage("UNABLE RTA");
+        }
+    }
     updateAutopilot() {
         let now = performance.now();
         let dt = now - this._lastUpdateAPTime;
@@ -1043,12 +2044,13 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
                 if (this.getIsVNAVActive()) {
                     let speed = this.getTakeOffManagedSpeed();
                     this.setAPManagedSpeed(speed, Aircraft.B747_8);
-                    //Sets CLB Thrust when passing thrust reduction altitude
+                    //Sets CLB Thrust when passing thrust reduction altitude, or CON thrust at EO accel height with an engine failed
                     let alt = Simplane.getAltitude();
-                    let thrRedAlt = SimVar.GetSimVarValue("L:AIRLINER_THR_RED_ALT", "number");
+                    let engineFailed = this.isEngineFailed();
+                    let thrRedAlt = engineFailed ? this.getAccelerationAltitude() : SimVar.GetSimVarValue("L:AIRLINER_THR_RED_ALT", "number");
                     let n1 = 85;
                     if (alt > thrRedAlt) {
-                        n1 = this.getThrustClimbLimit() / 100;
+                        n1 = (engineFailed ? this.getThrustConLimit() : this.getThrustClimbLimit()) / 100;
                         SimVar.SetSimVarValue("AUTOPILOT THROTTLE MAX THRUST", "number", n1);
                     }
                 }
@@ -1077,6 +2079,11 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
                     this.setAPManagedSpeed(speed, Aircraft.B747_8);
                 }
             }
+            this.updateQuietClimb();
+            this.updateRta();
+            this.updateStepClimb();
+            this.updateEngineOut();
+            this.updateOffpathDescent();
             this.updateAutopilotCooldown = this._apCooldown;
         }
     }
@@ -1170,6 +2177,376 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         const cMsgCnt = SimVar.GetSimVarValue("L:SALTY_747_COMPANY_MSG_COUNT", "Number");
         SimVar.SetSimVarValue("L:SALTY_747_COMPANY_MSG_COUNT", "Number", cMsgCnt + 1);
     }
+    /* Stores a datalink uplink as a received message */
+    receiveUplink(uplink) {
+        if (uplink.type === "CPDLC") {
+            this.cpdlc.receive(uplink);
+            return;
+        }
+        const message = {
+            "id": uplink.id,
+            "time": fetchTimeValue(),
+            "opened": null,
+            "type": uplink.type,
+            "content": uplink.content,
+            "responseType": uplink.responseType,
+            "response": null,
+            "from": uplink.from,
+            "data": uplink.data
+        };
+        this.addMessage(message);
+        this.showErrorMessage("ACARS UPLINK");
+    }
+    /* Downlinks the crew response to a received message */
+    respondToMessage(message, response) {
+        message["response"] = response;
+        const downlink = {
+            "type": `${message["type"]} RESPONSE`,
+            "to": message["from"],
+            "content": [`${message["type"]} ${response}`],
+            "data": {
+                "ref": message["id"],
+                "response": response
+            }
+        };
+        return this.datalink.send(downlink)
+            .then(() => {
+                this.addSentMessage({ "id": Date.now(), "time": fetchTimeValue(), "type": downlink.type, "content": downlink.content, "status": "SENT" });
+                if (message["type"] === "T/O PERF" && response === "ACCEPT") {
+                    this.acceptTakeoffData(message["data"]);
+                }
+            })
+            .catch((err) => {
+                message["response"] = null;
+                this.showErrorMessage(err);
+            });
+    }
+    /* Entered REF OAT, otherwise the sensed OAT */
+    getTakeoffOat() {
+        if (this.takeoffRefOat !== undefined) {
+            return this.takeoffRefOat;
+        }
+        return Math.round(SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius"));
+    }
+    /* Entered takeoff wind, otherwise the sensed wind */
+    getTakeoffWind() {
+        if (this.takeoffWind) {
+            return this.takeoffWind;
+        }
+        return {
+            direction: Math.round(SimVar.GetSimVarValue("AMBIENT WIND DIRECTION", "degrees")) % 360,
+            speed: Math.round(SimVar.GetSimVarValue("AMBIENT WIND VELOCITY", "knots"))
+        };
+    }
+    /* Headwind and crosswind components on the departure runway, positive for a headwind and wind from the right */
+    getTakeoffRunwayWind() {
+        const runway = this.flightPlanManager.getDepartureRunway();
+        if (!runway || !isFinite(runway.direction)) {
+            return undefined;
+        }
+        const wind = this.getTakeoffWind();
+        const angle = (wind.direction - runway.direction) * Math.PI / 180;
+        return {
+            headwind: Math.round(wind.speed * Math.cos(angle)),
+            crosswind: Math.round(wind.speed * Math.sin(angle))
+        };
+    }
+    /* Accepts °C or °F (suffix F) within the certified takeoff envelope */
+    trySetTakeoffRefOat(s) {
+        if (s === FMCMainDisplay.clrValue) {
+            this.takeoffRefOat = undefined;
+            return true;
+        }
+        const match = s.match(/^([+-]?\d{1,3})(C|F)?$/);
+        if (match) {
+            let oat = parseInt(match[1]);
+            if (match[2] === "F") {
+                oat = Math.round((oat - 32) * 5 / 9);
+            }
+            if (oat >= -54 && oat <= 60) {
+                this.takeoffRefOat = oat;
+                return true;
+            }
+            this.showErrorMessage("OUT OF RANGE");
+            return false;
+        }
+        this.showErrorMessage(this.defaultInputErrorMessage);
+        return false;
+    }
+    /* Accepts DDD/SS, or a direction or speed alone to change one part of the wind */
+    trySetTakeoffWind(s) {
+        if (s === FMCMainDisplay.clrValue) {
+            this.takeoffWind = undefined;
+            return true;
+        }
+        const match = s.match(/^(\d{1,3})?\/?(\d{1,3})?$/);
+        if (match && (match[1] || match[2]) && (s.indexOf("/") !== -1 || !match[2])) {
+            const wind = Object.assign({}, this.getTakeoffWind());
+            if (match[1]) {
+                wind.direction = parseInt(match[1]);
+            }
+            if (match[2]) {
+                wind.speed = parseInt(match[2]);
+            }
+            if (wind.direction <= 360 && wind.speed < 100) {
+                wind.direction %= 360;
+                this.takeoffWind = wind;
+                return true;
+            }
+            this.showErrorMessage("OUT OF RANGE");
+            return false;
+        }
+        this.showErrorMessage(this.defaultInputErrorMessage);
+        return false;
+    }
+    /* Accepts U/D slope in percent and/or a runway condition, e.g. U1.0/WET, D0.5 or /DRY */
+    trySetTakeoffSlopeCondition(s) {
+        if (s === FMCMainDisplay.clrValue) {
+            this.takeoffSlope = 0;
+            this.takeoffRunwayCondition = "DRY";
+            return true;
+        }
+        const match = s.match(/^(?:([UD])(\d(?:\.\d)?))?(?:\/?([A-Z]+))?$/);
+        if (match && (match[1] || match[3]) && !(match[1] && match[3] && s.indexOf("/") === -1)) {
+            const condition = match[3] || this.takeoffRunwayCondition;
+            if (!SaltyTakeoffPerformance.CONDITION_FACTOR[condition]) {
+                this.showErrorMessage(this.defaultInputErrorMessage);
+                return false;
+            }
+            let slope = this.takeoffSlope;
+            if (match[1]) {
+                slope = parseFloat(match[2]) * (match[1] === "D" ? -1 : 1);
+                if (Math.abs(slope) > 2) {
+                    this.showErrorMessage("OUT OF RANGE");
+                    return false;
+                }
+            }
+            this.takeoffSlope = slope;
+            this.takeoffRunwayCondition = condition;
+            return true;
+        }
+        this.showErrorMessage(this.defaultInputErrorMessage);
+        return false;
+    }
+    /* Engine out acceleration height above the runway, 400 to 9999 FT */
+    trySetEoAccelerationHeight(s) {
+        if (s === FMCMainDisplay.clrValue) {
+            this.eoAccelerationHeight = 1000;
+            return true;
+        }
+        const height = /^\d{3,4}$/.test(s) ? parseInt(s) : NaN;
+        if (isFinite(height)) {
+            if (height >= 400) {
+                this.eoAccelerationHeight = height;
+                return true;
+            }
+            this.showErrorMessage("OUT OF RANGE");
+            return false;
+        }
+        this.showErrorMessage(this.defaultInputErrorMessage);
+        return false;
+    }
+    isEngineFailed() {
+        for (let i = 1; i <= 4; i++) {
+            if (SimVar.GetSimVarValue(`GENERAL ENG FAILED:${i}`, "bool")) {
+                return true;
+            }
+        }
+        return false;
+    }
+    /* With an engine failed after takeoff the climb phase starts at the EO ACCEL HT instead */
+    getAccelerationAltitude() {
+        if (!this.isEngineFailed()) {
+            return super.getAccelerationAltitude();
+        }
+        let airportElevation = 0;
+        let origin = this.flightPlanManager.getOrigin();
+        if (origin && isFinite(origin.altitudeinFP)) {
+            airportElevation = Math.round(origin.altitudeinFP / 10) * 10;
+        }
+        return airportElevation + this.eoAccelerationHeight;
+    }
+    /* Runway, weather, weight and thrust settings the takeoff performance is computed for */
+    getTakeoffConditions() {
+        let runway = this.flightPlanManager.getDepartureRunway();
+        if (!runway) {
+            runway = this.flightPlanManager.getDetectedCurrentRunway();
+        }
+        const oat = this.getTakeoffOat();
+        const wind = this.getTakeoffWind();
+        const assumedTemp = this.getThrustTakeOffTemp();
+        return {
+            "runwayLength": runway ? runway.length : undefined,
+            "runwayHeading": runway ? runway.direction : NaN,
+            "elevation": runway ? runway.elevation * 3.28084 : SimVar.GetSimVarValue("GROUND ALTITUDE", "feet"),
+            "qnh": SimVar.GetSimVarValue("SEA LEVEL PRESSURE", "millibar"),
+            "oat": oat,
+            "windDirection": wind.direction,
+            "windSpeed": wind.speed,
+            "slope": this.takeoffSlope,
+            "condition": this.takeoffRunwayCondition,
+            "flaps": this.getTakeOffFlap(),
+            "togw": this.getTakeOffGrossWeight(false),
+            "assumedTemp": assumedTemp > oat ? assumedTemp : null,
+            "derate": this.getThrustTakeOffMode()
+        };
+    }
+    /* Packages the takeoff conditions for a T/O PERF request, undefined while incomplete */
+    getTakeoffPerfRequest() {
+        const origin = this.flightPlanManager.getOrigin();
+        const runway = this.flightPlanManager.getDepartureRunway();
+        const flaps = this.getTakeOffFlap();
+        if (!origin || !runway || !(flaps === 10 || flaps === 20) || !isFinite(this.getWeight(false)) || this.getWeight(false) <= 0) {
+            return undefined;
+        }
+        const request = this.getTakeoffConditions();
+        request["airport"] = origin.ident;
+        request["runway"] = Avionics.Utils.formatRunway(runway.designation);
+        request["useLbs"] = this.useLbs;
+        return request;
+    }
+    /* Downlinks a T/O PERF request to company */
+    requestTakeoffData() {
+        const request = this.getTakeoffPerfRequest();
+        if (!request) {
+            return Promise.reject("PARAMS NOT SET");
+        }
+        const weight = (this.useLbs ? request.togw * 2.204623 : request.togw).toFixed(1);
+        const downlink = {
+            "type": "T/O PERF",
+            "to": "AOC",
+            "from": this.atcComm.fltNo,
+            "content": [
+                `T/O PERF ${request.airport} RW${request.runway}`,
+                `FLAPS ${request.flaps} TOGW ${weight}`,
+                `OAT ${request.oat}C WIND ${request.windDirection}/${request.windSpeed}`,
+                `SLOPE ${request.slope.toFixed(1)} ${request.condition}`
+            ],
+            "data": request
+        };
+        return this.datalink.send(downlink).then(() => {
+            this.addSentMessage({ "id": Date.now(), "time": fetchTimeValue(), "type": downlink.type, "content": downlink.content, "status": "SENT" });
+        });
+    }
+    /* Newest takeoff data uplink the crew has not answered yet */
+    getPendingTakeoffData() {
+        return this.messages.find(m => m["type"] === "T/O PERF" && !m["response"]);
+    }
+    /* Loads accepted takeoff data into the TAKEOFF REF page */
+    acceptTakeoffData(data) {
+        this.trySetV1Speed(data.v1.toFixed(0));
+        this.trySetVRSpeed(data.vr.toFixed(0));
+        this.trySetV2Speed(data.v2.toFixed(0));
+        if (data.assumedTemp !== null) {
+            this.setThrustTakeOffTemp(data.assumedTemp);
+        }
+        this.takeoffData = data;
+    }
+    /* Shows or hides the FMC reference speeds on the PFD */
+    setRefSpeedsOn(on) {
+        this.refSpeedsOn = on;
+        this.updateRefSpeeds();
+    }
+    /* Sends the reference speeds to the PFD, cleared while REF SPDS is off */
+    updateRefSpeeds() {
+        SimVar.SetSimVarValue("L:AIRLINER_V1_SPEED", "Knots", this.refSpeedsOn && this.v1Speed ? this.v1Speed : 0);
+        SimVar.SetSimVarValue("L:AIRLINER_VR_SPEED", "Knots", this.refSpeedsOn && this.vRSpeed ? this.vRSpeed : 0);
+        SimVar.SetSimVarValue("L:AIRLINER_V2_SPEED", "Knots", this.refSpeedsOn && this.v2Speed ? this.v2Speed : 0);
+    }
+
+    // ATC (CPDLC) MESSAGES
+
+    /* Mirrors the CPDLC connection into the ATC page state */
+    updateAtcComm() {
+        this.atcComm.estab = this.cpdlc.isConnected();
+        this.atcComm.loggedTo = this.cpdlc.currentAuthority;
+        this.atcComm.nextCtr = this.cpdlc.nextAuthority;
+        this.atcComm.dlnkStatus = this.cpdlc.state;
+    }
+    /* Stores a CPDLC uplink and closes the request it answers */
+    receiveAtcUplink(uplink) {
+        const message = {
+            "id": Date.now(),
+            "time": fetchTimeValue(),
+            "opened": null,
+            "system": "ATC",
+            "type": "ATC UPLINK",
+            "content": uplink.content,
+            "responseType": uplink.responseType,
+            "response": null,
+            "from": uplink.from,
+            "min": uplink.min,
+            "mrn": uplink.mrn
+        };
+        this.atcMessages.unshift(message);
+        if (uplink.mrn !== undefined) {
+            const request = this.sentMessages.find(m => m["system"] === "ATC" && m["min"] === uplink.mrn);
+            if (request) {
+                request["status"] = "RESPONSE RCVD";
+            }
+        }
+        this.atcComm.uplinkPeding = this.getPendingAtcUplink() !== undefined;
+        this.showErrorMessage("ATC UPLINK");
+    }
+    /* Oldest uplink still waiting for a crew response */
+    getPendingAtcUplink() {
+        const pending = this.atcMessages.filter(m => this.isAtcMessageOpen(m));
+        return pending[pending.length - 1];
+    }
+    /**
+     * Downlinks a CPDLC message to the current data authority.
+     * @param {Array} elements Message elements, e.g. [{ ref: "DM9", args: ["FL350"] }].
+     * @param {number} mrn Message reference number of the uplink being answered.
+     */
+    sendAtcMessage(elements, mrn = undefined) {
+        return this.cpdlc.send(elements, mrn).then((downlink) => this.addAtcSentMessage(downlink));
+    }
+    /* Downlinks the crew response (ACCEPT, REJECT or STANDBY) to an ATC uplink */
+    respondToAtcMessage(message, response) {
+        let args = [];
+        if (message["responseType"] === "Y" && response === "ACCEPT") {
+            const altitude = SimVar.GetSimVarValue("INDICATED ALTITUDE", "feet");
+            args = [altitude > 18000 ? `FL${Math.round(altitude / 100)}` : `${Math.round(altitude / 100) * 100}FT`];
+        }
+        message["response"] = response;
+        return this.cpdlc.respond(message, response, args)
+            .then((downlink) => {
+                message["response"] = response === "STANDBY" ? "STANDBY" : downlink.content[0];
+                this.addAtcSentMessage(downlink);
+                this.atcComm.uplinkPeding = this.getPendingAtcUplink() !== undefined;
+            })
+            .catch((err) => {
+                message["response"] = null;
+                this.showErrorMessage(err);
+            });
+    }
+    /* Sent and received ATC messages, newest first */
+    getAtcLog() {
+        const log = this.atcMessages.concat(this.sentMessages.filter(m => m["system"] === "ATC"));
+        return log.sort((a, b) => b["id"] - a["id"]);
+    }
+    /* Erases the ATC log, keeping uplinks that still need a response */
+    eraseAtcLog() {
+        this.atcMessages = this.atcMessages.filter(m => this.isAtcMessageOpen(m));
+        this.sentMessages = this.sentMessages.filter(m => m["system"] !== "ATC");
+    }
+    isAtcMessageOpen(message) {
+        return message["responseType"] !== "NE" && (!message["response"] || message["response"] === "STANDBY");
+    }
+    addAtcSentMessage(downlink) {
+        this.addSentMessage({
+            "id": Date.now(),
+            "time": fetchTimeValue(),
+            "system": "ATC",
+            "type": "ATC DOWNLINK",
+            "content": downlink.content,
+            "status": "SENT",
+            "to": downlink.to,
+            "min": downlink.min,
+            "mrn": downlink.mrn
+        });
+    }
+
     deleteMessage(id) {
         if (!this.messages[id]["opened"]) {
             const cMsgCnt = SimVar.GetSimVarValue("L:SALTY_747_COMPANY_MSG_COUNT", "Number");
@@ -1459,71 +2836,42 @@ class B747_8_FMC_MainDisplay extends Boeing_FMC {
         });
     }
 }
-B747_8_FMC_MainDisplay._v1s = [
-    [130, 156],
-    [128, 154],
-    [127, 151],
-    [125, 149],
-    [123, 147],
-    [122, 145],
-    [121, 143],
-    [120, 143],
-    [120, 143],
-    [120, 142],
-    [119, 142],
-    [119, 142],
-    [119, 142],
-    [119, 141],
-    [118, 141],
-    [118, 141],
-    [118, 140],
-    [118, 140],
-    [117, 140],
-    [117, 140],
-];
-B747_8_FMC_MainDisplay._vRs = [
-    [130, 158],
-    [128, 156],
-    [127, 154],
-    [125, 152],
-    [123, 150],
-    [122, 148],
-    [121, 147],
-    [120, 146],
-    [120, 146],
-    [120, 145],
-    [119, 145],
-    [119, 144],
-    [119, 144],
-    [119, 143],
-    [118, 143],
-    [118, 142],
-    [118, 142],
-    [118, 141],
-    [117, 141],
-    [117, 140],
-];
-B747_8_FMC_MainDisplay._v2s = [
-    [135, 163],
-    [133, 160],
-    [132, 158],
-    [130, 157],
-    [129, 155],
-    [127, 153],
-    [127, 151],
-    [126, 150],
-    [125, 150],
-    [125, 149],
-    [124, 149],
-    [124, 148],
-    [124, 148],
-    [123, 147],
-    [123, 146],
-    [123, 146],
-    [123, 145],
-    [122, 145],
-    [122, 144],
-    [121, 144],
-];
+B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF = 0;
+B747_8_FMC_MainDisplay.QUIET_CLIMB_ARMED = 1;
+B747_8_FMC_MainDisplay.QUIET_CLIMB_ACTIVE = 2;
+/* N1 percent taken off the climb limit between cutback and restore */
+B747_8_FMC_MainDisplay.QUIET_CLIMB_REDUCTION = 8;
+/* Flight plan slot of the inactive route, after the active route (0) and its MOD (1) */
+B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX = 2;
+/* Average burn in kg per NM per tonne of gross weight, for route comparison */
+B747_8_FMC_MainDisplay.TRIP_FUEL_PER_NM_TONNE = 0.056;
+B747_8_FMC_MainDisplay.PLANNING_WEIGHT = 400;
+/* Alternates are the nearest airports within this many NM of the destination, with a runway long enough in meters */
+B747_8_FMC_MainDisplay.ALTN_COUNT = 4;
+B747_8_FMC_MainDisplay.ALTN_SEARCH_RANGE = 200;
+B747_8_FMC_MainDisplay.ALTN_MIN_RUNWAY_LENGTH = 2400;
+B747_8_FMC_MainDisplay.ALTN_UPDATE_INTERVAL = 5000;
+B747_8_FMC_MainDisplay.ALTN_LOADER_INTERVAL = 500;
+/* Planning ground speed for a diversion in knots */
+B747_8_FMC_MainDisplay.ALTN_GROUND_SPEED = 400;
+B747_8_FMC_MainDisplay.STEP_SIZES = ["RVSM", "0", "1000", "2000", "4000"];
+/* Fraction of fuel mileage lost per (1000 ft)² away from optimum altitude */
+B747_8_FMC_MainDisplay.STEP_FUEL_PENALTY = 0.003;
+/* Climb and descent Mach limit for the predictions when there is no cruise Mach */
+B747_8_FMC_MainDisplay.PLANNED_MACH_LIMIT = 0.86;
+/* Long range cruise flies this much faster than maximum range, for 1% less range */
+B747_8_FMC_MainDisplay.LRC_MACH_ABOVE_MAX_RANGE = 0.02;
+/* SALTY_VNAV_CRZ_MODE while cruise speed is set by the RTA */
+B747_8_FMC_MainDisplay.CRZ_MODE_RTA = 6;
+/* SALTY_VNAV_CRZ_MODE while ENG OUT is selected, with max continuous thrust and the three engine max altitude */
+B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT = 7;
+B747_8_FMC_MainDisplay.CON_THRUST_LIMIT = 83;
+B747_8_FMC_MainDisplay.ENG_OUT_ALTITUDE_LOSS = 8000;
+/* Average driftdown gradient at E/O speed and CON thrust */
+B747_8_FMC_MainDisplay.DRIFTDOWN_FEET_PER_NM = 100;
+B747_8_FMC_MainDisplay.DESCENT_FORECAST_LAYERS = 4;
+/* Idle descent gradients for the offpath circles, about 3 NM per 1000 ft clean and 2 NM with full speedbrake */
+B747_8_FMC_MainDisplay.OFFPATH_CLEAN_FEET_PER_NM = 330;
+B747_8_FMC_MainDisplay.OFFPATH_SPEEDBRAKE_FEET_PER_NM = 500;
 registerInstrument("fmc-b747-8-main-display", B747_8_FMC_MainDisplay);
 //# sourceMappingURL=B747_8_FMC_MainDisplay.js.map
\ No newline at end of file
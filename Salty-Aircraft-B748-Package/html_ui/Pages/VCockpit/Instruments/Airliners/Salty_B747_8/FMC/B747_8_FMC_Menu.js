@@ -1,21 +1,23 @@
 class FMC_Menu {
     static ShowPage(fmc, store = {act: "<ACT>"}) {
         fmc.clearDisplay();
+        const satcom = fmc.SaltyBase.satcom;
         const updateView = () => {
+            const satcomCell = satcom.isOn() ? "{small}OFF{end}←→{green}ON{end}>" : "{green}OFF{end}←→{small}ON{end}>";
             fmc.setTemplate([
                 ["MENU"],
                 ["", "EFIS CP[color]inop"],
                 ["\<FMC", "", fmc.activeSystem == "FMC" ? store.act : ""],
                 ["", "EICAS CP[color]inop"],
                 ["\<DLNK", "", fmc.activeSystem == "DLNK" ? store.act : ""],
-                ["", "CTL PNL[color]inop"],
-                ["\<SAT[color]inop", "OFF←→ON>[color]inop", fmc.activeSystem == "SAT" ? store.act : ""],
+                ["", "SATCOM"],
+                ["\<SAT", satcomCell, fmc.activeSystem == "SAT" ? store.act : ""],
                 ["", ""],
                 ["", "PA/CI>[color]inop"],
                 ["", ""],
-                ["\<ACMS[color]inop", "SALTY>", fmc.activeSystem == "ACMS" ? store.act : ""],
+                ["\<ACMS", "SALTY>", fmc.activeSystem == "ACMS" ? store.act : ""],
                 ["", ""],
-                ["\<CMC[color]inop", "MAINT>", fmc.activeSystem == "CMC" ? store.act : ""]
+                ["\<CMC", "MAINT>", fmc.activeSystem == "CMC" ? store.act : ""]
             ]);
         }
         updateView();
@@ -42,18 +44,52 @@ class FMC_Menu {
             );
         };
 
-        /*fmc.onLeftInput[2] = () => {
-            FMC_SAT_Index.ShowPage(fmc);
-        };*/
+        fmc.onLeftInput[2] = () => {
+            fmc.activeSystem = "SAT";
+            store.act = "<REQ>";
+            updateView();
+            setTimeout(
+                function() {
+                    FMC_SAT_Index.ShowPage(fmc);
+                }, 500
+            );
+        };
         
         /*fmc.onLeftInput[3] = () => {
             fmc.infoPanelsManager.addMessage("*ATC", "InfoIndication");
         }*/
 
-        /*fmc.onLeftInput[5] = () => {
-            FMC_CMC_Index.ShowPage(fmc);
-        };*/
+        fmc.onLeftInput[4] = () => {
+            fmc.activeSystem = "ACMS";
+            store.act = "<REQ>";
+            updateView();
+            setTimeout(
+                function() {
+                    FMC_ACMS_Index.ShowPage(fmc);
+                }, 500
+            );
+        };
+
+        fmc.onLeftInput[5] = () => {
+            fmc.activeSystem = "CMC";
+            store.act = "<REQ>";
+            updateView();
+            setTimeout(
+                function() {
+                    FMC_CMC_Index.ShowPage(fmc);
+                }, 500
+            );
+        };
         
+        fmc.onRightInput[2] = () => {
+            if (satcom.isOn()) {
+                satcom.logoff();
+            } else {
+                satcom.logon();
+            }
+            updateView();
+        };
+
         /*fmc.onRightInput[3] = () => {
             FMC_PACI_Index.ShowPage(fmc);
         };*/
@@ -0,0 +1,83 @@
+/**
+ * Offpath descent, idle descent ranges to a fix and altitude off the planned path.
+ */
+class B747_8_FMC_OffpathDesPage {
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+        B747_8_FMC_OffpathDesPage._timer = 0;
+        fmc.pageUpdate = () => {
+            B747_8_FMC_OffpathDesPage._timer++;
+            if (B747_8_FMC_OffpathDesPage._timer >= 15) {
+                B747_8_FMC_OffpathDesPage.ShowPage1(fmc);
+            }
+        };
+
+        const altitude = fmc.offpathAltitude;
+        const formatDistance = (distance) => distance.toFixed(0) + "NM";
+
+        /* LSK 1L  - Fix, 1R - Altitude at the fix */
+        let fixCell = fmc.offpathFix ? fmc.offpathFix.ident : "-----";
+        let altCell = isFinite(altitude) ? (altitude >= 18000 ? "FL" + (altitude / 100).toFixed(0) : altitude.toFixed(0)) : "-----";
+        fmc.onLeftInput[0] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            fmc.trySetOffpathFix(value, (result) => {
+                if (result) {
+                    B747_8_FMC_OffpathDesPage.ShowPage1(fmc);
+                }
+            });
+        };
+        fmc.onRightInput[0] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetOffpathAltitude(value)) {
+                B747_8_FMC_OffpathDesPage.ShowPage1(fmc);
+            }
+        };
+
+        /* LSK 2L  - Distance to the fix, 3L/3R - Clean and speedbrake ranges */
+        let toFixCell = "";
+        let cleanCell = "";
+        let speedbrakeCell = "";
+        const prediction = fmc.getOffpathPrediction();
+        if (prediction) {
+            toFixCell = formatDistance(prediction.distance);
+            cleanCell = formatDistance(prediction.cleanRange);
+            speedbrakeCell = formatDistance(prediction.speedbrakeRange);
+        }
+
+        /* LSK 5R  - Circles on the ND */
+        let displayCell = fmc.offpathCirclesShown ? "{small}OFF{end}←→{green}ON{end}>" : "{green}OFF{end}←→{small}ON{end}>";
+        fmc.onRightInput[4] = () => {
+            fmc.setOffpathCirclesShown(!fmc.offpathCirclesShown);
+            B747_8_FMC_OffpathDesPage.ShowPage1(fmc);
+        };
+
+        fmc.setTemplate([
+            ["OFFPATH DES"],
+            ["\xa0DES TO", "ALT"],
+            [fixCell, altCell],
+            ["\xa0TO FIX"],
+            [toFixCell],
+            ["\xa0CLEAN DIST", "SPDBRK DIST"],
+            [cleanCell, speedbrakeCell],
+            [""],
+            [""],
+            ["", "DISPLAY"],
+            ["", displayCell],
+            ["__FMCSEPARATOR"],
+            ["<DES"]
+        ]);
+
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_VNAVPage.ShowPage3(fmc);
+        };
+    }
+}
+B747_8_FMC_OffpathDesPage._timer = 0;
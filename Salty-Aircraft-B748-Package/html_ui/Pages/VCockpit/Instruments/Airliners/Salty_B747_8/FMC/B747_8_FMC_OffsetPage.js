@@ -0,0 +1,95 @@
+/**
+ * Lateral offset parallel to the active route, with optional START and END waypoints, built into the MOD route.
+ */
+class B747_8_FMC_OffsetPage {
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+
+        const fpm = fmc.flightPlanManager;
+        const offset = fpm.getLateralOffset();
+        const waypoints = fpm.getAllWaypoints();
+        const identOf = (icao) => {
+            const waypoint = waypoints.find(w => w.icao === icao);
+            return waypoint ? waypoint.ident : "";
+        };
+
+        /* LSK 1  - Offset distance, L/R up to 99 NM */
+        let offsetCell = "□□□";
+        let startCell = "-----";
+        let endCell = "-----";
+        if (offset.isActive) {
+            offsetCell = (offset.direction === LateralOffsetDirection.Left ? "L" : "R") + offset.distance.toFixed(0);
+            startCell = identOf(offset.startIcao);
+            endCell = offset.endIcao ? identOf(offset.endIcao) : "{small}END OF RTE{end}";
+        }
+        fmc.onLeftInput[0] = () => {
+            const value = fmc.inOut;
+            fmc.clearUserInput();
+            fmc.trySetLateralOffset(value, (result) => {
+                if (result) {
+                    B747_8_FMC_OffsetPage.ShowPage1(fmc);
+                }
+            });
+        };
+
+        /* LSK 2L/2R  - Offset start and end waypoints */
+        const bindWaypointInput = (isStart) => () => {
+            const value = fmc.inOut;
+            fmc.clearUserInput();
+            fmc.trySetLateralOffsetWaypoint(value, isStart, (result) => {
+                if (result) {
+                    B747_8_FMC_OffsetPage.ShowPage1(fmc);
+                }
+            });
+        };
+        fmc.onLeftInput[1] = bindWaypointInput(true);
+        fmc.onRightInput[1] = bindWaypointInput(false);
+
+        const isModified = fpm.getCurrentFlightPlanIndex() === 1;
+        fmc.setTemplate([
+            [(isModified ? "MOD" : "ACT") + " LATERAL OFFSET"],
+            ["\xa0OFFSET"],
+            [offsetCell],
+            ["\xa0START WPT", "END WPT"],
+            [startCell, endCell],
+            [""],
+            [""],
+            [""],
+            [""],
+            [""],
+            [""],
+            ["__FMCSEPARATOR"],
+            [isModified ? "<ERASE" : "<RTE", offset.isActive ? "CANCEL OFFSET>" : ""]
+        ]);
+
+        fmc.onLeftInput[5] = () => {
+            if (isModified) {
+                fmc.fpHasChanged = false;
+                fmc.eraseTemporaryFlightPlan(() => {
+                    B747_8_FMC_OffsetPage.ShowPage1(fmc);
+                });
+            }
+            else {
+                FMCRoutePage.ShowPage1(fmc);
+            }
+        };
+        fmc.onRightInput[5] = () => {
+            if (!offset.isActive) {
+                return;
+            }
+            fmc.modifyLateralOffset(undefined, () => {
+                B747_8_FMC_OffsetPage.ShowPage1(fmc);
+            });
+        };
+
+        fmc.onExecPage = () => {
+            if (fmc.fpHasChanged) {
+                fmc.fpHasChanged = false;
+                fmc.refreshPageCallback = () => {
+                    B747_8_FMC_OffsetPage.ShowPage1(fmc);
+                };
+                fmc.onExecDefault();
+            }
+        };
+    }
+}
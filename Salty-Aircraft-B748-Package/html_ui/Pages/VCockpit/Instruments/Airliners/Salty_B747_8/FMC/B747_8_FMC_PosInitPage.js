@@ -1,6 +1,9 @@
 class FMCPosInitPage {
     static ShowPage1(fmc) {
-        let gpsPos = new LatLong(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude")).toDegreeString();
+        let gpsPos = "";
+        if (fmc.navPerformance.isGpsAvailable()) {
+            gpsPos = new LatLong(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude")).toDegreeString();
+        }
         let date = new Date();
         let dateString = date.getHours().toFixed(0).padStart(2, "0") + date.getMinutes().toFixed(0).padStart(2, "0") + "z";
         let lastPos = "";
@@ -105,26 +108,52 @@ class FMCPosInitPage {
         };
     }
 
-    static ShowPage2(fmc, store = {latBrgSwitch: "LAT/LON"}) {
+    static ShowPage2(fmc, store = {latBrgSwitch: "BRG/DIS", updateArmed: false}) {
         fmc.clearDisplay();
-        let currPos = new LatLong(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude")).toDegreeString();
-        let irsPos = "";
-        if (fmc.initCoordinates) {
-            irsPos = fmc.initCoordinates;
+        FMCPosInitPage._timer = 0;
+        fmc.pageUpdate = () => {
+            FMCPosInitPage._timer++;
+            if (FMCPosInitPage._timer >= 15) {
+                FMCPosInitPage.ShowPage2(fmc, store);
+            }
+        };
+        const navPerformance = fmc.navPerformance;
+        const fmcPos = navPerformance.getPosition();
+        const showBrgDis = store.latBrgSwitch == "LAT/LON";
+
+        /* Sensor positions against the FMC position, with NOW> to update from them once UPDATE is armed */
+        const sensorRow = (sensor) => {
+            const position = navPerformance.getSensorPosition(sensor);
+            return {
+                label: FMCPosInitPage.formatDistance(fmcPos, position),
+                cell: FMCPosInitPage.formatPosition(fmcPos, position, showBrgDis),
+                prompt: store.updateArmed && position ? "NOW>" : ""
+            };
+        };
+        const irs = sensorRow("IRS");
+        const gps = sensorRow("GPS");
+        const radio = sensorRow("RADIO");
+
+        /* RNP in small font until entered, ANP dashed until the IRS is aligned */
+        const anp = navPerformance.getAnp();
+        let rnpCell = navPerformance.getRnp().toFixed(2) + "NM";
+        if (!navPerformance.isRnpManual()) {
+            rnpCell = "{small}" + rnpCell + "{end}";
         }
+        const rnpActualCell = rnpCell + "/" + (isFinite(anp) ? anp.toFixed(2) : "-.--") + "NM";
         const updateView = () => {
             fmc.setTemplate([
                 ["POS REF", "2", "4"],
-                ["\xa0FMC (GPS L)", "UPDATE"],
-                [currPos, "ARM>"],
-                ["\xa0IRS(3)", "0.00NM"],
-                [irsPos, ""],
-                ["\xa0GPS", "0.00NM"],
-                [currPos, ""],
-                ["\xa0RADIO", "0.00NM"],
-                [currPos, "NOW>"],
-                ["\xa0RNP/ACTUAL", "VOR DME"],
-                ["0.50NM/0.00NM", ""],
+                ["\xa0FMC (" + navPerformance.getUpdatingSource() + ")", "UPDATE"],
+                [fmcPos ? fmcPos.toDegreeString() : "", store.updateArmed ? "ARMED" : "ARM>"],
+                ["\xa0IRS(3)", irs.label],
+                [irs.cell, irs.prompt],
+                ["\xa0GPS" + (navPerformance.isGpsInhibited() ? " INHIBITED" : ""), gps.label],
+                [gps.cell, gps.prompt],
+                ["\xa0RADIO", radio.label],
+                [radio.cell, radio.prompt],
+                ["\xa0RNP/ACTUAL", navPerformance.getRadioUpdating()],
+                [rnpActualCell, ""],
                 [""],
                 ["<INDEX", `${store.latBrgSwitch}>`]
             ]);
@@ -136,27 +165,55 @@ class FMCPosInitPage {
         fmc.onNextPage = () => {
             FMCPosInitPage.ShowPage3(fmc);
         };
+        fmc.onRightInput[0] = () => {
+            store.updateArmed = !store.updateArmed;
+            FMCPosInitPage.ShowPage2(fmc, store);
+        };
+        const bindUpdate = (sensor) => () => {
+            if (!store.updateArmed) {
+                return;
+            }
+            if (!navPerformance.updatePositionFrom(sensor)) {
+                fmc.showErrorMessage("NOT ALLOWED");
+                return;
+            }
+            store.updateArmed = false;
+            FMCPosInitPage.ShowPage2(fmc, store);
+        };
+        fmc.onRightInput[1] = bindUpdate("IRS");
+        fmc.onRightInput[2] = bindUpdate("GPS");
+        fmc.onRightInput[3] = bindUpdate("RADIO");
+        fmc.onLeftInput[4] = () => {
+            let value = fmc.inOut;
+            fmc.inOut = "";
+            if (fmc.trySetRnp(value)) {
+                FMCPosInitPage.ShowPage2(fmc, store);
+            }
+        };
         fmc.onLeftInput[5] = () => {
             B747_8_FMC_InitRefIndexPage.ShowPage1(fmc);
         };
         fmc.onRightInput[5] = () => {
-            if (store.latBrgSwitch == "LAT/LON") {
-                store.latBrgSwitch = "BRG/DIS";
-                updateView();
-            } else if (store.latBrgSwitch == "BRG/DIS") {
-                store.latBrgSwitch = "LAT/LON";
-                updateView();
-            }
+            store.latBrgSwitch = store.latBrgSwitch == "LAT/LON" ? "BRG/DIS" : "LAT/LON";
+            FMCPosInitPage.ShowPage2(fmc, store);
         };
     }
 
-    static ShowPage3(fmc, store = {latBrgSwitch: "LAT/LON"}) {
+    static ShowPage3(fmc, store = {latBrgSwitch: "BRG/DIS"}) {
         fmc.clearDisplay();
-        let gpsPos = new LatLong(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude")).toDegreeString();
-        let irsPos = "";
-        if (fmc.initCoordinates) {
-            irsPos = fmc.initCoordinates;
-        }
+        FMCPosInitPage._timer = 0;
+        fmc.pageUpdate = () => {
+            FMCPosInitPage._timer++;
+            if (FMCPosInitPage._timer >= 15) {
+                FMCPosInitPage.ShowPage3(fmc, store);
+            }
+        };
+        const navPerformance = fmc.navPerformance;
+        const fmcPos = navPerformance.getPosition();
+        const showBrgDis = store.latBrgSwitch == "LAT/LON";
+        const gpsPos = FMCPosInitPage.formatPosition(fmcPos, navPerformance.getSensorPosition("GPS"), showBrgDis);
+        const fmcCell = fmcPos ? FMCPosInitPage.formatPosition(fmcPos, fmcPos, showBrgDis) : "";
+        const isInhibited = navPerformance.isGpsInhibited();
         const updateView = () => {
             fmc.setTemplate([
                 ["POS REF", "3", "4"],
@@ -165,11 +222,11 @@ class FMCPosInitPage {
                 ["GPS R", ""],
                 [gpsPos, ""],
                 ["FMC L", ""],
-                [irsPos, ""],
+                [fmcCell, ""],
                 ["FMC R", ""],
-                [irsPos, ""],
-                ["", ""],
-                ["", ""],
+                [fmcCell, ""],
+                ["\xa0GPS NAV", ""],
+                [isInhibited ? "<ENABLE" : "<INHIBIT", ""],
                 ["__FMCSEPARATOR"],
                 ["<INDEX", `${store.latBrgSwitch}>`]
             ]);
@@ -181,42 +238,46 @@ class FMCPosInitPage {
         fmc.onNextPage = () => {
             FMCPosInitPage.ShowPage4(fmc);
         };
+        fmc.onLeftInput[4] = () => {
+            navPerformance.setGpsInhibited(!isInhibited);
+            FMCPosInitPage.ShowPage3(fmc, store);
+        };
         fmc.onLeftInput[5] = () => {
             B747_8_FMC_InitRefIndexPage.ShowPage1(fmc);
         };
         fmc.onRightInput[5] = () => {
-            if (store.latBrgSwitch == "LAT/LON") {
-                store.latBrgSwitch = "BRG/DIS";
-                updateView();
-            } else if (store.latBrgSwitch == "BRG/DIS") {
-                store.latBrgSwitch = "LAT/LON";
-                updateView();
-            }
+            store.latBrgSwitch = store.latBrgSwitch == "LAT/LON" ? "BRG/DIS" : "LAT/LON";
+            FMCPosInitPage.ShowPage3(fmc, store);
         };
     }
 
-    static ShowPage4(fmc, store = {irsPos: "", irsGs: "", infoSwitch: "BRG/DIS"}) {
+    static ShowPage4(fmc, store = {latBrgSwitch: "BRG/DIS"}) {
         fmc.clearDisplay();
-        let currPos = new LatLong(SimVar.GetSimVarValue("GPS POSITION LAT", "degree latitude"), SimVar.GetSimVarValue("GPS POSITION LON", "degree longitude")).toDegreeString();
-        let irsPos = "";
-        if (fmc.initCoordinates) {
-            irsPos = fmc.initCoordinates;
-        }
-        let irsGs = SimVar.GetSimVarValue("SURFACE RELATIVE GROUND SPEED", "knots").toFixed(0) + "KT";
+        FMCPosInitPage._timer = 0;
+        fmc.pageUpdate = () => {
+            FMCPosInitPage._timer++;
+            if (FMCPosInitPage._timer >= 15) {
+                FMCPosInitPage.ShowPage4(fmc, store);
+            }
+        };
+        const fmcPos = fmc.navPerformance.getPosition();
+        const showBrgDis = store.latBrgSwitch == "LAT/LON";
+        const irsPos = [0, 1, 2].map(i => FMCPosInitPage.formatPosition(fmcPos, fmc.SaltyBase.irs.getPosition(i), showBrgDis));
+        const irsGs = [0, 1, 2].map(i => fmc.SaltyBase.irs.isAligned(i) ? SimVar.GetSimVarValue("SURFACE RELATIVE GROUND SPEED", "knots").toFixed(0) + "KT" : "");
         fmc.setTemplate([
             ["POS REF", "4", "4"],
             ["\xa0IRS L", "GS"],
-            [`${irsPos}`, `${irsGs}`],
+            [irsPos[0], irsGs[0]],
             ["\xa0IRS C", "GS"],
-            [`${irsPos}`, `${irsGs}`],
+            [irsPos[1], irsGs[1]],
             ["\xa0IRS R", "GS"],
-            [`${irsPos}`, `${irsGs}`],
+            [irsPos[2], irsGs[2]],
             [""],
             [""],
             [""],
             [""],
             ["__FMCSEPARATOR"],
-            ["<INDEX", `${store.infoSwitch}`]
+            ["<INDEX", `${store.latBrgSwitch}>`]
         ]);
         fmc.onPrevPage = () => {
             FMCPosInitPage.ShowPage3(fmc);
@@ -228,8 +289,28 @@ class FMCPosInitPage {
             B747_8_FMC_InitRefIndexPage.ShowPage1(fmc);
         };
         fmc.onRightInput[5] = () => {
-
+            store.latBrgSwitch = store.latBrgSwitch == "LAT/LON" ? "BRG/DIS" : "LAT/LON";
+            FMCPosInitPage.ShowPage4(fmc, store);
         };
     }
+
+    /* Sensor position as LAT/LON, or as true bearing and distance from the FMC position */
+    static formatPosition(fmcPos, position, showBrgDis) {
+        if (!position) {
+            return "";
+        }
+        if (!showBrgDis || !fmcPos) {
+            return position.toDegreeString();
+        }
+        const bearing = Avionics.Utils.computeGreatCircleHeading(fmcPos, position);
+        return bearing.toFixed(0).padStart(3, "0") + "°/" + FMCPosInitPage.formatDistance(fmcPos, position);
+    }
+
+    static formatDistance(fmcPos, position) {
+        if (!fmcPos || !position) {
+            return "";
+        }
+        return Avionics.Utils.computeGreatCircleDistance(fmcPos, position).toFixed(2) + "NM";
+    }
 }
 //# sourceMappingURL=B747_8_FMC_PosInitPage.js.map
\ No newline at end of file
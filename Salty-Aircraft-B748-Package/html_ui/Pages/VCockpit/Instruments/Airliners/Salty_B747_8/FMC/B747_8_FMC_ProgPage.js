@@ -10,17 +10,27 @@ class B747_8_FMC_ProgPage {
         };
         let progressTitle = SimVar.GetSimVarValue("ATC FLIGHT NUMBER", "string") + " PROGRESS";
         let planeCoordinates = new LatLong(SimVar.GetSimVarValue("PLANE LATITUDE", "degree latitude"), SimVar.GetSimVarValue("PLANE LONGITUDE", "degree longitude"));
-        let speed = Simplane.getGroundSpeed();
-        let currentTime = SimVar.GetGlobalVarValue("ZULU TIME", "seconds");
-        let currentFuel = SimVar.GetSimVarValue("FUEL TOTAL QUANTITY", "gallons") * SimVar.GetSimVarValue("FUEL WEIGHT PER GALLON", "pounds") / 1000;
-        let currentFuelFlow = SimVar.GetSimVarValue("TURB ENG FUEL FLOW PPH:1", "pound per hour") + SimVar.GetSimVarValue("TURB ENG FUEL FLOW PPH:2", "pound per hour") + SimVar.GetSimVarValue("TURB ENG FUEL FLOW PPH:3", "pound per hour") + SimVar.GetSimVarValue("TURB ENG FUEL FLOW PPH:4", "pound per hour");
-        currentFuelFlow = currentFuelFlow / 1000;
+        let activeIndex = fmc.flightPlanManager.getActiveWaypointIndex();
         let machMode = Simplane.getAutoPilotMachModeActive();
         let waypointActiveCell = "";
         let waypointActiveDistanceCell = "";
         let waypointActiveFuelCell = "";
         let waypointActive = fmc.flightPlanManager.getActiveWaypoint();
         let waypointActiveDistance = NaN;
+        /* ETA and fuel remaining come from the route predictions */
+        const formatEta = (prediction) => {
+            if (!prediction) {
+                return "&nbsp&nbsp&nbsp&nbsp&nbsp";
+            }
+            return SaltyPredictions.formatTime(prediction.eta).replace("Z", "z");
+        };
+        const formatFuel = (prediction) => {
+            if (!prediction) {
+                return "";
+            }
+            const fuel = fmc.useLbs ? prediction.fuel * 2.204623 : prediction.fuel;
+            return (fuel / 1000).toFixed(1);
+        };
         if (waypointActive) {
             waypointActiveCell = waypointActive.ident;
             waypointActiveDistance = Avionics.Utils.computeGreatCircleDistance(planeCoordinates, waypointActive.infos.coordinates);
@@ -29,25 +39,9 @@ class B747_8_FMC_ProgPage {
                     waypointActiveDistanceCell += "&nbsp";
                 }
                 waypointActiveDistanceCell += waypointActiveDistance.toFixed(0) + " ";
-                let eta = fmc.computeETA(waypointActiveDistance, speed, currentTime);
-                if (isFinite(eta)) {
-                    let etaHours = Math.floor(eta / 3600);
-                    let etaMinutes = Math.floor((eta - etaHours * 3600) / 60);
-                    waypointActiveDistanceCell += etaHours.toFixed(0).padStart(2, "0") + etaMinutes.toFixed(0).padStart(2, "0") + "z";
-                }
-                else {
-                    waypointActiveDistanceCell += "&nbsp&nbsp&nbsp&nbsp&nbsp";
-                }
-                let fuelLeft = fmc.computeFuelLeft(waypointActiveDistance, speed, currentFuel, currentFuelFlow);
-                let units = fmc.useLbs;
-                if (isFinite(fuelLeft)) {
-                    if (!units) {
-                        waypointActiveFuelCell = (fuelLeft / 2.204).toFixed(1);
-                    }
-                    else {
-                        waypointActiveFuelCell = fuelLeft.toFixed(1);
-                    }
-                }
+                let prediction = fmc.predictions.getWaypoint(activeIndex);
+                waypointActiveDistanceCell += formatEta(prediction);
+                waypointActiveFuelCell = formatFuel(prediction);
             }
         }
         let waypointActiveNextCell = "";
@@ -55,7 +49,7 @@ class B747_8_FMC_ProgPage {
         let waypointActiveNextDistanceCell = "";
         let waypointActiveNextFuelCell = "";
         let waypointActiveNextDistance = NaN;
-        if (fmc.flightPlanManager.getActiveWaypointIndex() != -1) {
+        if (activeIndex != -1) {
             waypointActiveNext = fmc.flightPlanManager.getNextActiveWaypoint();
             if (waypointActiveNext) {
                 waypointActiveNextCell = waypointActiveNext.ident;
@@ -67,25 +61,9 @@ class B747_8_FMC_ProgPage {
                             waypointActiveNextDistanceCell += "&nbsp";
                         }
                         waypointActiveNextDistanceCell += waypointActiveNextDistance.toFixed(0) + " ";
-                        let eta = fmc.computeETA(waypointActiveNextDistance, speed, currentTime);
-                        if (isFinite(eta)) {
-                            let etaHours = Math.floor(eta / 3600);
-                            let etaMinutes = Math.floor((eta - etaHours * 3600) / 60);
-                            waypointActiveNextDistanceCell += etaHours.toFixed(0).padStart(2, "0") + etaMinutes.toFixed(0).padStart(2, "0") + "z";
-                        }
-                        else {
-                            waypointActiveNextDistanceCell += "&nbsp&nbsp&nbsp&nbsp&nbsp";
-                        }
-                        let fuelLeft = fmc.computeFuelLeft(waypointActiveNextDistance, speed, currentFuel, currentFuelFlow);
-                        let units = fmc.useLbs;
-                        if (isFinite(fuelLeft)) {
-                            if (!units) {
-                                waypointActiveNextFuelCell = (fuelLeft / 2.204).toFixed(1);
-                            }
-                            else {
-                                waypointActiveNextFuelCell = fuelLeft.toFixed(1);
-                            }
-                        }
+                        let prediction = fmc.predictions.getWaypoint(activeIndex + 1);
+                        waypointActiveNextDistanceCell += formatEta(prediction);
+                        waypointActiveNextFuelCell = formatFuel(prediction);
                     }
                 }
             }
@@ -116,25 +94,9 @@ class B747_8_FMC_ProgPage {
                         destinationDistanceCell += "&nbsp";
                     }
                     destinationDistanceCell += destinationDistance.toFixed(0) + " ";
-                    let eta = fmc.computeETA(destinationDistance, speed, currentTime);
-                    if (isFinite(eta)) {
-                        let etaHours = Math.floor(eta / 3600);
-                        let etaMinutes = Math.floor((eta - etaHours * 3600) / 60);
-                        destinationDistanceCell += etaHours.toFixed(0).padStart(2, "0") + etaMinutes.toFixed(0).padStart(2, "0") + "z";
-                    }
-                    else {
-                        destinationDistanceCell += "&nbsp&nbsp&nbsp&nbsp&nbsp";
-                    }
-                    let fuelLeft = fmc.computeFuelLeft(destinationDistance, speed, currentFuel, currentFuelFlow);
-                    let units = fmc.useLbs;
-                    if (isFinite(fuelLeft)) {
-                        if (!units) {
-                            destinationFuelCell = (fuelLeft / 2.204).toFixed(1);
-                        }
-                        else {
-                            destinationFuelCell = fuelLeft.toFixed(1);
-                        }
-                    }
+                    let prediction = fmc.predictions.getDestination();
+                    destinationDistanceCell += formatEta(prediction);
+                    destinationFuelCell = formatFuel(prediction);
                 }
             }
         }
@@ -160,11 +122,9 @@ class B747_8_FMC_ProgPage {
                 } else {
                     todDistanceCell = distanceToTOD.toFixed(0)  + "NM";
                     todTimeCell = "&nbsp&nbsp&nbsp&nbsp&nbsp&nbsp&nbsp";
-                    const eta = fmc.computeETA(distanceToTOD, speed, currentTime);
-                    if (isFinite(eta)) {
-                        let etaHours = Math.floor(eta / 3600);
-                        let etaMinutes = Math.floor((eta - etaHours * 3600) / 60);
-                        todTimeCell += etaHours.toFixed(0).padStart(2, '0') + etaMinutes.toFixed(0).padStart(2, '0') + "z&nbsp/";
+                    const topOfDescent = fmc.predictions.getTopOfDescent();
+                    if (topOfDescent) {
+                        todTimeCell += formatEta(topOfDescent) + "&nbsp/";
                     }
                 }   
             }
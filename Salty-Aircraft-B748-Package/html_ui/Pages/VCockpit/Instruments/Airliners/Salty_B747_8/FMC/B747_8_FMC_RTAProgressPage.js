@@ -0,0 +1,126 @@
+class B747_8_FMC_RTAProgressPage {
+    static ShowPage1(fmc) {
+        fmc.clearDisplay();
+        B747_8_FMC_RTAProgressPage._timer = 0;
+        fmc.pageUpdate = () => {
+            B747_8_FMC_RTAProgressPage._timer++;
+            if (B747_8_FMC_RTAProgressPage._timer >= 15) {
+                B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+            }
+        };
+
+        const formatTime = (seconds) => {
+            seconds = Math.round(seconds);
+            const hours = Math.floor(seconds / 3600) % 24;
+            const minutes = Math.floor((seconds % 3600) / 60);
+            return hours.toFixed(0).padStart(2, "0") + minutes.toFixed(0).padStart(2, "0") + (seconds % 60).toFixed(0).padStart(2, "0") + "Z";
+        };
+        const formatMach = (mach) => mach.toFixed(3).substring(1);
+
+        let fixCell = fmc.rtaFix !== "" ? fmc.rtaFix : "-----";
+        let timeCell = isFinite(fmc.rtaTime) ? formatTime(fmc.rtaTime) : "------Z";
+        let timeErrorCell = "";
+        let speedCell = "";
+        let etaCell = "";
+        let unableCell = "";
+        const rta = fmc.getRtaPrediction();
+        if (rta) {
+            fixCell = "{magenta}" + fixCell + "{end}";
+            timeCell = "{magenta}" + timeCell + "{end}";
+            const error = Math.round(Math.abs(rta.timeError));
+            const errorString = Math.floor(error / 60).toFixed(0) + ":" + (error % 60).toFixed(0).padStart(2, "0");
+            if (error <= fmc.rtaTolerance) {
+                timeErrorCell = "ON TIME";
+            } else {
+                timeErrorCell = (rta.timeError > 0 ? "EARLY " : "LATE ") + errorString;
+            }
+            speedCell = isFinite(rta.requiredMach) && rta.requiredMach > 0 ? formatMach(rta.requiredMach) : "---";
+            etaCell = formatTime(rta.eta);
+            if (rta.isUnable) {
+                unableCell = "UNABLE RTA[color]yellow";
+            }
+        }
+
+        fmc.setTemplate([
+            ["RTA PROGRESS"],
+            ["\xa0RTA FIX", "RTA"],
+            [fixCell, timeCell],
+            ["\xa0TIME ERROR", "TOLERANCE"],
+            [timeErrorCell, "+/-" + fmc.rtaTolerance + " SEC"],
+            ["\xa0RTA SPD", "FIX ETA"],
+            [speedCell, etaCell],
+            ["\xa0MIN SPD", "MAX SPD"],
+            [formatMach(fmc.rtaMinMach), formatMach(fmc.rtaMaxMach)],
+            [""],
+            ["", "", unableCell],
+            ["__FMCSEPARATOR"],
+            ["<CRZ", "PROGRESS>"]
+        ]);
+
+        /* LSK 1L  - RTA Fix, DELETE cancels the RTA */
+        fmc.onLeftInput[0] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetRtaFix(value)) {
+                B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+            }
+        };
+
+        /* LSK 1R  - RTA Time */
+        fmc.onRightInput[0] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetRtaTime(value)) {
+                B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+            }
+        };
+
+        /* LSK 2R  - Time Tolerance in seconds */
+        fmc.onRightInput[1] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetRtaTolerance(value)) {
+                B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+            }
+        };
+
+        /* LSK 4L/4R  - Speed Limits */
+        fmc.onLeftInput[3] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetRtaSpeedLimit(value, false)) {
+                B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+            }
+        };
+        fmc.onRightInput[3] = () => {
+            const value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetRtaSpeedLimit(value, true)) {
+                B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+            }
+        };
+
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_VNAVPage.ShowPage2(fmc);
+        };
+        fmc.onRightInput[5] = () => {
+            B747_8_FMC_ProgPage.ShowPage1(fmc);
+        };
+    }
+}
+B747_8_FMC_RTAProgressPage._timer = 0;
@@ -0,0 +1,70 @@
+/**
+ * RTE 1 and RTE 2 side by side: city pair, distance and planning trip fuel.
+ */
+class FMCRouteComparePage {
+    static ShowPage(fmc) {
+        fmc.clearDisplay();
+        fmc.ensureInactiveRoute();
+
+        const getRoute = (number) => {
+            const index = number === fmc.activeRoute ? 0 : B747_8_FMC_MainDisplay.INACTIVE_ROUTE_INDEX;
+            const plan = fmc.flightPlanManager.getFlightPlan(index);
+            if (!plan || !plan.hasOrigin || !plan.hasDestination) {
+                return null;
+            }
+            const distance = fmc.getRouteDistance(index);
+            return {
+                cities: `${plan.originAirfield.ident}-${plan.destinationAirfield.ident}`,
+                distance: distance,
+                fuel: fmc.getRouteTripFuel(distance) * (fmc.useLbs ? 2.204623 : 1) / 1000
+            };
+        };
+        const routes = [getRoute(1), getRoute(2)];
+        const getLabel = (number) => `RTE ${number}${number === fmc.activeRoute ? " ACT" : ""}`;
+        const getCells = (format) => routes.map((route) => route ? format(route) : "----");
+
+        const cities = getCells((route) => route.cities);
+        const distances = getCells((route) => `${route.distance.toFixed(0)}NM`);
+        const fuels = getCells((route) => route.fuel.toFixed(1));
+
+        let differenceCell = "";
+        if (routes[0] && routes[1]) {
+            const distance = routes[1].distance - routes[0].distance;
+            const fuel = routes[1].fuel - routes[0].fuel;
+            const sign = (value) => value >= 0 ? "+" : "-";
+            differenceCell = `${sign(distance)}${Math.abs(distance).toFixed(0)}NM ${sign(fuel)}${Math.abs(fuel).toFixed(1)}`;
+        }
+
+        fmc.setTemplate([
+            ["RTE COMPARE"],
+            ["\xa0" + getLabel(1), getLabel(2)],
+            [cities[0], cities[1]],
+            ["\xa0DIST", "DIST"],
+            [distances[0], distances[1]],
+            ["\xa0TRIP FUEL", "TRIP FUEL"],
+            [fuels[0], fuels[1]],
+            ["", "", "RTE 2 VS RTE 1"],
+            ["", "", differenceCell],
+            ["", ""],
+            ["", ""],
+            ["__FMCSEPARATOR"],
+            ["<RTE 1", "RTE 2>"]
+        ]);
+
+        const showRoute = (number) => {
+            if (number === fmc.activeRoute) {
+                FMCRoutePage.ShowPage1(fmc);
+            } else {
+                FMCInactiveRoutePage.ShowPage1(fmc);
+            }
+        };
+
+        fmc.onLeftInput[5] = () => {
+            showRoute(1);
+        };
+
+        fmc.onRightInput[5] = () => {
+            showRoute(2);
+        };
+    }
+}
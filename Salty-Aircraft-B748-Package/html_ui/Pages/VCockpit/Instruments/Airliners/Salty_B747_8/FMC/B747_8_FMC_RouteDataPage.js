@@ -0,0 +1,58 @@
+/**
+ * Route data, predicted ETA and fuel remaining at each waypoint still to fly.
+ */
+class B747_8_FMC_RouteDataPage {
+    static ShowPage1(fmc, page = 1) {
+        fmc.clearDisplay();
+        B747_8_FMC_RouteDataPage._timer = 0;
+        fmc.pageUpdate = () => {
+            B747_8_FMC_RouteDataPage._timer++;
+            if (B747_8_FMC_RouteDataPage._timer >= 15) {
+                B747_8_FMC_RouteDataPage.ShowPage1(fmc, page);
+            }
+        };
+
+        const waypoints = fmc.flightPlanManager.getAllWaypoints();
+        const indexes = [];
+        for (let i = Math.max(fmc.flightPlanManager.getActiveWaypointIndex(), 0); i < waypoints.length; i++) {
+            if (fmc.predictions.getWaypoint(i)) {
+                indexes.push(i);
+            }
+        }
+        const pageCount = Math.max(1, Math.ceil(indexes.length / 5));
+        page = Math.min(page, pageCount);
+        const offset = (page - 1) * 5;
+
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const index = indexes[offset + i];
+            rows.push(i === 0 ? ["\xa0ETA", "FUEL", "WPT"] : [""]);
+            if (index === undefined) {
+                rows.push([""]);
+                continue;
+            }
+            const prediction = fmc.predictions.getWaypoint(index);
+            const fuel = fmc.useLbs ? prediction.fuel * 2.204623 : prediction.fuel;
+            rows.push([SaltyPredictions.formatTime(prediction.eta), (fuel / 1000).toFixed(1), waypoints[index].ident]);
+        }
+
+        fmc.setTemplate([
+            [(fmc.fpHasChanged ? "MOD" : "ACT") + " RTE " + fmc.getDisplayedRoute() + " DATA", page, pageCount],
+            ...rows,
+            ["__FMCSEPARATOR"],
+            ["<LEGS"]
+        ]);
+
+        fmc.onPrevPage = () => {
+            B747_8_FMC_RouteDataPage.ShowPage1(fmc, page > 1 ? page - 1 : pageCount);
+        };
+        fmc.onNextPage = () => {
+            B747_8_FMC_RouteDataPage.ShowPage1(fmc, page < pageCount ? page + 1 : 1);
+        };
+
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_LegsPage.ShowPage1(fmc);
+        };
+    }
+}
+B747_8_FMC_RouteDataPage._timer = 0;
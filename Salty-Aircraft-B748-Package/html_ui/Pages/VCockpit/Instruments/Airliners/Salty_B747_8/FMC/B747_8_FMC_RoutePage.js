@@ -120,7 +120,7 @@ class FMCRoutePage {
             if (selectedDepRunway) {
                 this._depRwyCell = "RW" + selectedDepRunway.designation;
             }
-            this._coRouteCell = "--------";
+            this._coRouteCell = this._fmc.coRoute || "--------";
         }
 
         if (this._fmc.flightPlanManager.getCurrentFlightPlanIndex() === 1) {
@@ -129,38 +129,15 @@ class FMCRoutePage {
             this._activateCell = "ACTIVATE>";
         } else if (this._fmc.flightPlanManager.getCurrentFlightPlanIndex() === 0) {
             this._fmc.fpHasChanged = false;
-            this._activateCell = "PERF INIT>";
-            this._lsk6Field = "<RTE 2";
+            this._activateCell = this._currentPage == 0 ? "PERF INIT>" : "OFFSET>";
+            this._lsk6Field = "<RTE " + this._fmc.getInactiveRoute();
         }
 
         const currFplnVer = SimVar.GetSimVarValue(FlightPlanManager.FlightPlanVersionKey, 'number');
         if (this._fmc.fpHasChanged === true || this._fplnVersion < currFplnVer) {
             this._rows = FMCRoutePage._GetAllRows(this._fmc);
             this._fplnVersion = currFplnVer;
-
-            // fill in empty row
-            const emptyRow = new FpRow();
-            const prevRow = this._rows[this._rows.length - 1];
-            if (prevRow !== undefined) {
-                if (this._airwayInput !== "") {
-                    emptyRow.airwayIn = this._airwayInput;
-                    emptyRow.fpIdx = this._airwayIndex;
-                    const idx = this._rows.findIndex(x => x.fpIdx === this._airwayIndex) + 1;
-                    this._rows.splice(idx, 0, emptyRow);
-                } else {
-                    emptyRow.fpIdx = (prevRow.fpIdx + 2);
-                    this._rows.push(emptyRow);
-                }
-            } else {
-                let emptyFixIndex = 1;
-                const firstFix = this._fmc.flightPlanManager.getWaypoint(emptyFixIndex);
-                if (firstFix && firstFix.isRunway) {
-                    emptyFixIndex++;
-                }
-
-                emptyRow.fpIdx = emptyFixIndex;
-                this._rows.push(emptyRow);
-            }
+            FMCRoutePage._AddEmptyRow(this._fmc, this._rows, this._airwayInput, this._airwayIndex);
         }
 
         this._pageCount = Math.max(2, (Math.ceil((this._rows.length) / 5) + 1));
@@ -185,11 +162,11 @@ class FMCRoutePage {
         } else {
             this.store.uplinkSeparator = "";
             this.store.loadUplink = "";
-            this.store.purgeUplink = "";
+            this.store.purgeUplink = "CO ROUTES>";
         }
 
         this._fmc.setTemplate([
-            [" " + this._modStr + " RTE 1", 1, this._pageCount],
+            [" " + this._modStr + " RTE " + this._fmc.getDisplayedRoute(), 1, this._pageCount],
             ["\xa0ORIGIN", "DEST"],
             [this._originCell, this._destinationCell],
             ["\xa0RUNWAY", "FLT NO"],
@@ -199,7 +176,7 @@ class FMCRoutePage {
             ["", "", `${this.store.routeUplinkSeparator}`],
             [`${this.store.loadUplink}`, `${this.store.purgeUplink}`],
             ["__FMCSEPARATOR"],
-            ["", "ALTN>"],
+            ["<RTE COMPARE", "ALTN>"],
             [""],
             [this._lsk6Field, this._activateCell]
         ]);
@@ -208,7 +185,7 @@ class FMCRoutePage {
     renderRoutePage() {
         const idx = this._offset;
         this._fmc.setTemplate([
-            [" " + this._modStr + " RTE 1", (this._currentPage + 1), this._pageCount],
+            [" " + this._modStr + " RTE " + this._fmc.getDisplayedRoute(), (this._currentPage + 1), this._pageCount],
             ["VIA", "TO"],
             this._rows[idx] ? this._rows[idx].getTemplate()[0] : [""],
             this._rows[idx] ? this._rows[idx].getTemplate()[1] : [""],
@@ -261,6 +238,19 @@ class FMCRoutePage {
                 });
             };
 
+            this._fmc.onRightInput[2] = () => {
+                const value = this._fmc.inOut;
+                if (value === "") {
+                    return;
+                }
+                this._fmc.clearUserInput();
+                this._fmc.updateCoRoute(value, (result) => {
+                    if (result) {
+                        this.update(true);
+                    }
+                });
+            };
+
             /*
             3L
             REQUEST DATA
@@ -273,7 +263,7 @@ class FMCRoutePage {
                         this.store.requestData = "<SEND";
                         if (result) {
                             this.rteUplinkReady = true;
-                            this._fmc.setMsg("ROUTE 1 UPLINK READY");
+                            this._fmc.setMsg(`ROUTE ${this._fmc.activeRoute} UPLINK READY`);
                             Coherent.call("PLAY_INSTRUMENT_SOUND", "uplink_chime");
                         } else {
                             this._fmc.showErrorMessage("WRONG PILOT ID");
@@ -299,6 +289,10 @@ class FMCRoutePage {
                 }
             };
             this._fmc.onRightInput[3] = () => {
+                if (!this.rteUplinkReady) {
+                    FMCCoRoutePage.ShowPage1(this._fmc);
+                    return;
+                }
                 if (this._fmc.simbrief.rteUplinkReady) {
                     this._fmc.simbrief.rteUplinkReady = false;
                     this.store.uplinkSeparator = "";
@@ -309,6 +303,14 @@ class FMCRoutePage {
                 console.log("A")
             };
 
+            this._fmc.onLeftInput[4] = () => {
+                FMCRouteComparePage.ShowPage(this._fmc);
+            };
+
+            this._fmc.onRightInput[4] = () => {
+                B747_8_FMC_AlternatePage.ShowPage1(this._fmc);
+            };
+
             if (this._fmc.flightPlanManager.getCurrentFlightPlan().findSegmentByWaypointIndex(this._rows[0].fpIdx) !== SegmentType.Departure) {
                 this.bindRowEvents(3);
             }
@@ -341,6 +343,8 @@ class FMCRoutePage {
                         this.update(true);
                     });
                 }
+            } else if (this._lsk6Field.startsWith("<RTE")) {
+                FMCInactiveRoutePage.ShowPage1(this._fmc);
             }
         };
 
@@ -348,6 +352,9 @@ class FMCRoutePage {
             if (this._activateCell == "PERF INIT>") {
                 FMCPerfInitPage.ShowPage1(this._fmc);
             }
+            else if (this._activateCell == "OFFSET>") {
+                B747_8_FMC_OffsetPage.ShowPage1(this._fmc);
+            }
             else if (this._activateCell == "ACTIVATE>") {
                 this._fmc.activateRoute();
                 this.update(true);
@@ -574,6 +581,37 @@ class FMCRoutePage {
         return callback(false);
     }
 
+    /**
+     * Adds the row a new waypoint or airway exit is entered in.
+     * @param {FpRow[]} rows Rows of the current flight plan.
+     * @param {string} airwayInput Airway entered in VIA and waiting for its exit, if any.
+     * @param {Number} airwayIndex Flight plan index of the airway entry waypoint.
+     */
+    static _AddEmptyRow(fmc, rows, airwayInput, airwayIndex) {
+        const emptyRow = new FpRow();
+        const prevRow = rows[rows.length - 1];
+        if (prevRow !== undefined) {
+            if (airwayInput !== "") {
+                emptyRow.airwayIn = airwayInput;
+                emptyRow.fpIdx = airwayIndex;
+                const idx = rows.findIndex(x => x.fpIdx === airwayIndex) + 1;
+                rows.splice(idx, 0, emptyRow);
+            } else {
+                emptyRow.fpIdx = (prevRow.fpIdx + 2);
+                rows.push(emptyRow);
+            }
+        } else {
+            let emptyFixIndex = 1;
+            const firstFix = fmc.flightPlanManager.getWaypoint(emptyFixIndex);
+            if (firstFix && firstFix.isRunway) {
+                emptyFixIndex++;
+            }
+
+            emptyRow.fpIdx = emptyFixIndex;
+            rows.push(emptyRow);
+        }
+    }
+
     static _GetAllRows(fmc) {
         const allRows = [];
         const flightPlanManager = fmc.flightPlanManager;
@@ -119,18 +119,44 @@ class FMCTakeOffPage {
         if (isFinite(fmc.takeOffTrim)) {
             trimCell = fmc.takeOffTrim.toFixed(1);
         }
-        let taxiBurn = 2;
-        let grossWeight;
-        let units = fmc.useLbs;
-        if (units) {
-            grossWeight = fmc.getWeight(true);
-        }
-        else {
-            grossWeight = fmc.getWeight(false);
-        }
+        let grossWeight = fmc.getWeight(fmc.useLbs);
         let grossWeightCell = "\xa0\xa0" + grossWeight.toFixed(1);
-        let takeoffGrossWeight = grossWeight - taxiBurn;
+        let takeoffGrossWeight = fmc.getTakeOffGrossWeight(fmc.useLbs);
         let takeoffGrossWeightCell = takeoffGrossWeight.toFixed(1);
+        let requestLabel = "\xa0REQUEST";
+        let requestCell = `<${FMCTakeOffPage._requestStatus}`;
+        let pendingData = fmc.getPendingTakeoffData();
+        if (pendingData) {
+            requestLabel = "\xa0T/O DATA UPLINK";
+            requestCell = "<ACCEPT";
+        }
+        fmc.onLeftInput[4] = () => {
+            if (pendingData) {
+                fmc.respondToMessage(pendingData, "ACCEPT");
+                return;
+            }
+            if (FMCTakeOffPage._requestStatus !== "SEND") {
+                return;
+            }
+            FMCTakeOffPage._requestStatus = "SENDING";
+            FMCTakeOffPage.ShowPage1(fmc);
+            fmc.requestTakeoffData()
+                .then(() => {
+                    FMCTakeOffPage._requestStatus = "SENT";
+                    setTimeout(() => {
+                        FMCTakeOffPage._requestStatus = "SEND";
+                    }, 5000);
+                })
+                .catch((err) => {
+                    FMCTakeOffPage._requestStatus = "SEND";
+                    fmc.showErrorMessage(err);
+                });
+        };
+        let refSpdsCell = fmc.refSpeedsOn ? "{small}OFF{end}←→{green}ON{end}>" : "{green}OFF{end}←→{small}ON{end}>";
+        fmc.onRightInput[4] = () => {
+            fmc.setRefSpeedsOn(!fmc.refSpeedsOn);
+            FMCTakeOffPage.ShowPage1(fmc);
+        };
         fmc.setTemplate([
             ["TAKEOFF REF" , "1", "2"],
             ["\xa0FLAPS", "V1"],
@@ -141,8 +167,8 @@ class FMCTakeOffPage {
             [cgCell, v2],
             ["\xa0RWY/POS[color]inop", "TOGW", "\xa0\xa0GR\xa0WT"],
             [runwayCell, takeoffGrossWeightCell, grossWeightCell],
-            ["\xa0REQUEST[color]inop", "REF SPDS[color]inop"],
-            ["<SEND[color]inop", "OFF←→ON>[color]inop"],
+            [requestLabel, "REF SPDS"],
+            [requestCell, refSpdsCell],
             ["__FMCSEPARATOR"],
             ["\<INDEX", "THRUST LIM>"]
         ]);
@@ -159,12 +185,59 @@ class FMCTakeOffPage {
                 FMCTakeOffPage.ShowPage2(fmc);
             }
         };
-        //Placeholders for takeoff perf calculation for now
-        let eoAccelHtCell = "1000FT[color]inop";
-        let oatCell = "--°C[color]inop";
-        let windCell = "---°/--KT[color]inop";   
-        let slopeCondCell = "U0.0/DRY[color]inop";
+        //Takeoff conditions, sensed values shown small until entered
+        let eoAccelHtCell = fmc.eoAccelerationHeight.toFixed(0) + "FT";
+        fmc.onRightInput[0] = () => {
+            let value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.trySetEoAccelerationHeight(value)) {
+                FMCTakeOffPage.ShowPage2(fmc);
+            }
+        };
+        let oatCell = fmc.getTakeoffOat().toFixed(0) + "°C";
+        if (fmc.takeoffRefOat === undefined) {
+            oatCell += "[s-text]";
+        }
+        fmc.onLeftInput[1] = () => {
+            let value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.trySetTakeoffRefOat(value)) {
+                fmc.updateVSpeeds();
+                FMCTakeOffPage.ShowPage2(fmc);
+            }
+        };
+        let wind = fmc.getTakeoffWind();
+        let windCell = wind.direction.toFixed(0).padStart(3, "0") + "°/" + wind.speed.toFixed(0) + "KT";
+        if (!fmc.takeoffWind) {
+            windCell += "[s-text]";
+        }
+        fmc.onLeftInput[2] = () => {
+            let value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.trySetTakeoffWind(value)) {
+                fmc.updateVSpeeds();
+                FMCTakeOffPage.ShowPage2(fmc);
+            }
+        };
+        let runwayWindCell = "";
+        let runwayWind = fmc.getTakeoffRunwayWind();
+        if (runwayWind) {
+            runwayWindCell = (runwayWind.headwind < 0 ? "T" : "H") + Math.abs(runwayWind.headwind) + "KT\xa0\xa0" + (runwayWind.crosswind < 0 ? "L" : "R") + Math.abs(runwayWind.crosswind) + "KT";
+        }
+        let slopeCondCell = (fmc.takeoffSlope < 0 ? "D" : "U") + Math.abs(fmc.takeoffSlope).toFixed(1) + "/" + fmc.takeoffRunwayCondition;
+        fmc.onLeftInput[4] = () => {
+            let value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.trySetTakeoffSlopeCondition(value)) {
+                fmc.updateVSpeeds();
+                FMCTakeOffPage.ShowPage2(fmc);
+            }
+        };
         let limitTakeoffGrossWeightCell = "";
+        if (fmc.takeoffData) {
+            let limitWeight = fmc.takeoffData.limitWeight;
+            limitTakeoffGrossWeightCell = (fmc.useLbs ? limitWeight * 2.204623 : limitWeight).toFixed(1);
+        }
         
         //Acceleration Height Settable
         let accelHtCell = "";
@@ -213,24 +286,48 @@ class FMCTakeOffPage {
             });
         };
 
+        //Quiet climb
+        let quietClimbHeightsCell = fmc.quietClimbCutbackHeight.toFixed(0) + "/" + fmc.quietClimbRestoreHeight.toFixed(0) + "FT";
+        fmc.onRightInput[3] = () => {
+            let value = fmc.inOut;
+            fmc.clearUserInput();
+            if (fmc.trySetQuietClimbHeights(value)) {
+                FMCTakeOffPage.ShowPage2(fmc);
+            }
+        };
+        let quietClimbState = fmc.getQuietClimbState();
+        let quietClimbCell = "{small}OFF{end}←→{green}ARMED{end}>";
+        if (quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF) {
+            quietClimbCell = "{green}OFF{end}←→{small}ARMED{end}>";
+        }
+        else if (quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_ACTIVE) {
+            quietClimbCell = "{green}ACTIVE{end}";
+        }
+        fmc.onRightInput[5] = () => {
+            if (fmc.setQuietClimbArmed(quietClimbState === B747_8_FMC_MainDisplay.QUIET_CLIMB_OFF)) {
+                FMCTakeOffPage.ShowPage2(fmc);
+            }
+        };
+
         fmc.setTemplate([
             ["TAKEOFF REF" , "2", "2"],
-            ["STD THRUST[color]inop", "EO ACCEL HT[color]inop"],
+            ["STD THRUST[color]inop", "EO ACCEL HT"],
             ["--[color]inop", eoAccelHtCell],
-            ["\xa0REF OAT[color]inop", "ACCEL HT"],
+            ["\xa0REF OAT", "ACCEL HT"],
             [oatCell, accelHtCell],
-            ["\xa0WIND[color]inop", "THR REDUCTION"],
+            ["\xa0WIND", "THR REDUCTION"],
             [windCell, thrRedCell],
-            ["\xa0RWY WIND[color]inop"],
-            [],
-            ["\xa0SLOPE/COND[color]inop", "STD LIM TOGW[color]inop"],
+            ["\xa0RWY WIND", "CUTBK/RESTORE"],
+            [runwayWindCell, quietClimbHeightsCell],
+            ["\xa0SLOPE/COND", "STD LIM TOGW"],
             [slopeCondCell, limitTakeoffGrossWeightCell],
-            ["--------------------", "Q-CLB[color]inop"],
-            ["\<INDEX", "OFF←→ARMED>[color]inop"]
+            ["--------------------", "Q-CLB"],
+            ["\<INDEX", quietClimbCell]
         ]);
         fmc.onPrevPage = () => { FMCTakeOffPage.ShowPage1(fmc); };
         fmc.onLeftInput[5] = () => { B747_8_FMC_InitRefIndexPage.ShowPage1(fmc); };
     }
 }
 FMCTakeOffPage._timer = 0;
+FMCTakeOffPage._requestStatus = "SEND";
 //# sourceMappingURL=B747_8_FMC_TakeOffPage.js.map
\ No newline at end of file
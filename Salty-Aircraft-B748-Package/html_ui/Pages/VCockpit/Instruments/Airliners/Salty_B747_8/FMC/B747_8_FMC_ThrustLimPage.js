@@ -10,7 +10,7 @@ class FMCThrustLimPage {
             }
         };
         let toN1Cell = fmc.getThrustTakeOffLimit().toFixed(1) + "%";
-        let oatValue = SimVar.GetSimVarValue("AMBIENT TEMPERATURE", "celsius");
+        let oatValue = fmc.getTakeoffOat();
         let oatCell = oatValue.toFixed(0) + "°C";
         let thrustTOMode = fmc.getThrustTakeOffMode();
         let thrustClimbMode = fmc.getThrustCLBMode();
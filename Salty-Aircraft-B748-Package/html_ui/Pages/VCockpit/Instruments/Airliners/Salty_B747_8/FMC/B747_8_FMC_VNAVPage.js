@@ -233,7 +233,7 @@ class B747_8_FMC_VNAVPage {
             }
         };
 
-        /* Cruise Page Title, 0 - ECON, 1 - LRC, 2 - MCP SPD, 3 - Fixed CAS, 4 - Fixed Mach, 5 - Envelope Limited */
+        /* Cruise Page Title, 0 - ECON, 1 - LRC, 2 - MCP SPD, 3 - Fixed CAS, 4 - Fixed Mach, 5 - Envelope Limited, 6 - RTA, 7 - Engine Out */
         let crzMode = SimVar.GetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum");
         let crzPageTitle = "\xa0\xa0\xa0\xa0";
         let crzSpeedModeCell = "\xa0SEL SPD";
@@ -269,6 +269,14 @@ class B747_8_FMC_VNAVPage {
                 crzPageTitle += "LIM SPD CRZ";
                 crzSpeedModeCell = "\xa0SEL SPD";
                 break;
+            case B747_8_FMC_MainDisplay.CRZ_MODE_RTA:
+                crzPageTitle += "RTA CRZ";
+                crzSpeedModeCell = "\xa0RTA SPD";
+                break;
+            case B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT:
+                crzPageTitle += fmc.isDriftdownActive() ? "ENG OUT D/D" : "ENG OUT CRZ";
+                crzSpeedModeCell = "\xa0E/O SPD";
+                break;
         }
 
         /* LSK 1L  - Cruise Alt */
@@ -313,6 +321,15 @@ class B747_8_FMC_VNAVPage {
         else if (crzMode === 4) {
             crzSpeedCell = SimVar.GetSimVarValue("L:SALTY_CRZ_MACH", "mach").toFixed(3).substring(1);
         }
+        else if (crzMode === 1 && fmc.getLrcMach() !== 1) {
+            crzSpeedCell = fmc.getLrcMach().toFixed(3).substring(1);
+        }
+        else if (crzMode === B747_8_FMC_MainDisplay.CRZ_MODE_RTA && fmc.getRtaPrediction()) {
+            crzSpeedCell = fmc.getRtaPrediction().commandMach.toFixed(3).substring(1);
+        }
+        else if (crzMode === B747_8_FMC_MainDisplay.CRZ_MODE_ENG_OUT) {
+            crzSpeedCell = crzSpeed.toFixed(0);
+        }
         if (Simplane.getCurrentFlightPhase() === FlightPhase.FLIGHT_PHASE_CRUISE) {
             crzSpeedCell += "[color]magenta";
         }
@@ -365,10 +382,57 @@ class B747_8_FMC_VNAVPage {
 
         /* Maximum Flight level - Calculates uses linear regression derived formula from actual aircraft data */
         let currentWeight = SimVar.GetSimVarValue("TOTAL WEIGHT", "kilograms");
-        let maxFltLevel = Math.min(431,(((-0.04894505 * currentWeight) + 54680.43956044) / 100));
-        let optFltLevel  = Math.min(431,(((-0.06056044 * currentWeight) + 56063.51648352) / 100)) ;
+        let maxFltLevel = fmc.getMaxAltitude(currentWeight) / 100;
+        let optFltLevel = fmc.getOptimumAltitude(currentWeight) / 100;
         let recmdFltLevel = Math.round(optFltLevel / 10) * 10;
 
+        /* RSK 1R/2R/3R  - Step To, step point and savings */
+        let stepToCell = "";
+        let stepAtCell = "";
+        let savingsLabel = "";
+        let savingsCell = "";
+        let stepAltitude = fmc.getStepToAltitude();
+        let stepClimb = fmc.getStepClimbPrediction();
+        if (isFinite(stepAltitude)) {
+            stepToCell = "FL" + (stepAltitude / 100).toFixed(0);
+        }
+        if (stepClimb) {
+            if (stepClimb.distance > 0) {
+                let eta = Math.round(stepClimb.eta / 60);
+                let etaString = isFinite(eta) ? (Math.floor(eta / 60) % 24).toFixed(0).padStart(2, "0") + (eta % 60).toFixed(0).padStart(2, "0") + "Z" : "----Z";
+                stepAtCell = etaString + "/" + stepClimb.distance.toFixed(0).padStart(5, "\xa0") + "NM";
+            }
+            else {
+                stepAtCell = "NOW";
+            }
+            savingsLabel = "SAVINGS";
+            let fuelSavings = (fmc.useLbs ? stepClimb.fuelSavings * 2.204623 : stepClimb.fuelSavings) / 1000;
+            let timeSavings = isFinite(stepClimb.timeSavings) ? (stepClimb.timeSavings / 60).toFixed(0) + "MIN" : "--MIN";
+            savingsCell = fuelSavings.toFixed(1) + "/" + timeSavings;
+        }
+        fmc.onRightInput[0] = () => {
+            let value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetStepToAltitude(value)) {
+                B747_8_FMC_VNAVPage.ShowPage2(fmc);
+            }
+        };
+
+        /* LSK 4L  - Step Size */
+        fmc.onLeftInput[3] = () => {
+            let value = fmc.inOut;
+            if (value === "") {
+                return;
+            }
+            fmc.clearUserInput();
+            if (fmc.trySetStepSize(value)) {
+                B747_8_FMC_VNAVPage.ShowPage2(fmc);
+            }
+        };
+
         /* LSK 5L  - ECON Button */
         let lsk5lCell = "";
 
@@ -382,22 +446,49 @@ class B747_8_FMC_VNAVPage {
             }
         };
 
+        /* LSK 5R  - Engine Out Cruise */
+        fmc.onRightInput[4] = () => {
+            B747_8_FMC_EngOutPage.ShowPage1(fmc);
+        };
+
+        /* LSK 6R  - LRC, with the trip fuel at ECON and LRC */
+        let lrcCell = crzMode !== 1 ? "LRC>" : "";
+        fmc.onRightInput[5] = () => {
+            if (crzMode !== 1) {
+                SimVar.SetSimVarValue("L:SALTY_VNAV_CRZ_MODE", "Enum", 1);
+                B747_8_FMC_VNAVPage.ShowPage2(fmc);
+            }
+        };
+        let tripFuelCell = "";
+        let econTripFuel = fmc.getCrzTripFuel(fmc.getCrzMach());
+        let lrcTripFuel = fmc.getCrzTripFuel(fmc.getLrcMach());
+        if (fmc.getLrcMach() !== 1 && isFinite(econTripFuel) && isFinite(lrcTripFuel)) {
+            let fuelString = (fuel) => {
+                fuel = (fmc.useLbs ? fuel * 2.204623 : fuel) / 1000;
+                return fuel.toFixed(fuel < 100 ? 1 : 0);
+            };
+            tripFuelCell = "TRIP ECON " + fuelString(econTripFuel) + " LRC " + fuelString(lrcTripFuel);
+        }
+
         /* Cruise Page Template */
         fmc.setTemplate([
             [crzPageTitle, "2", "3"],
             ["\xa0CRZ ALT", "STEP TO"],
-            [crzAltCell],
+            [crzAltCell, stepToCell],
             [crzSpeedModeCell, "AT"],
-            [crzSpeedCell],
-            ["\xa0N1"],
-            [n1Cell],
+            [crzSpeedCell, stepAtCell],
+            ["\xa0N1", savingsLabel],
+            [n1Cell, savingsCell],
             ["\xa0STEP", "MAX\xa0\xa0\xa0RECMD", "OPT\xa0\xa0\xa0\xa0\xa0\xa0"],
-            ["RVSM", "FL" + recmdFltLevel.toFixed(0), "\xa0FL" + optFltLevel.toFixed(0) + "\xa0\xa0" + "FL" + maxFltLevel.toFixed(0)],
+            [fmc.stepSize, "FL" + recmdFltLevel.toFixed(0), "\xa0FL" + optFltLevel.toFixed(0) + "\xa0\xa0" + "FL" + maxFltLevel.toFixed(0)],
             ["__FMCSEPARATOR"],
             [lsk5lCell, "ENG OUT>"],
-            [],
-            ["<RTA PROGRESS", "LRC>"]
+            ["", "", tripFuelCell],
+            ["<RTA PROGRESS", lrcCell]
         ]);
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_RTAProgressPage.ShowPage1(fmc);
+        };
         fmc.onPrevPage = () => { B747_8_FMC_VNAVPage.ShowPage1(fmc); };
         fmc.onNextPage = () => { B747_8_FMC_VNAVPage.ShowPage3(fmc); };
     }
@@ -558,6 +649,16 @@ class B747_8_FMC_VNAVPage {
             }
         };
 
+        /* LSK 5R  - Descent Forecast */
+        fmc.onRightInput[4] = () => {
+            B747_8_FMC_DescentForecastPage.ShowPage1(fmc);
+        };
+
+        /* LSK 6L  - Offpath Descent */
+        fmc.onLeftInput[5] = () => {
+            B747_8_FMC_OffpathDesPage.ShowPage1(fmc);
+        };
+
         fmc.setTemplate([
             [desPageTitle, "3", "3"],
             ["\xa0E/D AT"],
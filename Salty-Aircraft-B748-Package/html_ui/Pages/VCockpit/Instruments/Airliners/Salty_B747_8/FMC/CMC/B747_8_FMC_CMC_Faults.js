@@ -0,0 +1,70 @@
+class FMC_CMC_Faults {
+    static ShowPage(fmc, title, page = 0, printed = false) {
+        fmc.activeSystem = "CMC";
+        fmc.clearDisplay();
+        const cmc = fmc.SaltyBase.cmc;
+
+        const getFaults = () => {
+            switch (title) {
+                case "PRESENT LEG FAULTS": return cmc.getPresentLegFaults();
+                case "EXISTING FAULTS": return cmc.getExistingFaults();
+                default: return cmc.getFaultHistory();
+            }
+        };
+        const faults = getFaults();
+        const pagesCount = Math.max(1, Math.ceil(faults.length / 5));
+        page = Math.min(page, pagesCount - 1);
+        const entries = faults.slice(page * 5, page * 5 + 5);
+
+        /* History spans legs, the other lists show the phase of flight instead */
+        const getStamp = (fault) => {
+            return title === "FAULT HISTORY" ? `L${fault.leg} ${fault.date} ${fault.time}Z` : `${fault.time}Z ${fault.phase}`;
+        };
+        const getSignature = () => getFaults().map((fault) => `${fault.text}${fault.active}`).join();
+        const signature = getSignature();
+
+        const rows = [];
+        for (let i = 0; i < 5; i++) {
+            const fault = entries[i];
+            if (fault) {
+                rows.push([getStamp(fault), fault.active ? "ACTIVE" : "CLEARED"]);
+                rows.push([`${fault.ata} ${fault.text}`, ""]);
+            } else {
+                rows.push(["", ""]);
+                rows.push([i === 0 && page === 0 ? "NO FAULTS" : "", ""]);
+            }
+        }
+
+        fmc.setTemplate([
+            [title, `${page + 1}`, `${pagesCount}`],
+            ...rows,
+            ["", "", "__FMCSEPARATOR"],
+            ["<CMC MENU", printed ? "PRINTED>" : "PRINT>"]
+        ]);
+
+        /* Refresh while the page is up so new and cleared faults show */
+        fmc.pageUpdate = () => {
+            if (getSignature() !== signature) {
+                FMC_CMC_Faults.ShowPage(fmc, title, page);
+            }
+        };
+
+        if (pagesCount > 1) {
+            fmc.onPrevPage = () => {
+                FMC_CMC_Faults.ShowPage(fmc, title, page > 0 ? page - 1 : pagesCount - 1);
+            };
+            fmc.onNextPage = () => {
+                FMC_CMC_Faults.ShowPage(fmc, title, page < pagesCount - 1 ? page + 1 : 0);
+            };
+        }
+
+        fmc.onLeftInput[5] = () => {
+            FMC_CMC_Index.ShowPage(fmc);
+        }
+
+        fmc.onRightInput[5] = () => {
+            const lines = cmc.print(title, faults);
+            FMC_CMC_Report.ShowPage(fmc, lines, () => FMC_CMC_Faults.ShowPage(fmc, title, page, true));
+        }
+    }
+}
\ No newline at end of file
@@ -1,30 +1,44 @@
 class FMC_CMC_Index {
-    static ShowPage(fmc, store = {"printCell": "PRINT LOG"}) {
-        fmc.activeSystem = "SAT";
+    static ShowPage(fmc) {
+        fmc.activeSystem = "CMC";
         fmc.clearDisplay();
-        
-        const updateView = () => {
-            store.printCell = store.printCell;
-            fmc.setTemplate([
-                ["ATC INDEX"],
-                ["", ""],
-                ["<EMERGENCY", "POS REPORT>"],
-                ["", ""],
-                ["<REQUEST", "WHEN CAN WE>"],
-                ["", ""],
-                ["<REPORT", "FREE TEXT>"],
-                ["", ""],
-                ["<LOG", "CLEARANCE>"],
-                ["", ""],
-                ["<LOGON/STATUS", "VOICE>"],
-                ["", "", "__FMCSEPARATOR"],
-                [`<${store.printCell}`, ""]
-            ]);
+        const cmc = fmc.SaltyBase.cmc;
+
+        fmc.setTemplate([
+            ["CMC MENU"],
+            ["", ""],
+            ["<PRESENT LEG FAULTS", ""],
+            ["", ""],
+            ["<EXISTING FAULTS", ""],
+            ["", ""],
+            ["<FAULT HISTORY", ""],
+            ["", ""],
+            ["", ""],
+            ["", ""],
+            ["", ""],
+            ["", "", "__FMCSEPARATOR"],
+            ["<MENU", "PRINT LOG>"]
+        ]);
+
+        fmc.onLeftInput[0] = () => {
+            FMC_CMC_Faults.ShowPage(fmc, "PRESENT LEG FAULTS");
         }
-        updateView();
-        
+
+        fmc.onLeftInput[1] = () => {
+            FMC_CMC_Faults.ShowPage(fmc, "EXISTING FAULTS");
+        }
+
+        fmc.onLeftInput[2] = () => {
+            FMC_CMC_Faults.ShowPage(fmc, "FAULT HISTORY");
+        }
+
         fmc.onLeftInput[5] = () => {
             FMC_Menu.ShowPage(fmc);
         }
+
+        fmc.onRightInput[5] = () => {
+            const lines = cmc.print("FAULT HISTORY", cmc.getFaultHistory());
+            FMC_CMC_Report.ShowPage(fmc, lines, () => FMC_CMC_Index.ShowPage(fmc));
+        }
     }
 }
\ No newline at end of file
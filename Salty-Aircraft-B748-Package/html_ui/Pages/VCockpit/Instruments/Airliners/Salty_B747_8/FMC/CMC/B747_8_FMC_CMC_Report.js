@@ -0,0 +1,48 @@
+class FMC_CMC_Report {
+    static ShowPage(fmc, lines, onReturn, page = 0) {
+        fmc.activeSystem = "CMC";
+        fmc.clearDisplay();
+
+        /* Report lines are wider than the display, so break them on spaces */
+        const printout = [];
+        for (const line of lines) {
+            let text = "";
+            for (const word of line.split(" ")) {
+                if (text && text.length + word.length + 1 > 24) {
+                    printout.push(text);
+                    text = "";
+                }
+                text = text ? `${text} ${word}` : word;
+            }
+            printout.push(text);
+        }
+        const pagesCount = Math.max(1, Math.ceil(printout.length / 10));
+        page = Math.min(page, pagesCount - 1);
+
+        const rows = [];
+        for (let i = 0; i < 10; i++) {
+            const text = printout[page * 10 + i];
+            rows.push([text ? `{small}${text}` : ""]);
+        }
+
+        fmc.setTemplate([
+            ["CMC REPORT", `${page + 1}`, `${pagesCount}`],
+            ...rows,
+            ["", "", "__FMCSEPARATOR"],
+            ["<RETURN", ""]
+        ]);
+
+        if (pagesCount > 1) {
+            fmc.onPrevPage = () => {
+                FMC_CMC_Report.ShowPage(fmc, lines, onReturn, page > 0 ? page - 1 : pagesCount - 1);
+            };
+            fmc.onNextPage = () => {
+                FMC_CMC_Report.ShowPage(fmc, lines, onReturn, page < pagesCount - 1 ? page + 1 : 0);
+            };
+        }
+
+        fmc.onLeftInput[5] = () => {
+            onReturn();
+        }
+    }
+}
@@ -8,8 +8,8 @@ class FMC_COMM_Inflight {
                 ["INFLIGHT"],
                 ["\xa0POSITION", "DEST ETA"],
                 ["<REPORT", "----Z"],
-                ["\xa0DEVIATE TO[color]inop", ""],
-                ["<ALTN[s-text][color]inop", ""],
+                ["\xa0DEVIATE TO", ""],
+                ["<ALTN", ""],
                 ["", ""],
                 ["", ""],
                 ["", ""],
@@ -26,6 +26,10 @@ class FMC_COMM_Inflight {
             FMC_PosReport.ShowPage(fmc);
         }
 
+        fmc.onLeftInput[1] = () => {
+            B747_8_FMC_AlternatePage.ShowPage1(fmc);
+        }
+
         /* LSK5 */
         fmc.onLeftInput[4] = () => {
             FMC_COMM_Log.ShowPage(fmc);
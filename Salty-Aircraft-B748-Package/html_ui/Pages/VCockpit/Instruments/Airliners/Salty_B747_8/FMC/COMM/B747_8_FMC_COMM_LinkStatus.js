@@ -1,9 +1,22 @@
 class FMC_COMM_LinkStatus {
-    static ShowPage(fmc, store = {status: "OK"}) {
+    static ShowPage(fmc, store = {status: ""}) {
         fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
-        
+
+        /* Traffic goes over VHF while in range, SATCOM otherwise */
+        const checkLink = () => {
+            const transport = fmc.datalink.getActiveTransport();
+            store.status = transport ? `OK VIA ${transport.name}` : "NO COMM";
+        };
+        const getPathCell = (transport) => {
+            if (transport.isAvailable()) {
+                return "AVAIL";
+            }
+            return transport.name === "SATCOM" ? fmc.SaltyBase.satcom.state : "NO COVERAGE";
+        };
+
         const updateView = () => {
+            const paths = fmc.datalink.transports;
             fmc.setTemplate([
                 ["ATC LINK STATUS"],
                 ["", ""],
@@ -11,27 +24,30 @@ class FMC_COMM_LinkStatus {
                 ["\xa0STATUS", ""],
                 [`${store.status}`, ""],
                 ["\xa0DETAILS", ""],
+                [paths[0] ? `${paths[0].name}` : "", paths[0] ? `${getPathCell(paths[0])}[s-text]` : ""],
                 ["", ""],
-                ["", ""],
-                ["", ""],
+                [paths[1] ? `${paths[1].name}` : "", paths[1] ? `${getPathCell(paths[1])}[s-text]` : ""],
                 ["", ""],
                 ["", ""],
                 ["\xa0ACARS", ""],
                 ["<INDEX", "RECHECK>"]
             ]);
         }
+        if (!store.status) {
+            checkLink();
+        }
         updateView();
-        
+
         fmc.onLeftInput[5] = () => {
             FMC_COMM_Index.ShowPage(fmc);
         }
-        
+
         fmc.onRightInput[5] = () => {
             store.status = "";
             updateView();
             setTimeout(
                 function() {
-                    store.status = "OK";
+                    checkLink();
                     updateView();
                 }, 500
             );
@@ -18,43 +18,65 @@ class FMC_COMM_Message {
         const currentMesssageIndex = fmc.getMessageIndex(message["id"]);
         const currentMesssageCount = currentMesssageIndex + 1;
         const msgArrows = fmc.messages.length > 1 ? " {}" : "";
-        let totalPages = Math.ceil((lines.length) / 10);
+        /* Messages awaiting ACCEPT/REJECT give up the last two rows to the response prompts */
+        const needsResponse = message["responseType"] === "AR";
+        const linesPerPage = needsResponse ? 8 : 10;
+        let totalPages = Math.ceil((lines.length) / linesPerPage);
+
+        const rows = [];
+        for (let i = 0; i < 10; i++) {
+            rows.push([i < linesPerPage && lines[offset + i] ? `{small}${lines[offset + i]}` : ""]);
+        }
+        if (needsResponse) {
+            if (message["response"]) {
+                rows[8] = ["", "RESPONSE"];
+                rows[9] = ["", `${message["response"]}ED`];
+            } else {
+                rows[8] = ["", ""];
+                rows[9] = ["<REJECT", "ACCEPT>"];
+            }
+        }
 
         fmc.setTemplate([
             ["ACARS MESSAGE", `${store.currPage}`, `${totalPages}`],
-            [`{small}${lines[offset] ? lines[offset] : ""}`],
-            [`{small}${lines[offset + 1] ? lines[offset + 1] : ""}`],
-            [`{small}${lines[offset + 2] ? lines[offset + 2] : ""}`],
-            [`{small}${lines[offset + 3] ? lines[offset + 3] : ""}`],
-            [`{small}${lines[offset + 4] ? lines[offset + 4] : ""}`],
-            [`{small}${lines[offset + 5] ? lines[offset + 5] : ""}`],
-            [`{small}${lines[offset + 6] ? lines[offset + 6] : ""}`],
-            [`{small}${lines[offset + 7] ? lines[offset + 7] : ""}`],
-            [`{small}${lines[offset + 8] ? lines[offset + 8] : ""}`],
-            [`{small}${lines[offset + 9] ? lines[offset + 9] : ""}`],
+            ...rows,
             ["\xa0RETURN TO", ""],
             ["<MESSAGES", ""]
         ]);
 
-        if (lines.length > 9) {
+        if (lines.length > linesPerPage - 1) {
             fmc.onPrevPage = () => {
-                if (lines[offset - 10]) {
-                    offset -= 10;
-                    console.log(offset) ;
+                if (lines[offset - linesPerPage]) {
+                    offset -= linesPerPage;
                     store.currPage = store.currPage - 1;
                 }
                 FMC_COMM_Message.ShowPage(fmc, message, offset, store);
             };
             fmc.onNextPage = () => {
-                if (lines[offset + 10]) {
-                    offset += 10;
-                    console.log(offset) ;
+                if (lines[offset + linesPerPage]) {
+                    offset += linesPerPage;
                     store.currPage = store.currPage + 1;
                 }
                 FMC_COMM_Message.ShowPage(fmc, message, offset, store);
             };
         }
 
+        if (needsResponse && !message["response"]) {
+            const respond = (response) => {
+                fmc.respondToMessage(message, response).then(() => {
+                    if (fmc.getTitle() === "ACARS MESSAGE") {
+                        FMC_COMM_Message.ShowPage(fmc, message, offset, store);
+                    }
+                });
+            };
+            fmc.onLeftInput[4] = () => {
+                respond("REJECT");
+            };
+            fmc.onRightInput[4] = () => {
+                respond("ACCEPT");
+            };
+        }
+
         fmc.onLeftInput[5] = () => {
             FMC_COMM_Log.ShowPage(fmc);
         }
@@ -1,5 +1,5 @@
 class FMC_COMM_PDC {
-    static ShowPage(fmc, store = {sendStatus: "SEND>"}) {
+    static ShowPage(fmc) {
         fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
         let fltNoCell = "------";
@@ -21,11 +21,18 @@ class FMC_COMM_PDC {
         if (fmc.flightPlanManager.getDestination()) {
             fmc.atcComm.dest = fmc.flightPlanManager.getDestination().ident;
         }
-        if (fmc.atcComm.fltNo != "") {
-            fltNoCell = fmc.atcComm.fltNo;
+        /* Defaults are filled until all three are known or one is deleted, so a deleted field stays empty */
+        if (!fmc.pdc.defaulted) {
+            fmc.pdc.fltNo = fmc.pdc.fltNo || fmc.atcComm.fltNo;
+            fmc.pdc.dept = fmc.pdc.dept || fmc.atcComm.origin;
+            fmc.pdc.dest = fmc.pdc.dest || fmc.atcComm.dest;
+            fmc.pdc.defaulted = fmc.pdc.fltNo != "" && fmc.pdc.dept != "" && fmc.pdc.dest != "";
         }
-        if (fmc.atcComm.origin != "") {
-            deptCell = fmc.atcComm.origin;
+        if (fmc.pdc.fltNo != "") {
+            fltNoCell = fmc.pdc.fltNo;
+        }
+        if (fmc.pdc.dept != "") {
+            deptCell = fmc.pdc.dept;
         }
         if (fmc.pdc.atis != "") {
             atisCell = fmc.pdc.atis;
@@ -36,8 +43,8 @@ class FMC_COMM_PDC {
         if (fmc.pdc.acType != "") {
             acTypeCell = fmc.pdc.acType;
         }
-        if (fmc.atcComm.dest != "") {
-            destCell = fmc.atcComm.dest;
+        if (fmc.pdc.dest != "") {
+            destCell = fmc.pdc.dest;
         }
         if (fmc.pdc.freeText != "") {
             freeTextCell = fmc.pdc.freeText;
@@ -45,9 +52,6 @@ class FMC_COMM_PDC {
         if (fmc.pdc.ats != "") {
             atsCell = fmc.pdc.ats;
         }
-        if (fmc.pdc.sendStatus != "") {
-            sendStatusCell = fmc.pdc.sendStatus;
-        }
 
         const updateView = () => {
             fmc.setTemplate([
@@ -63,11 +67,18 @@ class FMC_COMM_PDC {
                 ["----------", "TO ATS UNIT"],
                 ["", `${atsCell}`],
                 ["\xa0RETURN TO", ""],
-                ["<REQUESTS", `${store.sendStatus}[color]inop`]
+                ["<REQUESTS", `${fmc.pdc.sendStatus}`]
             ]);
         }
         updateView();
 
+        /* Async send updates only redraw while the page is still displayed, with the fields as they are now */
+        const refreshView = () => {
+            if (fmc.getTitle() === "PDC REQUEST") {
+                FMC_COMM_PDC.ShowPage(fmc);
+            }
+        };
+
         /** FLIGHT NUMBER */
         fmc.onLeftInput[0] = () => {
             let value = fmc.inOut;
@@ -75,7 +86,9 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.fltNo = value;
             } else {
-                fmc.pdc.fltNo = "------";
+                fmc.pdc.fltNo = "";
+                fmc.pdc.defaulted = true;
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
@@ -87,7 +100,8 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.atis = value;
             } else {
-                fmc.pdc.atis = "□";
+                fmc.pdc.atis = "";
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
@@ -99,7 +113,8 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.freeText = value;
             } else {
-                fmc.pdc.freeText = "<";
+                fmc.pdc.freeText = "";
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
@@ -115,7 +130,9 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.dept = value;
             } else {
-                fmc.pdc.dept = "----";
+                fmc.pdc.dept = "";
+                fmc.pdc.defaulted = true;
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
@@ -127,7 +144,8 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.stand = value;
             } else {
-                fmc.pdc.stand = "----";
+                fmc.pdc.stand = "";
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
@@ -139,7 +157,9 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.dest = value;
             } else {
-                fmc.pdc.dest = "----";
+                fmc.pdc.dest = "";
+                fmc.pdc.defaulted = true;
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
@@ -151,26 +171,63 @@ class FMC_COMM_PDC {
                 fmc.clearUserInput();
                 fmc.pdc.ats = value;
             } else {
-                fmc.pdc.ats = "□□□□";
+                fmc.pdc.ats = "";
+                fmc.clearUserInput();
             }
             FMC_COMM_PDC.ShowPage(fmc);
         };
 
-        /*fmc.onRightInput[5] = () => {
-            store.sendStatus = "SENDING";
+        /** SEND */
+        fmc.onRightInput[5] = () => {
+            if (fmc.pdc.sendStatus !== "SEND>") {
+                return;
+            }
+            if (fmc.pdc.fltNo == "" || fmc.pdc.dept == "" || fmc.pdc.dest == "" || fmc.pdc.atis == "" || fmc.pdc.ats == "") {
+                fmc.showErrorMessage("PARAMS NOT SET");
+                return;
+            }
+            const lines = [
+                `PDC REQUEST ${fmc.pdc.fltNo}`,
+                `${fmc.pdc.dept}-${fmc.pdc.dest} ${acTypeCell}`,
+                `ATIS ${fmc.pdc.atis}`
+            ];
+            if (fmc.pdc.stand != "") {
+                lines.push(`STAND ${fmc.pdc.stand}`);
+            }
+            if (fmc.pdc.freeText != "") {
+                lines.push(fmc.pdc.freeText);
+            }
+            const downlink = {
+                "type": "PDC",
+                "to": fmc.pdc.ats,
+                "content": lines,
+                "data": {
+                    "fltNo": fmc.pdc.fltNo,
+                    "dept": fmc.pdc.dept,
+                    "dest": fmc.pdc.dest,
+                    "atis": fmc.pdc.atis,
+                    "stand": fmc.pdc.stand,
+                    "acType": acTypeCell,
+                    "freeText": fmc.pdc.freeText
+                }
+            };
+            fmc.pdc.sendStatus = "SENDING\xa0";
             updateView();
-            setTimeout(
-                function() {
-                    store.sendStatus = "SENT";
-                    updateView();
-                }, 1000
-            );
-            setTimeout(
-                function() {
-                    store.sendStatus = "SEND>";
-                    updateView();
-                }, 5000
-            );
-        };*/
+            fmc.datalink.send(downlink)
+                .then(() => {
+                    fmc.addSentMessage({ "id": downlink.id, "time": fetchTimeValue(), "type": "PDC", "content": lines, "status": "SENT" });
+                    fmc.pdc.sendStatus = "SENT\xa0";
+                    refreshView();
+                    setTimeout(() => {
+                        fmc.pdc.sendStatus = "SEND>";
+                        refreshView();
+                    }, 5000);
+                })
+                .catch((err) => {
+                    fmc.pdc.sendStatus = "SEND>";
+                    refreshView();
+                    fmc.showErrorMessage(err);
+                });
+        };
     }
 }
\ No newline at end of file
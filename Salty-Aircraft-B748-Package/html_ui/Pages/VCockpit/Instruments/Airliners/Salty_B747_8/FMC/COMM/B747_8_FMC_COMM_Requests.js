@@ -15,7 +15,7 @@ class FMC_COMM_Requests {
                 ["", ""],
                 ["<LOADSHEET[color]inop", "LAND PERF>[color]inop"],
                 ["", "FREE TEXT[color]inop"],
-                ["<T/O PERF[color]inop", "TELEX>[color]inop"],
+                ["<T/O PERF", "TELEX>[color]inop"],
                 ["\xa0ACARS", "DATA LINK"],
                 ["<INDEX", "READY"]
             ]);
@@ -26,6 +26,10 @@ class FMC_COMM_Requests {
             FMC_COMM_PDC.ShowPage(fmc);
         }
         
+        fmc.onLeftInput[4] = () => {
+            FMC_COMM_Takeoff.ShowPage(fmc);
+        }
+        
         fmc.onLeftInput[5] = () => {
             FMC_COMM_Index.ShowPage(fmc);
         }
@@ -1,29 +1,77 @@
 class FMC_COMM_Takeoff {
-    static ShowPage(fmc) {
-        fmc.activeSystem = "FMC";
+    static ShowPage(fmc, store = {sendStatus: "SEND>"}) {
+        fmc.activeSystem = "DLNK";
         fmc.clearDisplay();
-        
+        let runwayCell = "---";
+        let flapsCell = "--";
+        let oatCell = "--°C";
+        let windCell = "---°/--KT";
+        let slopeCondCell = "--/---";
+        let togwCell = "---.-";
+
+        const request = fmc.getTakeoffPerfRequest();
+        if (request) {
+            runwayCell = `${request.airport} ${request.runway}`;
+            flapsCell = `${request.flaps}`;
+            oatCell = `${request.oat}°C`;
+            windCell = `${request.windDirection.toFixed(0).padStart(3, "0")}°/${request.windSpeed}KT`;
+            slopeCondCell = `${request.slope < 0 ? "D" : "U"}${Math.abs(request.slope).toFixed(1)}/${request.condition}`;
+            togwCell = (fmc.useLbs ? request.togw * 2.204623 : request.togw).toFixed(1);
+        }
+
         const updateView = () => {
             fmc.setTemplate([
-                ["ATC INDEX"],
-                ["\xa0UPLINK", ""],
-                ["<RTE 1", "POS REPORT>"],
-                ["\xa0UPLINK (2)", ""],
-                ["<ALTN", ""],
-                ["", ""],
-                ["<PERF", "FREE TEXT>"],
+                ["T/O PERF REQUEST"],
+                ["\xa0RWY", "FLAPS"],
+                [`${runwayCell}`, `${flapsCell}`],
+                ["\xa0OAT", "WIND"],
+                [`${oatCell}`, `${windCell}`],
+                ["\xa0SLOPE/COND", "TOGW"],
+                [`${slopeCondCell}`, `${togwCell}`],
                 ["", ""],
-                ["<TAKEOFF", "CLEARANCE>"],
                 ["", ""],
-                ["<WIND", "VOICE>"],
-                ["", "DATA LINK", "__FMCSEPARATOR"],
-                ["<DES FORECAST", "READY"]
+                ["\xa0RECEIVED", "REQUEST"],
+                ["<MESSAGES", `${store.sendStatus}`],
+                ["\xa0RETURN TO", ""],
+                ["<REQUESTS", ""]
             ]);
         }
         updateView();
-        
+
+        const refreshView = () => {
+            if (fmc.getTitle() === "T/O PERF REQUEST") {
+                updateView();
+            }
+        };
+
+        fmc.onLeftInput[4] = () => {
+            FMC_COMM_Log.ShowPage(fmc);
+        }
+
         fmc.onLeftInput[5] = () => {
-            FMC_Menu.ShowPage(fmc);
+            FMC_COMM_Requests.ShowPage(fmc);
+        }
+
+        fmc.onRightInput[4] = () => {
+            if (store.sendStatus !== "SEND>") {
+                return;
+            }
+            store.sendStatus = "SENDING\xa0";
+            updateView();
+            fmc.requestTakeoffData()
+                .then(() => {
+                    store.sendStatus = "SENT\xa0";
+                    refreshView();
+                    setTimeout(() => {
+                        store.sendStatus = "SEND>";
+                        refreshView();
+                    }, 5000);
+                })
+                .catch((err) => {
+                    store.sendStatus = "SEND>";
+                    refreshView();
+                    fmc.showErrorMessage(err);
+                });
         }
     }
 }
\ No newline at end of file
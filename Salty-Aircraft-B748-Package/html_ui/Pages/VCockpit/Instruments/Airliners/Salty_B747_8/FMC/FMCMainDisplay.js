@@ -1702,6 +1702,9 @@ class FMCMainDisplay extends BaseAirliners {
         return false;
     }
 
+    getAccelerationAltitude() {
+        return SimVar.GetSimVarValue("L:AIRLINER_ACC_ALT", "number");
+    }
     checkUpdateFlightPhase() {
         let airSpeed = SimVar.GetSimVarValue("AIRSPEED TRUE", "knots");
         if (airSpeed > 10) {
@@ -1712,7 +1715,7 @@ class FMCMainDisplay extends BaseAirliners {
             if (this.currentFlightPhase === FlightPhase.FLIGHT_PHASE_TAKEOFF) {
                 let enterClimbPhase = false;
                 let alt = Simplane.getAltitude();
-                let accelAlt = SimVar.GetSimVarValue("L:AIRLINER_ACC_ALT", "number");
+                let accelAlt = this.getAccelerationAltitude();
                 if (alt > accelAlt) {
                     this.currentFlightPhase = FlightPhase.FLIGHT_PHASE_CLIMB;
                     this.togaSpeedSet = false;
@@ -0,0 +1,60 @@
+class FMCSaltyOptions_Cpdlc {
+    static ShowPage(fmc) {
+        fmc.clearDisplay();
+
+        const onGreen = "{green}ON{end}/{small}OFF{end}";
+        const offGreen = "{small}ON{end}/{green}OFF{end}";
+
+        const cpdlc = SaltyDataStore.get("OPTIONS_CPDLC", "ON");
+        const cpdlcDisplayOption = cpdlc == "ON" ? onGreen : offGreen;
+        const maxUlDelay = SaltyDataStore.get("OPTIONS_CPDLC_MAX_UL_DELAY", "");
+        const atcCtr = fmc.cpdlc.currentAuthority ? fmc.cpdlc.currentAuthority : "----";
+
+        fmc.setTemplate([
+            ["CPDLC OPTIONS"],
+            ["", "", "CPDLC"],
+            [`< ${cpdlcDisplayOption}`, ""],
+            ["\xa0DEFAULT MAX U/L DELAY", ""],
+            [`${maxUlDelay ? maxUlDelay : "---"}SEC`, ""],
+            ["\xa0GROUND STATION", "ATC CTR"],
+            ["LOCAL", `${atcCtr}`],
+            ["", "DATA LINK"],
+            ["", `${fmc.cpdlc.state}`],
+            ["", ""],
+            ["", ""],
+            ["\xa0RETURN TO", ""],
+            ["<OPTIONS", ""]
+        ]);
+
+        /* LSK1 */
+        fmc.onLeftInput[0] = () => {
+            if (cpdlc == "ON") {
+                SaltyDataStore.set("OPTIONS_CPDLC", "OFF");
+                fmc.cpdlc.logoff();
+            } else {
+                SaltyDataStore.set("OPTIONS_CPDLC", "ON");
+            }
+            FMCSaltyOptions_Cpdlc.ShowPage(fmc);
+        }
+
+        /* LSK2 */
+        fmc.onLeftInput[1] = () => {
+            let value = fmc.inOut;
+            fmc.clearUserInput();
+            if (value == FMCMainDisplay.clrValue) {
+                SaltyDataStore.set("OPTIONS_CPDLC_MAX_UL_DELAY", "");
+            } else if (/^\d{1,3}$/.test(value)) {
+                SaltyDataStore.set("OPTIONS_CPDLC_MAX_UL_DELAY", value);
+            } else {
+                fmc.showErrorMessage(fmc.defaultInputErrorMessage);
+                return;
+            }
+            FMCSaltyOptions_Cpdlc.ShowPage(fmc);
+        }
+
+        /* LSK6 */
+        fmc.onLeftInput[5] = () => {
+            FMCSaltyOptions.ShowPage1(fmc);
+        }
+    }
+}
@@ -16,7 +16,7 @@ class FMCSaltyOptions_IrsStatus {
             ["", ""],
             ["<IRS INSTANT ALIGN", ""],
             ["", ""],
-            ["", ""],
+            [SimVar.GetSimVarValue("L:SALTY_GPS_FAIL", "Bool") ? "<GPS RESTORE" : "<GPS FAIL", ""],
             ["", ""],
             ["", ""],
             ["\xa0RETURN TO", ""],
@@ -39,6 +39,12 @@ class FMCSaltyOptions_IrsStatus {
            }
         }
 
+        /* LSK4 */
+        fmc.onLeftInput[3] = () => {
+            SimVar.SetSimVarValue("L:SALTY_GPS_FAIL", "Bool", !SimVar.GetSimVarValue("L:SALTY_GPS_FAIL", "Bool"));
+            FMCSaltyOptions_IrsStatus.ShowPage(fmc);
+        }
+
         /* LSK6 */
         fmc.onLeftInput[5] = () => {
             FMCSaltyOptions.ShowPage1(fmc);
@@ -21,7 +21,7 @@ class FMCSaltyOptions {
             ["", ""],
             [`<SIMBRIEF`, ""],
             ["", ""],
-            ["<CPDLC[color]inop", "MISC>"],
+            ["<CPDLC", "MISC>"],
             ["\xa0RETURN TO", ""],
             ["<INDEX", ""]
         ]);
@@ -59,6 +59,11 @@ class FMCSaltyOptions {
               FMCSaltyOptions_Simbrief.ShowPage(fmc);
         }
         
+        /* LSK5 */
+        fmc.onLeftInput[4] = () => {
+              FMCSaltyOptions_Cpdlc.ShowPage(fmc);
+        }
+
         /* RSK5 */
         fmc.onRightInput[4] = () => {
               FMCSaltyOptions_Misc.ShowPage(fmc);
@@ -1,61 +1,25 @@
 class FMC_SAT_Directory {
-    static ShowPage(fmc) {
+    static ShowPage(fmc, page = 0) {
 		fmc.activeSystem = "SAT";
 		fmc.clearDisplay();
+		const categories = fmc.SaltyBase.satcom.directory;
+		const pagesCount = Math.max(1, Math.ceil(categories.length / 10));
+		page = Math.min(page, pagesCount - 1);
 		
-		const updateView = () => {
-			fmc.setTemplate([
-				["SAT DIRECTORY INDEX", "1", "2"],
-				["", ""],
-				["<EMERGENCY", "COMPANY>"],
-				["", ""],
-				["<ATL ATS", "OPERATIONS>"],
-				["", ""],
-				["<PAC ATS", "8>"],
-				["", ""],
-				["<IND ATS", "9>"],
-				["", ""],
-				["<5", "10>"],
-				["", ""],
-				["<RETURN", ""]
-			]);
-		}
-		updateView();
-		
-		fmc.onNextPage = () => {
-			FMC_SAT_Directory.ShowPage2(fmc);
-		};
-		
-		fmc.onPrevPage = () => {
-			FMC_SAT_Directory.ShowPage2(fmc);
-		};
-		
-		fmc.onLeftInput[5] = () => {
-			FMC_SAT_Index.ShowPage(fmc);
-		};
-		
-		fmc.onRightInput[0] = () => {
-			FMC_SAT_SubDirectory.ShowPage(fmc, "COMPANY");
-		};
-	}
-	
-    static ShowPage2(fmc) {
-		fmc.activeSystem = "SAT";
-		fmc.clearDisplay();
+		/* Categories fill the page left to right, five rows of two */
+		const getCategory = (row, column) => categories[page * 10 + row * 2 + column];
 		
 		const updateView = () => {
+			const rows = [];
+			for (let i = 0; i < 5; i++) {
+				const left = getCategory(i, 0);
+				const right = getCategory(i, 1);
+				rows.push(["", ""]);
+				rows.push([left ? `<${left.name}` : "", right ? `${right.name}>` : ""]);
+			}
 			fmc.setTemplate([
-				["SAT DIRECTORY INDEX", "2", "2"],
-				["", ""],
-				["<11", "12>"],
-				["", ""],
-				["<13", "14>"],
-				["", ""],
-				["<15", "16>"],
-				["", ""],
-				["<17", "18>"],
-				["", ""],
-				["<19", "20>"],
+				["SAT DIRECTORY INDEX", `${page + 1}`, `${pagesCount}`],
+				...rows,
 				["", ""],
 				["<RETURN", ""]
 			]);
@@ -63,19 +27,30 @@ class FMC_SAT_Directory {
 		updateView();
 		
 		fmc.onNextPage = () => {
-			FMC_SAT_Directory.ShowPage(fmc);
+			FMC_SAT_Directory.ShowPage(fmc, page < pagesCount - 1 ? page + 1 : 0);
 		};
 		
 		fmc.onPrevPage = () => {
-			FMC_SAT_Directory.ShowPage(fmc);
-		};
+			FMC_SAT_Directory.ShowPage(fmc, page > 0 ? page - 1 : pagesCount - 1);
+		};
+		
+		for (let i = 0; i < 5; i++) {
+			fmc.onLeftInput[i] = () => {
+				const category = getCategory(i, 0);
+				if (category) {
+					FMC_SAT_SubDirectory.ShowPage(fmc, category.name);
+				}
+			};
+			fmc.onRightInput[i] = () => {
+				const category = getCategory(i, 1);
+				if (category) {
+					FMC_SAT_SubDirectory.ShowPage(fmc, category.name);
+				}
+			};
+		}
 		
 		fmc.onLeftInput[5] = () => {
 			FMC_SAT_Index.ShowPage(fmc);
 		};
-		
-		fmc.onRightInput[0] = () => {
-			FMC_SAT_SubDirectory.ShowPage(fmc, "12");
-		};
-    }
+	}
 }
\ No newline at end of file
@@ -2,26 +2,66 @@ class FMC_SAT_Index {
     static ShowPage(fmc) {
 		fmc.activeSystem = "SAT";
 		fmc.clearDisplay();
+		const satcom = fmc.SaltyBase.satcom;
+		
+		const getActionCell = (channel) => {
+			switch (channel.state) {
+				case SaltySATCOM.CHANNEL.INCOMING: return "<ANSWER";
+				case SaltySATCOM.CHANNEL.DIALING:
+				case SaltySATCOM.CHANNEL.ANSWERED: return "<END CALL";
+				default: return channel.party ? "<MAKE CALL" : "";
+			}
+		};
+		const getSignature = () => `${satcom.state}${satcom.getChannel("L").state}${satcom.getChannel("R").state}`;
+		let signature = "";
 		
 		const updateView = () => {
+			signature = getSignature();
+			const left = satcom.getChannel("L");
+			const right = satcom.getChannel("R");
 			fmc.setTemplate([
 				["SAT-PHONE", "1", "2"],
-				["SAT-L:ANSWERED", "PRIORITY"],
-				["<END CALL", "LOW>"],
-				["EURO OPNS", ""],
-				["<QUEUE CALL", "DIRECTORY>"],
+				[`SAT-L:${left.state}`, "SATCOM"],
+				[getActionCell(left), satcom.state],
+				[left.party ? left.party.name : "", ""],
+				[left.party ? `${left.party.number}[s-text]` : "", "DIRECTORY>"],
 				["", ""],
 				["", ""],
-				["SAT-R:READY", "PRIORITY"],
-				["<MAKE CALL", "SBB PUB"],
-				["ASIA OPNS", ""],
-				["", ""],
+				[`SAT-R:${right.state}`, ""],
+				[getActionCell(right), ""],
+				[right.party ? right.party.name : "", ""],
+				[right.party ? `${right.party.number}[s-text]` : "", ""],
 				["", ""],
 				["", ""]
 			]);
 		}
 		updateView();
 		
+		/* Follows the link and call states while the page is up */
+		fmc.pageUpdate = () => {
+			if (getSignature() !== signature) {
+				updateView();
+			}
+		};
+		
+		const callAction = (id) => {
+			const channel = satcom.getChannel(id);
+			switch (channel.state) {
+				case SaltySATCOM.CHANNEL.INCOMING:
+					satcom.answer(id);
+					break;
+				case SaltySATCOM.CHANNEL.DIALING:
+				case SaltySATCOM.CHANNEL.ANSWERED:
+					satcom.endCall(id);
+					break;
+				default:
+					if (channel.party && !satcom.makeCall(id)) {
+						fmc.showErrorMessage("SATCOM NOT READY");
+					}
+			}
+			updateView();
+		};
+		
 		fmc.onNextPage = () => {
 			FMC_SAT_Index.ShowPage2(fmc);
 		};
@@ -30,6 +70,14 @@ class FMC_SAT_Index {
 			FMC_SAT_Index.ShowPage2(fmc);
 		};
 		
+		fmc.onLeftInput[0] = () => {
+			callAction("L");
+		};
+		
+		fmc.onLeftInput[3] = () => {
+			callAction("R");
+		};
+		
 		fmc.onRightInput[1] = () => {
 			FMC_SAT_Directory.ShowPage(fmc);
 		}
@@ -66,6 +114,10 @@ class FMC_SAT_Index {
 			FMC_SAT_Index.ShowPage(fmc);
 		};
 		
+		fmc.onLeftInput[1] = () => {
+			FMC_SAT_Log.ShowPage(fmc);
+		};
+		
 		fmc.onRightInput[1] = () => {
 			FMC_SAT_Directory.ShowPage(fmc);
 		}
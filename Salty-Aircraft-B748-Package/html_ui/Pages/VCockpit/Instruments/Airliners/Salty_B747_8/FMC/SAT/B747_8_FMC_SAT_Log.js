@@ -0,0 +1,42 @@
+class FMC_SAT_Log {
+    static ShowPage(fmc, page = 0) {
+		fmc.activeSystem = "SAT";
+		fmc.clearDisplay();
+		const calls = fmc.SaltyBase.satcom.calls;
+		const pagesCount = Math.max(1, Math.ceil(calls.length / 5));
+		page = Math.min(page, pagesCount - 1);
+		
+		const updateView = () => {
+			const rows = [];
+			for (let i = 0; i < 5; i++) {
+				const call = calls[page * 5 + i];
+				if (call) {
+					rows.push([`${call.time}Z SAT-${call.channel} ${call.direction}`, call.status]);
+					rows.push([call.name, ""]);
+				} else {
+					rows.push(["", ""]);
+					rows.push([i === 0 && page === 0 ? "NO CALLS" : "", ""]);
+				}
+			}
+			fmc.setTemplate([
+				["SAT CALL LOG", `${page + 1}`, `${pagesCount}`],
+				...rows,
+				["", ""],
+				["<RETURN", ""]
+			]);
+		}
+		updateView();
+		
+		fmc.onNextPage = () => {
+			FMC_SAT_Log.ShowPage(fmc, page < pagesCount - 1 ? page + 1 : 0);
+		};
+		
+		fmc.onPrevPage = () => {
+			FMC_SAT_Log.ShowPage(fmc, page > 0 ? page - 1 : pagesCount - 1);
+		};
+		
+		fmc.onLeftInput[5] = () => {
+			FMC_SAT_Index.ShowPage2(fmc);
+		}
+	}
+}
\ No newline at end of file
@@ -1,73 +1,80 @@
 class FMC_SAT_SubDirectory {
-    static ShowPage(fmc, title) {
+    static ShowPage(fmc, title, page = 0) {
 		fmc.activeSystem = "SAT";
 		fmc.clearDisplay();
+		const satcom = fmc.SaltyBase.satcom;
+		const entries = satcom.getCategory(title).entries;
+		/* The slot after the last entry takes a new NAME/NUMBER */
+		const pagesCount = Math.max(1, Math.ceil((entries.length + 1) / 5));
+		page = Math.min(page, pagesCount - 1);
 		
 		const updateView = () => {
+			const rows = [];
+			for (let i = 0; i < 5; i++) {
+				const entry = entries[page * 5 + i];
+				rows.push(["", "", entry ? `<-${entry.name}-->` : ""]);
+				rows.push(["", "", entry ? entry.number : ""]);
+			}
 			fmc.setTemplate([
-				["SAT DIRECTORY", "01", "20"],
+				["SAT DIRECTORY", `${page + 1}`.padStart(2, "0"), `${pagesCount}`.padStart(2, "0")],
 				["SAT-L", "SAT-R", title],
-				["", "", "<-FLIGHT DISPATCH EDDF-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-MAINT WATCH EDDF-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-ENGINEERING-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-LINE MAINT CENTER-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-STORES EDDF-->"],
-				["", "", "001-319-829-1728"],
+				...rows,
 				["<RETURN", ""]
 			]);
 		}
 		updateView();
 		
-		fmc.onNextPage = () => {
-			FMC_SAT_SubDirectory.ShowPage2(fmc, title);
-		};
-		
-		fmc.onPrevPage = () => {
-			FMC_SAT_SubDirectory.ShowPage2(fmc, title);
+		/* LSK selects the entry for SAT-L, RSK for SAT-R */
+		const selectEntry = (index, channel) => {
+			const value = fmc.inOut;
+			const entry = entries[index];
+			if (value === FMCMainDisplay.clrValue) {
+				fmc.clearUserInput();
+				if (!satcom.removeEntry(title, index)) {
+					fmc.showErrorMessage(fmc.defaultInputErrorMessage);
+				}
+				FMC_SAT_SubDirectory.ShowPage(fmc, title, page);
+				return;
+			}
+			if (value) {
+				fmc.clearUserInput();
+				const [name, number] = value.split("/");
+				if (entry || !name || !number || !/^[0-9-]+$/.test(number) || name.length > 19) {
+					fmc.showErrorMessage(fmc.defaultInputErrorMessage);
+					return;
+				}
+				satcom.addEntry(title, name, number);
+				FMC_SAT_SubDirectory.ShowPage(fmc, title, page);
+				return;
+			}
+			if (entry) {
+				if (!satcom.selectParty(channel, entry)) {
+					fmc.showErrorMessage("CHANNEL BUSY");
+					return;
+				}
+				FMC_SAT_Index.ShowPage(fmc);
+			}
 		};
 		
-		fmc.onLeftInput[5] = () => {
-			FMC_SAT_Directory.ShowPage(fmc);
-		}
-	}
-	
-    static ShowPage2(fmc, title) {
-		fmc.activeSystem = "SAT";
-		fmc.clearDisplay();
-		
-		const updateView = () => {
-			fmc.setTemplate([
-				["SAT DIRECTORY", "02", "20"],
-				["SAT-L", "SAT-R", title],
-				["", "", "<-FLIGHT DISPATCH EDDF-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-MAINT WATCH EDDF-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-ENGINEERING-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-LINE MAINT CENTER-->"],
-				["", "", "001-319-829-1728"],
-				["", "", "<-STORES EDDF-->"],
-				["", "", "001-319-829-1728"],
-				["<RETURN", ""]
-			]);
-		}
-		updateView();
-		
 		fmc.onNextPage = () => {
-			FMC_SAT_SubDirectory.ShowPage(fmc, title);
+			FMC_SAT_SubDirectory.ShowPage(fmc, title, page < pagesCount - 1 ? page + 1 : 0);
 		};
 		
 		fmc.onPrevPage = () => {
-			FMC_SAT_SubDirectory.ShowPage(fmc, title);
+			FMC_SAT_SubDirectory.ShowPage(fmc, title, page > 0 ? page - 1 : pagesCount - 1);
 		};
 		
+		for (let i = 0; i < 5; i++) {
+			fmc.onLeftInput[i] = () => {
+				selectEntry(page * 5 + i, "L");
+			};
+			fmc.onRightInput[i] = () => {
+				selectEntry(page * 5 + i, "R");
+			};
+		}
+		
 		fmc.onLeftInput[5] = () => {
 			FMC_SAT_Directory.ShowPage(fmc);
 		}
-    }
+	}
 }
\ No newline at end of file
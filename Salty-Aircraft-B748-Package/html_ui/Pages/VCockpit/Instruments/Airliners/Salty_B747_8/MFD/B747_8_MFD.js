@@ -88,6 +88,9 @@ class B747_8_MFD_MainPage extends NavSystemPage {
         this.leftIRSValue = document.querySelector("#l-irs-value");
         this.centerIRSValue = document.querySelector("#c-irs-value");
         this.rightIRSValue = document.querySelector("#r-irs-value");
+        this.rnpAnp = document.querySelector("#rnp-anp");
+        this.rnpValue = document.querySelector("#rnp-value");
+        this.anpValue = document.querySelector("#anp-value");
         this.deviationItems = document.querySelector("#PathDeviationScale");
         this.deviationPointer = document.querySelector("#pathDevPointer");
         this.deviationTextTop = document.querySelector("#pathTopText");
@@ -122,6 +125,18 @@ class B747_8_MFD_MainPage extends NavSystemPage {
             this.mapInstrument.style.display = "";
             this.irsTimes.style.display = "none";
         }
+        this.updateRnpAnp(IRSState == 2);
+    }
+    updateRnpAnp(isAligned) {
+        const anp = SimVar.GetSimVarValue("L:SALTY_ANP", "number");
+        if (!isAligned || anp < 0) {
+            this.rnpAnp.style.display = "none";
+            return;
+        }
+        this.rnpAnp.style.display = "";
+        this.rnpValue.textContent = "RNP " + SimVar.GetSimVarValue("L:SALTY_RNP", "number").toFixed(2);
+        this.anpValue.textContent = "ANP " + anp.toFixed(2);
+        this.anpValue.style.fill = SimVar.GetSimVarValue("L:SALTY_UNABLE_RNP", "Bool") ? "#ffc400" : "#ffffff";
     }
     onEvent(_event) {
         switch (_event) {
@@ -157,8 +172,8 @@ class B747_8_MFD_MainPage extends NavSystemPage {
                 this._updateNDFiltersStatuses();
                 break;
             case "BTN_DATA":
-                //this.map.instrument.showConstraints = !this.map.instrument.showConstraints;
-                //this._updateNDFiltersStatuses();
+                this.map.instrument.showConstraints = !this.map.instrument.showConstraints;
+                this._updateNDFiltersStatuses();
                 break;
             case "BTN_POS":
                 break;
@@ -128,6 +128,7 @@ class MapInstrument extends ISvgMapRootElement {
         this.roadPrimaryMaxRange = MapInstrument.ROAD_PRIMARY_RANGE_DEFAULT;
 
         this._todWaypoint = undefined;
+        this._stepClimbWaypoint = undefined;
         this._displayMapElements = [];
         // MOD END
     }
@@ -473,6 +474,7 @@ class MapInstrument extends ISvgMapRootElement {
             this.tmpFlightPlanElement.source = this.flightPlanManager;
             this.tmpFlightPlanElement.flightPlanIndex = 1;
             this.directToElement = new SvgBackOnTrackElement();
+            this.offpathDescentElement = new SvgOffpathDescentElement();
             Coherent.call("RESET_ROAD_ITERATOR");
             this.addEventListener("mousedown", this.OnMouseDown.bind(this));
             this.addEventListener("mousemove", this.OnMouseMove.bind(this));
@@ -775,6 +777,11 @@ class MapInstrument extends ISvgMapRootElement {
                             }
                         }
 
+                        this.updateStepClimbWaypoint();
+                        if (this._stepClimbWaypoint && SimVar.GetSimVarValue("L:MAP_SHOW_TEMPORARY_FLIGHT_PLAN", "number") === 0) {
+                            this.navMap.mapElements.push(this._stepClimbWaypoint.getSvgElement(this.navMap.index));
+                        }
+
                         if (this.flightPlanManager.getIsDirectTo()) {
                             this.directToElement.llaRequested = this.flightPlanManager.getDirecToOrigin();
                             this.directToElement.targetWaypoint = this.flightPlanManager.getDirectToTarget();
@@ -891,6 +898,10 @@ class MapInstrument extends ISvgMapRootElement {
                         this.navMap.mapElements.push(this.altitudeInterceptElement);
                     }
 
+                    if (this.offpathDescentElement) {
+                        this.navMap.mapElements.push(this.offpathDescentElement);
+                    }
+
                     if (this.showFuelRing && this.fuelRingElement) {
                         this.navMap.mapElements.push(this.fuelRingElement);
                     }
@@ -1020,6 +1031,29 @@ class MapInstrument extends ISvgMapRootElement {
             this._todWaypoint = undefined;
         }
     }
+    updateStepClimbWaypoint() {
+        const stepClimbDist = SimVar.GetSimVarValue("L:SALTY_STEP_CLIMB_DISTANCE", "number");
+        try {
+            if (stepClimbDist > 0) {
+                if (this._stepClimbWaypoint === undefined) {
+                    const waypoint = new WayPoint(this._instrument);
+                    waypoint.type = 'W';
+                    waypoint.isInFlightPlan = false;
+
+                    waypoint.infos = new WayPointInfo(this._instrument);
+                    waypoint.getSvgElement(this.navMap.index);
+                    this._stepClimbWaypoint = waypoint;
+                    this._stepClimbWaypoint.ident = "S/C";
+                    this._stepClimbWaypoint.infos.ident = "S/C";
+                }
+                this._stepClimbWaypoint.infos.coordinates = this.flightPlanManager.getCoordinatesAtNMFromDestinationAlongFlightPlan(stepClimbDist);
+            } else {
+                this._stepClimbWaypoint = undefined;
+            }
+        } catch (error) {
+            this._stepClimbWaypoint = undefined;
+        }
+    }
     updateDisplayMapElements() {
         const l = this._displayMapElements.length;
         if (l > 0) {
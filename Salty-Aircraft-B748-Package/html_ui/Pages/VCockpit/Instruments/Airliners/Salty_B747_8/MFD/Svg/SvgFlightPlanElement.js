@@ -84,6 +84,9 @@ class SvgFlightPlanElement extends SvgMapElement {
 
                     //Remainder of plan
                     this.buildPathFromWaypoints(waypoints, activeWaypointIndex, mainPathEnd, map, '#D570FF', (index !== 0), false);
+
+                    //Lateral offset
+                    this.drawLateralOffset(plan, activeWaypointIndex, map, (index !== 0));
                     
                 }
             }
@@ -135,6 +138,9 @@ class SvgFlightPlanElement extends SvgMapElement {
                 if (i === startIndex || (prevWaypoint && prevWaypoint.endsInDiscontinuity)) {
                     context.moveTo(pos.x, pos.y);
                 }
+                else if (waypoint.arc && ArcDetails.startsOnArc(waypoint.arc, prevWaypoint.infos.coordinates)) {
+                    this.drawLegArc(prevWaypoint, waypoint, map, context);
+                }
                 else {
                     //Draw great circle segments if more than 2 degrees longitude difference
                     const longDiff = Math.abs(waypoint.infos.coordinates.long - prevWaypoint.infos.coordinates.long);
@@ -160,7 +166,7 @@ class SvgFlightPlanElement extends SvgMapElement {
         }
         context.stroke();
 
-        //DRAW HOLDS - ALWAYS NON-DASHED
+        //DRAW HOLDS AND PROCEDURE TURNS - ALWAYS NON-DASHED
         context.setLineDash([]);
         context.beginPath();
         for (let i = startIndex + 1; i < endIndex; i++) {
@@ -181,6 +187,18 @@ class SvgFlightPlanElement extends SvgMapElement {
                 this.drawHoldArc(corners[2], corners[3], context, waypoint.holdDetails.turnDirection === 1);
                 context.lineTo(corners[0].x, corners[0].y);
             }
+            if (waypoint.hasProcedureTurn) {
+                const details = waypoint.procedureTurnDetails;
+                const fixes = ProcedureTurnDirector.calculateProcedureTurnFixes(waypoint.infos.coordinates, details)
+                    .map(c => map.coordinatesToXY(c));
+
+                context.moveTo(fixes[0].x, fixes[0].y);
+                context.lineTo(fixes[1].x, fixes[1].y);
+                context.lineTo(fixes[2].x, fixes[2].y);
+                this.drawHoldArc(fixes[2], fixes[3], context, details.turnDirection === ArcTurnDirection.Left);
+                context.lineTo(fixes[4].x, fixes[4].y);
+                context.lineTo(fixes[0].x, fixes[0].y);
+            }
         }
         context.stroke();
     }
@@ -289,6 +307,63 @@ class SvgFlightPlanElement extends SvgMapElement {
         context.arc(cx, cy, radius, a1, a2, counterClockwise);
     }
 
+    /**
+     * Draws the dashed lateral offset path parallel to the route.
+     * @param {ManagedFlightPlan} plan The flight plan to draw the offset of.
+     * @param {number} activeWaypointIndex The index of the active waypoint in the plan.
+     * @param {MapInstrument} map The map instrument to convert coordinates with.
+     * @param {boolean} isTemporary Whether or not the plan is the modified route.
+     */
+    drawLateralOffset(plan, activeWaypointIndex, map, isTemporary) {
+        const range = plan.getLateralOffsetRange();
+        if (!range) {
+            return;
+        }
+
+        const context = this._flightPathCanvas.getContext('2d');
+        context.beginPath();
+        context.lineWidth = 3;
+        context.strokeStyle = isTemporary ? 'white' : '#D570FF';
+        context.setLineDash([20, 20]);
+
+        for (let i = Math.max(range.startIndex + 1, activeWaypointIndex); i <= range.endIndex; i++) {
+            const path = plan.getLateralOffsetLegPath(i).map(c => map.coordinatesToXY(c));
+            context.moveTo(path[0].x, path[0].y);
+            for (let j = 1; j < path.length; j++) {
+                context.lineTo(path[j].x, path[j].y);
+            }
+        }
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    /**
+     * Draws an RF or AF leg as segments along its arc around the center fix.
+     * @param {WayPoint} prevWaypoint The waypoint the arc starts from.
+     * @param {WayPoint} waypoint The waypoint that ends the arc.
+     * @param {MapInstrument} map The map instrument to convert coordinates with.
+     * @param {CanvasRenderingContext2D} context
+     */
+    drawLegArc(prevWaypoint, waypoint, map, context) {
+        const arc = waypoint.arc;
+        const center = ArcDetails.getCenter(arc);
+        const startRadial = Avionics.Utils.computeGreatCircleHeading(center, prevWaypoint.infos.coordinates);
+        const sweep = ArcDetails.calculateSweepAngle(arc, prevWaypoint.infos.coordinates, waypoint.infos.coordinates);
+        const direction = arc.turnDirection === ArcTurnDirection.Left ? -1 : 1;
+
+        const numSegments = Math.max(Math.ceil(sweep / SvgFlightPlanElement.ARC_SEGMENT_DEGREES), 1);
+        for (let j = 1; j < numSegments; j++) {
+            const radial = startRadial + (direction * sweep * j / numSegments);
+            const segmentEnd = Avionics.Utils.bearingDistanceToCoordinates(radial, arc.radius, center.lat, center.long);
+            const segmentEndVec = map.coordinatesToXY(segmentEnd);
+
+            context.lineTo(segmentEndVec.x, segmentEndVec.y);
+        }
+
+        const pos = map.coordinatesToXY(waypoint.infos.coordinates);
+        context.lineTo(pos.x, pos.y);
+    }
+
     setAsDashed(_val, _force = false) {
         if (_force || (_val != this._isDashed)) {
             this._isDashed = _val;
@@ -311,6 +386,7 @@ class SvgFlightPlanElement extends SvgMapElement {
         }
     }
 }
+SvgFlightPlanElement.ARC_SEGMENT_DEGREES = 5;
 class SvgBackOnTrackElement extends SvgMapElement {
     constructor(overrideColor = "") {
         super();
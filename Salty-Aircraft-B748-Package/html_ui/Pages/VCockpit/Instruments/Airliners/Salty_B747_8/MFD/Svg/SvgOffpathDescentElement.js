@@ -0,0 +1,68 @@
+/**
+ * Offpath descent circles around the fix selected on the FMC OFFPATH DES page.
+ * Solid for the clean idle descent range, dashed for the speedbrake range.
+ */
+class SvgOffpathDescentElement extends SvgMapElement {
+    constructor() {
+        super();
+        this.strokeColor = SvgOffpathDescentElement.STROKE_COLOR_DEFAULT;
+        this.strokeWidth = SvgOffpathDescentElement.STROKE_WIDTH_DEFAULT;
+        this.strokeDash = SvgOffpathDescentElement.STROKE_DASH_DEFAULT;
+    }
+
+    id(map) {
+        return "offpath-descent" + "-map-" + map.index;
+    }
+
+    appendToMap(map) {
+        map.appendChild(this.svgElement, map.flightPlanLayer);
+    }
+
+    createDraw(map) {
+        let container = document.createElementNS(Avionics.SVG.NS, "svg");
+
+        this.cleanCircle = document.createElementNS(Avionics.SVG.NS, "circle");
+        this.cleanCircle.setAttribute("fill-opacity", "0");
+        this.cleanCircle.setAttribute("stroke", this.strokeColor);
+        this.cleanCircle.setAttribute("stroke-width", this.strokeWidth);
+        this.cleanCircle.setAttribute("display", "none");
+        container.appendChild(this.cleanCircle);
+
+        // the game doesn't support dasharray for circles, so we need to use path instead
+        this.speedbrakeCircle = document.createElementNS(Avionics.SVG.NS, "path");
+        this.speedbrakeCircle.setAttribute("fill-opacity", "0");
+        this.speedbrakeCircle.setAttribute("stroke", this.strokeColor);
+        this.speedbrakeCircle.setAttribute("stroke-width", this.strokeWidth);
+        this.speedbrakeCircle.setAttribute("stroke-dasharray", this.strokeDash);
+        this.speedbrakeCircle.setAttribute("vector-effect", "non-scaling-stroke");
+        this.speedbrakeCircle.setAttribute("d", "M 0 -1 A 1 1 0 0 1 0 1 A 1 1 0 0 1 0 -1 Z");
+        this.speedbrakeCircle.setAttribute("display", "none");
+        container.appendChild(this.speedbrakeCircle);
+
+        return container;
+    }
+
+    updateDraw(map) {
+        let cleanRange = SimVar.GetSimVarValue("L:SALTY_OFFPATH_CLEAN_RANGE", "number");
+        let speedbrakeRange = SimVar.GetSimVarValue("L:SALTY_OFFPATH_SPDBRK_RANGE", "number");
+        if (!(cleanRange > 0)) {
+            this.cleanCircle.setAttribute("display", "none");
+            this.speedbrakeCircle.setAttribute("display", "none");
+            return;
+        }
+
+        let fix = new LatLong(SimVar.GetSimVarValue("L:SALTY_OFFPATH_LAT", "degree latitude"), SimVar.GetSimVarValue("L:SALTY_OFFPATH_LONG", "degree longitude"));
+        let centerPos = map.coordinatesToXY(fix);
+
+        this.cleanCircle.setAttribute("cx", centerPos.x);
+        this.cleanCircle.setAttribute("cy", centerPos.y);
+        this.cleanCircle.setAttribute("r", cleanRange / map.NMWidth * 1000);
+        this.cleanCircle.setAttribute("display", "inherit");
+
+        this.speedbrakeCircle.setAttribute("transform", "translate(" + centerPos.x + ", " + centerPos.y + ") scale(" + (speedbrakeRange / map.NMWidth * 1000) + ")");
+        this.speedbrakeCircle.setAttribute("display", "inherit");
+    }
+}
+SvgOffpathDescentElement.STROKE_COLOR_DEFAULT = "lime";
+SvgOffpathDescentElement.STROKE_WIDTH_DEFAULT = 3;
+SvgOffpathDescentElement.STROKE_DASH_DEFAULT = "12 8";
@@ -131,7 +131,7 @@ class SvgWaypointElement extends SvgMapElement {
             this._image.setAttribute("isInFpln", this.isInFpln.toString());
             if (this.ident.substring(0,2) === "RW") {
 
-            } else if (this.ident === "T/D" || this.ident === "DES") {
+            } else if (this.ident === "T/D" || this.ident === "DES" || this.ident === "S/C") {
                 this._image.setAttributeNS("http://www.w3.org/1999/xlink", "href", map.config.imagesDir + "ICON_MAP_TOD.svg");
             } else if (!this.isInFpln) {
                 // console.log("create " + this.source.ident + " " + this.imageFileName());
@@ -182,7 +182,7 @@ class SvgWaypointElement extends SvgMapElement {
         if (isActiveWaypoint !== this._lastIsActiveWaypoint || this.isInFpln !== this._lastIsInFpln) {
             if (this._image) {
                 if (!isActiveWaypoint) {
-                    if (this.ident === "T/D" || this.ident === "DES") {
+                    if (this.ident === "T/D" || this.ident === "DES" || this.ident === "S/C") {
                         this._image.setAttributeNS("http://www.w3.org/1999/xlink", "href", map.config.imagesDir + "ICON_MAP_TOD.svg");
                     } else if (!this.isInFpln) {
                         this._image.setAttributeNS("http://www.w3.org/1999/xlink", "href", map.config.imagesDir + this.imageFileName().replace(".png", ".svg") + "?cb=44");
@@ -247,6 +247,7 @@ class SvgWaypointTextElement extends SvgMapElement {
         this._lastX = 0;
         this._lastY = 0;
         this._lastIsActiveWaypoint = false;
+        this._dataLines = [];
     }
 
     id(map) {
@@ -265,7 +266,7 @@ class SvgWaypointTextElement extends SvgMapElement {
         return {
             top: parseFloat(this._label.getAttribute("y")),
             left: parseFloat(this._label.getAttribute("x")),
-            bottom: parseFloat(this._label.getAttribute("y")) + this._textHeight / 0.675,
+            bottom: parseFloat(this._label.getAttribute("y")) + this._textHeight * (1 + this._dataLines.length * SvgWaypointTextElement.DATA_LINE_SPACING) / 0.675,
             right: parseFloat(this._label.getAttribute("x")) + this._textWidth
         };
     }
@@ -276,7 +277,9 @@ class SvgWaypointTextElement extends SvgMapElement {
         }
 
         const isActiveWaypoint = this.waypointElement.isActiveWaypoint();
-        if (isActiveWaypoint != this._lastIsActiveWaypoint) {
+        const dataLines = this._getDataLines(map, isActiveWaypoint);
+        if (isActiveWaypoint != this._lastIsActiveWaypoint || dataLines.join() !== this._dataLines.join()) {
+            this._dataLines = dataLines;
             this._refreshLabel(map, isActiveWaypoint);
             this._lastIsActiveWaypoint = isActiveWaypoint;
         }
@@ -332,6 +335,19 @@ class SvgWaypointTextElement extends SvgMapElement {
         return this._label;
     }
 
+    /* ETA and altitude predicted by the FMC, under flight plan waypoints while DATA is selected */
+    _getDataLines(map, isActiveWaypoint) {
+        if (!map.htmlRoot.showConstraints || !(this.waypointElement.isInFpln || isActiveWaypoint)) {
+            return [];
+        }
+        const prediction = SaltyPredictions.readPublished(this.waypointElement.ident);
+        if (!prediction) {
+            return [];
+        }
+        const altitude = Math.round(prediction.altitude / 10) * 10;
+        return [SaltyPredictions.formatTime(prediction.eta), altitude >= 18000 ? "FL" + (altitude / 100).toFixed(0) : altitude.toFixed(0)];
+    }
+
     _refreshLabel(map, isActiveWaypoint) {
         const labelId = this.id(map);
         const label = document.getElementById(labelId);
@@ -345,12 +361,8 @@ class SvgWaypointTextElement extends SvgMapElement {
         if (!this._label) {
             this._label = document.createElementNS("http://www.w3.org/2000/svg", "foreignObject");
             this._label.id = labelId;
-            this._label.setAttribute("width", (this._textWidth + map.config.waypointLabelBackgroundPaddingLeft + map.config.waypointLabelBackgroundPaddingRight).toFixed(0) + "px");
-            this._label.setAttribute("height", (this._textHeight + map.config.waypointLabelBackgroundPaddingTop + map.config.waypointLabelBackgroundPaddingBottom).toFixed(0) + "px");
             canvas = document.createElement("canvas");
             canvas.setAttribute("class", "labelCanvas");
-            canvas.setAttribute("width", (this._textWidth + map.config.waypointLabelBackgroundPaddingLeft + map.config.waypointLabelBackgroundPaddingRight).toFixed(0) + "px");
-            canvas.setAttribute("height", (this._textHeight + map.config.waypointLabelBackgroundPaddingTop + map.config.waypointLabelBackgroundPaddingBottom).toFixed(0) + "px");
             this._label.appendChild(canvas);
 
         } else {
@@ -361,13 +373,28 @@ class SvgWaypointTextElement extends SvgMapElement {
         }
 
         const context = canvas.getContext("2d");
+        context.font = fontSize + "px " + map.config.waypointLabelFontFamily;
+        let textWidth = this._textWidth;
+        for (const line of this._dataLines) {
+            textWidth = Math.max(textWidth, context.measureText(line).width);
+        }
+        const textHeight = this._textHeight * (1 + this._dataLines.length * SvgWaypointTextElement.DATA_LINE_SPACING);
+        const width = (textWidth + map.config.waypointLabelBackgroundPaddingLeft + map.config.waypointLabelBackgroundPaddingRight).toFixed(0) + "px";
+        const height = (textHeight + map.config.waypointLabelBackgroundPaddingTop + map.config.waypointLabelBackgroundPaddingBottom).toFixed(0) + "px";
+        if (this._label.getAttribute("width") !== width || this._label.getAttribute("height") !== height) {
+            this._label.setAttribute("width", width);
+            this._label.setAttribute("height", height);
+            canvas.setAttribute("width", width);
+            canvas.setAttribute("height", height);
+        }
+
         context.clearRect(0, 0, canvas.width, canvas.height);
         if (map.config.waypointLabelUseBackground) {
             context.fillStyle = "black";
-            context.fillRect(0, 0, this._textWidth + map.config.waypointLabelBackgroundPaddingLeft + map.config.waypointLabelBackgroundPaddingRight, this._textHeight + map.config.waypointLabelBackgroundPaddingTop + map.config.waypointLabelBackgroundPaddingBottom);
+            context.fillRect(0, 0, textWidth + map.config.waypointLabelBackgroundPaddingLeft + map.config.waypointLabelBackgroundPaddingRight, textHeight + map.config.waypointLabelBackgroundPaddingTop + map.config.waypointLabelBackgroundPaddingBottom);
         }
         if (!isActiveWaypoint) {
-            if (this.waypointElement.ident === "T/D" || this.waypointElement.ident === "DES") {
+            if (this.waypointElement.ident === "T/D" || this.waypointElement.ident === "DES" || this.waypointElement.ident === "S/C") {
                 context.fillStyle = "lime";
             } else if (this.waypointElement.source.isInMissedAppr === true) {
                 context.fillStyle = "cyan";
@@ -391,5 +418,10 @@ class SvgWaypointTextElement extends SvgMapElement {
         context.font = fontSize + "px " + map.config.waypointLabelFontFamily;
         context.lineWidth = map.config.waypointLabelStrokeWidth * 2;
         context.fillText(text, map.config.waypointLabelBackgroundPaddingLeft, this._textHeight + map.config.waypointLabelBackgroundPaddingTop);
+        this._dataLines.forEach((line, i) => {
+            context.fillText(line, map.config.waypointLabelBackgroundPaddingLeft, this._textHeight * (1 + (i + 1) * SvgWaypointTextElement.DATA_LINE_SPACING) + map.config.waypointLabelBackgroundPaddingTop);
+        });
     }
 }
+/* Line height of the ETA and altitude lines, in text heights */
+SvgWaypointTextElement.DATA_LINE_SPACING = 1.4;
@@ -156,6 +156,7 @@ var Boeing_FMA;
             this.leftThrottleArmed = false;
             this.rightThrottleArmed = false;
             this.flagTOGA = false;
+            this.quietClimbActive = false;
         }
         update(_deltaTime) {
             const fmaValues = localStorage.getItem("CJ4_fmaValues");
@@ -166,10 +167,12 @@ var Boeing_FMA;
             }
             var left = Simplane.getAutoPilotThrottleArmed(1);
             var right = Simplane.getAutoPilotThrottleArmed(2);
+            var quietClimb = SimVar.GetSimVarValue("L:SALTY_QCLB_STATE", "number") === 2;
             var mode = this.getActiveMode();
-            if ((mode != this.currentMode) || (left != this.leftThrottleArmed) || (right != this.rightThrottleArmed)) {
+            if ((mode != this.currentMode) || (left != this.leftThrottleArmed) || (right != this.rightThrottleArmed) || (quietClimb != this.quietClimbActive)) {
                 this.leftThrottleArmed = left;
                 this.rightThrottleArmed = right;
+                this.quietClimbActive = quietClimb;
                 this.changeMode(mode);
             }
             this.updateHighlight(_deltaTime);
@@ -217,6 +220,10 @@ var Boeing_FMA;
                 4: "THR REF"
             };
 
+            /* Reference thrust is the quiet climb limit between cutback and restore */
+            if (this.currentMode === 4 && this.quietClimbActive)
+                return "Q-CLB";
+
             return modeEnumToText[this.currentMode];
         }
     }
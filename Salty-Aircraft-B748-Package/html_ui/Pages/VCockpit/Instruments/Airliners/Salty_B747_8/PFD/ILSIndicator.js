@@ -282,19 +282,39 @@ class Jet_PFD_ILSIndicator extends HTMLElement {
                 this.loc_cursorPosX = posX + width * 0.5;
                 this.loc_cursorPosY = posY + height * 0.5;
                     
-                let leftBound = document.createElementNS(Avionics.SVG.NS, "path");
-                leftBound.setAttribute("d", "M 317 390 l 30 0 l 0 2 l -5 0 l 0 8 l 0 -8 l -25 0 Z");
-                leftBound.setAttribute("fill", "white");
-                leftBound.setAttribute("stroke", "white");
-                leftBound.setAttribute("stroke-width", "4");
-                this.nps_lateralGroup.appendChild(leftBound);
+                this.nps_leftBound = document.createElementNS(Avionics.SVG.NS, "path");
+                this.nps_leftBound.setAttribute("d", "M 317 390 l 30 0 l 0 2 l -5 0 l 0 8 l 0 -8 l -25 0 Z");
+                this.nps_leftBound.setAttribute("fill", "white");
+                this.nps_leftBound.setAttribute("stroke", "white");
+                this.nps_leftBound.setAttribute("stroke-width", "4");
+                this.nps_lateralGroup.appendChild(this.nps_leftBound);
 
-                let rightBound = document.createElementNS(Avionics.SVG.NS, "path");
-                rightBound.setAttribute("d", "M 157 390 l 30 0 l 0 2 l -25 0 l 0 8 l 0 -8 l -5 0 Z");
-                rightBound.setAttribute("fill", "white");
-                rightBound.setAttribute("stroke", "white");
-                rightBound.setAttribute("stroke-width", "4");
-                this.nps_lateralGroup.appendChild(rightBound);
+                this.nps_rightBound = document.createElementNS(Avionics.SVG.NS, "path");
+                this.nps_rightBound.setAttribute("d", "M 157 390 l 30 0 l 0 2 l -25 0 l 0 8 l 0 -8 l -5 0 Z");
+                this.nps_rightBound.setAttribute("fill", "white");
+                this.nps_rightBound.setAttribute("stroke", "white");
+                this.nps_rightBound.setAttribute("stroke-width", "4");
+                this.nps_lateralGroup.appendChild(this.nps_rightBound);
+
+                this.nps_rnpText = document.createElementNS(Avionics.SVG.NS, "text");
+                this.nps_rnpText.textContent = "";
+                this.nps_rnpText.setAttribute("x", "157");
+                this.nps_rnpText.setAttribute("y", "378");
+                this.nps_rnpText.setAttribute("fill", "white");
+                this.nps_rnpText.setAttribute("font-size", "14");
+                this.nps_rnpText.setAttribute("font-family", "BoeingEFIS");
+                this.nps_rnpText.setAttribute("text-anchor", "start");
+                this.nps_lateralGroup.appendChild(this.nps_rnpText);
+
+                this.nps_anpText = document.createElementNS(Avionics.SVG.NS, "text");
+                this.nps_anpText.textContent = "";
+                this.nps_anpText.setAttribute("x", "347");
+                this.nps_anpText.setAttribute("y", "378");
+                this.nps_anpText.setAttribute("fill", "white");
+                this.nps_anpText.setAttribute("font-size", "14");
+                this.nps_anpText.setAttribute("font-family", "BoeingEFIS");
+                this.nps_anpText.setAttribute("text-anchor", "end");
+                this.nps_lateralGroup.appendChild(this.nps_anpText);
             }
             this.centerGroup.appendChild(this.nps_lateralGroup);
         }
@@ -424,8 +444,19 @@ class Jet_PFD_ILSIndicator extends HTMLElement {
         }
     }
     updateNPS() {
+        //The RNP bounds are 88px either side of the centre, so the cross track error is scaled to the RNP
         let latDeviation = SimVar.GetSimVarValue("L:WT_CJ4_XTK", "number");
-        let latDeviationCorr = Utils.Clamp(-latDeviation * 300, -92, 92);
+        let rnp = SimVar.GetSimVarValue("L:SALTY_RNP", "number");
+        let latDeviationCorr = Utils.Clamp(-latDeviation * 88 / (rnp > 0 ? rnp : 0.3), -92, 92);
+        let boundColor = SimVar.GetSimVarValue("L:SALTY_UNABLE_RNP", "Bool") ? "#ffc400" : "white";
+        this.nps_leftBound.setAttribute("fill", boundColor);
+        this.nps_leftBound.setAttribute("stroke", boundColor);
+        this.nps_rightBound.setAttribute("fill", boundColor);
+        this.nps_rightBound.setAttribute("stroke", boundColor);
+        let anp = SimVar.GetSimVarValue("L:SALTY_ANP", "number");
+        this.nps_rnpText.textContent = rnp > 0 ? "RNP " + rnp.toFixed(2) : "";
+        this.nps_anpText.textContent = anp >= 0 ? "ANP " + anp.toFixed(2) : "";
+        this.nps_anpText.setAttribute("fill", boundColor);
         this.nps_lateralCursor.setAttribute("d", "M " + latDeviationCorr + " -7 l-8 19 l16 0 Z");
 
         if (SimVar.GetSimVarValue("L:AIRLINER_FLIGHT_PHASE", "number") >= 5 && !this.gsVisible && !this.locVisible) {